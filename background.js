@@ -3,7 +3,6 @@
 
 import { 
   APP_CONFIG, 
-  compareVersions, 
   getBrowserLanguage, 
   getCurrentMonth,
   safeDispatchEvent
@@ -19,6 +18,32 @@ import * as DOMObserver from './utils/dom/dom-observer.js';
 import * as DOMManipulator from './utils/dom/dom-manipulator.js';
 import * as DOMHandler from './utils/dom/dom-handler.js';
 import * as BatchEngine from './utils/batch/batch_engine.js';
+import * as UnitLocalizer from './utils/unit-localizer.js';
+import * as GlossaryManager from './utils/glossary-manager.js';
+import * as LanguageDetector from './utils/language-detector.js';
+import * as SiteRules from './utils/site-rules.js';
+import * as SettingsProfiles from './utils/settings-profiles.js';
+import * as SettingsSchema from './utils/settings-schema.js';
+import * as TranslationMemory from './utils/translation-memory.js';
+import * as SegmentTemplate from './utils/segment-template.js';
+import * as PageSnapshots from './utils/page-snapshots.js';
+
+// 단축키 명령 → 메시지 액션 (manifest.json commands 이름 기준)
+const COMMAND_ACTIONS = {
+  'translate-page': 'translatePage',
+  'toggle-original': 'toggleOriginal',
+  'translate-selection': 'translateSelection',
+  'cycle-target-language': 'cycleTargetLanguage'
+};
+
+// 오프라인 미리 번역: 페이지 로드 대기 시간, 로드 후 스크립트 렌더링 대기, 콘텐츠 스크립트 응답 재시도
+const OFFLINE_LOAD_TIMEOUT = 30000;
+const OFFLINE_RENDER_DELAY = 1500;
+const OFFLINE_MESSAGE_RETRIES = 5;
+
+// 오프라인 미리 번역 대기열 (백그라운드 탭을 한 번에 하나씩 열어 처리)
+let offlineQueue = Promise.resolve();
+const offlineJobs = new Set();
 
 // 확장 프로그램 설치 및 업데이트 이벤트
 chrome.runtime.onInstalled.addListener(handleExtensionInstalled);
@@ -26,12 +51,24 @@ chrome.runtime.onInstalled.addListener(handleExtensionInstalled);
 // 메시지 이벤트 리스너
 chrome.runtime.onMessage.addListener(handleMessage);
 
+// 스트리밍 번역 포트 리스너
+chrome.runtime.onConnect.addListener(handleConnect);
+
 // 컨텍스트 메뉴 등록
 setupContextMenu();
 
+// 단축키 명령 리스너
+chrome.commands.onCommand.addListener(handleCommand);
+
 // 월간 사용량 리셋 설정
 setupMonthlyReset();
 
+// 저장된 캐시 보관 기간/최대 크기, 환율표 적용
+chrome.storage.sync.get('settings', (data) => {
+  applyCacheSettings(data.settings);
+  applyUnitSettings(data.settings);
+});
+
 /**
  * 확장 프로그램 설치/업데이트 처리
  * @param {Object} details - 설치/업데이트 상세 정보
@@ -50,6 +87,9 @@ function handleExtensionInstalled(details) {
       
       // 설정 마이그레이션 (필요시)
       migrateSettings(details.previousVersion);
+      
+      // chrome.storage.local의 이전 번역 캐시를 번역 메모리(IndexedDB)로 이동
+      CacheManager.migrateLegacyEntries();
       break;
       
     default:
@@ -68,7 +108,10 @@ function initializeSettings() {
     targetLang: getBrowserLanguage()
   };
   
-  chrome.storage.sync.set({ settings: defaultSettings });
+  chrome.storage.sync.set({
+    settings: defaultSettings,
+    [SettingsSchema.VERSION_STORAGE_KEY]: SettingsSchema.SETTINGS_VERSION
+  });
   
   // 사용량 통계 초기화
   initUsageStats();
@@ -114,32 +157,74 @@ function logUpdate(previousVersion) {
 }
 
 /**
- * 설정 마이그레이션
+ * 설정 마이그레이션 (settings-schema.js의 단계를 저장된 설정 버전부터 순서대로 적용)
  * @param {string} previousVersion - 이전 버전
  */
-function migrateSettings(previousVersion) {
-  chrome.storage.sync.get('settings', (data) => {
-    if (!data.settings) return; // 설정이 없으면 무시
-    
-    let updatedSettings = { ...data.settings };
-    let needsUpdate = false;
-    
-    // 버전별 마이그레이션 로직
-    if (compareVersions(previousVersion, '1.0.0') < 0) {
-      // 새로운 기본값으로 업데이트
-      Object.entries(APP_CONFIG.defaultSettings).forEach(([key, value]) => {
-        if (updatedSettings[key] === undefined) {
-          updatedSettings[key] = value;
-          needsUpdate = true;
-        }
-      });
+async function migrateSettings(previousVersion) {
+  try {
+    const storage = SettingsSchema.createStorageAdapter(chrome.storage.sync);
+    const result = await SettingsSchema.migrateStoredSettings(storage, previousVersion);
+    
+    if (result.migrated) {
+      console.log(`[${APP_CONFIG.appName}] 설정 마이그레이션 완료: 단계 ${result.applied.join(', ')} → 버전 ${result.version}`);
     }
     
-    // 설정 업데이트가 필요한 경우
-    if (needsUpdate) {
-      chrome.storage.sync.set({ settings: updatedSettings });
+    if (result.errors.length > 0) {
+      console.warn(`[${APP_CONFIG.appName}] 설정 마이그레이션 중 기본값으로 바꾼 항목:`, result.errors);
     }
-  });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 마이그레이션 오류:`, error);
+  }
+}
+
+/**
+ * 가져온 설정 파일을 현재 파일 형식으로 변환
+ * @param {Object} data - 설정 파일 내용
+ * @returns {Object} - 현재 형식의 설정 파일 객체
+ */
+function upgradeSettingsFile(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('설정 파일 형식이 올바르지 않습니다.');
+  }
+  
+  let file = data;
+  
+  // 형식 정보가 없는 파일: storage의 settings 값을 그대로 저장한 초기 파일
+  if (!file.format) {
+    file = {
+      format: SettingsProfiles.SETTINGS_FILE_FORMAT,
+      version: 1,
+      appVersion: '0.0.0',
+      profile: '',
+      settings: data.settings || data,
+      siteRules: data.siteRules || {}
+    };
+  }
+  
+  if (file.format !== SettingsProfiles.SETTINGS_FILE_FORMAT) {
+    return file; // parseSettingsFile에서 거부
+  }
+  
+  // 파일 형식 1 → 2: 설정 버전이 없으므로 파일을 만든 앱 버전으로 추정
+  if (file.version === 1) {
+    file = {
+      ...file,
+      version: 2,
+      settingsVersion: SettingsSchema.getVersionForAppVersion(file.appVersion)
+    };
+  }
+  
+  // 설정 값을 현재 설정 버전으로 마이그레이션
+  if (file.version === SettingsProfiles.SETTINGS_FILE_VERSION && file.settings &&
+      Number.isInteger(file.settingsVersion) && file.settingsVersion < SettingsSchema.SETTINGS_VERSION) {
+    file = {
+      ...file,
+      settings: SettingsSchema.migrateSettings(file.settings, file.settingsVersion).settings,
+      settingsVersion: SettingsSchema.SETTINGS_VERSION
+    };
+  }
+  
+  return file;
 }
 
 /**
@@ -155,6 +240,25 @@ function handleMessage(message, sender, sendResponse) {
     case 'translatePage':
       handleTranslatePageMessage(sender.tab);
       return false;
+    
+    // 원문 보기 / 번역 보기 전환 (단축키)
+    case 'toggleOriginal':
+      if (sender.tab && sender.tab.id) {
+        toggleOriginalInTab(sender.tab.id);
+      }
+      return false;
+    
+    // 선택 영역 번역 (단축키)
+    case 'translateSelection':
+      if (sender.tab && sender.tab.id) {
+        translateSelectionInTab(sender.tab.id, message.text || '');
+      }
+      return false;
+    
+    // 번역 언어 순환 (단축키)
+    case 'cycleTargetLanguage':
+      handleCycleTargetLanguageMessage(sender.tab, sendResponse);
+      return true; // 비동기 응답
       
     case 'getUsageStats':
       handleGetUsageStatsMessage(sendResponse);
@@ -186,6 +290,11 @@ function handleMessage(message, sender, sendResponse) {
       handleGetSettingsMessage(sendResponse);
       return true; // 비동기 응답
       
+    // 기본 설정 (설정을 불러오지 못한 콘텐츠 스크립트의 대체 값)
+    case 'getDefaultSettings':
+      sendResponse({ success: true, settings: SettingsSchema.applyDefaults({}) });
+      return false;
+      
     // 텍스트 번역 요청 처리
     case 'translateText':
       handleTranslateTextMessage(message.text, message.options, sendResponse);
@@ -196,6 +305,98 @@ function handleMessage(message, sender, sendResponse) {
       handleTranslateTextsMessage(message.texts, message.options, sendResponse);
       return true; // 비동기 응답
     
+    // 문서 맥락 브리프 요청 처리 (페이지 번역 전 요약 패스)
+    case 'prepareContext':
+      handlePrepareContextMessage(message.page, message.options, sendResponse);
+      return true; // 비동기 응답
+    
+    // 단어/구 사전식 조회 요청 처리 (더블클릭, Alt+호버)
+    case 'lookupTerm':
+      handleLookupTermMessage(message.term, message.context, message.options, sendResponse);
+      return true; // 비동기 응답
+    
+    // 페이지 원문 언어 감지 요청 처리 (팝업 표시용)
+    case 'detectLanguage':
+      handleDetectLanguageMessage(message.texts, sendResponse);
+      return false;
+    
+    // 사이트별 번역 규칙 조회/저장 (자동 번역, 대상 언어 재정의)
+    case 'getSiteRule':
+      handleGetSiteRuleMessage(getRuleUrl(message, sender), sendResponse);
+      return true; // 비동기 응답
+      
+    case 'setSiteRule':
+      handleSetSiteRuleMessage(getRuleUrl(message, sender), message.rule, sendResponse);
+      return true; // 비동기 응답
+    
+    // 설정 프로필 관리 (설정 페이지)
+    case 'getProfiles':
+      handleGetProfilesMessage(sendResponse);
+      return true; // 비동기 응답
+      
+    case 'saveProfile':
+      handleSaveProfileMessage(message.name, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'applyProfile':
+      handleApplyProfileMessage(message.name, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'removeProfile':
+      handleRemoveProfileMessage(message.name, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'exportSettings':
+      handleExportSettingsMessage(message.name, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'importSettings':
+      handleImportSettingsMessage(message.data, message.name, sendResponse);
+      return true; // 비동기 응답
+    
+    // 번역 캐시 조회/수정 (설정 페이지)
+    case 'getCacheStats':
+      handleGetCacheStatsMessage(sendResponse);
+      return true; // 비동기 응답
+      
+    case 'listCacheEntries':
+      handleListCacheEntriesMessage(message.filter, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'updateCacheEntry':
+      handleUpdateCacheEntryMessage(message.key, message.translation, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'removeCacheEntry':
+      handleRemoveCacheEntryMessage(message.key, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'purgeCacheSite':
+      handlePurgeCacheSiteMessage(message.origin, sendResponse);
+      return true; // 비동기 응답
+    
+    // 페이지 스냅샷 조회/저장 (다시 방문한 페이지 즉시 적용)
+    case 'getPageSnapshot':
+      handleGetPageSnapshotMessage(message.url || (sender.tab && sender.tab.url), message.texts, message.options, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'savePageSnapshot':
+      handleSavePageSnapshotMessage(message.url || (sender.tab && sender.tab.url), message, sendResponse);
+      return true; // 비동기 응답
+    
+    // 오프라인 미리 번역 목록 (설정 페이지)
+    case 'getOfflinePages':
+      handleGetOfflinePagesMessage(sendResponse);
+      return true; // 비동기 응답
+      
+    case 'prepareOfflinePages':
+      handlePrepareOfflinePagesMessage(message.urls, sendResponse);
+      return true; // 비동기 응답
+      
+    case 'removeOfflinePage':
+      handleRemoveOfflinePageMessage(message.url, sendResponse);
+      return true; // 비동기 응답
+    
     // 모듈 API 함수 호출 처리
     case 'callModuleFunction':
       handleModuleFunctionCall(message.module, message.function, message.params, sendResponse);
@@ -252,31 +453,135 @@ async function handleProcessTextNodesMessage(nodeInfoList, elements, sendRespons
       return;
     }
     
-    // 응답
+    // 응답 (사용량은 워커가 집계하고 응답의 quota로 동기화됨)
     sendResponse({
       success: true,
       results: translatedItems
     });
-    
-    // 사용량 기록
-    if (UsageManager) {
-      const tokensUsed = UsageManager.estimateTokens(textsToTranslate);
-      await UsageManager.recordUsage(tokensUsed);
-    }
   } catch (error) {
     console.error(`[${APP_CONFIG.appName}] 텍스트 노드 처리 오류:`, error);
     sendResponse({ success: false, error: error.message || "텍스트 노드 처리 오류" });
   }
 }
 
+/**
+ * 포트 연결 처리
+ * @param {chrome.runtime.Port} port - 연결된 포트
+ */
+function handleConnect(port) {
+  if (port.name !== 'translationStream') {
+    return;
+  }
+  
+  port.onMessage.addListener((message) => {
+    if (message && message.action === 'translate') {
+      handleTranslationStream(port, message.texts, message.options || {});
+    }
+  });
+}
+
+/**
+ * 스트리밍 번역 처리 (세그먼트가 도착할 때마다 포트로 전달)
+ * 포트 메시지: {type: 'segment', index, text} → {type: 'complete', results, cache} 또는 {type: 'error', error}
+ * @param {chrome.runtime.Port} port - 콘텐츠 스크립트와 연결된 포트
+ * @param {string[]} texts - 번역할 텍스트 배열
+ * @param {Object} options - 번역 옵션
+ */
+async function handleTranslationStream(port, texts, options) {
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+  });
+  
+  // 연결이 끊긴 뒤에는 메시지 전송 생략 (번역 결과는 캐시에 저장됨)
+  const postMessage = (message) => {
+    if (disconnected) return;
+    
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      disconnected = true;
+    }
+  };
+  
+  try {
+    // 입력 검증
+    if (!texts || !Array.isArray(texts) || texts.length === 0) {
+      postMessage({ type: 'error', error: "번역할 텍스트가 없습니다" });
+      return;
+    }
+    
+    // 사용량 확인 (제한 초과 시 오류 반환)
+    const estimatedTokens = UsageManager.estimateTokens(texts);
+    const canTranslate = await UsageManager.canTranslate(estimatedTokens);
+    
+    if (!canTranslate) {
+      postMessage({ type: 'error', error: "번역 한도 초과", limitExceeded: true });
+      return;
+    }
+    
+    // 워커 세그먼트 캐시 적중/미스 수
+    const cache = { hits: 0, misses: 0 };
+    // 이번 요청 텍스트의 원문 언어 ({lang, confidence})
+    let sourceLang = null;
+    
+    // 통화/단위 현지화 (캐시에는 원래 번역을 저장하고 전달 직전에만 적용)
+    const targetLang = options.targetLang || TranslatorService.getSettings().targetLang;
+    const localize = (original, translated) => options.localizeUnits ?
+      UnitLocalizer.localizeText(original, translated, targetLang) : translated;
+    
+    // 배치 처리를 통한 번역 (세그먼트 단위 전달)
+    const translatedItems = await TranslatorService.translateInBatches(
+      texts,
+      options.batchSize || APP_CONFIG.defaultSettings.batchSize,
+      options.maxConcurrentBatches || APP_CONFIG.defaultSettings.maxConcurrentBatches,
+      {
+        targetLang: options.targetLang,
+        context: options.context || null,
+        register: options.register || '',
+        origin: port.sender && port.sender.tab ? SiteRules.getOrigin(port.sender.tab.url) || '' : '',
+        onLanguageDetected: (detected) => {
+          sourceLang = detected;
+        },
+        onSegment: (index, text) => postMessage({ type: 'segment', index, text: localize(texts[index], text) }),
+        onCacheStats: (stats) => {
+          cache.hits += stats.hits;
+          cache.misses += stats.misses;
+        }
+      },
+      CacheManager
+    );
+    
+    // 사용량은 워커가 집계하고 응답의 quota로 동기화됨
+    const usageStats = await UsageManager.getUsageStats();
+    
+    postMessage({
+      type: 'complete',
+      results: translatedItems.map(item => item && item.translated ?
+        { ...item, translated: localize(item.original, item.translated) } : item),
+      cache,
+      sourceLang,
+      limitExceeded: usageStats.remaining <= 0
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 스트리밍 번역 오류:`, error);
+    postMessage({ type: 'error', error: error.message || "스트리밍 번역 오류" });
+  }
+}
+
 /**
  * 설정 얻기 메시지 처리
  * @param {Function} sendResponse - 응답 함수
  */
 function handleGetSettingsMessage(sendResponse) {
   chrome.storage.sync.get('settings', (data) => {
-    const defaultSettings = APP_CONFIG.defaultSettings;
-    const settings = data.settings || defaultSettings;
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message || "설정 조회 오류" });
+      return;
+    }
+    
+    // 저장되지 않은 항목은 기본값으로 채워 실제 적용 값 전달
+    const settings = SettingsSchema.applyDefaults(data && data.settings);
     
     sendResponse({
       success: true,
@@ -336,169 +641,844 @@ async function handleTranslateTextsMessage(texts, options, sendResponse) {
 }
 
 /**
- * 모듈 함수 호출 처리
- * @param {string} moduleName - 모듈 이름
- * @param {string} functionName - 함수 이름
- * @param {Array} params - 함수 파라미터
+ * 문서 맥락 브리프 요청 메시지 처리
+ * @param {Object} page - {title, headings, outline} 페이지 개요
+ * @param {Object} options - 번역 옵션 (targetLang)
  * @param {Function} sendResponse - 응답 함수
  */
-async function handleModuleFunctionCall(moduleName, functionName, params, sendResponse) {
+async function handlePrepareContextMessage(page, options, sendResponse) {
   try {
-    // 모듈 찾기
-    let targetModule;
-    
-    switch(moduleName) {
-      case 'CacheManager':
-        targetModule = CacheManager;
-        break;
-      case 'UsageManager':
-        targetModule = UsageManager;
-        break;
-      case 'UIManager':
-        targetModule = UIManager;
-        break;
-      case 'TranslatorService':
-        targetModule = TranslatorService;
-        break;
-      case 'DOMSelector':
-        targetModule = DOMSelector;
-        break;
-      case 'DOMObserver':
-        targetModule = DOMObserver;
-        break;
-      case 'DOMManipulator':
-        targetModule = DOMManipulator;
-        break;
-      case 'DOMHandler':
-        targetModule = DOMHandler;
-        break;
-      case 'BatchEngine':
-        targetModule = BatchEngine;
-        break;
-      default:
-        sendResponse({ success: false, error: `알 수 없는 모듈: ${moduleName}` });
-        return;
+    if (!page) {
+      sendResponse({ success: false, error: "페이지 정보가 없습니다" });
+      return;
     }
     
-    // 함수 존재 확인
-    if (!targetModule || typeof targetModule[functionName] !== 'function') {
-      sendResponse({ success: false, error: `${moduleName} 모듈에 ${functionName} 함수가 없습니다` });
+    const brief = await TranslatorService.requestContextBrief(page, options || {});
+    
+    if (!brief) {
+      sendResponse({ success: false, error: "문서 맥락을 생성하지 못했습니다" });
       return;
     }
     
-    // 함수 실행
-    const result = await targetModule[functionName](...(params || []));
-    
-    // 응답
     sendResponse({
       success: true,
-      result: result
+      brief
     });
   } catch (error) {
-    console.error(`[${APP_CONFIG.appName}] 모듈 함수 호출 오류:`, error);
-    sendResponse({ success: false, error: error.message || "모듈 함수 호출 오류" });
+    console.error(`[${APP_CONFIG.appName}] 문서 맥락 요청 오류:`, error);
+    sendResponse({ success: false, error: error.message || "문서 맥락 요청 오류" });
   }
 }
 
 /**
- * 페이지 번역 메시지 처리
- * @param {Object} tab - 탭 정보
+ * 단어/구 사전식 조회 메시지 처리
+ * @param {string} term - 조회할 단어/구
+ * @param {string} context - 용어가 쓰인 문장
+ * @param {Object} options - 조회 옵션 (targetLang)
+ * @param {Function} sendResponse - 응답 함수
  */
-function handleTranslatePageMessage(tab) {
-  if (!tab || !tab.id) return;
-  
-  // 콘텐츠 스크립트에 번역 요청 메시지 전송
-  chrome.tabs.sendMessage(tab.id, { action: 'translatePage' })
-    .catch(error => {
-      console.warn(`[${APP_CONFIG.appName}] 번역 메시지 전송 오류: ${error.message}`);
-      
-      // 콘텐츠 스크립트 로드 후 다시 시도
-      loadContentScriptsAndTranslate(tab.id);
+async function handleLookupTermMessage(term, context, options, sendResponse) {
+  try {
+    const result = await TranslatorService.lookupTerm(term, context || '', options || {}, CacheManager);
+    
+    sendResponse({
+      success: true,
+      result
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 용어 조회 오류:`, error);
+    sendResponse({
+      success: false,
+      error: error.message || "용어 조회 오류",
+      limitExceeded: error.limitExceeded === true
     });
+  }
 }
 
 /**
- * 설정 업데이트 메시지 처리
- * @param {Object} settings - 업데이트할 설정
- * @param {Function} sendResponse - 응답 함수
+ * 사이트 규칙을 적용할 주소 (탭에서 온 메시지는 보낸 탭 주소, 팝업/설정 페이지는 message.url)
+ * @param {Object} message - 메시지
+ * @param {Object} sender - 보낸 쪽 정보
+ * @returns {string} - 페이지 주소
  */
-function handleUpdateSettingsMessage(settings, sendResponse) {
-  if (!settings) {
-    sendResponse({ success: false, error: "설정 값이 없습니다" });
-    return;
-  }
-  
-  chrome.storage.sync.set({ settings }, () => {
-    // 열려있는 모든 탭에 설정 업데이트 알림
-    broadcastToAllTabs({
-      action: "updateSettings",
-      settings: settings
-    });
-    
-    sendResponse({ success: true });
-  });
+function getRuleUrl(message, sender) {
+  return (sender.tab && sender.tab.url) || message.url;
 }
 
 /**
- * 사용량 통계 요청 메시지 처리
+ * 사이트 규칙 조회 메시지 처리
+ * @param {string} url - 페이지 주소
  * @param {Function} sendResponse - 응답 함수
  */
-function handleGetUsageStatsMessage(sendResponse) {
-  chrome.storage.sync.get(['usage', 'subscription'], (data) => {
-    const subscription = data.subscription || 'FREE';
-    const usage = data.usage || {
-      month: getCurrentMonth(),
-      tokensUsed: 0,
-      lastReset: new Date().toISOString()
-    };
-    
-    const subscriptionLimits = APP_CONFIG.subscriptionLimits;
-    
-    const limit = subscriptionLimits[subscription] || subscriptionLimits.FREE;
-    const tokensUsed = usage.tokensUsed || 0;
-    const remaining = Math.max(0, limit - tokensUsed);
-    const percentage = Math.min(100, Math.round((tokensUsed / limit) * 100));
-    
+async function handleGetSiteRuleMessage(url, sendResponse) {
+  try {
     sendResponse({
-      usage: {
-        subscription,
-        tokensUsed,
-        limit,
-        remaining,
-        percentage,
-        lastReset: usage.lastReset
-      }
+      success: true,
+      rule: await SiteRules.getRule(url)
     });
-  });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 사이트 규칙 조회 오류:`, error);
+    sendResponse({ success: false, error: error.message || "사이트 규칙 조회 오류" });
+  }
 }
 
 /**
- * 캐시 정리 메시지 처리
+ * 사이트 규칙 저장 메시지 처리
+ * @param {string} url - 페이지 주소
+ * @param {Object} rule - {mode, targetLang} 중 바꿀 값
  * @param {Function} sendResponse - 응답 함수
  */
-function handleClearCacheMessage(sendResponse) {
-  chrome.storage.local.get(null, (items) => {
-    const cachePrefix = APP_CONFIG.cacheSettings.keyPrefix;
-    const cacheKeys = Object.keys(items).filter(key => 
-      key.startsWith(cachePrefix)
-    );
+async function handleSetSiteRuleMessage(url, rule, sendResponse) {
+  try {
+    const saved = await SiteRules.setRule(url, rule || {});
+    sendResponse({
+      success: saved,
+      rule: await SiteRules.getRule(url),
+      error: saved ? undefined : "사이트 규칙을 저장하지 못했습니다"
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 사이트 규칙 저장 오류:`, error);
+    sendResponse({ success: false, error: error.message || "사이트 규칙 저장 오류" });
+  }
+}
+
+/**
+ * 현재 적용 중인 설정과 사이트 규칙 가져오기
+ * @returns {Promise<Object>} - {settings, siteRules}
+ */
+async function getCurrentProfileData() {
+  const data = await new Promise(resolve => chrome.storage.sync.get('settings', resolve));
+  
+  return {
+    settings: { ...APP_CONFIG.defaultSettings, ...(data.settings || {}) },
+    siteRules: await SiteRules.getRules()
+  };
+}
+
+/**
+ * 설정 프로필 목록 메시지 처리
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleGetProfilesMessage(sendResponse) {
+  try {
+    const { active, profiles } = await SettingsProfiles.getProfiles();
     
-    if (cacheKeys.length > 0) {
-      chrome.storage.local.remove(cacheKeys, () => {
-        sendResponse({
-          success: true,
-          clearedItems: cacheKeys.length
-        });
-      });
+    sendResponse({
+      success: true,
+      active,
+      profiles: Object.entries(profiles).map(([name, profile]) => ({
+        name,
+        updatedAt: profile.updatedAt,
+        siteRuleCount: Object.keys(profile.siteRules || {}).length
+      }))
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 프로필 조회 오류:`, error);
+    sendResponse({ success: false, error: error.message || "설정 프로필 조회 오류" });
+  }
+}
+
+/**
+ * 현재 설정을 프로필로 저장 메시지 처리
+ * @param {string} name - 프로필 이름
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleSaveProfileMessage(name, sendResponse) {
+  try {
+    const profileName = await SettingsProfiles.saveProfile(name, await getCurrentProfileData());
+    await SettingsProfiles.setActiveProfile(profileName);
+    
+    sendResponse({ success: true, name: profileName });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 프로필 저장 오류:`, error);
+    sendResponse({ success: false, error: error.message || "설정 프로필 저장 오류" });
+  }
+}
+
+/**
+ * 프로필 적용 메시지 처리 (설정은 현재 값 위에 덮어쓰고, 사이트 규칙은 프로필 것으로 교체)
+ * @param {string} name - 프로필 이름
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleApplyProfileMessage(name, sendResponse) {
+  try {
+    const { profiles } = await SettingsProfiles.getProfiles();
+    const profile = profiles[name];
+    
+    if (!profile) {
+      sendResponse({ success: false, error: `프로필을 찾을 수 없습니다: ${name}` });
+      return;
+    }
+    
+    const current = await getCurrentProfileData();
+    const settings = { ...current.settings, ...profile.settings };
+    
+    // 사이트 규칙 변경은 각 탭이 storage 변경 이벤트로 다시 읽음
+    await SiteRules.saveRules(profile.siteRules || {});
+    await SettingsProfiles.setActiveProfile(name);
+    
+    // 설정 저장 후 열린 모든 탭에 전달
+    handleUpdateSettingsMessage(settings, (response) => {
+      sendResponse({ ...response, name, settings });
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 프로필 적용 오류:`, error);
+    sendResponse({ success: false, error: error.message || "설정 프로필 적용 오류" });
+  }
+}
+
+/**
+ * 프로필 삭제 메시지 처리
+ * @param {string} name - 프로필 이름
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleRemoveProfileMessage(name, sendResponse) {
+  try {
+    const removed = await SettingsProfiles.removeProfile(name);
+    sendResponse({ success: removed, error: removed ? undefined : "설정 프로필을 삭제하지 못했습니다" });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 프로필 삭제 오류:`, error);
+    sendResponse({ success: false, error: error.message || "설정 프로필 삭제 오류" });
+  }
+}
+
+/**
+ * 설정 파일 내보내기 메시지 처리
+ * @param {string} name - 프로필 이름 (없으면 현재 설정)
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleExportSettingsMessage(name, sendResponse) {
+  try {
+    let profile;
+    
+    if (name) {
+      const { profiles } = await SettingsProfiles.getProfiles();
+      profile = profiles[name];
+      
+      if (!profile) {
+        sendResponse({ success: false, error: `프로필을 찾을 수 없습니다: ${name}` });
+        return;
+      }
     } else {
-      sendResponse({
-        success: true,
-        clearedItems: 0
-      });
+      profile = await getCurrentProfileData();
+    }
+    
+    sendResponse({
+      success: true,
+      file: SettingsProfiles.createSettingsFile(name || '현재 설정', profile)
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 내보내기 오류:`, error);
+    sendResponse({ success: false, error: error.message || "설정 내보내기 오류" });
+  }
+}
+
+/**
+ * 설정 파일 가져오기 메시지 처리 (이전 형식은 업그레이드 후 검증하고 프로필로 저장)
+ * @param {Object} data - 설정 파일 내용
+ * @param {string} name - 저장할 프로필 이름 (없으면 파일에 기록된 이름)
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleImportSettingsMessage(data, name, sendResponse) {
+  try {
+    const parsed = SettingsProfiles.parseSettingsFile(upgradeSettingsFile(data));
+    const profileName = await SettingsProfiles.saveProfile(name || parsed.name, parsed);
+    
+    sendResponse({
+      success: true,
+      name: profileName,
+      warnings: parsed.errors
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 가져오기 오류:`, error);
+    sendResponse({ success: false, error: error.message || "설정 가져오기 오류" });
+  }
+}
+
+/**
+ * 원문 언어 감지 메시지 처리
+ * @param {string[]} texts - 페이지에서 추린 텍스트 배열
+ * @param {Function} sendResponse - 응답 함수
+ */
+function handleDetectLanguageMessage(texts, sendResponse) {
+  const detected = LanguageDetector.detectDominantLanguage(Array.isArray(texts) ? texts : []);
+  
+  // 글자가 부족해 감지하지 못한 경우 language는 null
+  sendResponse({
+    success: true,
+    language: detected
+  });
+}
+
+/**
+ * 모듈 함수 호출 처리
+ * @param {string} moduleName - 모듈 이름
+ * @param {string} functionName - 함수 이름
+ * @param {Array} params - 함수 파라미터
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleModuleFunctionCall(moduleName, functionName, params, sendResponse) {
+  try {
+    // 모듈 찾기
+    let targetModule;
+    
+    switch(moduleName) {
+      case 'CacheManager':
+        targetModule = CacheManager;
+        break;
+      case 'UsageManager':
+        targetModule = UsageManager;
+        break;
+      case 'UIManager':
+        targetModule = UIManager;
+        break;
+      case 'TranslatorService':
+        targetModule = TranslatorService;
+        break;
+      case 'DOMSelector':
+        targetModule = DOMSelector;
+        break;
+      case 'DOMObserver':
+        targetModule = DOMObserver;
+        break;
+      case 'DOMManipulator':
+        targetModule = DOMManipulator;
+        break;
+      case 'DOMHandler':
+        targetModule = DOMHandler;
+        break;
+      case 'BatchEngine':
+        targetModule = BatchEngine;
+        break;
+      case 'UnitLocalizer':
+        targetModule = UnitLocalizer;
+        break;
+      case 'GlossaryManager':
+        targetModule = GlossaryManager;
+        break;
+      case 'LanguageDetector':
+        targetModule = LanguageDetector;
+        break;
+      case 'SiteRules':
+        targetModule = SiteRules;
+        break;
+      case 'SettingsProfiles':
+        targetModule = SettingsProfiles;
+        break;
+      case 'SettingsSchema':
+        targetModule = SettingsSchema;
+        break;
+      case 'TranslationMemory':
+        targetModule = TranslationMemory;
+        break;
+      case 'SegmentTemplate':
+        targetModule = SegmentTemplate;
+        break;
+      case 'PageSnapshots':
+        targetModule = PageSnapshots;
+        break;
+      default:
+        sendResponse({ success: false, error: `알 수 없는 모듈: ${moduleName}` });
+        return;
+    }
+    
+    // 함수 존재 확인
+    if (!targetModule || typeof targetModule[functionName] !== 'function') {
+      sendResponse({ success: false, error: `${moduleName} 모듈에 ${functionName} 함수가 없습니다` });
+      return;
+    }
+    
+    // 함수 실행
+    const result = await targetModule[functionName](...(params || []));
+    
+    // 응답
+    sendResponse({
+      success: true,
+      result: result
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 모듈 함수 호출 오류:`, error);
+    sendResponse({ success: false, error: error.message || "모듈 함수 호출 오류" });
+  }
+}
+
+/**
+ * 페이지 번역 메시지 처리
+ * @param {Object} tab - 탭 정보
+ */
+function handleTranslatePageMessage(tab) {
+  if (!tab || !tab.id) return;
+  
+  // 콘텐츠 스크립트에 번역 요청 메시지 전송
+  chrome.tabs.sendMessage(tab.id, { action: 'translatePage' })
+    .catch(error => {
+      console.warn(`[${APP_CONFIG.appName}] 번역 메시지 전송 오류: ${error.message}`);
+      
+      // 콘텐츠 스크립트 로드 후 다시 시도
+      loadContentScriptsAndTranslate(tab.id);
+    });
+}
+
+/**
+ * 설정 업데이트 메시지 처리
+ * @param {Object} settings - 업데이트할 설정
+ * @param {Function} sendResponse - 응답 함수
+ */
+function handleUpdateSettingsMessage(settings, sendResponse) {
+  if (!settings) {
+    sendResponse({ success: false, error: "설정 값이 없습니다" });
+    return;
+  }
+  
+  // 스키마에 맞지 않는 항목은 저장하지 않음 (읽을 때 기본값 사용)
+  const { settings: validSettings, errors } = SettingsSchema.validateSettings(settings);
+  if (errors.length > 0) {
+    console.warn(`[${APP_CONFIG.appName}] 저장하지 않은 설정 항목:`, errors);
+  }
+  
+  chrome.storage.sync.set({ settings: validSettings }, () => {
+    if (chrome.runtime.lastError) {
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    
+    applyCacheSettings(validSettings);
+    applyUnitSettings(validSettings);
+    
+    // 열려있는 모든 탭에 설정 업데이트 알림
+    broadcastToAllTabs({
+      action: "updateSettings",
+      settings: validSettings
+    });
+    
+    sendResponse({ success: true });
+  });
+}
+
+/**
+ * 캐시 보관 기간/최대 크기/유사 일치 설정 적용
+ * @param {Object} settings - 설정 객체
+ */
+function applyCacheSettings(settings) {
+  const expiryDays = settings && Number(settings.cacheExpiryDays);
+  const maxSizeMB = settings && Number(settings.cacheMaxSizeMB);
+  const fuzzyThreshold = settings && Number(settings.fuzzyThreshold);
+  
+  if (expiryDays > 0) {
+    CacheManager.updateSettings({ expiryDays });
+  }
+  
+  if (maxSizeMB > 0) {
+    CacheManager.updateSettings({ maxSizeMB });
+  }
+  
+  if (settings && typeof settings.fuzzyMatching === 'boolean') {
+    CacheManager.updateSettings({ fuzzyMatching: settings.fuzzyMatching });
+  }
+  
+  if (fuzzyThreshold > 0) {
+    CacheManager.updateSettings({ fuzzyThreshold });
+  }
+}
+
+/**
+ * 통화/단위 현지화 환율표 적용 (설정에 없는 통화는 기본 환율 사용)
+ * @param {Object} settings - 설정 객체
+ */
+function applyUnitSettings(settings) {
+  UnitLocalizer.updateSettings({
+    currencyRates: {
+      ...APP_CONFIG.unitLocalization.currencyRates,
+      ...((settings && settings.currencyRates) || {})
     }
   });
 }
 
+/**
+ * 사용량 통계 요청 메시지 처리
+ * @param {Function} sendResponse - 응답 함수
+ */
+function handleGetUsageStatsMessage(sendResponse) {
+  chrome.storage.sync.get(['usage', 'subscription'], (data) => {
+    const subscription = data.subscription || 'FREE';
+    const usage = data.usage || {
+      month: getCurrentMonth(),
+      tokensUsed: 0,
+      lastReset: new Date().toISOString()
+    };
+    
+    const subscriptionLimits = APP_CONFIG.subscriptionLimits;
+    
+    const limit = subscriptionLimits[subscription] || subscriptionLimits.FREE;
+    const tokensUsed = usage.tokensUsed || 0;
+    const remaining = Math.max(0, limit - tokensUsed);
+    const percentage = Math.min(100, Math.round((tokensUsed / limit) * 100));
+    
+    sendResponse({
+      usage: {
+        subscription,
+        tokensUsed,
+        limit,
+        remaining,
+        percentage,
+        lastReset: usage.lastReset
+      }
+    });
+  });
+}
+
+/**
+ * 캐시 정리 메시지 처리
+ * @param {Function} sendResponse - 응답 함수
+ */
+function handleClearCacheMessage(sendResponse) {
+  CacheManager.clearAll().then(async clearedItems => {
+    TranslatorService.clearCache();
+    
+    // 페이지 스냅샷도 캐시된 번역이므로 함께 삭제 (오프라인 목록은 유지)
+    await PageSnapshots.clear().catch(error => {
+      console.warn(`[${APP_CONFIG.appName}] 페이지 스냅샷 삭제 오류:`, error);
+    });
+    
+    sendResponse({
+      success: true,
+      clearedItems
+    });
+  });
+}
+
+/**
+ * 캐시 통계 요청 메시지 처리 (언어 쌍/사이트별 통계 포함)
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleGetCacheStatsMessage(sendResponse) {
+  try {
+    const stats = await CacheManager.getStats({ breakdown: true });
+    sendResponse({ success: true, stats });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 캐시 통계 조회 오류:`, error);
+    sendResponse({ success: false, error: error.message || "캐시 통계 조회 오류" });
+  }
+}
+
+/**
+ * 캐시 항목 목록 요청 메시지 처리
+ * @param {Object} filter - {query, origin, langPair, offset, limit}
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleListCacheEntriesMessage(filter, sendResponse) {
+  try {
+    const { entries, total } = await CacheManager.listEntries(filter || {});
+    sendResponse({ success: true, entries, total });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 캐시 목록 조회 오류:`, error);
+    sendResponse({ success: false, error: error.message || "캐시 목록 조회 오류" });
+  }
+}
+
+/**
+ * 캐시 항목 수정 메시지 처리 (수정한 번역은 고정됨)
+ * @param {string} key - 캐시 키
+ * @param {string} translation - 고친 번역
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleUpdateCacheEntryMessage(key, translation, sendResponse) {
+  try {
+    const entry = await CacheManager.updateEntry(key, translation);
+    
+    // 내부 캐시와 페이지 스냅샷에 남은 이전 번역을 사용하지 않도록 초기화
+    TranslatorService.clearCache();
+    await PageSnapshots.forgetSegments([entry.source]);
+    
+    sendResponse({ success: true, entry });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 캐시 항목 수정 오류:`, error);
+    sendResponse({ success: false, error: error.message || "캐시 항목 수정 오류" });
+  }
+}
+
+/**
+ * 캐시 항목 삭제 메시지 처리
+ * @param {string} key - 캐시 키
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleRemoveCacheEntryMessage(key, sendResponse) {
+  try {
+    const entry = await CacheManager.removeEntry(key);
+    
+    // 내부 캐시와 페이지 스냅샷에 남은 삭제된 번역을 사용하지 않도록 초기화
+    TranslatorService.clearCache();
+    if (entry) {
+      await PageSnapshots.forgetSegments([entry.source]);
+    }
+    
+    sendResponse({ success: true, removed: entry !== null });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 캐시 항목 삭제 오류:`, error);
+    sendResponse({ success: false, error: error.message || "캐시 항목 삭제 오류" });
+  }
+}
+
+/**
+ * 사이트별 캐시 삭제 메시지 처리
+ * @param {string} origin - 사이트 origin (빈 문자열이면 사이트를 모르는 항목)
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handlePurgeCacheSiteMessage(origin, sendResponse) {
+  try {
+    const clearedItems = await CacheManager.purgeSite(origin);
+    TranslatorService.clearCache();
+    await PageSnapshots.removeByOrigin(origin);
+    
+    sendResponse({ success: true, clearedItems });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 사이트 캐시 삭제 오류:`, error);
+    sendResponse({ success: false, error: error.message || "사이트 캐시 삭제 오류" });
+  }
+}
+
+/**
+ * 페이지 스냅샷 맥락 (번역 결과에 영향을 주는 설정)
+ * @param {Object} options - {targetLang, register, localizeUnits} (콘텐츠 스크립트 번역 옵션)
+ * @returns {Promise<Object>} - {targetLang, register, provider, glossaryVersion, localizeUnits}
+ */
+async function getSnapshotContext(options = {}) {
+  const settings = TranslatorService.getSettings();
+  
+  return {
+    targetLang: options.targetLang || settings.targetLang,
+    register: options.register || '',
+    provider: settings.provider || '',
+    glossaryVersion: await GlossaryManager.getVersion(),
+    localizeUnits: options.localizeUnits === true
+  };
+}
+
+/**
+ * 저장된 설정으로 페이지 스냅샷 맥락 만들기 (콘텐츠 스크립트와 같이 사이트별 대상 언어 반영)
+ * @param {string} url - 페이지 주소
+ * @param {Object} settings - 설정 객체
+ * @returns {Promise<Object>} - getSnapshotContext 결과
+ */
+async function getStoredSnapshotContext(url, settings) {
+  const rule = await SiteRules.getRule(url);
+  const targetLang = (rule && rule.targetLang) || settings.targetLang;
+  
+  return getSnapshotContext({
+    targetLang,
+    register: (settings.registers || {})[targetLang] || '',
+    localizeUnits: settings.localizeUnits === true
+  });
+}
+
+/**
+ * 페이지 스냅샷 조회 메시지 처리
+ * @param {string} url - 페이지 주소
+ * @param {string[]} texts - 페이지 세그먼트 원문 (문서 순서)
+ * @param {Object} options - {targetLang, register, localizeUnits}
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleGetPageSnapshotMessage(url, texts, options, sendResponse) {
+  try {
+    const snapshot = await PageSnapshots.lookup(url, texts, await getSnapshotContext(options || {}));
+    sendResponse({ success: true, ...snapshot });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 페이지 스냅샷 조회 오류:`, error);
+    sendResponse({ success: false, error: error.message || "페이지 스냅샷 조회 오류" });
+  }
+}
+
+/**
+ * 페이지 스냅샷 저장 메시지 처리
+ * @param {string} url - 페이지 주소
+ * @param {Object} message - {fingerprint, entries: [{text, translated}], options, offline}
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleSavePageSnapshotMessage(url, message, sendResponse) {
+  try {
+    const saved = await PageSnapshots.save(
+      url,
+      message.fingerprint,
+      message.entries,
+      await getSnapshotContext(message.options || {}),
+      { offline: message.offline === true }
+    );
+    
+    sendResponse({ success: true, saved });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 페이지 스냅샷 저장 오류:`, error);
+    sendResponse({ success: false, error: error.message || "페이지 스냅샷 저장 오류" });
+  }
+}
+
+/**
+ * 오프라인 목록 조회 메시지 처리
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleGetOfflinePagesMessage(sendResponse) {
+  try {
+    const data = await new Promise(resolve => chrome.storage.sync.get('settings', resolve));
+    const settings = { ...APP_CONFIG.defaultSettings, ...(data.settings || {}) };
+    const pages = await PageSnapshots.listOfflinePages(url => getStoredSnapshotContext(url, settings));
+    
+    sendResponse({
+      success: true,
+      pages: pages.map(page => ({ ...page, pending: offlineJobs.has(page.url) }))
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 오프라인 목록 조회 오류:`, error);
+    sendResponse({ success: false, error: error.message || "오프라인 목록 조회 오류" });
+  }
+}
+
+/**
+ * 오프라인 미리 번역 요청 메시지 처리 (목록에 추가하고 대기열에 넣은 뒤 바로 응답)
+ * @param {string[]} urls - 페이지 주소 배열
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handlePrepareOfflinePagesMessage(urls, sendResponse) {
+  try {
+    const { added, invalid } = await PageSnapshots.addOfflineUrls(urls);
+    added.forEach(url => queueOfflinePage(url));
+    
+    sendResponse({ success: true, queued: added.length, invalid });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 오프라인 미리 번역 요청 오류:`, error);
+    sendResponse({ success: false, error: error.message || "오프라인 미리 번역 요청 오류" });
+  }
+}
+
+/**
+ * 오프라인 목록에서 삭제 메시지 처리
+ * @param {string} url - 페이지 주소
+ * @param {Function} sendResponse - 응답 함수
+ */
+async function handleRemoveOfflinePageMessage(url, sendResponse) {
+  try {
+    const removed = await PageSnapshots.removeOfflineUrl(url);
+    sendResponse({
+      success: removed,
+      error: removed ? undefined : "오프라인 목록을 저장하지 못했습니다"
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 오프라인 목록 삭제 오류:`, error);
+    sendResponse({ success: false, error: error.message || "오프라인 목록 삭제 오류" });
+  }
+}
+
+/**
+ * 오프라인 미리 번역 대기열에 페이지 추가 (이미 대기 중이면 무시)
+ * @param {string} url - 정리된 페이지 주소
+ */
+function queueOfflinePage(url) {
+  if (offlineJobs.has(url)) {
+    return;
+  }
+  
+  offlineJobs.add(url);
+  offlineQueue = offlineQueue
+    .then(() => prepareOfflinePage(url))
+    .catch(error => {
+      console.error(`[${APP_CONFIG.appName}] 오프라인 미리 번역 실패: ${url}`, error);
+    })
+    .finally(() => {
+      offlineJobs.delete(url);
+    });
+}
+
+/**
+ * 페이지를 백그라운드 탭으로 열어 전체 세그먼트를 번역하고 스냅샷으로 저장
+ * (콘텐츠 스크립트의 추출 방식과 지문을 그대로 쓰기 위해 실제 탭에서 처리)
+ * @param {string} url - 정리된 페이지 주소
+ * @returns {Promise<Object>} - {total, translated}
+ */
+async function prepareOfflinePage(url) {
+  const tab = await chrome.tabs.create({ url, active: false });
+  
+  try {
+    await waitForTabComplete(tab.id, OFFLINE_LOAD_TIMEOUT);
+    
+    // 스크립트로 그리는 문서 페이지를 위해 로드 후 잠시 대기
+    await new Promise(resolve => setTimeout(resolve, OFFLINE_RENDER_DELAY));
+    
+    const response = await requestOfflinePreparation(tab.id);
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || "오프라인 번역 응답 없음");
+    }
+    
+    if (PageSnapshots.normalizeUrl(response.url) !== url) {
+      throw new Error(`페이지 주소가 바뀌었습니다 (${response.url})`);
+    }
+    
+    console.log(`[${APP_CONFIG.appName}] 오프라인 저장 완료: ${url} (${response.translated}/${response.total}개)`);
+    return { total: response.total, translated: response.translated };
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {
+      // 사용자가 이미 닫은 탭은 무시
+    });
+  }
+}
+
+/**
+ * 탭 로드 완료 대기
+ * @param {number} tabId - 탭 ID
+ * @param {number} timeout - 최대 대기 시간 (ms)
+ * @returns {Promise<void>}
+ */
+function waitForTabComplete(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      chrome.tabs.onRemoved.removeListener(removedListener);
+      if (error) reject(error); else resolve();
+    };
+    
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        finish();
+      }
+    };
+    
+    const removedListener = (removedTabId) => {
+      if (removedTabId === tabId) {
+        finish(new Error("탭이 닫혔습니다"));
+      }
+    };
+    
+    const timer = setTimeout(() => finish(new Error("페이지 로드 시간 초과")), timeout);
+    
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.onRemoved.addListener(removedListener);
+    
+    // 리스너 등록 전에 이미 로드된 경우
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        finish();
+      }
+    }).catch(error => finish(error));
+  });
+}
+
+/**
+ * 탭의 콘텐츠 스크립트에 오프라인 번역 요청 (스크립트가 아직 준비되지 않았으면 재시도)
+ * @param {number} tabId - 탭 ID
+ * @returns {Promise<Object>} - {success, url, total, translated}
+ */
+async function requestOfflinePreparation(tabId) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, { action: "prepareOffline" });
+    } catch (error) {
+      if (attempt >= OFFLINE_MESSAGE_RETRIES || !String(error.message).includes("Receiving end does not exist")) {
+        throw error;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+}
+
 /**
  * 스크립트 로드 메시지 처리
  * @param {Array} scripts - 로드할 스크립트 배열
@@ -560,43 +1540,170 @@ function handleLoadScriptsMessage(scripts, tab, sendResponse) {
  * 컨텍스트 메뉴 생성
  */
 function setupContextMenu() {
-  // 기존 메뉴 항목이 있으면 먼저 삭제
-  try {
-    chrome.contextMenus.remove(APP_CONFIG.menuItemId, () => {
-      // 삭제 후 새로 생성 (lastError 무시)
-      if (chrome.runtime.lastError) {
-        // 아이템이 없어서 발생하는 오류는 무시
-      }
-      
-      // 메뉴 생성
-      chrome.contextMenus.create({
-        id: APP_CONFIG.menuItemId,
-        title: "자연스럽게 번역하기",
-        contexts: ["page"]
+  const menuItems = [
+    { id: APP_CONFIG.menuItemId, title: "자연스럽게 번역하기", contexts: ["page"] },
+    { id: APP_CONFIG.toggleOriginalMenuItemId, title: "원문 보기 / 번역 보기", contexts: ["page"] },
+    { id: APP_CONFIG.selectionMenuItemId, title: "선택한 텍스트 번역하기", contexts: ["selection"] }
+  ];
+  
+  menuItems.forEach(item => {
+    // 기존 메뉴 항목이 있으면 먼저 삭제
+    try {
+      chrome.contextMenus.remove(item.id, () => {
+        // 삭제 후 새로 생성 (lastError 무시)
+        if (chrome.runtime.lastError) {
+          // 아이템이 없어서 발생하는 오류는 무시
+        }
+        
+        // 메뉴 생성
+        chrome.contextMenus.create(item);
       });
-    });
-  } catch (e) {
-    // 오류가 발생해도 메뉴 생성 시도
-    chrome.contextMenus.create({
-      id: APP_CONFIG.menuItemId,
-      title: "자연스럽게 번역하기",
-      contexts: ["page"]
-    }, () => {
-      if (chrome.runtime.lastError) {
-        console.log("메뉴 생성 오류 (무시됨):", chrome.runtime.lastError);
-      }
-    });
-  }
+    } catch (e) {
+      // 오류가 발생해도 메뉴 생성 시도
+      chrome.contextMenus.create(item, () => {
+        if (chrome.runtime.lastError) {
+          console.log("메뉴 생성 오류 (무시됨):", chrome.runtime.lastError);
+        }
+      });
+    }
+  });
   
   // 컨텍스트 메뉴 클릭 이벤트 처리
   chrome.contextMenus.onClicked.addListener((info, tab) => {
-    if (info.menuItemId === APP_CONFIG.menuItemId && tab && tab.id) {
+    if (!tab || !tab.id) return;
+    
+    if (info.menuItemId === APP_CONFIG.menuItemId) {
       console.log(`[${APP_CONFIG.appName}] 우클릭 메뉴가 클릭됨, content-script 실행...`);
       loadContentScriptsAndTranslate(tab.id);
+    } else if (info.menuItemId === APP_CONFIG.toggleOriginalMenuItemId) {
+      toggleOriginalInTab(tab.id);
+    } else if (info.menuItemId === APP_CONFIG.selectionMenuItemId) {
+      translateSelectionInTab(tab.id, info.selectionText || '');
     }
   });
 }
 
+/**
+ * 탭의 선택 영역만 번역 (콘텐츠 스크립트가 없으면 로드 후 재시도)
+ * @param {number} tabId - 탭 ID
+ * @param {string} selectionText - 컨텍스트 메뉴가 전달한 선택 텍스트 (선택 범위를 읽을 수 없을 때 사용)
+ */
+function translateSelectionInTab(tabId, selectionText) {
+  const message = { action: "translateSelection", text: selectionText };
+  
+  chrome.tabs.sendMessage(tabId, message).catch(() => {
+    chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: ['content-script.js']
+    }).then(() => {
+      setTimeout(() => {
+        chrome.tabs.sendMessage(tabId, message)
+          .catch(err => console.error(`[${APP_CONFIG.appName}] 선택 영역 번역 요청 전송 오류:`, err));
+      }, 500);
+    }).catch(err => {
+      console.error(`[${APP_CONFIG.appName}] 콘텐츠 스크립트 로드 실패:`, err);
+    });
+  });
+}
+
+/**
+ * 단축키 명령 처리 (활성 탭을 발신자로 하여 handleMessage로 전달)
+ * @param {string} command - manifest.json commands 이름
+ * @param {Object} tab - 명령이 실행된 탭
+ */
+function handleCommand(command, tab) {
+  const action = COMMAND_ACTIONS[command];
+  if (!action) {
+    console.warn(`[${APP_CONFIG.appName}] 알 수 없는 단축키 명령: ${command}`);
+    return;
+  }
+  
+  const dispatch = (targetTab) => {
+    handleMessage({ action }, { tab: targetTab }, () => {});
+  };
+  
+  if (tab && tab.id) {
+    dispatch(tab);
+    return;
+  }
+  
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs && tabs[0] && tabs[0].id) {
+      dispatch(tabs[0]);
+    }
+  });
+}
+
+/**
+ * 번역 언어를 설정의 순환 목록에서 다음 언어로 변경
+ * @param {Object} tab - 변경 결과를 표시할 탭
+ * @param {Function} sendResponse - 응답 함수
+ */
+function handleCycleTargetLanguageMessage(tab, sendResponse) {
+  chrome.storage.sync.get('settings', async (data) => {
+    try {
+      const settings = { ...APP_CONFIG.defaultSettings, ...(data.settings || {}) };
+      const languages = Array.isArray(settings.cycleLanguages) && settings.cycleLanguages.length > 0 ?
+        settings.cycleLanguages : APP_CONFIG.defaultSettings.cycleLanguages;
+      
+      // 현재 언어가 목록에 없으면 첫 번째 언어로
+      const nextLang = languages[(languages.indexOf(settings.targetLang) + 1) % languages.length];
+      const updatedSettings = { ...(data.settings || {}), targetLang: nextLang };
+      
+      handleUpdateSettingsMessage(updatedSettings, () => {});
+      
+      if (tab && tab.id) {
+        const languageName = await getLanguageName(nextLang);
+        chrome.tabs.sendMessage(tab.id, {
+          action: "showStatus",
+          message: `번역 언어: ${languageName}`
+        }).catch(() => {
+          // 콘텐츠 스크립트가 없는 탭은 표시 생략
+        });
+      }
+      
+      console.log(`[${APP_CONFIG.appName}] 번역 언어 변경: ${settings.targetLang} → ${nextLang}`);
+      sendResponse({ success: true, targetLang: nextLang });
+    } catch (error) {
+      console.error(`[${APP_CONFIG.appName}] 번역 언어 변경 오류:`, error);
+      sendResponse({ success: false, error: error.message || "번역 언어 변경 오류" });
+    }
+  });
+}
+
+/**
+ * 언어 코드의 표시 이름 (languages.json의 native 이름)
+ * @param {string} code - 언어 코드
+ * @returns {Promise<string>} - 표시 이름 (찾지 못하면 코드)
+ */
+async function getLanguageName(code) {
+  try {
+    const response = await fetch(chrome.runtime.getURL('languages.json'));
+    const data = await response.json();
+    const language = (data.languages || []).find(lang => lang.code === code);
+    return language ? language.native : code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * 탭의 원문 보기 / 번역 보기 전환 (기록해 둔 원문으로 복원하므로 새로고침 불필요)
+ * @param {number} tabId - 탭 ID
+ */
+function toggleOriginalInTab(tabId) {
+  chrome.tabs.sendMessage(tabId, { action: "toggleOriginal" })
+    .then(response => {
+      if (response && response.success) {
+        console.log(`[${APP_CONFIG.appName}] 표시 방식 전환: ${response.mode} (${response.count}개 항목)`);
+      }
+    })
+    .catch(error => {
+      // 콘텐츠 스크립트가 없으면 번역한 적이 없는 페이지이므로 되돌릴 것도 없음
+      console.warn(`[${APP_CONFIG.appName}] 원문/번역 전환 실패:`, error.message);
+    });
+}
+
 /**
  * 월간 사용량 리셋 설정
  */
@@ -4,10 +4,22 @@
 // 앱 버전 정보
 const APP_VERSION = '1.0.0';
 
+// 통화 환산 기본 환율표 (1 USD 기준 각 통화 금액, 설정의 currencyRates 기본값)
+const DEFAULT_CURRENCY_RATES = {
+  USD: 1,
+  KRW: 1360,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 150,
+  CNY: 7.2
+};
+
 // 확장 프로그램 설정
 const APP_CONFIG = {
   // 메뉴 및 ID 관련
   menuItemId: 'tony_translate',
+  toggleOriginalMenuItemId: 'tony_toggle_original',
+  selectionMenuItemId: 'tony_translate_selection',
   appName: 'Tony번역',
   
   // 모듈 파일 경로 정보
@@ -20,12 +32,21 @@ const APP_CONFIG = {
     DOMManipulator: '/utils/dom/dom-manipulator.js',
     BatchEngine: '/utils/batch/batch_engine.js',
     TranslatorService: '/utils/translator-service.js',
-    DOMHandler: '/utils/dom/dom-handler.js'
+    AuthManager: '/utils/auth-manager.js',
+    DOMHandler: '/utils/dom/dom-handler.js',
+    UnitLocalizer: '/utils/unit-localizer.js',
+    GlossaryManager: '/utils/glossary-manager.js',
+    LanguageDetector: '/utils/language-detector.js',
+    SiteRules: '/utils/site-rules.js',
+    SettingsProfiles: '/utils/settings-profiles.js',
+    SettingsSchema: '/utils/settings-schema.js',
+    TranslationMemory: '/utils/translation-memory.js',
+    SegmentTemplate: '/utils/segment-template.js',
+    PageSnapshots: '/utils/page-snapshots.js'
   },
   
   // API 관련 설정
   apiEndpoint: 'https://translate-worker.redofyear2.workers.dev',
-  translateSeparator: '||TRANSLATE_SEPARATOR||',
   
   // 구독 등급별 월간 토큰 한도
   subscriptionLimits: {
@@ -41,14 +62,51 @@ const APP_CONFIG = {
     maxConcurrentBatches: 3, // 최대 동시 배치 수
     minTextLength: 2,        // 최소 텍스트 길이
     translateFullPage: true, // 전체 페이지 번역
-    immediateTranslation: true // 즉시 번역
+    immediateTranslation: true, // 즉시 번역
+    contextAware: false,     // 번역 전 문서 맥락 요약 패스 사용
+    localizeUnits: false,    // 통화/단위를 대상 언어 기준으로 환산해 원문 옆에 표시
+    inlineLookup: false,     // 단어 더블클릭 / Alt+호버 시 사전식 조회 카드 표시
+    cycleLanguages: ['ko', 'en', 'ja', 'zh'], // 번역 언어 바꾸기 단축키로 순환할 언어
+    registers: {},           // 대상 언어별 문체 프리셋 (예: {ko: 'polite', ja: 'formal'})
+    displayMode: 'translated', // 표시 방식 (translated: 번역문, original: 원문, bilingual: 원문 아래 번역문)
+    textContainerSelector: 'p, h1, h2, h3, h4, h5, li, span, a, td, div, article', // 번역할 텍스트 컨테이너
+    ignoreSelector: 'script, style, noscript, code, pre', // 번역하지 않을 요소
+    highlightTranslated: false, // 번역된 요소 배경 강조
+    keepOriginalOnHover: true,  // 번역문에 마우스를 올리면 원문 표시
+    rootMargin: 200,            // 화면 밖 미리 번역할 여백 (px)
+    cacheExpiryDays: 30,        // 번역 캐시 보관 기간 (일)
+    cacheMaxSizeMB: 50,         // 번역 메모리 최대 크기 (MB, 넘으면 오래 쓰지 않은 번역부터 삭제)
+    fuzzyMatching: false,       // 번역 메모리에서 원문이 거의 같은 번역을 찾아 참고 번역으로 전달
+    fuzzyThreshold: 90,         // 유사 일치로 인정할 최소 유사도 (%)
+    currencyRates: { ...DEFAULT_CURRENCY_RATES } // 통화/단위 현지화에 쓰는 환율표 (1 USD 기준)
+  },
+  
+  // 숫자 설정 범위 (설정 페이지 입력 검증과 settings-schema.js 검증에 사용)
+  settingLimits: {
+    batchSize: { min: 1, max: 100 },
+    maxConcurrentBatches: { min: 1, max: 10 },
+    minTextLength: { min: 1, max: 50 },
+    rootMargin: { min: 0, max: 2000 }, // px
+    cacheExpiryDays: { min: 1, max: 365 },
+    cacheMaxSizeMB: { min: 5, max: 500 },
+    fuzzyThreshold: { min: 70, max: 99 } // %
   },
   
+  // 번역 문체 프리셋 (워커 register-presets.js와 같은 이름 사용, 값이 빈 문자열이면 기본 문체)
+  registerPresets: [
+    { value: '', label: '기본' },
+    { value: 'formal', label: '격식체 (합쇼체)' },
+    { value: 'polite', label: '존댓말 (해요체)' },
+    { value: 'casual', label: '반말' },
+    { value: 'technical', label: '기술 문서체' }
+  ],
+  
   // DOM 관련 설정
   domAttributes: {
     translatedAttr: 'data-tony-translated',
     pendingAttr: 'data-tony-pending',
     sourceAttr: 'data-tony-source',
+    bilingualAttr: 'data-tony-bilingual',
     translationClass: 'tony-translated'
   },
   
@@ -56,7 +114,9 @@ const APP_CONFIG = {
   apiSettings: {
     timeout: 20000,    // 요청 타임아웃 (ms)
     maxRetryCount: 2,  // 최대 재시도 횟수
-    retryDelay: 1000   // 재시도 지연 시간 (ms)
+    retryDelay: 1000,  // 재시도 지연 시간 (ms)
+    maxRateLimitRetries: 5, // 속도 제한(429) 시 Retry-After에 맞춘 최대 재시도 횟수
+    maxRetryAfter: 60000    // Retry-After 대기 상한 (ms)
   },
   
   // UI 관련 설정
@@ -70,7 +130,27 @@ const APP_CONFIG = {
   // 캐시 관련 설정
   cacheSettings: {
     expiryDays: 30,
-    keyPrefix: 'translate_'
+    maxSizeMB: 50,
+    fuzzyMatching: false,
+    fuzzyThreshold: 90,
+    keyPrefix: 'translate_' // 이전 chrome.storage.local 캐시 키 접두사 (번역 메모리 키 형식에도 사용)
+  },
+  
+  // 통화/단위 현지화 설정 (오프라인 환율표 사용)
+  unitLocalization: {
+    ratesUpdatedAt: '2025-01', // 기본 환율표 기준 시점
+    // 지원 통화와 기본 환율 (사용자 환율은 설정의 currencyRates)
+    currencyRates: DEFAULT_CURRENCY_RATES,
+    // 대상 언어별 통화/단위계 (system: metric | imperial, approx: 근사값 표기)
+    locales: {
+      ko: { locale: 'ko-KR', currency: 'KRW', currencySuffix: '원', system: 'metric', areaUnit: 'pyeong', approx: '약 ' },
+      en: { locale: 'en-US', currency: 'USD', system: 'imperial', approx: '≈ ' },
+      ja: { locale: 'ja-JP', currency: 'JPY', currencySuffix: '円', system: 'metric', approx: '約' },
+      zh: { locale: 'zh-CN', currency: 'CNY', currencySuffix: '元', system: 'metric', approx: '约' },
+      es: { locale: 'es-ES', currency: 'EUR', system: 'metric', approx: '≈ ' },
+      fr: { locale: 'fr-FR', currency: 'EUR', system: 'metric', approx: '≈ ' },
+      de: { locale: 'de-DE', currency: 'EUR', system: 'metric', approx: '≈ ' }
+    }
   }
 };
 
@@ -10,9 +10,29 @@
     translatedAttr: 'data-tony-translated',
     pendingAttr: 'data-tony-pending',
     sourceAttr: 'data-tony-source',
+    bilingualAttr: 'data-tony-bilingual',
     translationClass: 'tony-translated'
   };
   
+  // 표시 방식: 번역문만 / 원문만 / 원문 아래에 번역문
+  const DISPLAY_MODES = ['translated', 'original', 'bilingual'];
+  
+  // 번역할 텍스트 컨테이너 / 번역하지 않을 요소 (설정이 없을 때 기본값)
+  const TEXT_CONTAINER_SELECTOR = 'p, h1, h2, h3, h4, h5, li, span, a, td, div, article';
+  const IGNORE_SELECTOR = 'script, style, noscript, code, pre';
+  
+  // 대역 보기에서 번역문을 붙일 문단 단위 요소
+  const BILINGUAL_BLOCK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, td, th, dt, dd, blockquote, figcaption, caption, summary';
+  
+  // 선택 영역 번역 카드 / 용어 조회 카드 / 사이트 번역 확인 카드 / 진행 상태 표시줄 요소 ID
+  const SELECTION_CARD_ID = 'tony-selection-card';
+  const LOOKUP_CARD_ID = 'tony-lookup-card';
+  const SITE_PROMPT_CARD_ID = 'tony-site-prompt-card';
+  const STATUS_BAR_ID = 'translation-status-bar';
+  
+  // 오프라인 미리 번역 시 진행 중인 자동 번역을 기다릴 최대 시간 (ms)
+  const OFFLINE_WAIT_LIMIT = 60000;
+  
   // UI 관련 설정
   const UI_SETTINGS = {
     statusTimeout: 2000,
@@ -29,6 +49,20 @@
     isTranslating: false,
     settings: null,
     pendingTranslation: false,
+    cacheStats: { hits: 0, misses: 0 }, // 워커 세그먼트 캐시 적중/미스 수
+    contextBrief: null, // 문서 맥락 브리프 (contextAware 설정 시)
+    contextUrl: null,   // 브리프를 만든 페이지 주소
+    languageStats: {},  // 번역 요청에서 감지된 원문 언어별 텍스트 수
+    languageUrl: null,  // languageStats를 모은 페이지 주소
+    displayMode: 'translated', // 현재 표시 방식 (DISPLAY_MODES)
+    lastViewMode: 'translated', // 원문 보기 전에 쓰던 표시 방식 (원문/번역 전환용)
+    translatedEntries: [],     // 적용한 번역 [{node, type, attribute, original, translated}] (표시 방식 전환용)
+    entryByNode: new WeakMap(), // 텍스트 노드 → 번역 항목 (중복 추출 방지)
+    attributeEntries: new WeakMap(), // 요소 → {속성 이름: 번역 항목} (title, alt 등 속성 복원용)
+    bilingualQueue: new Set(),  // 대역 번역문을 다시 그릴 문단 요소
+    siteRule: { mode: 'default', targetLang: '' }, // 현재 사이트 규칙 (자동 번역 방식, 대상 언어 재정의)
+    snapshot: null, // 현재 페이지 스냅샷 {url, fingerprint} (번역 결과를 스냅샷에 추가할 때 사용)
+    bilingualTimer: null,
     
     // 상태 초기화
     reset() {
@@ -164,25 +198,64 @@
   async function loadSettings() {
     try {
       const response = await sendMessageToBackground({ action: 'getSettings' });
-      const settings = response.settings;
+      await loadSiteRule();
+      const settings = applySiteRule(response.settings);
       
       // 설정 저장
       AppState.settings = settings;
+      applyStyleSettings(settings);
+      
+      if (DISPLAY_MODES.includes(settings.displayMode)) {
+        AppState.displayMode = settings.displayMode;
+      }
       
       return settings;
     } catch (error) {
       console.error(`[${APP_NAME}] 설정 로드 오류:`, error);
-      // 기본 설정 반환
-      return {
-        targetLang: 'ko',
-        autoTranslate: false,
-        batchSize: 40,
-        maxConcurrentBatches: 3,
-        minTextLength: 2,
-        translateFullPage: true,
-        immediateTranslation: true
-      };
+      return loadDefaultSettings();
+    }
+  }
+  
+  /**
+   * 기본 설정 가져오기 (콘텐츠 스크립트는 모듈을 가져올 수 없어 백그라운드의 설정 스키마 기본값 사용)
+   * @returns {Promise<Object>} - 기본 설정 (백그라운드에 연결할 수 없으면 빈 객체)
+   */
+  async function loadDefaultSettings() {
+    try {
+      const response = await sendMessageToBackground({ action: 'getDefaultSettings' });
+      return response.settings || {};
+    } catch (error) {
+      console.warn(`[${APP_NAME}] 기본 설정 로드 오류:`, error);
+      return {};
+    }
+  }
+  
+  /**
+   * 현재 사이트 규칙 로드
+   * @returns {Promise<Object>} - {mode, targetLang}
+   */
+  async function loadSiteRule() {
+    try {
+      const response = await sendMessageToBackground({ action: 'getSiteRule', url: location.href });
+      AppState.siteRule = response.rule || { mode: 'default', targetLang: '' };
+    } catch (error) {
+      console.warn(`[${APP_NAME}] 사이트 규칙 로드 오류:`, error);
+    }
+    
+    return AppState.siteRule;
+  }
+  
+  /**
+   * 사이트별 대상 언어 재정의 적용
+   * @param {Object} settings - 전역 설정
+   * @returns {Object} - 이 사이트에 적용할 설정
+   */
+  function applySiteRule(settings) {
+    if (!settings || !AppState.siteRule.targetLang) {
+      return settings;
     }
+    
+    return { ...settings, targetLang: AppState.siteRule.targetLang };
   }
   
   /**
@@ -212,87 +285,202 @@
   }
   
   /**
-   * 텍스트 배열 번역
+   * 텍스트 배열 스트리밍 번역 (백그라운드와 포트로 연결)
+   * 세그먼트가 번역될 때마다 onSegment 콜백으로 즉시 전달
    * @param {string[]} texts - 번역할 텍스트 배열
    * @param {Object} options - 번역 옵션
-   * @returns {Promise<Array>} - 번역 결과 배열
+   * @param {Function} onSegment - (index, translated) 세그먼트 도착 콜백
+   * @returns {Promise<Array>} - 번역 결과 배열 [{original, translated}]
    */
-  async function translateBatch(texts, options = {}) {
-    try {
+  function translateBatch(texts, options = {}, onSegment = null) {
+    return new Promise((resolve, reject) => {
       if (!Array.isArray(texts) || texts.length === 0) {
-        return [];
+        resolve([]);
+        return;
+      }
+      
+      if (!isExtensionContextValid()) {
+        reject(new Error('확장 프로그램 컨텍스트가 유효하지 않습니다.'));
+        return;
       }
       
       const targetLang = options.targetLang || (AppState.settings && AppState.settings.targetLang) || 'ko';
       const batchSize = options.batchSize || (AppState.settings && AppState.settings.batchSize) || 40;
       const maxConcurrentBatches = options.maxConcurrentBatches || 
         (AppState.settings && AppState.settings.maxConcurrentBatches) || 3;
+      // 대상 언어별 문체 프리셋 (없으면 기본 문체)
+      const registers = (AppState.settings && AppState.settings.registers) || {};
       
-      const response = await sendMessageToBackground({
-        action: 'translateBatch',
+      const port = chrome.runtime.connect({ name: 'translationStream' });
+      let finished = false;
+      
+      port.onMessage.addListener((message) => {
+        switch (message.type) {
+          case 'segment':
+            if (typeof onSegment === 'function') {
+              onSegment(message.index, message.text);
+            }
+            break;
+            
+          case 'complete':
+            finished = true;
+            port.disconnect();
+            
+            // 워커 캐시 통계 누적
+            if (message.cache) {
+              AppState.cacheStats.hits += message.cache.hits || 0;
+              AppState.cacheStats.misses += message.cache.misses || 0;
+            }
+            
+            // 원문 언어 감지 결과 누적 (팝업 표시용)
+            if (message.sourceLang) {
+              recordSourceLanguage(message.sourceLang.lang, texts.length);
+            }
+            
+            // 번역 도중 서버 한도에 도달한 경우 안내
+            if (message.limitExceeded) {
+              showTranslationLimitExceeded(() => {
+                chrome.runtime.sendMessage({ action: "openPopup" });
+              });
+            }
+            
+            resolve(message.results || []);
+            break;
+            
+          case 'error':
+            finished = true;
+            port.disconnect();
+            reject(Object.assign(new Error(message.error || '알 수 없는 오류'), {
+              limitExceeded: message.limitExceeded === true
+            }));
+            break;
+        }
+      });
+      
+      port.onDisconnect.addListener(() => {
+        if (!finished) {
+          reject(new Error('번역 연결이 끊어졌습니다.'));
+        }
+      });
+      
+      port.postMessage({
+        action: 'translate',
         texts: texts,
         options: {
           targetLang,
           batchSize,
           maxConcurrentBatches,
+          context: AppState.contextBrief,
+          register: registers[targetLang] || '',
+          localizeUnits: !!(AppState.settings && AppState.settings.localizeUnits),
           ...options
         }
       });
-      
-      return response.results;
-    } catch (error) {
-      console.error(`[${APP_NAME}] 배치 번역 오류:`, error);
-      // 오류 시 원본 배열의 각 항목을 원본 텍스트로 매핑
-      return texts.map(text => ({
-        original: text,
-        translated: text
-      }));
+    });
+  }
+  
+  /**
+   * 문서 맥락 요약용 페이지 개요 수집 (제목, h1~h3, 설명/첫 문단 요약)
+   * @returns {Object} - {title, headings, outline}
+   */
+  function collectPageOutline() {
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3'))
+      .map(element => (element.textContent || '').replace(/\s+/g, ' ').trim())
+      .filter(text => text.length > 0)
+      .slice(0, 30)
+      .map(text => text.substring(0, 120));
+    
+    const outlineParts = [];
+    const description = document.querySelector('meta[name="description"], meta[property="og:description"]');
+    if (description && description.content) {
+      outlineParts.push(description.content.trim());
     }
+    
+    // 본문 첫 문단들을 짧게 이어 붙여 개요로 사용
+    Array.from(document.querySelectorAll('main p, article p, p'))
+      .slice(0, 10)
+      .forEach(element => {
+        const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+        if (text.length > 20) {
+          outlineParts.push(text.substring(0, 200));
+        }
+      });
+    
+    return {
+      title: (document.title || '').trim().substring(0, 200),
+      headings,
+      outline: outlineParts.join('\n').substring(0, 2000)
+    };
   }
   
   /**
-   * 사용량 기록
-   * @param {number} tokens - 사용한 토큰 수
-   * @returns {Promise<Object>} - 업데이트된 사용량
+   * 문서 맥락 브리프 준비 (같은 페이지에서는 한 번만 요청)
+   * 실패해도 번역은 맥락 없이 계속 진행
+   * @returns {Promise<Object|null>} - 브리프 또는 null
    */
-  async function recordUsage(tokens) {
+  async function prepareContextBrief() {
+    if (AppState.contextBrief && AppState.contextUrl === location.href) {
+      return AppState.contextBrief;
+    }
+    
+    AppState.contextBrief = null;
+    AppState.contextUrl = null;
+    
     try {
+      const targetLang = (AppState.settings && AppState.settings.targetLang) || 'ko';
       const response = await sendMessageToBackground({
-        action: 'recordUsage',
-        tokens: tokens
+        action: 'prepareContext',
+        page: collectPageOutline(),
+        options: { targetLang }
       });
       
-      return response.usage;
+      if (response.brief) {
+        AppState.contextBrief = response.brief;
+        AppState.contextUrl = location.href;
+      }
     } catch (error) {
-      console.error(`[${APP_NAME}] 사용량 기록 오류:`, error);
-      return null;
+      console.warn(`[${APP_NAME}] 문서 맥락 준비 실패, 맥락 없이 번역합니다:`, error);
+    }
+    
+    return AppState.contextBrief;
+  }
+  
+  /**
+   * 번역 요청에서 감지된 원문 언어 누적
+   * @param {string} lang - 언어 코드
+   * @param {number} count - 텍스트 수
+   */
+  function recordSourceLanguage(lang, count) {
+    if (AppState.languageUrl !== location.href) {
+      AppState.languageStats = {};
+      AppState.languageUrl = location.href;
     }
+    
+    AppState.languageStats[lang] = (AppState.languageStats[lang] || 0) + count;
   }
   
   /**
-   * 토큰 수 추정
-   * @param {string[]} texts - 번역할 텍스트 배열
-   * @returns {number} - 추정 토큰 수
+   * 페이지 원문 언어 가져오기
+   * 번역한 적이 있으면 누적 결과를, 없으면 페이지 개요로 감지 요청
+   * @returns {Promise<Object|null>} - {lang, confidence} 또는 null
    */
-  function estimateTokens(texts) {
-    try {
-      if (!Array.isArray(texts)) return 0;
+  async function getDetectedLanguage() {
+    if (AppState.languageUrl === location.href) {
+      const entries = Object.entries(AppState.languageStats).sort((a, b) => b[1] - a[1]);
+      const total = entries.reduce((sum, [, count]) => sum + count, 0);
       
-      // 영어 기준 1단어 = 약 1.3 토큰
-      const tokenRatio = 1.3;
-      
-      // 모든 텍스트의 단어 수 계산
-      const wordCount = texts.reduce((count, text) => {
-        if (typeof text !== 'string') return count;
-        return count + text.split(/\s+/).length;
-      }, 0);
-      
-      // 토큰 수 추정 및 10% 버퍼 추가
-      return Math.ceil(wordCount * tokenRatio * 1.1);
-    } catch (error) {
-      console.error(`[${APP_NAME}] 토큰 수 추정 오류:`, error);
-      return texts && Array.isArray(texts) ? texts.length * 5 : 10;
+      if (entries.length > 0 && total > 0) {
+        return { lang: entries[0][0], confidence: entries[0][1] / total };
+      }
     }
+    
+    const page = collectPageOutline();
+    const response = await sendMessageToBackground({
+      action: 'detectLanguage',
+      texts: [page.title, ...page.headings, ...page.outline.split('\n')].filter(text => text)
+    });
+    
+    return response.language || null;
   }
   
   // ===== DOM 관련 함수 =====
@@ -316,7 +504,7 @@
       }
       
       // 무시할 선택자에 매칭되는 요소 제외
-      const ignoreSelector = 'script, style, noscript, code, pre';
+      const ignoreSelector = AppState.settings?.ignoreSelector || IGNORE_SELECTOR;
       if (element.matches && element.matches(ignoreSelector)) {
         return false;
       }
@@ -380,8 +568,13 @@
         NodeFilter.SHOW_TEXT,
         {
           acceptNode: function(node) {
-            // 무시할 요소의 자식인 경우 제외
-            if (hasParentMatching(node, 'script, style, noscript, code, pre')) {
+            // 무시할 요소의 자식인 경우 제외 (대역 보기로 덧붙인 번역문, 번역/조회 카드, 진행 상태 표시줄 포함)
+            if (hasParentMatching(node, `script, style, noscript, code, pre, [${DOM_ATTRIBUTES.bilingualAttr}], #${SELECTION_CARD_ID}, #${LOOKUP_CARD_ID}, #${SITE_PROMPT_CARD_ID}, #${STATUS_BAR_ID}`)) {
+              return NodeFilter.FILTER_REJECT;
+            }
+            
+            // 이미 번역을 적용한 노드 제외 (원문/대역 보기에서는 원문이 그대로 남아 있음)
+            if (AppState.entryByNode.has(node)) {
               return NodeFilter.FILTER_REJECT;
             }
             
@@ -418,6 +611,12 @@
         if (element.hasAttribute && element.hasAttribute(attr)) {
           const text = element.getAttribute(attr).trim();
           if (text && text.length >= minTextLength) {
+            // 이미 번역을 기록한 속성 제외 (원문 보기에서는 원문이 그대로 남아 있음)
+            const recorded = AppState.attributeEntries.get(element);
+            if (recorded && recorded[attr]) {
+              return;
+            }
+            
             textNodes.push({
               node: element,
               text: text,
@@ -484,55 +683,298 @@
     
     // 각 번역 항목 처리
     translationItems.forEach(item => {
-      try {
-        if (!item || !item.translated || item.original === item.translated) {
-          return;
+      if (applyTranslationItem(item)) {
+        successCount++;
+      }
+    });
+    
+    // 이벤트 발생
+    safeDispatchEvent('dom:text-replaced', { 
+      count: successCount,
+      total: translationItems.length
+    });
+    
+    console.log(`[${APP_NAME}] ${successCount}개 번역 적용 완료 (${translationItems.length - successCount}개 실패)`);
+    
+    return successCount;
+  }
+  
+  /**
+   * 번역 항목 하나를 DOM에 적용
+   * @param {Object} item - {original, translated, element, node, type, attribute} 번역 항목
+   * @returns {boolean} - 적용 성공 여부
+   */
+  function applyTranslationItem(item) {
+    try {
+      if (!item || !item.translated || item.original === item.translated) {
+        return false;
+      }
+      
+      // 요소가 없는 경우 무시
+      if (!item.element || !(item.element instanceof Element)) {
+        return false;
+      }
+      
+      // 텍스트 노드는 원문/번역문을 기록해 두고 현재 표시 방식으로 적용
+      if (item.type === 'text') {
+        return item.node && item.node.nodeType === Node.TEXT_NODE ?
+          applyTextEntry(item) : false;
+      }
+      
+      // 번역 타입에 따라 다르게 처리
+      switch (item.type) {
+        case 'attribute':
+          return item.attribute && item.element.hasAttribute(item.attribute) ?
+            applyAttributeEntry(item) : false;
+          
+        default:
+          // 요소 텍스트 직접 번역
+          return replaceElementText(item.element, item.translated);
+      }
+    } catch (itemError) {
+      console.warn(`[${APP_NAME}] 번역 항목 적용 오류:`, itemError);
+      return false;
+    }
+  }
+  
+  /**
+   * 속성 번역 항목 기록 후 현재 표시 방식으로 적용
+   * @param {Object} item - {original, translated, element, attribute} 번역 항목
+   * @returns {boolean} - 적용 성공 여부
+   */
+  function applyAttributeEntry(item) {
+    const element = item.element;
+    const recorded = AppState.attributeEntries.get(element) || {};
+    const existing = recorded[item.attribute];
+    
+    if (existing) {
+      existing.translated = item.translated;
+    } else {
+      const entry = {
+        node: element,
+        type: 'attribute',
+        attribute: item.attribute,
+        original: element.getAttribute(item.attribute),
+        translated: item.translated
+      };
+      recorded[item.attribute] = entry;
+      AppState.attributeEntries.set(element, recorded);
+      AppState.translatedEntries.push(entry);
+    }
+    
+    // 속성은 대역으로 보여줄 수 없으므로 원문 보기에서만 원문을 유지
+    if (AppState.displayMode === 'original') {
+      markElementAsTranslated(element);
+      return true;
+    }
+    
+    return replaceElementAttribute(element, item.attribute, item.translated);
+  }
+  
+  /**
+   * 텍스트 노드 번역 항목 기록 후 현재 표시 방식으로 적용
+   * @param {Object} item - {original, translated, node} 번역 항목
+   * @returns {boolean} - 적용 성공 여부
+   */
+  function applyTextEntry(item) {
+    const node = item.node;
+    const existing = AppState.entryByNode.get(node);
+    
+    if (existing) {
+      existing.translated = item.translated;
+    } else {
+      const entry = {
+        node,
+        type: 'text',
+        // 공백을 포함한 원래 텍스트를 저장해 원문 보기에서 그대로 복원
+        original: node.textContent,
+        translated: item.translated
+      };
+      AppState.translatedEntries.push(entry);
+      AppState.entryByNode.set(node, entry);
+    }
+    
+    switch (AppState.displayMode) {
+      case 'original':
+        if (node.parentElement) {
+          markElementAsTranslated(node.parentElement);
         }
+        return true;
         
-        // 요소가 없는 경우 무시
-        if (!item.element || !(item.element instanceof Element)) {
-          return;
+      case 'bilingual':
+        if (node.parentElement) {
+          markElementAsTranslated(node.parentElement);
+          scheduleBilingualRender(getBilingualBlock(node));
         }
+        return true;
         
-        let success = false;
+      default:
+        return replaceTextNodeContent(node, item.translated);
+    }
+  }
+  
+  /**
+   * 텍스트 노드가 속한 문단 단위 요소
+   * @param {Node} node - 텍스트 노드
+   * @returns {Element|null} - 문단 요소 (없으면 부모 요소)
+   */
+  function getBilingualBlock(node) {
+    const parent = node.parentElement;
+    if (!parent) {
+      return null;
+    }
+    
+    return parent.closest(BILINGUAL_BLOCK_SELECTOR) || parent;
+  }
+  
+  /**
+   * 대역 번역문 다시 그리기 예약 (스트리밍 세그먼트를 모아서 한 번에 처리)
+   * @param {Element|null} block - 문단 요소
+   */
+  function scheduleBilingualRender(block) {
+    if (!block) return;
+    
+    AppState.bilingualQueue.add(block);
+    
+    if (AppState.bilingualTimer) return;
+    
+    AppState.bilingualTimer = setTimeout(() => {
+      AppState.bilingualTimer = null;
+      
+      const blocks = Array.from(AppState.bilingualQueue);
+      AppState.bilingualQueue.clear();
+      
+      if (AppState.displayMode === 'bilingual') {
+        blocks.forEach(renderBilingualBlock);
+      }
+    }, 50);
+  }
+  
+  /**
+   * 문단 요소 아래에 번역문 사본 붙이기 (링크/강조 등 인라인 서식 유지)
+   * @param {Element} block - 문단 요소
+   */
+  function renderBilingualBlock(block) {
+    try {
+      if (!block.isConnected) return;
+      
+      removeBilingualBlock(block);
+      
+      const translation = document.createElement('span');
+      translation.className = 'tony-bilingual';
+      translation.setAttribute(DOM_ATTRIBUTES.bilingualAttr, 'true');
+      translation.setAttribute(DOM_ATTRIBUTES.translatedAttr, 'true');
+      
+      let hasTranslation = false;
+      const cloneWithTranslations = (source) => {
+        if (source.nodeType === Node.TEXT_NODE) {
+          const entry = AppState.entryByNode.get(source);
+          if (entry) hasTranslation = true;
+          return document.createTextNode(entry ? entry.translated : source.textContent);
+        }
         
-        // 번역 타입에 따라 다르게 처리
-        switch (item.type) {
-          case 'attribute':
-            if (item.attribute) {
-              success = replaceElementAttribute(item.element, item.attribute, item.translated);
-            }
-            break;
-            
-          case 'text':
-            if (item.node && item.node.nodeType === Node.TEXT_NODE) {
-              success = replaceTextNodeContent(item.node, item.translated);
-            }
-            break;
-            
-          default:
-            // 요소 텍스트 직접 번역
-            success = replaceElementText(item.element, item.translated);
-            break;
+        if (source.nodeType !== Node.ELEMENT_NODE ||
+            source.matches(`script, style, noscript, [${DOM_ATTRIBUTES.bilingualAttr}]`)) {
+          return null;
         }
         
-        if (success) {
-          successCount++;
+        const copy = source.cloneNode(false);
+        copy.removeAttribute('id');
+        source.childNodes.forEach(child => {
+          const childCopy = cloneWithTranslations(child);
+          if (childCopy) copy.appendChild(childCopy);
+        });
+        return copy;
+      };
+      
+      block.childNodes.forEach(child => {
+        const copy = cloneWithTranslations(child);
+        if (copy) translation.appendChild(copy);
+      });
+      
+      if (hasTranslation) {
+        block.appendChild(translation);
+      }
+    } catch (error) {
+      console.warn(`[${APP_NAME}] 대역 번역문 표시 오류:`, error);
+    }
+  }
+  
+  /**
+   * 문단 요소에 붙인 대역 번역문 제거
+   * @param {Element} block - 문단 요소
+   */
+  function removeBilingualBlock(block) {
+    Array.from(block.children)
+      .filter(child => child.hasAttribute(DOM_ATTRIBUTES.bilingualAttr))
+      .forEach(child => child.remove());
+  }
+  
+  /**
+   * 표시 방식 전환 (저장된 번역을 다시 적용하므로 번역 요청 없음)
+   * @param {string} mode - 'translated', 'original', 'bilingual'
+   * @returns {number} - 적용된 번역 항목 수
+   */
+  function setDisplayMode(mode) {
+    if (!DISPLAY_MODES.includes(mode)) {
+      return 0;
+    }
+    
+    AppState.displayMode = mode;
+    if (mode !== 'original') {
+      AppState.lastViewMode = mode;
+    }
+    document.documentElement.setAttribute('data-tony-view', mode);
+    injectStyles();
+    
+    // 기존 대역 번역문 제거
+    document.querySelectorAll(`[${DOM_ATTRIBUTES.bilingualAttr}]`).forEach(element => element.remove());
+    AppState.bilingualQueue.clear();
+    
+    // 페이지에서 사라진 노드는 정리
+    AppState.translatedEntries = AppState.translatedEntries.filter(entry => entry.node.isConnected);
+    
+    const blocks = new Set();
+    AppState.translatedEntries.forEach(entry => {
+      if (entry.type === 'attribute') {
+        entry.node.setAttribute(entry.attribute, mode === 'original' ? entry.original : entry.translated);
+        return;
+      }
+      
+      entry.node.textContent = mode === 'translated' ? entry.translated : entry.original;
+      
+      // 원문 호버 표시는 번역문 보기에서만 필요 (다른 보기에서는 원문이 이미 보임)
+      if (entry.node.parentElement) {
+        if (mode === 'translated') {
+          entry.node.parentElement.setAttribute(DOM_ATTRIBUTES.sourceAttr, entry.original);
+        } else {
+          entry.node.parentElement.removeAttribute(DOM_ATTRIBUTES.sourceAttr);
         }
-      } catch (itemError) {
-        console.warn(`[${APP_NAME}] 번역 항목 적용 오류:`, itemError);
+      }
+      
+      if (mode === 'bilingual') {
+        const block = getBilingualBlock(entry.node);
+        if (block) blocks.add(block);
       }
     });
     
-    // 이벤트 발생
-    safeDispatchEvent('dom:text-replaced', { 
-      count: successCount,
-      total: translationItems.length
-    });
+    blocks.forEach(renderBilingualBlock);
     
-    console.log(`[${APP_NAME}] ${successCount}개 번역 적용 완료 (${translationItems.length - successCount}개 실패)`);
+    safeDispatchEvent('dom:display-mode-changed', {
+      mode,
+      count: AppState.translatedEntries.length
+    });
     
-    return successCount;
+    return AppState.translatedEntries.length;
+  }
+  
+  /**
+   * 원문 보기와 직전 표시 방식 사이 전환
+   * @returns {string} - 전환 후 표시 방식
+   */
+  function toggleOriginal() {
+    setDisplayMode(AppState.displayMode === 'original' ? AppState.lastViewMode : 'original');
+    return AppState.displayMode;
   }
   
   /**
@@ -727,6 +1169,11 @@
    * DOM에 번역 관련 스타일 주입
    */
   function injectStyles() {
+    // 원문 호버 표시는 번역문 보기에서만 사용
+    if (!document.documentElement.hasAttribute('data-tony-view')) {
+      document.documentElement.setAttribute('data-tony-view', AppState.displayMode);
+    }
+    
     // 이미 주입된 경우 중복 방지
     if (document.getElementById('tony-translator-styles')) {
       return;
@@ -740,6 +1187,10 @@
           transition: background-color 0.3s ease;
         }
         
+        :root[data-tony-highlight] .${DOM_ATTRIBUTES.translationClass} {
+          background-color: rgba(255, 255, 0, 0.15);
+        }
+        
         .tony-translating {
           animation: tony-fade-in 0.5s ease;
         }
@@ -749,7 +1200,7 @@
           to { opacity: 1; }
         }
         
-        [${DOM_ATTRIBUTES.translatedAttr}][${DOM_ATTRIBUTES.sourceAttr}]:hover::after {
+        :root[data-tony-view="translated"][data-tony-hover] [${DOM_ATTRIBUTES.translatedAttr}][${DOM_ATTRIBUTES.sourceAttr}]:hover::after {
           content: attr(${DOM_ATTRIBUTES.sourceAttr});
           position: absolute;
           top: 100%;
@@ -767,9 +1218,18 @@
           pointer-events: none;
         }
         
-        [${DOM_ATTRIBUTES.translatedAttr}][${DOM_ATTRIBUTES.sourceAttr}] {
+        :root[data-tony-view="translated"][data-tony-hover] [${DOM_ATTRIBUTES.translatedAttr}][${DOM_ATTRIBUTES.sourceAttr}] {
           position: relative;
         }
+        
+        .tony-bilingual {
+          display: block;
+          margin-top: 0.25em;
+          padding-left: 0.5em;
+          border-left: 2px solid rgba(66, 133, 244, 0.5);
+          color: #1a5fb4;
+          font-size: 0.95em;
+        }
       `;
       
       document.head.appendChild(styleElement);
@@ -779,6 +1239,18 @@
     }
   }
   
+  /**
+   * 강조 / 원문 호버 설정을 문서 루트 속성으로 반영 (주입된 스타일이 이 속성을 기준으로 적용됨)
+   * @param {Object} settings - 설정 객체
+   */
+  function applyStyleSettings(settings) {
+    const root = document.documentElement;
+    if (!root || !settings) return;
+    
+    root.toggleAttribute('data-tony-highlight', settings.highlightTranslated === true);
+    root.toggleAttribute('data-tony-hover', settings.keepOriginalOnHover !== false);
+  }
+  
   /**
    * 요소 내에서 텍스트 컨테이너 요소들을 찾기
    * @param {Element} root - 검색 시작점 요소
@@ -792,7 +1264,8 @@
       }
       
       const containers = [];
-      const textContainerSelector = 'p, h1, h2, h3, h4, h5, li, span, a, td, div, article';
+      const textContainerSelector = AppState.settings?.textContainerSelector || TEXT_CONTAINER_SELECTOR;
+      const ignoreSelector = AppState.settings?.ignoreSelector || IGNORE_SELECTOR;
       const additionalSelector = '.text, .title, .headline, .desc, .content, .caption, .summary, .article-txt, .article-tit';
       
       // 이미 번역된 요소는 건너뜀
@@ -819,7 +1292,6 @@
             }
             
             // 무시할 선택자에 매칭되는 요소는 제외
-            const ignoreSelector = 'script, style, noscript, code, pre';
             if (element.matches && element.matches(ignoreSelector)) {
               return;
             }
@@ -867,73 +1339,71 @@
     try {
       // 텍스트 배열 추출
       const textsToTranslate = nodeInfoList.map(item => item.text || "");
-      
-      // 번역 이벤트 리스너 등록
-      const batchCompleteListener = createSafeEventListener('translation:batch-complete', 
-        (event, detail) => {
-          if (detail) {
-            const total = detail.total || 0;
-            const completed = detail.completed || 0;
-            const cachedCount = detail.cachedCount || 0;
-            const newCount = detail.newCount || 0;
-            
-            showTranslationStatus(
-              `${total}개 항목 번역 중... (${completed}/${total} 배치, 캐시: ${cachedCount}, 신규: ${newCount})`
-            );
-          }
+      const total = textsToTranslate.length;
+      
+      // 세그먼트별 DOM 적용 상태
+      const appliedIndices = new Set();
+      const snapshotEntries = [];
+      let replacedCount = 0;
+      let lastProgressUpdate = 0;
+      
+      // 번역 항목을 DOM 적용 형식으로 변환 후 즉시 적용
+      const applyAt = (index, translated) => {
+        const nodeInfo = nodeInfoList[index];
+        if (!nodeInfo || appliedIndices.has(index)) return;
+        
+        appliedIndices.add(index);
+        
+        if (translated) {
+          snapshotEntries.push({ text: nodeInfo.text || "", translated });
         }
-      );
+        
+        if (applyTranslationItem({
+          original: nodeInfo.text || "",
+          translated: translated || "",
+          element: nodeInfo.element,
+          node: nodeInfo.node,
+          type: nodeInfo.type,
+          attribute: nodeInfo.attribute
+        })) {
+          replacedCount++;
+        }
+      };
       
-      // 이벤트 리스너 등록
-      document.addEventListener('translation:batch-complete', batchCompleteListener);
+      injectStyles();
       
-      // 사용량 한도 확인
-      const estimatedTokenCount = estimateTokens(textsToTranslate);
-      
-      // 메시지를 통해 백그라운드 스크립트에서 배치 처리 수행
-      const translatedItems = await translateBatch(
-        textsToTranslate, 
-        {
-          batchSize: (AppState.settings && AppState.settings.batchSize) || 40,
-          maxConcurrentBatches: (AppState.settings && AppState.settings.maxConcurrentBatches) || 3
+      // 세그먼트가 도착할 때마다 적용하고 실제 세그먼트 수로 진행 상태 표시
+      const translatedItems = await translateBatch(textsToTranslate, {}, (index, translated) => {
+        applyAt(index, translated);
+        
+        const now = Date.now();
+        if (now - lastProgressUpdate >= UI_SETTINGS.progressUpdateInterval || appliedIndices.size === total) {
+          lastProgressUpdate = now;
+          const percent = Math.min(100, Math.round((appliedIndices.size / total) * 100));
+          showTranslationStatus(`번역 진행 중: ${appliedIndices.size}/${total} 세그먼트 (${percent}%)`);
         }
-      );
-      
-      // 이벤트 리스너 제거
-      document.removeEventListener('translation:batch-complete', batchCompleteListener);
+      });
       
-      // 번역 결과가 없으면 종료
-      if (!translatedItems || !Array.isArray(translatedItems)) {
-        console.warn(`[${APP_NAME}] 번역 결과가 없습니다.`);
-        AppState.pendingTranslation = false;
-        return 0;
+      // 스트림으로 받지 못한 결과 적용 (캐시/비스트리밍 응답 등)
+      if (Array.isArray(translatedItems)) {
+        translatedItems.forEach((item, index) => {
+          if (item) applyAt(index, item.translated);
+        });
       }
       
-      // 번역 결과를 DOM에 적용하기 위한 형식으로 변환
-      const translationDataForDOM = translatedItems.map((item, index) => {
-        // 인덱스가 범위를 벗어나면 빈 객체 반환
-        if (!nodeInfoList[index]) return { original: "", translated: "", element: null };
-        
-        return {
-          original: item.original || "",
-          translated: item.translated || "",
-          element: nodeInfoList[index].element,
-          node: nodeInfoList[index].node,
-          type: nodeInfoList[index].type,
-          attribute: nodeInfoList[index].attribute
-        };
-      }).filter(item => item.element); // 요소가 없는 항목 제거
-      
-      // 번역된 텍스트 DOM에 적용
-      const replacedCount = applyTranslations(translationDataForDOM);
+      // 이벤트 발생
+      safeDispatchEvent('dom:text-replaced', { 
+        count: replacedCount,
+        total: total
+      });
       
       // 요소들을 번역 완료로 표시
       if (Array.isArray(elements) && elements.length > 0) {
         elements.forEach(element => markElementAsTranslated(element));
       }
       
-      // 사용량 기록
-      await recordUsage(estimatedTokenCount);
+      // 다음 방문 때 바로 적용하도록 페이지 스냅샷에 추가 (응답을 기다리지 않음)
+      savePageSnapshot(snapshotEntries);
       
       AppState.pendingTranslation = false;
       
@@ -941,10 +1411,201 @@
     } catch (error) {
       console.error(`[${APP_NAME}] 텍스트 노드 처리 오류:`, error);
       AppState.pendingTranslation = false;
+      
+      // 번역 한도 초과 시 안내 표시
+      if (error.limitExceeded) {
+        showTranslationLimitExceeded(() => {
+          chrome.runtime.sendMessage({ action: "openPopup" });
+        });
+      }
+      
       return 0;
     }
   }
   
+  // ===== 페이지 스냅샷 관련 함수 =====
+  
+  /**
+   * 페이지 스냅샷 옵션 (번역 결과에 영향을 주는 설정, translateBatch와 같은 값)
+   * @returns {Object} - {targetLang, register, localizeUnits}
+   */
+  function getSnapshotOptions() {
+    const settings = AppState.settings || {};
+    const targetLang = settings.targetLang || 'ko';
+    
+    return {
+      targetLang,
+      register: (settings.registers || {})[targetLang] || '',
+      localizeUnits: !!settings.localizeUnits
+    };
+  }
+  
+  /**
+   * 화면 밖을 포함한 페이지 전체 세그먼트 수집 (문서 순서, 중첩 컨테이너의 중복 노드 제외)
+   * @returns {Array} - 노드와 위치 정보 배열 [{node, text, element, type, attribute}]
+   */
+  function collectPageSegments() {
+    const minTextLength = AppState.settings?.minTextLength || 2;
+    const seenNodes = new Set();
+    const segments = [];
+    
+    findTextContainers(document.body, minTextLength).forEach(element => {
+      extractTextNodesFromElement(element, minTextLength).forEach(item => {
+        if (item.type === 'text') {
+          if (seenNodes.has(item.node)) return;
+          seenNodes.add(item.node);
+        }
+        segments.push(item);
+      });
+    });
+    
+    return segments;
+  }
+  
+  /**
+   * 페이지 스냅샷 조회
+   * @param {Array} segments - collectPageSegments 결과
+   * @returns {Promise<Object|null>} - {fingerprint, status, translations} 또는 null (사용할 수 없음)
+   */
+  async function lookupPageSnapshot(segments) {
+    AppState.snapshot = null;
+    
+    const response = await sendMessageToBackground({
+      action: 'getPageSnapshot',
+      url: location.href,
+      texts: segments.map(segment => segment.text),
+      options: getSnapshotOptions()
+    });
+    
+    if (!response.fingerprint) {
+      return null;
+    }
+    
+    AppState.snapshot = { url: location.href, fingerprint: response.fingerprint };
+    return response;
+  }
+  
+  /**
+   * 저장된 페이지 스냅샷을 네트워크 요청 없이 한 번에 적용
+   * (이미 번역을 적용한 페이지는 세그먼트 목록이 달라지므로 처음 번역할 때만 사용)
+   * @returns {Promise<Object>} - {applied: 적용한 번역 수, status: 스냅샷 상태}
+   */
+  async function applyPageSnapshot() {
+    if (AppState.translatedEntries.length > 0) {
+      return { applied: 0, status: 'skipped' };
+    }
+    
+    try {
+      const segments = collectPageSegments();
+      if (segments.length === 0) {
+        return { applied: 0, status: 'missing' };
+      }
+      
+      const snapshot = await lookupPageSnapshot(segments);
+      if (!snapshot) {
+        return { applied: 0, status: 'unsupported' };
+      }
+      
+      injectStyles();
+      
+      let applied = 0;
+      segments.forEach((segment, index) => {
+        const translated = snapshot.translations[index];
+        if (translated && applyTranslationItem({ ...segment, original: segment.text, translated })) {
+          applied++;
+        }
+      });
+      
+      if (applied > 0) {
+        console.log(`[${APP_NAME}] 페이지 스냅샷 적용: ${applied}/${segments.length}개 (${snapshot.status})`);
+        safeDispatchEvent('dom:text-replaced', { count: applied, total: segments.length });
+      }
+      
+      return { applied, status: snapshot.status };
+    } catch (error) {
+      console.warn(`[${APP_NAME}] 페이지 스냅샷 적용 오류:`, error);
+      return { applied: 0, status: 'error' };
+    }
+  }
+  
+  /**
+   * 번역한 세그먼트를 페이지 스냅샷에 추가
+   * @param {Array} entries - [{text, translated}]
+   * @param {boolean} offline - 오프라인 미리 번역 결과 여부
+   * @returns {Promise<Object|null>} - {segmentCount, translatedCount} 또는 null (저장하지 않음)
+   */
+  function savePageSnapshot(entries, offline = false) {
+    const snapshot = AppState.snapshot;
+    
+    // 스냅샷을 조회한 뒤 주소가 바뀌었으면 (SPA 이동 등) 저장하지 않음
+    // (오프라인 저장은 새 번역이 없어도 완료 시각을 기록해야 하므로 빈 목록도 보냄)
+    if (!snapshot || snapshot.url !== location.href || !Array.isArray(entries) || (entries.length === 0 && !offline)) {
+      return Promise.resolve(null);
+    }
+    
+    return sendMessageToBackground({
+      action: 'savePageSnapshot',
+      url: snapshot.url,
+      fingerprint: snapshot.fingerprint,
+      entries,
+      options: getSnapshotOptions(),
+      offline
+    }).then(response => response.saved || null).catch(error => {
+      console.warn(`[${APP_NAME}] 페이지 스냅샷 저장 오류:`, error);
+      return null;
+    });
+  }
+  
+  /**
+   * 오프라인 미리 번역 (백그라운드 탭에서 페이지 전체 세그먼트를 번역해 스냅샷으로 저장, DOM은 바꾸지 않음)
+   * @returns {Promise<Object>} - {url, total: 세그먼트 수, translated: 번역이 있는 세그먼트 수}
+   */
+  async function prepareOfflineSnapshot() {
+    if (!AppState.settings) {
+      await loadSettings();
+    }
+    
+    // 자동 번역이 진행 중이면 끝날 때까지 대기 (그 번역이 조회한 스냅샷에 이어서 저장)
+    for (let waited = 0; AppState.pendingTranslation && waited < OFFLINE_WAIT_LIMIT; waited += 200) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    
+    // 이미 번역을 적용한 노드는 제외되므로 남은 세그먼트만 수집됨
+    const segments = collectPageSegments();
+    let translations = segments.map(() => null);
+    
+    if (AppState.translatedEntries.length === 0) {
+      if (segments.length === 0) {
+        return { url: location.href, total: 0, translated: 0 };
+      }
+      
+      const snapshot = await lookupPageSnapshot(segments);
+      translations = snapshot ? snapshot.translations : null;
+    }
+    
+    if (!translations || !AppState.snapshot) {
+      throw new Error('이 페이지는 오프라인으로 저장할 수 없습니다.');
+    }
+    
+    // 스냅샷에 없는 세그먼트만 중복 없이 번역
+    const missingTexts = Array.from(new Set(
+      segments.filter((segment, index) => !translations[index]).map(segment => segment.text)
+    ));
+    const results = missingTexts.length > 0 ? await translateBatch(missingTexts, {}) : [];
+    
+    // 번역할 것이 없어도 오프라인 완료 시각을 기록하도록 저장 요청
+    const saved = await savePageSnapshot(missingTexts.map((text, index) => ({
+      text,
+      translated: results[index] ? results[index].translated : ''
+    })), true);
+    
+    if (!saved) {
+      throw new Error('번역을 저장하지 못했습니다.');
+    }
+    
+    return { url: location.href, total: saved.segmentCount, translated: saved.translatedCount };
+  }
+  
   // ===== UI 관련 함수 =====
   
   /**
@@ -959,13 +1620,12 @@
     clearTranslationStatusTimeout();
     
     // 상태 요소 ID
-    const statusElementId = 'translation-status-bar';
-    let statusElement = document.getElementById(statusElementId);
+    let statusElement = document.getElementById(STATUS_BAR_ID);
     
     // 상태 요소 생성 또는 업데이트
     if (!statusElement) {
       statusElement = document.createElement('div');
-      statusElement.id = statusElementId;
+      statusElement.id = STATUS_BAR_ID;
       statusElement.textContent = message;
       
       // 스타일 적용
@@ -1016,7 +1676,7 @@
    * 번역 상태 UI 숨기기
    */
   function hideTranslationStatus() {
-    const statusElement = document.getElementById('translation-status-bar');
+    const statusElement = document.getElementById(STATUS_BAR_ID);
     if (statusElement) {
       // 애니메이션 후 제거
       statusElement.style.opacity = '0';
@@ -1112,6 +1772,674 @@
     return limitElement;
   }
   
+  // ===== 떠 있는 카드 UI (선택 영역 번역, 용어 조회) =====
+  
+  // 열린 카드별 문서 이벤트 리스너 해제 함수 (카드 ID → 함수)
+  const floatingCardCleanups = new Map();
+  
+  /**
+   * 요소 생성 (UIManager.createElement와 같은 방식)
+   * @param {string} tagName - 태그 이름
+   * @param {Object} props - 속성 (textContent, className, id 외에는 setAttribute)
+   * @param {Object} styles - 인라인 스타일
+   * @returns {HTMLElement} - 생성된 요소
+   */
+  function createElement(tagName, props = {}, styles = {}) {
+    const element = document.createElement(tagName);
+    
+    Object.entries(props).forEach(([key, value]) => {
+      switch (key) {
+        case 'textContent':
+          element.textContent = value;
+          break;
+        case 'className':
+          element.className = value;
+          break;
+        case 'id':
+          element.id = value;
+          break;
+        default:
+          element.setAttribute(key, value);
+          break;
+      }
+    });
+    
+    Object.assign(element.style, styles);
+    
+    return element;
+  }
+  
+  /**
+   * 기준 위치 근처에 카드 표시 (바깥 클릭이나 Esc로 닫힘)
+   * @param {string} id - 카드 요소 ID
+   * @param {DOMRect|null} anchorRect - 기준 위치 (선택 범위, 단어)
+   * @returns {HTMLElement} - 카드 요소
+   */
+  function showFloatingCard(id, anchorRect) {
+    hideFloatingCard(id);
+    
+    const card = createElement('div', { id, translate: 'no' }, {
+      position: 'fixed',
+      width: '320px',
+      maxHeight: '240px',
+      padding: '12px',
+      background: 'white',
+      color: '#333',
+      border: '1px solid #ddd',
+      borderRadius: '6px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.2)',
+      zIndex: '10000',
+      fontSize: '14px',
+      lineHeight: '1.5',
+      fontFamily: 'Arial, sans-serif',
+      textAlign: 'left',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      overflowY: 'auto'
+    });
+    
+    // 기준 위치 아래에 두고 화면 밖으로 나가지 않게 조정
+    const viewWidth = document.documentElement.clientWidth || window.innerWidth;
+    const viewHeight = document.documentElement.clientHeight || window.innerHeight;
+    const rect = anchorRect && (anchorRect.width || anchorRect.height) ? anchorRect : null;
+    const left = rect ? Math.min(Math.max(8, rect.left), viewWidth - 336) : viewWidth - 340;
+    const top = rect ? (rect.bottom + 248 < viewHeight ? rect.bottom + 8 : Math.max(8, rect.top - 248)) : 20;
+    card.style.left = `${Math.max(8, left)}px`;
+    card.style.top = `${top}px`;
+    
+    document.body.appendChild(card);
+    
+    const handleOutside = (event) => {
+      if (!card.contains(event.target)) hideFloatingCard(id);
+    };
+    const handleKeydown = (event) => {
+      if (event.key === 'Escape') hideFloatingCard(id);
+    };
+    floatingCardCleanups.set(id, () => {
+      document.removeEventListener('mousedown', handleOutside, true);
+      document.removeEventListener('keydown', handleKeydown, true);
+    });
+    document.addEventListener('mousedown', handleOutside, true);
+    document.addEventListener('keydown', handleKeydown, true);
+    
+    return card;
+  }
+  
+  /**
+   * 카드 닫기
+   * @param {string} id - 카드 요소 ID
+   */
+  function hideFloatingCard(id) {
+    const cleanup = floatingCardCleanups.get(id);
+    if (cleanup) {
+      cleanup();
+      floatingCardCleanups.delete(id);
+    }
+    
+    const card = document.getElementById(id);
+    if (card) {
+      card.remove();
+    }
+  }
+  
+  /**
+   * 카드 하단 버튼 생성
+   * @param {string} label - 버튼 텍스트
+   * @param {boolean} primary - 주 동작 버튼 여부
+   * @param {Function} onClick - 클릭 콜백
+   * @returns {HTMLElement} - 버튼 요소
+   */
+  function createCardButton(label, primary, onClick) {
+    const button = createElement('button', { type: 'button', textContent: label }, {
+      padding: '4px 12px',
+      border: primary ? 'none' : '1px solid #ccc',
+      borderRadius: '3px',
+      background: primary ? '#4CAF50' : 'white',
+      color: primary ? 'white' : '#333',
+      fontSize: '13px',
+      cursor: 'pointer'
+    });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  // ===== 선택 영역 번역 =====
+  
+  /**
+   * 선택 범위에 걸친 텍스트 노드 조각 수집 (요소 경계를 넘는 선택 포함)
+   * @param {Range} range - 선택 범위
+   * @returns {Array} - [{node, start, end, text}] 조각 배열 (문서 순서)
+   */
+  function collectSelectionSegments(range) {
+    const root = range.commonAncestorContainer.nodeType === Node.TEXT_NODE ?
+      range.commonAncestorContainer.parentNode : range.commonAncestorContainer;
+    
+    if (!root) {
+      return [];
+    }
+    
+    const segments = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: function(node) {
+        if (!range.intersectsNode(node) ||
+            hasParentMatching(node, `script, style, noscript, [${DOM_ATTRIBUTES.bilingualAttr}], #${SELECTION_CARD_ID}, #${LOOKUP_CARD_ID}, #${SITE_PROMPT_CARD_ID}`)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    
+    // 공통 조상이 텍스트 노드면 TreeWalker가 자신을 돌려주지 않으므로 직접 확인
+    const nodes = [];
+    if (range.commonAncestorContainer.nodeType === Node.TEXT_NODE) {
+      nodes.push(range.commonAncestorContainer);
+    } else {
+      let node;
+      while ((node = walker.nextNode())) {
+        nodes.push(node);
+      }
+    }
+    
+    nodes.forEach(node => {
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.data.length;
+      const text = node.data.slice(start, end);
+      
+      if (text.trim()) {
+        segments.push({ node, start, end, text });
+      }
+    });
+    
+    return segments;
+  }
+  
+  /**
+   * 현재 선택 영역 번역 후 카드로 표시
+   * 카드에는 문단 단위로 번역한 결과를 보여주고, 조각별 번역은 바꾸기를 누를 때만 요청한다.
+   * @param {string} fallbackText - 선택 범위를 읽을 수 없을 때 사용할 텍스트 (입력창, 프레임 등)
+   * @returns {Promise<Object>} - {count} 번역한 문단 수
+   */
+  async function translateSelection(fallbackText = '') {
+    const selection = window.getSelection();
+    const range = selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    
+    const segments = range && !range.collapsed ? collectSelectionSegments(range) : [];
+    const anchorRect = range ? range.getBoundingClientRect() : null;
+    
+    // 페이지 텍스트 노드가 아닌 선택 (input, textarea 등)은 텍스트만 번역하고 바꾸기는 지원하지 않음
+    const replaceable = segments.length > 0;
+    const blocks = replaceable ? groupSelectionBlocks(segments) :
+      [(fallbackText || (selection ? selection.toString() : '')).trim()].filter(Boolean);
+    
+    if (blocks.length === 0) {
+      throw new Error('선택된 텍스트가 없습니다.');
+    }
+    
+    if (!AppState.settings) {
+      await loadSettings();
+    }
+    
+    const card = showSelectionCard(anchorRect, '번역 중...');
+    
+    try {
+      // 페이지 번역과 같은 경로 (워커 세그먼트 캐시, 사용량 확인, 문체/용어집 적용)
+      const results = await translateBatch(blocks);
+      const text = blocks.map((block, index) => {
+        const result = results[index];
+        return result && result.translated ? result.translated : block;
+      }).join('\n');
+      
+      renderSelectionResult(card, text, replaceable ? segments : null);
+      
+      return { count: blocks.length };
+    } catch (error) {
+      setSelectionCardText(card, error.limitExceeded ?
+        '번역 한도를 초과했습니다.' : `번역 오류: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * 선택 조각을 문단 단위 텍스트로 묶기 (인라인 요소로 나뉜 문장을 한 번에 번역)
+   * @param {Array} segments - collectSelectionSegments 결과
+   * @returns {string[]} - 문단별 텍스트
+   */
+  function groupSelectionBlocks(segments) {
+    const blocks = [];
+    let previousBlock = null;
+    
+    segments.forEach(segment => {
+      const block = getBilingualBlock(segment.node);
+      if (blocks.length === 0 || block !== previousBlock) {
+        blocks.push('');
+      }
+      blocks[blocks.length - 1] += segment.text;
+      previousBlock = block;
+    });
+    
+    return blocks.map(text => text.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+  
+  /**
+   * 선택 조각을 하나씩 번역 (페이지 텍스트 교체용, 노드마다 번역문이 필요함)
+   * @param {Array} segments - collectSelectionSegments 결과
+   * @returns {Promise<Array>} - translated가 채워진 조각 배열
+   */
+  async function translateSelectionSegments(segments) {
+    const results = await translateBatch(segments.map(segment => segment.text.trim()));
+    
+    segments.forEach((segment, index) => {
+      const result = results[index];
+      const translated = result && result.translated ? result.translated : segment.text.trim();
+      // 조각 앞뒤 공백은 원문 그대로 유지 (단어 중간에서 나뉜 노드 보존)
+      const lead = segment.text.match(/^\s*/)[0];
+      const trail = segment.text.match(/\s*$/)[0];
+      segment.translated = lead + translated + trail;
+    });
+    
+    return segments;
+  }
+  
+  /**
+   * 선택 영역 조각을 번역문으로 교체 (원문 보기 전환에도 포함되도록 번역 항목으로 기록)
+   * @param {Array} segments - 번역된 조각 배열
+   * @returns {number} - 교체된 조각 수
+   */
+  function replaceSelectionSegments(segments) {
+    let count = 0;
+    
+    segments.forEach(segment => {
+      const node = segment.node;
+      if (!node || !node.isConnected) return;
+      
+      // 선택 범위 밖 텍스트는 별도 노드로 분리해 그대로 둠
+      if (segment.end < node.data.length) {
+        node.splitText(segment.end);
+      }
+      const target = segment.start > 0 ? node.splitText(segment.start) : node;
+      
+      if (applyTextEntry({ node: target, translated: segment.translated })) {
+        count++;
+      }
+    });
+    
+    window.getSelection().removeAllRanges();
+    console.log(`[${APP_NAME}] 선택 영역 ${count}개 조각 교체 완료`);
+    
+    return count;
+  }
+  
+  /**
+   * 선택 영역 근처에 번역 카드 표시
+   * @param {DOMRect|null} anchorRect - 선택 범위 위치
+   * @param {string} message - 초기 메시지
+   * @returns {HTMLElement} - 카드 요소
+   */
+  function showSelectionCard(anchorRect, message) {
+    const card = showFloatingCard(SELECTION_CARD_ID, anchorRect);
+    
+    card.appendChild(createElement('div', { className: 'tony-selection-text' }, {
+      whiteSpace: 'pre-wrap'
+    }));
+    setSelectionCardText(card, message);
+    
+    return card;
+  }
+  
+  /**
+   * 번역 카드 본문 텍스트 변경
+   * @param {Element} card - 카드 요소
+   * @param {string} text - 표시할 텍스트
+   */
+  function setSelectionCardText(card, text) {
+    const body = card.querySelector('.tony-selection-text');
+    if (body) {
+      body.textContent = text;
+    }
+  }
+  
+  /**
+   * 번역 결과와 복사/바꾸기 버튼 표시
+   * @param {Element} card - 카드 요소
+   * @param {string} text - 문단 단위 번역문
+   * @param {Array|null} segments - 교체할 페이지 텍스트 조각 (교체할 수 없는 선택이면 null)
+   */
+  function renderSelectionResult(card, text, segments) {
+    if (!card.isConnected) return;
+    
+    setSelectionCardText(card, text);
+    
+    const actions = createElement('div', {}, { display: 'flex', justifyContent: 'flex-end', gap: '6px' });
+    
+    const copyButton = createCardButton('복사', false, () => {
+      navigator.clipboard.writeText(text).then(() => {
+        copyButton.textContent = '복사됨';
+      }).catch(error => {
+        console.warn(`[${APP_NAME}] 클립보드 복사 오류:`, error);
+        copyButton.textContent = '복사 실패';
+      });
+    });
+    actions.appendChild(copyButton);
+    
+    // 원문 보기 중에는 교체해도 보이지 않으므로 복사만 제공
+    if (segments && AppState.displayMode !== 'original') {
+      const replaceButton = createCardButton('바꾸기', true, async () => {
+        replaceButton.disabled = true;
+        replaceButton.textContent = '바꾸는 중...';
+        
+        try {
+          replaceSelectionSegments(await translateSelectionSegments(segments));
+          hideFloatingCard(SELECTION_CARD_ID);
+        } catch (error) {
+          console.warn(`[${APP_NAME}] 선택 영역 교체 오류:`, error);
+          setSelectionCardText(card, error.limitExceeded ?
+            '번역 한도를 초과했습니다.' : `번역 오류: ${error.message}`);
+          replaceButton.remove();
+        }
+      });
+      actions.appendChild(replaceButton);
+    }
+    
+    actions.appendChild(createCardButton('닫기', false, () => hideFloatingCard(SELECTION_CARD_ID)));
+    
+    card.appendChild(actions);
+  }
+  
+  // ===== 용어 조회 (더블클릭, Alt+호버) =====
+  
+  // 조회할 용어 최대 길이 (이보다 긴 선택은 선택 영역 번역 사용)
+  const LOOKUP_MAX_TERM_LENGTH = 60;
+  
+  // Alt+호버 후 조회까지 대기 시간 (ms)
+  const LOOKUP_HOVER_DELAY = 400;
+  
+  // Alt+호버 상태
+  const LookupState = {
+    hoverTimer: null,
+    lastTerm: null,   // 마지막으로 조회한 용어 (같은 단어 위에서 반복 조회 방지)
+    requestId: 0      // 늦게 도착한 이전 조회 응답 무시용
+  };
+  
+  /**
+   * 용어 조회 사용 여부
+   * @returns {boolean} - 설정의 inlineLookup 값
+   */
+  function isLookupEnabled() {
+    return !!(AppState.settings && AppState.settings.inlineLookup);
+  }
+  
+  /**
+   * 텍스트 노드에서 용어가 들어 있는 문장 추출 (문단 요소 기준)
+   * @param {Node} node - 용어가 있는 텍스트 노드
+   * @param {string} term - 용어
+   * @returns {string} - 문장 (찾지 못하면 빈 문자열)
+   */
+  function getLookupContext(node, term) {
+    const block = node && node.nodeType === Node.TEXT_NODE ? getBilingualBlock(node) : null;
+    if (!block) {
+      return '';
+    }
+    
+    const text = block.textContent.replace(/\s+/g, ' ');
+    const index = text.indexOf(term);
+    if (index < 0) {
+      return text.slice(0, 300).trim();
+    }
+    
+    // 용어 앞뒤의 문장 부호까지를 한 문장으로 사용
+    const before = text.slice(0, index);
+    const after = text.slice(index + term.length);
+    const startMatch = before.match(/.*[.!?。！？]\s/);
+    const start = startMatch ? startMatch[0].length : 0;
+    const endMatch = after.match(/[.!?。！？]/);
+    const end = index + term.length + (endMatch ? endMatch.index + 1 : after.length);
+    
+    return text.slice(start, end).trim().slice(0, 300);
+  }
+  
+  /**
+   * 포인터 위치의 단어와 그 범위 찾기 (Alt+호버)
+   * @param {number} x - 클라이언트 X 좌표
+   * @param {number} y - 클라이언트 Y 좌표
+   * @returns {Object|null} - {term, node, rect} 또는 null
+   */
+  function getWordAtPoint(x, y) {
+    let node = null;
+    let offset = 0;
+    
+    if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(x, y);
+      if (position) {
+        node = position.offsetNode;
+        offset = position.offset;
+      }
+    } else if (document.caretRangeFromPoint) {
+      const range = document.caretRangeFromPoint(x, y);
+      if (range) {
+        node = range.startContainer;
+        offset = range.startOffset;
+      }
+    }
+    
+    if (!node || node.nodeType !== Node.TEXT_NODE ||
+        hasParentMatching(node, `script, style, noscript, [${DOM_ATTRIBUTES.bilingualAttr}], #${SELECTION_CARD_ID}, #${LOOKUP_CARD_ID}, #${SITE_PROMPT_CARD_ID}`)) {
+      return null;
+    }
+    
+    // 글자/숫자/하이픈/아포스트로피가 이어진 부분을 한 단어로 봄
+    const text = node.data;
+    const isWordChar = (char) => /[\p{L}\p{N}'’-]/u.test(char);
+    let start = offset;
+    let end = offset;
+    while (start > 0 && isWordChar(text[start - 1])) start--;
+    while (end < text.length && isWordChar(text[end])) end++;
+    
+    const term = text.slice(start, end).replace(/^['’-]+|['’-]+$/g, '');
+    if (!term || term.length > LOOKUP_MAX_TERM_LENGTH) {
+      return null;
+    }
+    
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    
+    return { term, node, rect: range.getBoundingClientRect() };
+  }
+  
+  /**
+   * 용어 조회 후 카드로 표시
+   * @param {string} term - 조회할 용어
+   * @param {string} context - 용어가 쓰인 문장
+   * @param {DOMRect|null} anchorRect - 카드 기준 위치
+   * @returns {Promise<Object|null>} - 조회 결과 (이후 조회에 밀려나면 null)
+   */
+  async function lookupTerm(term, context, anchorRect) {
+    const requestId = ++LookupState.requestId;
+    const card = showFloatingCard(LOOKUP_CARD_ID, anchorRect);
+    
+    card.appendChild(createElement('div', { textContent: term }, { fontWeight: 'bold' }));
+    const status = createElement('div', { textContent: '조회 중...' }, { color: '#666' });
+    card.appendChild(status);
+    
+    try {
+      const targetLang = (AppState.settings && AppState.settings.targetLang) || 'ko';
+      
+      // 백그라운드가 CacheManager로 캐시를 확인하고 워커 /lookup을 호출
+      const response = await sendMessageToBackground({
+        action: 'lookupTerm',
+        term,
+        context,
+        options: { targetLang }
+      });
+      
+      if (requestId !== LookupState.requestId || !card.isConnected) {
+        return null;
+      }
+      
+      status.remove();
+      renderLookupResult(card, response.result);
+      return response.result;
+    } catch (error) {
+      if (requestId === LookupState.requestId) {
+        status.textContent = `조회 오류: ${error.message}`;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * 조회 결과 표시 (품사, 번역, 뜻, 문맥 예문)
+   * @param {HTMLElement} card - 카드 요소
+   * @param {Object} result - {translation, partOfSpeech, definition, example, exampleTranslation}
+   */
+  function renderLookupResult(card, result) {
+    const title = card.firstChild;
+    if (result.partOfSpeech) {
+      title.appendChild(createElement('span', { textContent: ` ${result.partOfSpeech}` }, {
+        fontWeight: 'normal',
+        fontSize: '12px',
+        color: '#888'
+      }));
+    }
+    
+    card.appendChild(createElement('div', { textContent: result.translation }, {
+      fontSize: '16px',
+      color: '#1a5fb4'
+    }));
+    
+    if (result.definition) {
+      card.appendChild(createElement('div', { textContent: result.definition }));
+    }
+    
+    if (result.example) {
+      const example = createElement('div', {}, {
+        paddingLeft: '8px',
+        borderLeft: '2px solid #ddd',
+        fontSize: '13px'
+      });
+      example.appendChild(createElement('div', { textContent: result.example }, { fontStyle: 'italic' }));
+      if (result.exampleTranslation) {
+        example.appendChild(createElement('div', { textContent: result.exampleTranslation }, { color: '#666' }));
+      }
+      card.appendChild(example);
+    }
+  }
+  
+  /**
+   * 더블클릭한 단어 조회
+   * @param {MouseEvent} event - dblclick 이벤트
+   */
+  function handleLookupDoubleClick(event) {
+    if (!isLookupEnabled() || !(event.target instanceof Element) ||
+        event.target.closest(`#${SELECTION_CARD_ID}, #${LOOKUP_CARD_ID}, input, textarea, [contenteditable="true"]`)) {
+      return;
+    }
+    
+    const selection = window.getSelection();
+    const term = selection ? selection.toString().trim() : '';
+    if (!term || term.length > LOOKUP_MAX_TERM_LENGTH || selection.rangeCount === 0) {
+      return;
+    }
+    
+    const range = selection.getRangeAt(0);
+    LookupState.lastTerm = term;
+    lookupTerm(term, getLookupContext(range.startContainer, term), range.getBoundingClientRect())
+      .catch(error => console.warn(`[${APP_NAME}] 용어 조회 실패:`, error.message));
+  }
+  
+  /**
+   * Alt를 누른 채 단어 위에 잠시 머물면 조회
+   * @param {MouseEvent} event - mousemove 이벤트
+   */
+  function handleLookupHover(event) {
+    clearTimeout(LookupState.hoverTimer);
+    
+    if (!event.altKey || !isLookupEnabled()) {
+      LookupState.lastTerm = null;
+      return;
+    }
+    
+    const { clientX, clientY } = event;
+    LookupState.hoverTimer = setTimeout(() => {
+      const word = getWordAtPoint(clientX, clientY);
+      if (!word || word.term === LookupState.lastTerm) {
+        return;
+      }
+      
+      LookupState.lastTerm = word.term;
+      lookupTerm(word.term, getLookupContext(word.node, word.term), word.rect)
+        .catch(error => console.warn(`[${APP_NAME}] 용어 조회 실패:`, error.message));
+    }, LOOKUP_HOVER_DELAY);
+  }
+  
+  /**
+   * 용어 조회 이벤트 등록 (사용 여부는 이벤트마다 설정에서 확인)
+   */
+  function setupLookupHandlers() {
+    document.addEventListener('dblclick', handleLookupDoubleClick);
+    document.addEventListener('mousemove', handleLookupHover, { passive: true });
+  }
+  
+  // ===== 사이트 규칙 =====
+  
+  /**
+   * 사이트 규칙 저장 (팝업/옵션 페이지와 같은 storage 항목)
+   * @param {Object} rule - {mode, targetLang} 중 바꿀 값
+   * @returns {Promise<Object>} - 저장된 규칙
+   */
+  async function saveSiteRule(rule) {
+    const response = await sendMessageToBackground({ action: 'setSiteRule', url: location.href, rule });
+    AppState.siteRule = response.rule;
+    return response.rule;
+  }
+  
+  /**
+   * 자동 번역 여부 확인 카드 표시 (사이트 규칙이 '매번 묻기'일 때)
+   */
+  function showSitePrompt() {
+    const card = showFloatingCard(SITE_PROMPT_CARD_ID, null);
+    
+    card.appendChild(createElement('div', { textContent: `${location.hostname} 페이지를 번역할까요?` }));
+    
+    const actions = createElement('div', {}, { display: 'flex', justifyContent: 'flex-end', gap: '6px' });
+    const translateNow = () => {
+      hideFloatingCard(SITE_PROMPT_CARD_ID);
+      translatePage().catch(error => {
+        console.error(`[${APP_NAME}] 번역 오류:`, error);
+      });
+    };
+    
+    actions.appendChild(createCardButton('번역', true, translateNow));
+    actions.appendChild(createCardButton('항상 번역', false, () => {
+      saveSiteRule({ mode: 'always' }).catch(error => {
+        console.warn(`[${APP_NAME}] 사이트 규칙 저장 오류:`, error);
+      });
+      translateNow();
+    }));
+    actions.appendChild(createCardButton('번역 안 함', false, () => {
+      hideFloatingCard(SITE_PROMPT_CARD_ID);
+      saveSiteRule({ mode: 'never' }).catch(error => {
+        console.warn(`[${APP_NAME}] 사이트 규칙 저장 오류:`, error);
+      });
+    }));
+    
+    card.appendChild(actions);
+  }
+  
+  /**
+   * 팝업/옵션 페이지에서 바꾼 사이트 규칙 반영 (대상 언어 재정의)
+   */
+  function setupSiteRuleListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.siteRules && isExtensionContextValid()) {
+        loadSettings().catch(error => {
+          console.warn(`[${APP_NAME}] 사이트 규칙 반영 오류:`, error);
+        });
+      }
+    });
+  }
+  
   // ===== 이벤트 및 초기화 함수 =====
   
   /**
@@ -1165,10 +2493,85 @@
             });
             return true; // 비동기 응답을 위해 true 반환
             
+          case "prepareOffline":
+            // 오프라인 미리 번역 (백그라운드가 연 탭에서 전체 세그먼트 번역 후 스냅샷 저장)
+            prepareOfflineSnapshot().then(result => {
+              if (isExtensionContextValid()) {
+                sendResponse({ success: true, ...result });
+              }
+            }).catch(error => {
+              console.error(`[${APP_NAME}] 오프라인 번역 오류:`, error);
+              if (isExtensionContextValid()) {
+                sendResponse({ success: false, error: error.message || '알 수 없는 오류' });
+              }
+            });
+            return true; // 비동기 응답을 위해 true 반환
+            
+          case "getDetectedLanguage":
+            // 페이지 원문 언어 (팝업 표시용)
+            getDetectedLanguage().then(language => {
+              if (isExtensionContextValid()) {
+                sendResponse({ success: true, language });
+              }
+            }).catch(error => {
+              if (isExtensionContextValid()) {
+                sendResponse({ success: false, error: error.message || '알 수 없는 오류' });
+              }
+            });
+            return true; // 비동기 응답을 위해 true 반환
+            
+          case "translateSelection":
+            // 선택 영역만 번역 (컨텍스트 메뉴)
+            translateSelection(request.text).then(result => {
+              if (isExtensionContextValid()) {
+                sendResponse({ success: true, result });
+              }
+            }).catch(error => {
+              console.error(`[${APP_NAME}] 선택 영역 번역 오류:`, error);
+              if (isExtensionContextValid()) {
+                sendResponse({ success: false, error: error.message || '알 수 없는 오류' });
+              }
+            });
+            return true; // 비동기 응답을 위해 true 반환
+            
+          case "setDisplayMode":
+            // 표시 방식 전환 (번역 재요청 없음)
+            sendResponse({ success: true, count: setDisplayMode(request.mode) });
+            return true;
+
+          case "showStatus":
+            // 백그라운드 알림 표시 (단축키로 번역 언어 변경 등)
+            showTranslationStatus(request.message || '', true, true);
+            sendResponse({ success: true });
+            return true;
+
+          case "toggleOriginal":
+            // 원문 보기 ↔ 번역 보기 (기록해 둔 원문/번역문으로 즉시 전환)
+            sendResponse({
+              success: true,
+              mode: toggleOriginal(),
+              count: AppState.translatedEntries.length
+            });
+            return true;
+
+          case "getDisplayMode":
+            // 현재 표시 방식 (팝업 버튼 표시용)
+            sendResponse({
+              success: true,
+              mode: AppState.displayMode,
+              count: AppState.translatedEntries.length
+            });
+            return true;
+
           case "updateSettings":
             // 설정 업데이트
             if (request.settings) {
-              AppState.settings = request.settings;
+              AppState.settings = applySiteRule(request.settings);
+              applyStyleSettings(AppState.settings);
+              
+              if (request.settings.displayMode && request.settings.displayMode !== AppState.displayMode) {
+                setDisplayMode(request.settings.displayMode);
+              }
             }
             
             sendResponse({ success: true });
@@ -1207,9 +2610,12 @@
       const viewHeight = Math.max(document.documentElement.clientHeight, window.innerHeight);
       const viewWidth = Math.max(document.documentElement.clientWidth, window.innerWidth);
       
+      // 화면 밖 여백(rootMargin) 안에 있는 요소는 미리 번역
+      const margin = parseInt(AppState.settings?.rootMargin, 10) || 0;
+      
       // 화면 밖에 있는지 확인
-      if (rect.bottom < 0 || rect.top > viewHeight || 
-          rect.right < 0 || rect.left > viewWidth) {
+      if (rect.bottom < -margin || rect.top > viewHeight + margin || 
+          rect.right < -margin || rect.left > viewWidth + margin) {
         return false;
       }
       
@@ -1287,6 +2693,13 @@
       
       // 기존 번역 상태 초기화
       AppState.reset();
+      AppState.cacheStats = { hits: 0, misses: 0 };
+      
+      // 저장된 페이지 스냅샷이 있으면 화면 밖을 포함한 전체 번역을 먼저 한 번에 적용
+      const snapshot = await applyPageSnapshot();
+      if (snapshot.status === 'stale') {
+        showTranslationStatus("페이지 내용이 바뀌어 바뀐 부분만 새로 번역합니다...");
+      }
       
       // 화면에 보이는 요소들 가져오기
       const visibleElements = findVisibleElements();
@@ -1300,6 +2713,17 @@
         }
       });
       
+      // 스냅샷으로 화면의 번역을 모두 적용한 경우 (번역 요청 없음)
+      if (textNodes.length === 0 && snapshot.applied > 0) {
+        visibleElements.forEach(element => markElementAsTranslated(element));
+        showTranslationStatus(`저장된 번역 적용 완료! (${snapshot.applied}개)`, true, true);
+        setupScrollHandler();
+        
+        AppState.isTranslating = false;
+        safeDispatchEvent('dom:translating-state-changed', { isTranslating: false });
+        return "저장된 번역을 적용했습니다.";
+      }
+      
       if (textNodes.length === 0) {
         AppState.isTranslating = false;
         safeDispatchEvent('dom:translating-state-changed', { isTranslating: false });
@@ -1307,13 +2731,22 @@
         return "번역할 텍스트가 없습니다.";
       }
       
+      // 문서 맥락 요약 패스 (설정 시 모든 배치 프롬프트에 포함)
+      if (AppState.settings && AppState.settings.contextAware) {
+        showTranslationStatus("문서 맥락 파악 중...");
+        await prepareContextBrief();
+      } else {
+        AppState.contextBrief = null;
+        AppState.contextUrl = null;
+      }
+      
       showTranslationStatus("번역 진행 중...");
       
       // 텍스트 노드 처리
       await processTextNodes(textNodes, visibleElements);
       
       // 완료 메시지 표시
-      showTranslationStatus("번역 완료! 페이지 스크롤 시 추가 콘텐츠가 자동으로 번역됩니다.", true, true);
+      showTranslationStatus(`번역 완료!${formatCacheStats()} 페이지 스크롤 시 추가 콘텐츠가 자동으로 번역됩니다.`, true, true);
       
       // 스크롤 이벤트 리스너 설정 (화면에 새로운 요소가 나타나면 자동 번역)
       setupScrollHandler();
@@ -1336,6 +2769,17 @@
     }
   }
   
+  /**
+   * 워커 캐시 통계 표시 문자열 생성
+   * @returns {string} - " (캐시 적중 3/10)" 형식 문자열 또는 빈 문자열
+   */
+  function formatCacheStats() {
+    const { hits, misses } = AppState.cacheStats;
+    const total = hits + misses;
+    
+    return total > 0 ? ` (캐시 적중 ${hits}/${total})` : '';
+  }
+  
   /**
    * 스크롤 핸들러 설정 (화면에 새로운 요소가 나타나면 자동 번역)
    */
@@ -1397,13 +2841,28 @@
   function setupAutoTranslate() {
     try {
       const autoTranslateHandler = () => {
-        // 설정 로드
+        // 설정 로드 (사이트 규칙 포함)
         loadSettings().then(settings => {
-          if (settings && settings.autoTranslate) {
-            translatePage().catch(error => {
-              console.error(`[${APP_NAME}] 자동 번역 오류:`, error);
-            });
+          switch (AppState.siteRule.mode) {
+            case 'never':
+              console.log(`[${APP_NAME}] 사이트 규칙: 자동 번역 안 함`);
+              return;
+              
+            case 'ask':
+              showSitePrompt();
+              return;
+              
+            case 'always':
+              break;
+              
+            default:
+              // 사이트 규칙이 없으면 전역 설정 따름
+              if (!settings || !settings.autoTranslate) return;
           }
+          
+          translatePage().catch(error => {
+            console.error(`[${APP_NAME}] 자동 번역 오류:`, error);
+          });
         }).catch(error => {
           console.error(`[${APP_NAME}] 설정 로드 오류:`, error);
         });
@@ -1444,6 +2903,12 @@
       // 자동 번역 설정
       setupAutoTranslate();
       
+      // 더블클릭/Alt+호버 용어 조회
+      setupLookupHandlers();
+      
+      // 사이트 규칙 변경 반영
+      setupSiteRuleListener();
+      
       // 페이지 언로드 시 리소스 정리
       window.addEventListener('beforeunload', () => {
         try {
@@ -0,0 +1,167 @@
+// auth.js - 설치별 서명 토큰 발급/검증
+/**
+ * 확장 프로그램 설치마다 서버가 사용자 id를 발급하고 HMAC-SHA256으로 서명한 토큰을 준다.
+ * - 사용자 id는 설치 id(클라이언트가 설치 시 한 번 만든 값)를 서명 키로 HMAC한 값이라
+ *   토큰을 잃고 다시 등록해도 같은 사용자(같은 사용량)로 이어진다.
+ * - 형식: base64url(JSON payload) + '.' + base64url(서명)
+ * - payload: { sub: 사용자 id, iat: 발급 시각(초), v: 토큰 버전 }
+ * - 클라이언트는 Authorization: Bearer <token> 헤더로 전달
+ * - 발급 후 TOKEN_MAX_AGE가 지난 토큰은 거부 (클라이언트는 401을 받으면 같은 설치 id로 재등록)
+ *   유출된 토큰도 이 기간이 지나면 쓸 수 없고, TOKEN_SECRET을 바꾸면 모든 토큰이 즉시 무효가 된다.
+ *
+ * 구독 등급은 토큰이 아닌 KV 사용자 레코드에 저장하므로 등급 변경 시 재발급이 필요 없다.
+ *
+ * 환경 변수:
+ * - TOKEN_SECRET: 서명 키 (필수)
+ */
+
+const TOKEN_VERSION = 1;
+const TOKEN_MAX_AGE = 60 * 60 * 24 * 30; // 토큰 유효 기간 (초, 30일)
+const CLOCK_SKEW = 60; // 발급 시각 허용 오차 (초)
+
+/**
+ * 바이트 배열을 base64url 문자열로 변환
+ * @param {Uint8Array} bytes - 바이트 배열
+ * @returns {string} - base64url 문자열
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url 문자열을 바이트 배열로 변환
+ * @param {string} str - base64url 문자열
+ * @returns {Uint8Array} - 바이트 배열
+ */
+function fromBase64Url(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * 서명용 HMAC 키 가져오기
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @returns {Promise<CryptoKey>} - HMAC 키
+ */
+function getSigningKey(env) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.TOKEN_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * 토큰 발급 가능 여부 (서명 키 설정 확인)
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @returns {boolean} - 설정 여부
+ */
+function isAuthConfigured(env) {
+  return typeof env.TOKEN_SECRET === 'string' && env.TOKEN_SECRET.length > 0;
+}
+
+/**
+ * 설치 id에서 사용자 id 만들기 (같은 설치는 항상 같은 id)
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} installId - 설치 id
+ * @returns {Promise<string>} - 사용자 id
+ */
+async function deriveUserId(env, installId) {
+  const key = await getSigningKey(env);
+  const digest = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`install:${installId}`));
+
+  return toBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * 사용자 토큰 발급
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} userId - 사용자 id
+ * @returns {Promise<string>} - 서명된 토큰
+ */
+async function issueToken(env, userId) {
+  const payload = {
+    sub: userId,
+    iat: Math.floor(Date.now() / 1000),
+    v: TOKEN_VERSION
+  };
+
+  const encodedPayload = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  const key = await getSigningKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(encodedPayload));
+
+  return `${encodedPayload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * 토큰 서명과 유효 기간 검증
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} token - 검증할 토큰
+ * @returns {Promise<Object|null>} - 유효하면 payload, 아니면 null
+ */
+async function verifyToken(env, token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+
+  const [encodedPayload, encodedSignature] = token.split('.');
+
+  try {
+    const key = await getSigningKey(env);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(encodedSignature),
+      new TextEncoder().encode(encodedPayload)
+    );
+
+    if (!valid) {
+      return null;
+    }
+
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(encodedPayload)));
+
+    if (payload.v !== TOKEN_VERSION || typeof payload.sub !== 'string' || !payload.sub) {
+      return null;
+    }
+
+    // 만료된 토큰 거부 (발급 시각이 없거나 미래인 토큰도 거부)
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isInteger(payload.iat) || payload.iat > now + CLOCK_SKEW || now - payload.iat > TOKEN_MAX_AGE) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    return null; // 손상된 토큰
+  }
+}
+
+/**
+ * Authorization 헤더에서 Bearer 토큰 추출
+ * @param {Request} request - 클라이언트 요청 객체
+ * @returns {string|null} - 토큰 또는 null
+ */
+function getBearerToken(request) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+
+  return match ? match[1] : null;
+}
+
+export {
+  isAuthConfigured,
+  deriveUserId,
+  issueToken,
+  verifyToken,
+  getBearerToken
+};
@@ -0,0 +1,193 @@
+// context-brief.js - 문서 맥락 요약(브리프) 생성
+/**
+ * 페이지를 번역하기 전에 제목, 제목 요소(h1~h3), 요약 개요를 읽고
+ * 주제/분야/어조/용어를 짧은 브리프로 정리한다.
+ * 이후 모든 배치 프롬프트에 브리프를 포함해 "Run", "Save", "Issues" 같은
+ * 짧은 UI 문자열도 페이지 성격(코드 호스팅, 뉴스, 쇼핑몰 등)에 맞게 번역되도록 한다.
+ *
+ * 브리프는 서버에 저장하지 않고 클라이언트가 이후 요청의 context 필드로 다시 보낸다.
+ * 클라이언트 값이므로 프롬프트에 넣기 전에 normalizeBrief로 형식과 길이를 제한한다.
+ */
+
+import { getLanguageLabel, parseJsonText } from './translation-protocol.js';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_HEADINGS = 30;
+const MAX_HEADING_LENGTH = 120;
+const MAX_OUTLINE_LENGTH = 2000;
+const MAX_TERMS = 20;
+const MAX_FIELD_LENGTH = 200;
+
+// 브리프 응답 JSON 스키마
+const CONTEXT_SCHEMA = {
+  type: 'object',
+  properties: {
+    topic: { type: 'string' },
+    domain: { type: 'string' },
+    tone: { type: 'string' },
+    terms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          term: { type: 'string' },
+          translation: { type: 'string' }
+        },
+        required: ['term', 'translation'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['topic', 'domain', 'tone', 'terms'],
+  additionalProperties: false
+};
+
+/**
+ * 문자열 길이 제한
+ * @param {*} value - 입력 값
+ * @param {number} maxLength - 최대 길이
+ * @returns {string} - 잘린 문자열 (문자열이 아니면 빈 문자열)
+ */
+function clip(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * 페이지 정보 검증 및 정리
+ * @param {Object} page - {title, headings, outline}
+ * @returns {Object|null} - 정리된 페이지 정보 또는 null
+ */
+function normalizePage(page) {
+  if (!page || typeof page !== 'object') {
+    return null;
+  }
+
+  const normalized = {
+    title: clip(page.title, MAX_TITLE_LENGTH),
+    headings: Array.isArray(page.headings) ?
+      page.headings.map(heading => clip(heading, MAX_HEADING_LENGTH)).filter(Boolean).slice(0, MAX_HEADINGS) : [],
+    outline: clip(page.outline, MAX_OUTLINE_LENGTH)
+  };
+
+  if (!normalized.title && normalized.headings.length === 0 && !normalized.outline) {
+    return null;
+  }
+
+  return normalized;
+}
+
+/**
+ * 브리프 검증 및 정리 (요청의 context 필드에도 사용)
+ * @param {Object} brief - {topic, domain, tone, terms}
+ * @returns {Object|null} - 정리된 브리프 또는 null
+ */
+function normalizeBrief(brief) {
+  if (!brief || typeof brief !== 'object') {
+    return null;
+  }
+
+  const normalized = {
+    topic: clip(brief.topic, MAX_FIELD_LENGTH),
+    domain: clip(brief.domain, MAX_FIELD_LENGTH),
+    tone: clip(brief.tone, MAX_FIELD_LENGTH),
+    terms: Array.isArray(brief.terms) ?
+      brief.terms
+        .filter(item => item && typeof item.term === 'string' && typeof item.translation === 'string')
+        .map(item => ({ term: clip(item.term, 80), translation: clip(item.translation, 80) }))
+        .filter(item => item.term && item.translation)
+        .slice(0, MAX_TERMS) : []
+  };
+
+  if (!normalized.topic && !normalized.domain && !normalized.tone && normalized.terms.length === 0) {
+    return null;
+  }
+
+  return normalized;
+}
+
+/**
+ * 프롬프트에 넣을 브리프 텍스트 생성 (캐시 키에도 사용)
+ * @param {Object|null} brief - 정리된 브리프
+ * @returns {string} - 브리프 텍스트 (없으면 빈 문자열)
+ */
+function formatBrief(brief) {
+  if (!brief) {
+    return '';
+  }
+
+  const lines = [];
+  if (brief.topic) lines.push(`주제: ${brief.topic}`);
+  if (brief.domain) lines.push(`분야: ${brief.domain}`);
+  if (brief.tone) lines.push(`어조: ${brief.tone}`);
+  if (brief.terms.length > 0) {
+    lines.push(`용어: ${brief.terms.map(item => `${item.term} → ${item.translation}`).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 브리프 생성 프롬프트 구성
+ * @param {Object} page - 정리된 페이지 정보
+ * @param {string} targetLang - 대상 언어
+ * @returns {string} - 프롬프트 텍스트
+ */
+function buildContextPrompt(page, targetLang) {
+  return `다음은 번역할 웹페이지의 제목, 제목 요소, 요약 개요입니다.
+이 페이지를 ${getLanguageLabel(targetLang)}로 번역하는 번역가에게 줄 짧은 브리프를 작성해주세요.
+- topic: 페이지 주제 (한 문장)
+- domain: 사이트/문서 분야 (예: 코드 호스팅, 뉴스, 쇼핑몰, 기술 문서)
+- tone: 원문의 어조와 번역 시 유지할 문체
+- terms: 이 분야에서 일관되게 번역해야 할 용어와 권장 번역 (최대 ${MAX_TERMS}개)
+응답은 {"topic": "...", "domain": "...", "tone": "...", "terms": [{"term": "...", "translation": "..."}]} 형식의 JSON만 반환해주세요.
+
+${JSON.stringify(page)}`;
+}
+
+/**
+ * 페이지 정보로 맥락 브리프 생성
+ * - LLM 제공자는 모델로 브리프 생성
+ * - 기계 번역 제공자는 제목/제목 요소를 그대로 주제로 사용
+ * @param {Object} provider - 제공자 객체
+ * @param {Object} page - 정리된 페이지 정보
+ * @param {string} targetLang - 대상 언어
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @returns {Promise<Object>} - {brief, tokensUsed}
+ */
+async function generateContextBrief(provider, page, targetLang, env) {
+  if (provider.kind !== 'llm') {
+    return {
+      brief: normalizeBrief({
+        topic: [page.title, ...page.headings.slice(0, 5)].filter(Boolean).join(' / '),
+        domain: '',
+        tone: '',
+        terms: []
+      }),
+      tokensUsed: 0
+    };
+  }
+
+  let tokensUsed = 0;
+  const rawText = await provider.generate({
+    prompt: buildContextPrompt(page, targetLang),
+    schema: CONTEXT_SCHEMA,
+    segments: [],
+    page,
+    targetLang,
+    reportUsage: (tokens) => {
+      tokensUsed += tokens;
+    }
+  }, env);
+
+  // 형식이 잘못된 브리프는 사용하지 않음 (parseJsonText는 null 반환)
+  const parsed = parseJsonText(rawText);
+
+  return { brief: normalizeBrief(parsed), tokensUsed };
+}
+
+export {
+  normalizePage,
+  normalizeBrief,
+  formatBrief,
+  generateContextBrief
+};
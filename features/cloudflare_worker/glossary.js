@@ -0,0 +1,164 @@
+// glossary.js - 사용자 용어집 적용 및 검증
+/**
+ * 클라이언트가 보낸 용어집을 프롬프트에 넣고, 번역 결과가 용어집을 지켰는지 확인한다.
+ * - terms: [{source, target, caseSensitive}] 원문 용어 → 고정 번역
+ * - doNotTranslate: [{term, caseSensitive}] 번역하지 않고 원문 그대로 둘 용어
+ *
+ * 용어집은 클라이언트 값이므로 normalizeGlossary로 형식과 개수를 제한한 뒤 사용한다.
+ * 세그먼트 캐시 키에는 그 세그먼트에 실제로 등장하는 용어만 포함해,
+ * 용어집을 수정하면 관련 세그먼트만 다시 번역된다.
+ */
+
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+
+/**
+ * 정규식 특수 문자 이스케이프
+ * @param {string} text - 원본 문자열
+ * @returns {string} - 이스케이프된 문자열
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 텍스트에 용어가 포함되어 있는지 확인
+ * 영문/숫자로 시작하거나 끝나는 용어는 단어 경계를 확인 ("PR"이 "PRice"에 걸리지 않도록)
+ * @param {string} text - 검사할 텍스트
+ * @param {string} term - 용어
+ * @param {boolean} caseSensitive - 대소문자 구분 여부
+ * @returns {boolean} - 포함 여부
+ */
+function containsTerm(text, term, caseSensitive) {
+  if (!text || !term) {
+    return false;
+  }
+
+  const start = /^[A-Za-z0-9]/.test(term) ? '(?<![A-Za-z0-9])' : '';
+  const end = /[A-Za-z0-9]$/.test(term) ? '(?![A-Za-z0-9])' : '';
+
+  return new RegExp(`${start}${escapeRegExp(term)}${end}`, caseSensitive ? '' : 'i').test(text);
+}
+
+/**
+ * 용어 문자열 정리
+ * @param {*} value - 입력 값
+ * @returns {string} - 정리된 문자열 (문자열이 아니면 빈 문자열)
+ */
+function clipTerm(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TERM_LENGTH) : '';
+}
+
+/**
+ * 용어집 검증 및 정리
+ * @param {Object} glossary - {terms, doNotTranslate}
+ * @returns {Object|null} - 정리된 용어집 또는 null (적용할 항목이 없는 경우)
+ */
+function normalizeGlossary(glossary) {
+  if (!glossary || typeof glossary !== 'object') {
+    return null;
+  }
+
+  const terms = Array.isArray(glossary.terms) ?
+    glossary.terms
+      .filter(item => item && typeof item === 'object')
+      .map(item => ({
+        source: clipTerm(item.source),
+        target: clipTerm(item.target),
+        caseSensitive: item.caseSensitive === true
+      }))
+      .filter(item => item.source && item.target)
+      .slice(0, MAX_TERMS) : [];
+
+  const doNotTranslate = Array.isArray(glossary.doNotTranslate) ?
+    glossary.doNotTranslate
+      .filter(item => item && typeof item === 'object')
+      .map(item => ({
+        term: clipTerm(item.term),
+        caseSensitive: item.caseSensitive === true
+      }))
+      .filter(item => item.term)
+      .slice(0, MAX_TERMS) : [];
+
+  if (terms.length === 0 && doNotTranslate.length === 0) {
+    return null;
+  }
+
+  return { terms, doNotTranslate };
+}
+
+/**
+ * 텍스트 배열에 등장하는 용어만 선택
+ * @param {Object|null} glossary - 정리된 용어집
+ * @param {string[]} texts - 원문 텍스트 배열
+ * @returns {Object|null} - 선택된 용어집 또는 null
+ */
+function selectGlossaryForTexts(glossary, texts) {
+  if (!glossary) {
+    return null;
+  }
+
+  const appears = (term, caseSensitive) => texts.some(text => containsTerm(text, term, caseSensitive));
+  const selected = {
+    terms: glossary.terms.filter(item => appears(item.source, item.caseSensitive)),
+    doNotTranslate: glossary.doNotTranslate.filter(item => appears(item.term, item.caseSensitive))
+  };
+
+  return selected.terms.length > 0 || selected.doNotTranslate.length > 0 ? selected : null;
+}
+
+/**
+ * 프롬프트에 넣을 용어집 텍스트 생성
+ * @param {Object|null} glossary - 선택된 용어집
+ * @returns {string} - 용어집 텍스트 (없으면 빈 문자열)
+ */
+function formatGlossary(glossary) {
+  if (!glossary) {
+    return '';
+  }
+
+  const lines = [
+    ...glossary.terms.map(item => `- ${JSON.stringify(item.source)} → ${JSON.stringify(item.target)}`),
+    ...glossary.doNotTranslate.map(item => `- ${JSON.stringify(item.term)} → 번역하지 말고 원문 그대로 유지`)
+  ];
+
+  return lines.join('\n');
+}
+
+/**
+ * 번역 결과의 용어집 위반 항목 찾기
+ * @param {Object|null} glossary - 정리된 용어집
+ * @param {string} sourceText - 원문 세그먼트
+ * @param {string} translatedText - 번역된 세그먼트
+ * @returns {string[]} - 위반한 원문 용어 목록
+ */
+function findGlossaryViolations(glossary, sourceText, translatedText) {
+  if (!glossary) {
+    return [];
+  }
+
+  const violations = [];
+
+  glossary.terms.forEach(item => {
+    if (containsTerm(sourceText, item.source, item.caseSensitive) &&
+        !containsTerm(translatedText, item.target, true)) {
+      violations.push(item.source);
+    }
+  });
+
+  glossary.doNotTranslate.forEach(item => {
+    if (containsTerm(sourceText, item.term, item.caseSensitive) &&
+        !containsTerm(translatedText, item.term, item.caseSensitive)) {
+      violations.push(item.term);
+    }
+  });
+
+  return violations;
+}
+
+export {
+  normalizeGlossary,
+  selectGlossaryForTexts,
+  formatGlossary,
+  findGlossaryViolations
+};
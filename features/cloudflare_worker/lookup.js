@@ -0,0 +1,155 @@
+// lookup.js - 단어/구 사전식 조회
+/**
+ * 페이지 전체가 아니라 용어 하나만 확인하고 싶을 때 사용하는 사전식 조회.
+ * 더블클릭하거나 Alt를 누른 채 가리킨 단어와 그 단어가 들어 있는 문장을 받아
+ * 문맥에 맞는 번역, 품사, 예문(원문 문장)과 예문 번역을 돌려준다.
+ *
+ * - LLM 제공자는 사전 항목 형식의 프롬프트로 생성
+ * - 기계 번역 제공자는 용어와 문장을 각각 번역하고 품사는 비워 둔다
+ */
+
+import { getLanguageLabel, parseJsonText } from './translation-protocol.js';
+
+const MAX_TERM_LENGTH = 100;
+const MAX_CONTEXT_LENGTH = 500;
+const MAX_FIELD_LENGTH = 300;
+
+// 조회 응답 JSON 스키마
+const LOOKUP_SCHEMA = {
+  type: 'object',
+  properties: {
+    translation: { type: 'string' },
+    partOfSpeech: { type: 'string' },
+    definition: { type: 'string' },
+    example: { type: 'string' },
+    exampleTranslation: { type: 'string' }
+  },
+  required: ['translation', 'partOfSpeech', 'definition', 'example', 'exampleTranslation'],
+  additionalProperties: false
+};
+
+/**
+ * 문자열 길이 제한
+ * @param {*} value - 입력 값
+ * @param {number} maxLength - 최대 길이
+ * @returns {string} - 잘린 문자열 (문자열이 아니면 빈 문자열)
+ */
+function clip(value, maxLength) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').slice(0, maxLength) : '';
+}
+
+/**
+ * 조회 요청 검증 및 정리
+ * @param {Object} requestData - {term, context}
+ * @returns {Object|null} - {term, context} 또는 null
+ */
+function normalizeLookupRequest(requestData) {
+  if (!requestData || typeof requestData !== 'object') {
+    return null;
+  }
+
+  const term = clip(requestData.term, MAX_TERM_LENGTH);
+  if (!term) {
+    return null;
+  }
+
+  return {
+    term,
+    context: clip(requestData.context, MAX_CONTEXT_LENGTH)
+  };
+}
+
+/**
+ * 모델 응답 검증 및 정리
+ * @param {Object} result - 모델이 반환한 조회 결과
+ * @returns {Object|null} - 정리된 결과 또는 null
+ */
+function normalizeLookupResult(result) {
+  if (!result || typeof result !== 'object') {
+    return null;
+  }
+
+  const normalized = {
+    translation: clip(result.translation, MAX_FIELD_LENGTH),
+    partOfSpeech: clip(result.partOfSpeech, 40),
+    definition: clip(result.definition, MAX_FIELD_LENGTH),
+    example: clip(result.example, MAX_CONTEXT_LENGTH),
+    exampleTranslation: clip(result.exampleTranslation, MAX_CONTEXT_LENGTH)
+  };
+
+  return normalized.translation ? normalized : null;
+}
+
+/**
+ * 사전식 조회 프롬프트 구성
+ * @param {Object} lookup - 정리된 조회 요청
+ * @param {string} targetLang - 대상 언어
+ * @param {string} sourceLang - 원문 언어 코드 (없으면 빈 문자열)
+ * @returns {string} - 프롬프트 텍스트
+ */
+function buildLookupPrompt(lookup, targetLang, sourceLang) {
+  const languageName = getLanguageLabel(targetLang);
+  const sourceNote = sourceLang ? `\n원문 언어: ${getLanguageLabel(sourceLang)}` : '';
+
+  return `당신은 ${languageName} 사용자를 위한 이중 언어 사전입니다.
+아래 문장(context)에 쓰인 용어(term)의 뜻을 문맥에 맞게 설명해주세요.${sourceNote}
+- translation: 이 문맥에서의 ${languageName} 번역 (짧은 표제어 형태)
+- partOfSpeech: 품사 (${languageName}로, 예: 명사, 동사, 형용사, 관용구)
+- definition: 이 문맥에서의 뜻을 ${languageName}로 한 문장 설명
+- example: 용어가 쓰인 원문 예문 (context가 있으면 그 문장을 그대로, 없으면 짧은 예문 작성)
+- exampleTranslation: example의 ${languageName} 번역
+응답은 {"translation": "...", "partOfSpeech": "...", "definition": "...", "example": "...", "exampleTranslation": "..."} 형식의 JSON만 반환해주세요.
+
+${JSON.stringify(lookup)}`;
+}
+
+/**
+ * 용어 사전식 조회
+ * @param {Object} provider - 제공자 객체
+ * @param {Object} lookup - 정리된 조회 요청
+ * @param {string} targetLang - 대상 언어
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Object} options - {sourceLang}
+ * @returns {Promise<Object>} - {result, tokensUsed}
+ */
+async function generateLookup(provider, lookup, targetLang, env, options = {}) {
+  const sourceLang = options.sourceLang || '';
+
+  if (provider.kind !== 'llm') {
+    const texts = lookup.context ? [lookup.term, lookup.context] : [lookup.term];
+    const translations = await provider.translate(texts, targetLang, env, { sourceLang });
+
+    return {
+      result: normalizeLookupResult({
+        translation: translations[0],
+        partOfSpeech: '',
+        definition: '',
+        example: lookup.context,
+        exampleTranslation: translations[1] || ''
+      }),
+      tokensUsed: 0
+    };
+  }
+
+  let tokensUsed = 0;
+  const rawText = await provider.generate({
+    prompt: buildLookupPrompt(lookup, targetLang, sourceLang),
+    schema: LOOKUP_SCHEMA,
+    segments: [],
+    lookup,
+    targetLang,
+    reportUsage: (tokens) => {
+      tokensUsed += tokens;
+    }
+  }, env);
+
+  // 형식이 잘못된 응답은 조회 실패로 처리 (parseJsonText는 null 반환)
+  const parsed = parseJsonText(rawText);
+
+  return { result: normalizeLookupResult(parsed), tokensUsed };
+}
+
+export {
+  normalizeLookupRequest,
+  generateLookup
+};
@@ -0,0 +1,664 @@
+// providers.js - 번역 제공자(백엔드) 모음
+/**
+ * 워커의 `/` POST 계약을 여러 번역 백엔드로 처리하기 위한 제공자 정의
+ * - gemini: Google Gemini generateContent
+ * - openai: OpenAI 호환 chat/completions 엔드포인트
+ * - deepl: DeepL 스타일 REST API
+ * - libretranslate: LibreTranslate 스타일 로컬 서버
+ * - mock: 네트워크 없이 동작하는 테스트용 제공자
+ *
+ * 제공자는 두 종류로 나뉜다:
+ * - kind 'llm': generate({prompt, schema, segments, targetLang, reportUsage[, page]}, env) → 모델 응답 텍스트
+ *   (JSON 번역 프로토콜은 translation-protocol.js에서 처리, 실제 사용 토큰은 reportUsage로 전달)
+ * - kind 'mt': translate(texts, targetLang, env, options) → 입력과 같은 길이의 번역 배열
+ *   (options.contextText: 문서 맥락 브리프, options.register: 문체 프리셋 - 지원하는 API만 사용,
+ *    options.sourceLang: 원문 언어 코드 - 없거나 API가 지원하지 않는 언어면 자동 감지)
+ * 공통: { name, kind, getModel(env), isConfigured(env) }
+ * 선택: generateStream(request, env, onChunk) - 모델 출력 텍스트를 조각 단위로 전달
+ *
+ * 환경 변수:
+ * - TRANSLATION_PROVIDER: 기본 제공자 (기본값 gemini)
+ * - ALLOWED_PROVIDERS: 요청의 provider 필드로 선택 가능한 제공자 목록 (쉼표 구분)
+ *   없으면 TRANSLATION_PROVIDER만 선택 가능 (테스트용 mock은 두 변수 중 하나에 직접 적어야 사용 가능)
+ * - GEMINI_API_KEY, GEMINI_MODEL
+ * - OPENAI_API_KEY, OPENAI_API_ENDPOINT, OPENAI_MODEL
+ * - DEEPL_API_KEY, DEEPL_API_ENDPOINT
+ * - LIBRETRANSLATE_ENDPOINT, LIBRETRANSLATE_API_KEY
+ * - LIBRETRANSLATE_SOURCE_LANGS: 서버에 설치된 원문 언어 목록 (쉼표 구분, 없으면 기본 목록)
+ */
+
+import { TRANSLATION_SCHEMA, translateWithJsonProtocol } from './translation-protocol.js';
+import { getDeepLFormality } from './register-presets.js';
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const GEMINI_API_BASE = "https://generativelanguage.googleapis.com/v1beta/models";
+const GEMINI_DEFAULT_MODEL = "gemini-1.5-flash";
+const OPENAI_DEFAULT_ENDPOINT = "https://api.openai.com/v1/chat/completions";
+const OPENAI_DEFAULT_MODEL = "gpt-4o-mini";
+const DEEPL_DEFAULT_ENDPOINT = "https://api-free.deepl.com/v2/translate";
+const LIBRETRANSLATE_DEFAULT_ENDPOINT = "http://localhost:5000/translate";
+
+// DeepL source_lang으로 지정할 수 있는 언어 (그 외 언어를 보내면 요청 전체가 실패하므로 자동 감지 사용)
+const DEEPL_SOURCE_LANGS = [
+  'ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'hu', 'id', 'it', 'ja', 'ko',
+  'lt', 'lv', 'nb', 'nl', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sv', 'tr', 'uk', 'zh'
+];
+
+// LibreTranslate 기본 원문 언어 목록 (서버마다 설치된 언어 모델이 다름)
+const LIBRETRANSLATE_SOURCE_LANGS = [
+  'ar', 'cs', 'da', 'de', 'el', 'en', 'es', 'fi', 'fr', 'hi', 'hu', 'id', 'it', 'ja', 'ko',
+  'nl', 'pl', 'pt', 'ru', 'sv', 'th', 'tr', 'uk', 'vi', 'zh'
+];
+
+/**
+ * Gemini responseSchema 형식으로 JSON 스키마 변환
+ * (타입 이름을 대문자로 바꾸고 additionalProperties 제거)
+ * @param {Object} schema - JSON 스키마
+ * @returns {Object} - Gemini 스키마
+ */
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([key, value]) => {
+      converted.properties[key] = toGeminiSchema(value);
+    });
+  }
+
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+
+  if (schema.required) {
+    converted.required = [...schema.required];
+  }
+
+  return converted;
+}
+
+/**
+ * 제공자 API 오류 생성 (HTTP 상태 코드 보존)
+ * @param {string} providerName - 제공자 이름
+ * @param {Response} response - 실패한 응답
+ * @returns {Promise<Error>} - status 속성을 가진 오류 객체
+ */
+async function createApiError(providerName, response) {
+  let message = response.statusText;
+
+  try {
+    const errorData = await response.json();
+    message = errorData.error?.message || errorData.message || errorData.error || message;
+  } catch (e) {
+    // JSON이 아닌 오류 응답은 상태 텍스트 사용
+  }
+
+  const error = new Error(`${providerName} API 오류: ${message}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * 기계 번역 API에 보낼 원문 언어 코드 (지원 목록에 없으면 빈 문자열 = 자동 감지)
+ * @param {string} sourceLang - 클라이언트가 감지한 원문 언어 코드 (zh-TW 등 지역 코드 포함 가능)
+ * @param {string[]} supported - API가 지원하는 언어 코드 목록 (소문자, 지역 코드 없음)
+ * @returns {string} - 지역 코드를 뺀 언어 코드 또는 빈 문자열
+ */
+function getSupportedSourceLang(sourceLang, supported) {
+  const lang = typeof sourceLang === 'string' ? sourceLang.split('-')[0].toLowerCase() : '';
+  return supported.includes(lang) ? lang : '';
+}
+
+/**
+ * 쉼표로 구분한 환경 변수 목록 파싱
+ * @param {string} value - 환경 변수 값
+ * @param {string[]} fallback - 값이 없을 때 사용할 목록
+ * @returns {string[]} - 소문자 항목 배열
+ */
+function parseListSetting(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+
+  return value
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * 모델이 알려준 실제 사용 토큰 수 전달
+ * @param {Object} request - 제공자 요청 (reportUsage 콜백 포함 가능)
+ * @param {number} tokens - 사용 토큰 수
+ */
+function reportUsage(request, tokens) {
+  if (typeof request.reportUsage === 'function' && typeof tokens === 'number' && tokens > 0) {
+    request.reportUsage(tokens);
+  }
+}
+
+/**
+ * SSE(text/event-stream) 응답 본문을 읽어 data 페이로드를 순서대로 전달
+ * @param {Response} response - 스트리밍 응답
+ * @param {Function} onData - data 문자열 콜백
+ * @returns {Promise<void>}
+ */
+async function readServerSentEvents(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+
+      if (line.startsWith('data:')) {
+        onData(line.slice(5).trim());
+      }
+    }
+  }
+
+  const rest = buffer.trim();
+  if (rest.startsWith('data:')) {
+    onData(rest.slice(5).trim());
+  }
+}
+
+/**
+ * Gemini 요청 본문 구성
+ * @param {Object} request - {prompt, schema}
+ * @returns {Object} - generateContent 요청 본문
+ */
+function buildGeminiBody(request) {
+  return {
+    contents: [{
+      parts: [{
+        text: request.prompt
+      }]
+    }],
+    generationConfig: {
+      temperature: 0.1,
+      topP: 0.95,
+      topK: 40,
+      maxOutputTokens: 8192,
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(request.schema || TRANSLATION_SCHEMA)
+    }
+  };
+}
+
+/**
+ * OpenAI 호환 요청 본문 구성
+ * @param {Object} request - {prompt, schema}
+ * @param {string} model - 모델 이름
+ * @param {boolean} stream - 스트리밍 여부
+ * @returns {Object} - chat/completions 요청 본문
+ */
+function buildOpenAIBody(request, model, stream = false) {
+  return {
+    model,
+    temperature: 0.1,
+    stream,
+    // 스트리밍 시 마지막 청크에 사용량 포함
+    ...(stream ? { stream_options: { include_usage: true } } : {}),
+    messages: [{
+      role: 'user',
+      content: request.prompt
+    }],
+    response_format: {
+      type: 'json_schema',
+      json_schema: {
+        name: 'translations',
+        strict: true,
+        schema: request.schema || TRANSLATION_SCHEMA
+      }
+    }
+  };
+}
+
+/**
+ * Gemini 제공자
+ */
+const geminiProvider = {
+  name: 'gemini',
+  kind: 'llm',
+
+  getModel(env) {
+    return env.GEMINI_MODEL || GEMINI_DEFAULT_MODEL;
+  },
+
+  isConfigured(env) {
+    return !!env.GEMINI_API_KEY;
+  },
+
+  async generate(request, env) {
+    const endpoint = `${GEMINI_API_BASE}/${this.getModel(env)}:generateContent`;
+
+    const response = await fetch(`${endpoint}?key=${env.GEMINI_API_KEY}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(buildGeminiBody(request))
+    });
+
+    if (!response.ok) {
+      throw await createApiError('Gemini', response);
+    }
+
+    const geminiData = await response.json();
+    reportUsage(request, geminiData.usageMetadata?.totalTokenCount);
+
+    // 응답 텍스트 추출
+    if (geminiData.candidates &&
+        geminiData.candidates.length > 0 &&
+        geminiData.candidates[0].content &&
+        geminiData.candidates[0].content.parts) {
+      return geminiData.candidates[0].content.parts[0].text;
+    }
+
+    throw new Error("Gemini API에서 유효한 응답을 받지 못했습니다.");
+  },
+
+  async generateStream(request, env, onChunk) {
+    const endpoint = `${GEMINI_API_BASE}/${this.getModel(env)}:streamGenerateContent`;
+
+    const response = await fetch(`${endpoint}?alt=sse&key=${env.GEMINI_API_KEY}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(buildGeminiBody(request))
+    });
+
+    if (!response.ok) {
+      throw await createApiError('Gemini', response);
+    }
+
+    // usageMetadata는 청크마다 누적값으로 전달되므로 마지막 값 사용
+    let totalTokens = 0;
+
+    await readServerSentEvents(response, data => {
+      try {
+        const chunk = JSON.parse(data);
+        const text = chunk.candidates?.[0]?.content?.parts?.[0]?.text;
+
+        if (chunk.usageMetadata?.totalTokenCount) {
+          totalTokens = chunk.usageMetadata.totalTokenCount;
+        }
+
+        if (text) {
+          onChunk(text);
+        }
+      } catch (e) {
+        // 불완전한 이벤트 무시
+      }
+    });
+
+    reportUsage(request, totalTokens);
+  }
+};
+
+/**
+ * OpenAI 호환 chat/completions 제공자
+ */
+const openaiProvider = {
+  name: 'openai',
+  kind: 'llm',
+
+  getModel(env) {
+    return env.OPENAI_MODEL || OPENAI_DEFAULT_MODEL;
+  },
+
+  isConfigured(env) {
+    return !!env.OPENAI_API_KEY;
+  },
+
+  async generate(request, env) {
+    const response = await fetch(env.OPENAI_API_ENDPOINT || OPENAI_DEFAULT_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${env.OPENAI_API_KEY}`
+      },
+      body: JSON.stringify(buildOpenAIBody(request, this.getModel(env)))
+    });
+
+    if (!response.ok) {
+      throw await createApiError('OpenAI', response);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    reportUsage(request, data.usage?.total_tokens);
+
+    if (typeof content !== 'string') {
+      throw new Error("OpenAI 호환 API에서 유효한 응답을 받지 못했습니다.");
+    }
+
+    return content;
+  },
+
+  async generateStream(request, env, onChunk) {
+    const response = await fetch(env.OPENAI_API_ENDPOINT || OPENAI_DEFAULT_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${env.OPENAI_API_KEY}`
+      },
+      body: JSON.stringify(buildOpenAIBody(request, this.getModel(env), true))
+    });
+
+    if (!response.ok) {
+      throw await createApiError('OpenAI', response);
+    }
+
+    await readServerSentEvents(response, data => {
+      if (data === '[DONE]') {
+        return;
+      }
+
+      try {
+        const chunk = JSON.parse(data);
+        const text = chunk.choices?.[0]?.delta?.content;
+
+        if (chunk.usage) {
+          reportUsage(request, chunk.usage.total_tokens);
+        }
+
+        if (text) {
+          onChunk(text);
+        }
+      } catch (e) {
+        // 불완전한 이벤트 무시
+      }
+    });
+  }
+};
+
+/**
+ * DeepL 스타일 REST 제공자
+ */
+const deeplProvider = {
+  name: 'deepl',
+  kind: 'mt',
+
+  getModel(env) {
+    return 'deepl';
+  },
+
+  isConfigured(env) {
+    return !!env.DEEPL_API_KEY;
+  },
+
+  async translate(texts, targetLang, env, options = {}) {
+    const body = {
+      text: texts,
+      target_lang: targetLang.toUpperCase()
+    };
+
+    // DeepL source_lang은 지역 코드 없이 사용 (zh-TW → ZH), 지원하지 않는 언어는 자동 감지
+    const sourceLang = getSupportedSourceLang(options.sourceLang, DEEPL_SOURCE_LANGS);
+    if (sourceLang) {
+      body.source_lang = sourceLang.toUpperCase();
+    }
+
+    // DeepL context 파라미터: 번역 대상은 아니지만 어휘 선택에 참고됨
+    if (options.contextText) {
+      body.context = options.contextText;
+    }
+
+    // DeepL formality 파라미터: prefer_* 값은 지원하지 않는 언어에서 무시됨
+    const formality = getDeepLFormality(options.register);
+    if (formality) {
+      body.formality = formality;
+    }
+
+    const response = await fetch(env.DEEPL_API_ENDPOINT || DEEPL_DEFAULT_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `DeepL-Auth-Key ${env.DEEPL_API_KEY}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw await createApiError('DeepL', response);
+    }
+
+    const data = await response.json();
+
+    if (!Array.isArray(data.translations)) {
+      throw new Error("DeepL API에서 유효한 응답을 받지 못했습니다.");
+    }
+
+    // DeepL은 입력 순서대로 결과를 반환
+    return texts.map((text, index) =>
+      (data.translations[index] && data.translations[index].text) || text
+    );
+  }
+};
+
+/**
+ * LibreTranslate 스타일 로컬 제공자
+ */
+const libretranslateProvider = {
+  name: 'libretranslate',
+  kind: 'mt',
+
+  getModel(env) {
+    return 'libretranslate';
+  },
+
+  isConfigured(env) {
+    return true; // 로컬 서버는 API 키 없이 동작 가능
+  },
+
+  async translate(texts, targetLang, env, options = {}) {
+    const supported = parseListSetting(env.LIBRETRANSLATE_SOURCE_LANGS, LIBRETRANSLATE_SOURCE_LANGS);
+    const sourceLang = getSupportedSourceLang(options.sourceLang, supported);
+
+    const response = await fetch(env.LIBRETRANSLATE_ENDPOINT || LIBRETRANSLATE_DEFAULT_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        q: texts,
+        source: sourceLang || 'auto',
+        target: targetLang,
+        format: 'text',
+        api_key: env.LIBRETRANSLATE_API_KEY || undefined
+      })
+    });
+
+    if (!response.ok) {
+      throw await createApiError('LibreTranslate', response);
+    }
+
+    const data = await response.json();
+    const translated = data.translatedText;
+
+    // 배열 입력 시 배열, 단일 입력 시 문자열 반환
+    if (Array.isArray(translated)) {
+      return texts.map((text, index) => translated[index] || text);
+    }
+
+    if (typeof translated === 'string' && texts.length === 1) {
+      return [translated];
+    }
+
+    throw new Error("LibreTranslate API에서 유효한 응답을 받지 못했습니다.");
+  }
+};
+
+/**
+ * 오프라인 테스트용 mock 제공자 (네트워크 호출 없음)
+ * JSON 프로토콜 경로를 그대로 거치도록 LLM 형태로 동작
+ */
+const mockProvider = {
+  name: 'mock',
+  kind: 'llm',
+
+  getModel(env) {
+    return 'mock';
+  },
+
+  isConfigured(env) {
+    return true;
+  },
+
+  async generate(request) {
+    // 맥락 브리프 요청은 페이지 제목을 주제로 사용
+    if (request.page) {
+      return JSON.stringify({
+        topic: request.page.title || '(mock)',
+        domain: 'mock',
+        tone: 'neutral',
+        terms: []
+      });
+    }
+
+    // 사전식 조회 요청은 용어와 문장을 그대로 사용
+    if (request.lookup) {
+      return JSON.stringify({
+        translation: `[${request.targetLang}] ${request.lookup.term}`,
+        partOfSpeech: 'mock',
+        definition: '',
+        example: request.lookup.context,
+        exampleTranslation: request.lookup.context ? `[${request.targetLang}] ${request.lookup.context}` : ''
+      });
+    }
+
+    return JSON.stringify({
+      translations: request.segments.map(segment => ({
+        id: segment.id,
+        text: `[${request.targetLang}] ${segment.text}`
+      }))
+    });
+  },
+
+  async generateStream(request, env, onChunk) {
+    // 실제 스트리밍처럼 작은 조각으로 나누어 전달
+    const text = await this.generate(request);
+
+    for (let i = 0; i < text.length; i += 16) {
+      onChunk(text.slice(i, i + 16));
+    }
+  }
+};
+
+// 제공자 레지스트리
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  deepl: deeplProvider,
+  libretranslate: libretranslateProvider,
+  mock: mockProvider
+};
+
+/**
+ * 요청과 환경 설정에 따라 사용할 제공자 이름 결정
+ * - 요청의 provider 필드가 우선 (ALLOWED_PROVIDERS로 제한 가능)
+ * - 없으면 env.TRANSLATION_PROVIDER, 그 다음 기본값
+ * @param {Object} requestData - 요청 데이터
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @returns {string} - 제공자 이름
+ */
+function resolveProviderName(requestData, env) {
+  const requested = requestData && typeof requestData.provider === 'string' ?
+    requestData.provider.trim().toLowerCase() : '';
+
+  if (requested && isProviderAllowed(requested, env)) {
+    return requested;
+  }
+
+  return (env.TRANSLATION_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+}
+
+/**
+ * 요청에서 제공자를 선택할 수 있는지 확인
+ * @param {string} name - 제공자 이름
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @returns {boolean} - 허용 여부
+ */
+function isProviderAllowed(name, env) {
+  // 설정이 없으면 기본 제공자만 허용 (mock 등 다른 제공자로 바꿔 요청할 수 없음)
+  if (!env.ALLOWED_PROVIDERS) {
+    return name === (env.TRANSLATION_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  }
+
+  return env.ALLOWED_PROVIDERS
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .includes(name);
+}
+
+/**
+ * 이름으로 제공자 가져오기
+ * @param {string} name - 제공자 이름
+ * @returns {Object|null} - 제공자 객체 또는 null
+ */
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+/**
+ * 제공자 종류에 맞는 방식으로 텍스트 배열 번역
+ * @param {Object} provider - 제공자 객체
+ * @param {string[]} texts - 번역할 텍스트 배열
+ * @param {string} targetLang - 대상 언어
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Object} options - 번역 옵션 (선택적)
+ * @param {Function|null} options.onSegment - 세그먼트 완료 시 (id, text) 콜백
+ * @param {string} options.contextText - 문서 맥락 브리프 텍스트
+ * @param {Object|null} options.glossary - 용어집 (LLM 제공자만 프롬프트 적용 및 검증)
+ * @param {string} options.register - 문체 프리셋 이름 (LLM 제공자와 DeepL만 적용)
+ * @param {string} options.sourceLang - 모든 텍스트의 원문 언어 코드 (없으면 제공자가 자동 감지)
+ * @param {Array<Object|null>} options.references - 텍스트별 참고 번역 (LLM 제공자만 프롬프트에 포함)
+ * @returns {Promise<Object>} - {translations: string[], untranslatedIds: number[], tokensUsed: number}
+ */
+async function translateWithProvider(provider, texts, targetLang, env, options = {}) {
+  const { onSegment = null } = options;
+
+  if (provider.kind === 'llm') {
+    return await translateWithJsonProtocol(provider, texts, targetLang, env, options);
+  }
+
+  // 기계 번역 API는 입력 순서대로 결과를 반환 (한 번에 전달)
+  const translations = await provider.translate(texts, targetLang, env, options);
+
+  if (onSegment) {
+    translations.forEach((text, id) => onSegment(id, text));
+  }
+
+  // 기계 번역 API는 토큰 사용량을 알려주지 않음 (호출 측에서 추정)
+  return { translations, untranslatedIds: [], tokensUsed: 0 };
+}
+
+/**
+ * 등록된 제공자 이름 목록
+ * @returns {string[]} - 제공자 이름 배열
+ */
+function getProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+export {
+  getProvider,
+  getProviderNames,
+  resolveProviderName,
+  translateWithProvider
+};
@@ -0,0 +1,149 @@
+// quota.js - 사용자별 월간 토큰 사용량 집계
+/**
+ * 사용량을 서버(KV)에서 집계해 클라이언트 chrome.storage 조작으로 한도를 우회할 수 없게 한다.
+ * - user:<id>           → { tier, createdAt } 사용자 레코드 (등급 변경은 이 레코드를 수정)
+ * - usage:<id>:<YYYY-MM> → 이번 달 사용 토큰 수
+ *
+ * 한도는 확장 프로그램의 APP_CONFIG.subscriptionLimits와 같은 값을 사용한다.
+ * KV 쓰기는 원자적이지 않아 동시 요청 시 약간의 오차가 생길 수 있다.
+ *
+ * KV 바인딩:
+ * - USAGE: 사용자 레코드와 월간 사용량 (없으면 한도를 적용하지 않음)
+ */
+
+// 구독 등급별 월간 토큰 한도 (config.js APP_CONFIG.subscriptionLimits와 동일하게 유지)
+const SUBSCRIPTION_LIMITS = {
+  FREE: 15000,
+  BASIC: 100000
+};
+
+const USAGE_TTL = 60 * 60 * 24 * 62; // 월간 사용량 보관 기간 (약 2개월)
+
+/**
+ * 현재 월 문자열 (UTC 기준)
+ * @returns {string} - YYYY-MM 형식
+ */
+function getCurrentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * 사용자 레코드 생성
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} userId - 사용자 id
+ * @returns {Promise<Object>} - 사용자 레코드
+ */
+async function createUser(env, userId) {
+  const user = {
+    tier: 'FREE',
+    createdAt: new Date().toISOString()
+  };
+
+  if (env.USAGE) {
+    await env.USAGE.put(`user:${userId}`, JSON.stringify(user));
+  }
+
+  return user;
+}
+
+/**
+ * 사용자 레코드 조회
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} userId - 사용자 id
+ * @returns {Promise<Object|null>} - 사용자 레코드 (없으면 null)
+ */
+async function getUser(env, userId) {
+  if (!env.USAGE) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(await env.USAGE.get(`user:${userId}`) || 'null');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 사용자 구독 등급 조회
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} userId - 사용자 id
+ * @returns {Promise<string>} - 구독 등급 (FREE, BASIC)
+ */
+async function getUserTier(env, userId) {
+  if (!env.USAGE) {
+    return 'FREE';
+  }
+
+  const user = await getUser(env, userId);
+  return user && SUBSCRIPTION_LIMITS[user.tier] ? user.tier : 'FREE';
+}
+
+/**
+ * 사용자 할당량 조회
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} userId - 사용자 id
+ * @returns {Promise<Object>} - {tier, limit, used, remaining, month}
+ */
+async function getQuota(env, userId) {
+  const month = getCurrentMonth();
+  const tier = await getUserTier(env, userId);
+  const limit = SUBSCRIPTION_LIMITS[tier];
+  const used = env.USAGE ?
+    parseInt(await env.USAGE.get(`usage:${userId}:${month}`) || '0', 10) || 0 : 0;
+
+  return {
+    tier,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    month
+  };
+}
+
+/**
+ * 사용 토큰 기록
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} userId - 사용자 id
+ * @param {number} tokens - 사용한 토큰 수
+ * @returns {Promise<Object>} - 갱신된 할당량
+ */
+async function recordUsage(env, userId, tokens) {
+  const quota = await getQuota(env, userId);
+
+  if (!env.USAGE || !(tokens > 0)) {
+    return quota;
+  }
+
+  const used = quota.used + Math.ceil(tokens);
+  await env.USAGE.put(`usage:${userId}:${quota.month}`, used.toString(), {expirationTtl: USAGE_TTL});
+
+  return {
+    ...quota,
+    used,
+    remaining: Math.max(0, quota.limit - used)
+  };
+}
+
+/**
+ * 토큰 수 추정 (제공자가 실제 사용량을 알려주지 않는 경우)
+ * 확장 프로그램의 UsageManager.estimateTokens와 같은 방식
+ * @param {string[]} texts - 텍스트 배열
+ * @returns {number} - 예상 토큰 수
+ */
+function estimateTokens(texts) {
+  // 영어 기준 1단어 = 약 1.3 토큰
+  const wordCount = texts.reduce((count, text) => count + text.split(/\s+/).length, 0);
+
+  // 토큰 수 추정 및 10% 버퍼 추가
+  return Math.ceil(wordCount * 1.3 * 1.1);
+}
+
+export {
+  SUBSCRIPTION_LIMITS,
+  createUser,
+  getUser,
+  getQuota,
+  recordUsage,
+  estimateTokens
+};
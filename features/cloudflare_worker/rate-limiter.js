@@ -0,0 +1,157 @@
+// rate-limiter.js - 슬라이딩 윈도우 속도 제한
+/**
+ * 최근 windowMs 동안의 요청 시각을 기록해 한도를 넘으면 거부하는 슬라이딩 윈도우 로그 방식
+ * - 고정 TTL 카운터와 달리 윈도우 경계에서 버스트가 통과하지 않고,
+ *   꾸준히 요청하는 사용자도 가장 오래된 요청이 윈도우를 벗어나면 다시 허용된다.
+ * - 거부 시 다음 요청이 허용되는 시각을 계산해 Retry-After로 알려준다.
+ *
+ * 저장소:
+ * - RATE_LIMITER (Durable Object 바인딩): 키별 객체가 요청을 순차 처리하므로 원자적
+ *   wrangler.toml 예: [[durable_objects.bindings]] name = "RATE_LIMITER", class_name = "RateLimiterDurableObject"
+ * - 바인딩이 없으면 isolate 메모리 저장소 사용 (로컬 개발/테스트용, 인스턴스 간 공유되지 않음)
+ */
+
+/**
+ * 슬라이딩 윈도우 검사 (요청 시각 배열을 갱신)
+ * @param {number[]} timestamps - 이전 요청 시각 배열 (ms, 오름차순)
+ * @param {number} now - 현재 시각 (ms)
+ * @param {number} limit - 윈도우당 최대 요청 수
+ * @param {number} windowMs - 윈도우 길이 (ms)
+ * @returns {Object} - {timestamps, result: {allowed, limit, remaining, resetAt, retryAfter}}
+ */
+function applySlidingWindow(timestamps, now, limit, windowMs) {
+  // 윈도우를 벗어난 요청 제거
+  const recent = timestamps.filter(time => time > now - windowMs);
+  const allowed = recent.length < limit;
+
+  if (allowed) {
+    recent.push(now);
+  }
+
+  // 가장 오래된 요청이 윈도우를 벗어나는 시각에 한 자리가 비게 됨
+  const resetAt = recent.length > 0 ? recent[0] + windowMs : now;
+
+  return {
+    timestamps: recent,
+    result: {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - recent.length),
+      resetAt,
+      retryAfter: allowed ? 0 : Math.max(1, Math.ceil((resetAt - now) / 1000))
+    }
+  };
+}
+
+/**
+ * 메모리 기반 저장소 생성 (테스트/로컬 개발용)
+ * @returns {Object} - {check(key, limit, windowMs)} 저장소
+ */
+function createMemoryStore() {
+  const windows = new Map();
+
+  return {
+    async check(key, limit, windowMs) {
+      const { timestamps, result } = applySlidingWindow(windows.get(key) || [], Date.now(), limit, windowMs);
+
+      if (timestamps.length > 0) {
+        windows.set(key, timestamps);
+      } else {
+        windows.delete(key);
+      }
+
+      return result;
+    }
+  };
+}
+
+/**
+ * Durable Object 기반 저장소 생성
+ * @param {DurableObjectNamespace} namespace - RATE_LIMITER 바인딩
+ * @returns {Object} - {check(key, limit, windowMs)} 저장소
+ */
+function createDurableObjectStore(namespace) {
+  return {
+    async check(key, limit, windowMs) {
+      const stub = namespace.get(namespace.idFromName(key));
+      const response = await stub.fetch('https://rate-limiter/check', {
+        method: 'POST',
+        body: JSON.stringify({ limit, windowMs })
+      });
+
+      return await response.json();
+    }
+  };
+}
+
+/**
+ * 키별 요청 시각을 보관하는 Durable Object
+ * 객체 하나가 요청을 순서대로 처리하므로 조회-갱신이 원자적으로 이루어진다.
+ */
+class RateLimiterDurableObject {
+  constructor(state, env) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { limit, windowMs } = await request.json();
+    const stored = await this.state.storage.get('timestamps') || [];
+    const { timestamps, result } = applySlidingWindow(stored, Date.now(), limit, windowMs);
+
+    await this.state.storage.put('timestamps', timestamps);
+
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// 바인딩이 없을 때 사용할 isolate 메모리 저장소
+const memoryStore = createMemoryStore();
+
+/**
+ * 환경에 맞는 속도 제한 저장소 선택
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @returns {Object} - {check(key, limit, windowMs)} 저장소
+ */
+function getRateLimitStore(env) {
+  return env.RATE_LIMITER ? createDurableObjectStore(env.RATE_LIMITER) : memoryStore;
+}
+
+/**
+ * 속도 제한 검사
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {string} key - 제한 단위 키 (사용자 id, IP 등)
+ * @param {number} limit - 윈도우당 최대 요청 수
+ * @param {number} windowMs - 윈도우 길이 (ms)
+ * @returns {Promise<Object>} - {allowed, limit, remaining, resetAt, retryAfter}
+ */
+async function checkRateLimit(env, key, limit, windowMs) {
+  return await getRateLimitStore(env).check(key, limit, windowMs);
+}
+
+/**
+ * 속도 제한 응답 헤더 생성
+ * @param {Object} result - checkRateLimit 결과
+ * @returns {Object} - X-RateLimit-* (및 거부 시 Retry-After) 헤더
+ */
+function getRateLimitHeaders(result) {
+  const headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000))
+  };
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retryAfter);
+  }
+
+  return headers;
+}
+
+export {
+  RateLimiterDurableObject,
+  createMemoryStore,
+  checkRateLimit,
+  getRateLimitHeaders
+};
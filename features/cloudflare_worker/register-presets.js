@@ -0,0 +1,87 @@
+// register-presets.js - 번역 문체(격식) 프리셋
+/**
+ * 같은 페이지의 배치마다 반말/존댓말이 섞이지 않도록 문체를 고정하는 프리셋
+ * - formal: 격식체 (공문, 공지, 계약 문서)
+ * - polite: 부드러운 존댓말 (일반 웹 콘텐츠)
+ * - casual: 반말/구어체 (커뮤니티, 채팅)
+ * - technical: 기술 문서체 (벤더 문서, API 레퍼런스)
+ *
+ * 언어별 지침이 있으면 그것을, 없으면 공통 지침을 프롬프트에 넣는다.
+ * 기계 번역 제공자는 deeplFormality 값을 DeepL formality 파라미터로 사용한다.
+ */
+
+const REGISTER_PRESETS = {
+  formal: {
+    instruction: '격식 있는 문체로 모든 세그먼트를 일관되게 번역해주세요.',
+    languages: {
+      ko: '합쇼체(-습니다, -습니까, -십시오)로 모든 세그먼트를 일관되게 번역해주세요. 해요체나 반말을 섞지 마세요.',
+      ja: '丁寧語(です・ます調)を基本に、必要に応じて尊敬語・謙譲語を使い、すべてのセグメントで統一してください。'
+    },
+    deeplFormality: 'prefer_more'
+  },
+  polite: {
+    instruction: '정중하지만 딱딱하지 않은 문체로 모든 세그먼트를 일관되게 번역해주세요.',
+    languages: {
+      ko: '해요체(-해요, -세요)로 모든 세그먼트를 일관되게 번역해주세요. 합쇼체나 반말을 섞지 마세요.',
+      ja: 'です・ます調で、すべてのセグメントを統一してください。'
+    },
+    deeplFormality: 'prefer_more'
+  },
+  casual: {
+    instruction: '친근한 구어체로 모든 세그먼트를 일관되게 번역해주세요.',
+    languages: {
+      ko: '반말(해체: -해, -야, -지)로 모든 세그먼트를 일관되게 번역해주세요. 존댓말을 섞지 마세요.',
+      ja: '普通体(だ・である調ではなく、くだけた話し言葉)で、すべてのセグメントを統一してください。'
+    },
+    deeplFormality: 'prefer_less'
+  },
+  technical: {
+    instruction: '기술 문서 문체로 번역해주세요. 간결한 평서문을 사용하고, 업계 표준 용어와 코드/명령어/식별자는 그대로 유지해주세요.',
+    languages: {
+      ko: '기술 문서체로 번역해주세요. 설명은 합쇼체(-합니다)로, 절차 안내는 "-하십시오" 대신 "-합니다"로 통일하고, 업계 표준 용어와 코드/명령어/식별자는 그대로 유지해주세요.',
+      ja: '技術文書の文体(です・ます調)で統一し、業界標準の用語やコード・コマンド・識別子はそのまま残してください。'
+    },
+    deeplFormality: 'prefer_more'
+  }
+};
+
+/**
+ * 요청의 문체 값 검증
+ * @param {*} register - 요청의 register 필드
+ * @returns {string} - 프리셋 이름 (알 수 없는 값이면 빈 문자열 = 기본 문체)
+ */
+function normalizeRegister(register) {
+  return typeof register === 'string' && REGISTER_PRESETS[register] ? register : '';
+}
+
+/**
+ * 대상 언어에 맞는 문체 지침 텍스트
+ * @param {string} register - 프리셋 이름
+ * @param {string} targetLang - 대상 언어 코드
+ * @returns {string} - 지침 텍스트 (기본 문체면 빈 문자열)
+ */
+function getRegisterInstruction(register, targetLang) {
+  const preset = REGISTER_PRESETS[register];
+  if (!preset) {
+    return '';
+  }
+
+  return preset.languages[targetLang] || preset.instruction;
+}
+
+/**
+ * DeepL formality 파라미터 값
+ * @param {string} register - 프리셋 이름
+ * @returns {string|null} - formality 값 또는 null
+ */
+function getDeepLFormality(register) {
+  const preset = REGISTER_PRESETS[register];
+  return preset ? preset.deeplFormality : null;
+}
+
+export {
+  REGISTER_PRESETS,
+  normalizeRegister,
+  getRegisterInstruction,
+  getDeepLFormality
+};
@@ -0,0 +1,120 @@
+// segment-cache.js - 세그먼트 단위 번역 캐시
+/**
+ * 배치 전체가 아닌 세그먼트 하나하나를 KV(TRANSLATION_CACHE)에 저장
+ * - 키: SHA-256(provider, model, 프롬프트 버전, 대상 언어, 원문[, 원문 언어][, 참고 번역][, 문체 프리셋][, 문서 맥락 브리프][, 이 원문에 등장하는 용어집 항목])
+ * - 값: 번역 텍스트
+ * 배치 구성이 조금 달라도 이미 번역된 세그먼트는 재사용되고,
+ * 해시 충돌로 다른 페이지의 번역이 반환되는 일이 없다.
+ */
+
+import { PROMPT_VERSION } from './translation-protocol.js';
+import { selectGlossaryForTexts } from './glossary.js';
+
+const CACHE_TTL = 60 * 60 * 24 * 30; // 캐시 유효 기간 (30일)
+const KEY_PREFIX = 'seg:';
+
+/**
+ * 문자열의 SHA-256 16진수 다이제스트 계산 (WebCrypto)
+ * @param {string} str - 해시할 문자열
+ * @returns {Promise<string>} - 16진수 다이제스트
+ */
+async function sha256Hex(str) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * 세그먼트 캐시 키 생성
+ * @param {Object} scope - {provider, model, targetLang, register, context, glossary}
+ * @param {string} text - 원문 세그먼트
+ * @param {string} sourceLang - 이 세그먼트의 원문 언어 코드 (없으면 빈 문자열)
+ * @param {Object|null} reference - 이 세그먼트의 참고 번역 {source, translation} (선택적)
+ * @returns {Promise<string>} - 캐시 키
+ */
+async function computeSegmentKey(scope, text, sourceLang = '', reference = null) {
+  const parts = [scope.provider, scope.model, PROMPT_VERSION, scope.targetLang, text];
+
+  // 원문 언어가 프롬프트/요청에 들어가므로 언어를 지정한 번역은 별도 저장
+  if (sourceLang) {
+    parts.push(`source:${sourceLang}`);
+  }
+
+  // 참고 번역도 프롬프트에 들어가므로 별도 저장
+  if (reference) {
+    parts.push(`reference:${reference.source}`, reference.translation);
+  }
+
+  // 문체가 다르면 같은 원문이라도 번역이 다르므로 별도 저장 (기본 문체는 기존 키 유지)
+  if (scope.register) {
+    parts.push(`register:${scope.register}`);
+  }
+
+  // 맥락 브리프가 있으면 같은 원문이라도 별도 번역으로 저장 (없을 때는 기존 키 유지)
+  if (scope.context) {
+    parts.push(scope.context);
+  }
+
+  // 이 세그먼트에 등장하는 용어만 키에 포함 (관련 없는 용어집 수정으로 캐시가 무효화되지 않도록)
+  const glossary = selectGlossaryForTexts(scope.glossary, [text]);
+  if (glossary) {
+    parts.push(glossary);
+  }
+
+  // 구분자 충돌이 없도록 배열을 JSON으로 직렬화해 해시
+  return KEY_PREFIX + await sha256Hex(JSON.stringify(parts));
+}
+
+/**
+ * 세그먼트 캐시 조회
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Object} scope - {provider, model, targetLang, register, context, glossary}
+ * @param {string[]} texts - 원문 세그먼트 배열
+ * @param {string[]} sourceLangs - 세그먼트별 원문 언어 코드 (선택적)
+ * @param {Array<Object|null>} references - 세그먼트별 참고 번역 (선택적)
+ * @returns {Promise<Object>} - {keys: string[], hits: Map<number, string>}
+ */
+async function lookupSegments(env, scope, texts, sourceLangs = [], references = []) {
+  const keys = await Promise.all(texts.map((text, index) =>
+    computeSegmentKey(scope, text, sourceLangs[index], references[index])));
+  const hits = new Map();
+
+  // KV 네임스페이스가 없으면 모두 미스
+  if (!env.TRANSLATION_CACHE) {
+    return { keys, hits };
+  }
+
+  const values = await Promise.all(keys.map(key => env.TRANSLATION_CACHE.get(key)));
+
+  values.forEach((value, index) => {
+    if (typeof value === 'string' && value !== '') {
+      hits.set(index, value);
+    }
+  });
+
+  return { keys, hits };
+}
+
+/**
+ * 번역된 세그먼트 캐시 저장
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Array<{key: string, text: string}>} entries - 저장할 항목
+ * @returns {Promise<void>}
+ */
+async function storeSegments(env, entries) {
+  if (!env.TRANSLATION_CACHE || entries.length === 0) {
+    return;
+  }
+
+  await Promise.all(entries.map(entry =>
+    env.TRANSLATION_CACHE.put(entry.key, entry.text, {expirationTtl: CACHE_TTL})
+  ));
+}
+
+export {
+  computeSegmentKey,
+  lookupSegments,
+  storeSegments
+};
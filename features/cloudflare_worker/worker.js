@@ -1,19 +1,59 @@
 // worker.js - 리팩토링 버전
 /**
- * Gemini API를 프록시하는 Cloudflare Worker
+ * 번역 API를 프록시하는 Cloudflare Worker
  * - API 키 보호
- * - 캐싱으로 중복 요청 감소
- * - 속도 제한으로 API 남용 방지
+ * - 설치별 서명 토큰 인증 (POST /register {installId}로 발급, Authorization: Bearer 헤더로 전달)
+ *   같은 설치 id로 다시 등록하면 기존 사용자(사용량, 등급)의 토큰을 새로 발급
+ *   토큰은 30일 후 만료되며, 새 사용자 생성은 재발급보다 엄격하게 IP별로 제한
+ * - 사용자별 월간 토큰 사용량 집계 및 구독 등급 한도 적용 (모든 응답에 quota 포함)
+ *   요청의 예상 토큰 수가 남은 한도보다 많으면 제공자를 호출하지 않고 거부
+ * - 세그먼트 단위 캐싱으로 중복 요청 감소 (캐시 적중/미스 수를 응답에 포함)
+ * - 슬라이딩 윈도우 속도 제한으로 API 남용 방지 (Retry-After, X-RateLimit-* 헤더)
+ * - 제공자(Gemini, OpenAI 호환, DeepL, LibreTranslate, mock) 선택 가능
+ * - POST /context: 페이지 제목/제목 요소/개요로 문서 맥락 브리프 생성
+ *   이후 번역 요청의 context 필드로 브리프를 보내면 모든 프롬프트에 포함
+ * - POST /lookup: 단어/구와 그 문장({term, context})으로 사전식 조회
+ *   (문맥상 번역, 품사, 뜻, 예문과 예문 번역)
+ * - 번역 요청의 glossary 필드({terms, doNotTranslate})로 사용자 용어집 적용 및 검증
+ * - 번역 요청의 register 필드(formal, polite, casual, technical)로 문체 프리셋 적용
+ * - 번역 요청의 sourceLangs 필드(texts와 같은 길이, 클라이언트가 세그먼트마다 감지한 원문 언어)로
+ *   원문 언어가 같은 세그먼트끼리 묶어 제공자에 전달 (빈 값이면 자동 감지)
+ *   sourceLang 필드는 모든 세그먼트의 원문 언어를 사용자가 지정한 경우에 사용
+ * - 번역 요청의 references 필드([{id, source, translation}], 번역 메모리의 유사 원문 번역)를
+ *   LLM 제공자에 참고 번역으로 전달 (기계 번역 제공자는 무시)
+ * - stream: true 요청 시 세그먼트별 NDJSON 스트리밍 응답
+ *   {"type":"segment","id":0,"text":"..."}
+ *   {"type":"done","provider":"...","model":"...","untranslatedIds":[],"cache":{"hits":0,"misses":0},"quota":{...}}
+ *   {"type":"error","error":"..."}
+ *
+ * 환경 변수:
+ * - TOKEN_SECRET: 토큰 서명 키 (필수)
+ * - ALLOWED_ORIGINS: CORS 허용 Origin 목록 (쉼표 구분, 예: chrome-extension://<id>). 없으면 모든 Origin 허용
  */
 
-const GEMINI_API_ENDPOINT = "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent";
-const MAX_REQUESTS_PER_MINUTE = 30; // 분당 최대 요청 수
-const CACHE_TTL = 60 * 60 * 24 * 30; // 캐시 유효 기간 (30일)
+import { getProvider, getProviderNames, resolveProviderName, translateWithProvider } from './providers.js';
+import { lookupSegments, storeSegments } from './segment-cache.js';
+import { isAuthConfigured, deriveUserId, issueToken, verifyToken, getBearerToken } from './auth.js';
+import { createUser, getUser, getQuota, recordUsage, estimateTokens } from './quota.js';
+import { checkRateLimit, getRateLimitHeaders } from './rate-limiter.js';
+import { normalizePage, normalizeBrief, formatBrief, generateContextBrief } from './context-brief.js';
+import { normalizeGlossary, selectGlossaryForTexts } from './glossary.js';
+import { normalizeRegister } from './register-presets.js';
+import { normalizeLookupRequest, generateLookup } from './lookup.js';
+
+// 속도 제한 Durable Object (RATE_LIMITER 바인딩용)
+export { RateLimiterDurableObject } from './rate-limiter.js';
+
+const MAX_REQUESTS_PER_MINUTE = 30; // 사용자별 분당 최대 요청 수
+const MAX_REGISTRATIONS_PER_HOUR = 5; // IP별 시간당 최대 토큰 발급 수
+const MAX_NEW_USERS_PER_DAY = 2; // IP별 하루 최대 새 사용자 생성 수 (설치 id를 바꿔 무료 한도를 다시 받는 것 방지)
+const MAX_REFERENCE_LENGTH = 1000; // 참고 번역 원문/번역문 최대 길이
+const INSTALL_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/; // 설치 id 형식 (확장 프로그램은 UUID 사용)
 
 // 최신 Cloudflare Workers 모듈 형식 사용
 export default {
   async fetch(request, env, ctx) {
-    return await handleRequest(request, env);
+    return await handleRequest(request, env, ctx);
   }
 };
 
@@ -21,15 +61,12 @@ export default {
  * 요청 처리 함수
  * @param {Request} request - 클라이언트 요청 객체
  * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Object} ctx - 실행 컨텍스트 (waitUntil)
  * @returns {Response} - 응답 객체
  */
-async function handleRequest(request, env) {
-  // CORS 헤더 설정
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*', // 실제 서비스에서는 특정 도메인으로 제한
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-  };
+async function handleRequest(request, env, ctx) {
+  // CORS 헤더 설정 (env.ALLOWED_ORIGINS로 제한)
+  const corsHeaders = getCorsHeaders(request, env);
 
   // 요청 메서드에 따른 처리
   switch (request.method) {
@@ -41,8 +78,23 @@ async function handleRequest(request, env) {
       });
     
     case 'POST':
-      // POST 요청 처리
-      return await handlePostRequest(request, env, corsHeaders);
+      // 토큰 발급 요청 처리
+      if (new URL(request.url).pathname === '/register') {
+        return await handleRegisterRequest(request, env, corsHeaders);
+      }
+      
+      // 문서 맥락 브리프 요청 처리
+      if (new URL(request.url).pathname === '/context') {
+        return await handleContextRequest(request, env, corsHeaders);
+      }
+      
+      // 단어/구 사전식 조회 요청 처리
+      if (new URL(request.url).pathname === '/lookup') {
+        return await handleLookupRequest(request, env, corsHeaders);
+      }
+      
+      // 번역 요청 처리
+      return await handlePostRequest(request, env, ctx, corsHeaders);
     
     default:
       // 지원하지 않는 메서드
@@ -57,98 +109,486 @@ async function handleRequest(request, env) {
 }
 
 /**
- * POST 요청 처리 함수
+ * CORS 헤더 생성
  * @param {Request} request - 클라이언트 요청 객체
  * @param {Object} env - Cloudflare Workers 환경 변수
+ * @returns {Object} - CORS 헤더
+ */
+function getCorsHeaders(request, env) {
+  const headers = {
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+  };
+  
+  // 허용 목록이 없으면 모든 Origin 허용 (개발용)
+  if (!env.ALLOWED_ORIGINS) {
+    headers['Access-Control-Allow-Origin'] = '*';
+    return headers;
+  }
+  
+  const origin = request.headers.get('Origin');
+  const allowedOrigins = env.ALLOWED_ORIGINS.split(',').map(item => item.trim());
+  
+  // 허용된 Origin만 그대로 돌려줌 (그 외에는 헤더 생략 → 브라우저가 차단)
+  if (origin && allowedOrigins.includes(origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+  }
+  headers['Vary'] = 'Origin';
+  
+  return headers;
+}
+
+/**
+ * 토큰 발급 요청 처리 (확장 프로그램 설치당 1회, 토큰을 잃으면 같은 설치 id로 재발급)
+ * @param {Request} request - 클라이언트 요청 객체 ({installId, version})
+ * @param {Object} env - Cloudflare Workers 환경 변수
  * @param {Object} corsHeaders - CORS 헤더
- * @returns {Response} - 응답 객체
+ * @returns {Response} - {success, token, quota} 응답 객체
  */
-async function handlePostRequest(request, env, corsHeaders) {
+async function handleRegisterRequest(request, env, corsHeaders) {
   try {
-    // 요청 본문 파싱
-    const requestData = await request.json();
-
-    // 파라미터 검증
-    if (!validateRequestData(requestData)) {
+    if (!isAuthConfigured(env)) {
+      return new Response(JSON.stringify({
+        error: 'TOKEN_SECRET이 설정되지 않았습니다.'
+      }), {
+        status: 500,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 속도 제한 검사 (무분별한 계정 생성 방지)
+    const IP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const rateLimitResult = await checkRateLimit(env, `register:${IP}`, MAX_REGISTRATIONS_PER_HOUR, 60 * 60 * 1000);
+    
+    // 이후 모든 응답에 속도 제한 헤더 포함
+    corsHeaders = { ...corsHeaders, ...getRateLimitHeaders(rateLimitResult) };
+    
+    if (!rateLimitResult.allowed) {
+      return createRateLimitedResponse(rateLimitResult, corsHeaders);
+    }
+    
+    const requestData = await request.json().catch(() => ({}));
+    const installId = requestData && typeof requestData.installId === 'string' ? requestData.installId : '';
+    
+    if (!INSTALL_ID_PATTERN.test(installId)) {
       return new Response(JSON.stringify({
-        error: 'texts 파라미터가 필요합니다 (배열 형식)'
+        error: '올바른 설치 id가 필요합니다.'
       }), {
         status: 400,
         headers: getResponseHeaders(corsHeaders)
       });
     }
+    
+    // 사용자 id는 설치 id를 서버 키로 서명해 만듦 (다시 등록해도 사용량과 등급이 초기화되지 않음)
+    const userId = await deriveUserId(env, installId);
+    if (!(await getUser(env, userId))) {
+      // 새 사용자 생성은 재발급보다 엄격하게 제한
+      const newUserLimitResult = await checkRateLimit(env, `register-new:${IP}`, MAX_NEW_USERS_PER_DAY, 24 * 60 * 60 * 1000);
+      if (!newUserLimitResult.allowed) {
+        return createRateLimitedResponse(newUserLimitResult, {
+          ...corsHeaders,
+          ...getRateLimitHeaders(newUserLimitResult)
+        });
+      }
+      
+      await createUser(env, userId);
+    }
+    
+    const token = await issueToken(env, userId);
+    const quota = await getQuota(env, userId);
+    
+    return new Response(JSON.stringify({
+      success: true,
+      token,
+      quota
+    }), {
+      headers: getResponseHeaders(corsHeaders)
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: `서버 오류: ${error.message}`
+    }), {
+      status: 500,
+      headers: getResponseHeaders(corsHeaders)
+    });
+  }
+}
+
+/**
+ * 요청 토큰 인증
+ * @param {Request} request - 클라이언트 요청 객체
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @returns {Promise<Object>} - {userId} 또는 {error, status}
+ */
+async function authenticateRequest(request, env) {
+  if (!isAuthConfigured(env)) {
+    return { error: 'TOKEN_SECRET이 설정되지 않았습니다.', status: 500 };
+  }
+  
+  const token = getBearerToken(request);
+  if (!token) {
+    return { error: '인증 토큰이 필요합니다.', status: 401 };
+  }
+  
+  const payload = await verifyToken(env, token);
+  if (!payload) {
+    return { error: '유효하지 않은 인증 토큰입니다.', status: 401 };
+  }
+  
+  return { userId: payload.sub };
+}
 
-    // 속도 제한 검사
-    const rateLimitResult = await checkRateLimit(request, env);
+/**
+ * 문서 맥락 브리프 요청 처리
+ * @param {Request} request - 클라이언트 요청 객체 ({page: {title, headings, outline}, targetLang, provider})
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Object} corsHeaders - CORS 헤더
+ * @returns {Response} - {success, brief, quota} 응답 객체
+ */
+async function handleContextRequest(request, env, corsHeaders) {
+  try {
+    // 토큰 인증
+    const auth = await authenticateRequest(request, env);
+    if (!auth.userId) {
+      return new Response(JSON.stringify({
+        error: auth.error
+      }), {
+        status: auth.status,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 요청 본문 파싱 및 검증
+    const requestData = await request.json();
+    const page = normalizePage(requestData && requestData.page);
+    
+    if (!page) {
+      return new Response(JSON.stringify({
+        error: 'page 파라미터가 필요합니다 ({title, headings, outline} 형식)'
+      }), {
+        status: 400,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 속도 제한 검사 (번역 요청과 같은 한도 공유)
+    const rateLimitResult = await checkRateLimit(env, `user:${auth.userId}`, MAX_REQUESTS_PER_MINUTE, 60 * 1000);
+    
+    // 이후 모든 응답에 속도 제한 헤더 포함
+    corsHeaders = { ...corsHeaders, ...getRateLimitHeaders(rateLimitResult) };
+    
     if (!rateLimitResult.allowed) {
+      return createRateLimitedResponse(rateLimitResult, corsHeaders);
+    }
+    
+    // 제공자 선택
+    const providerName = resolveProviderName(requestData, env);
+    const provider = getProvider(providerName);
+    
+    if (!provider) {
+      return new Response(JSON.stringify({
+        error: `지원하지 않는 번역 제공자입니다: ${providerName} (사용 가능: ${getProviderNames().join(', ')})`
+      }), {
+        status: 400,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 월간 한도 확인 (요청 예상 토큰 수가 남은 한도 안이어야 함)
+    const quota = await getQuota(env, auth.userId);
+    const estimatedTokens = provider.kind === 'llm' ?
+      estimateTokens([page.title, ...page.headings, page.outline].filter(Boolean)) : 0;
+    if (!hasQuotaFor(quota, estimatedTokens)) {
+      return createQuotaExceededResponse(quota, corsHeaders);
+    }
+    
+    if (provider.kind === 'llm' && !provider.isConfigured(env)) {
+      return new Response(JSON.stringify({
+        error: `${providerName} 제공자의 API 키가 설정되지 않았습니다.`,
+        quota
+      }), {
+        status: 500,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 브리프 생성 (실패해도 번역은 브리프 없이 진행 가능하므로 502로 알림)
+    let result;
+    try {
+      result = await generateContextBrief(provider, page, requestData.targetLang || 'ko', env);
+    } catch (providerError) {
       return new Response(JSON.stringify({
-        error: '요청 한도 초과. 잠시 후 다시 시도하세요.'
-      }), { 
-        status: 429,
+        error: providerError.message,
+        quota
+      }), {
+        status: providerError.status || 502,
         headers: getResponseHeaders(corsHeaders)
       });
     }
+    
+    // 브리프 생성에 사용한 토큰 기록 (LLM 제공자가 사용량을 알려주지 않으면 페이지 정보로 추정)
+    const tokensUsed = provider.kind === 'llm' ?
+      result.tokensUsed || estimateTokens([page.title, ...page.headings, page.outline].filter(Boolean)) : 0;
+    const updatedQuota = tokensUsed > 0 ?
+      await recordUsage(env, auth.userId, tokensUsed) : quota;
+    
+    return new Response(JSON.stringify({
+      success: true,
+      brief: result.brief,
+      quota: updatedQuota
+    }), {
+      headers: getResponseHeaders(corsHeaders)
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: `서버 오류: ${error.message}`
+    }), {
+      status: 500,
+      headers: getResponseHeaders(corsHeaders)
+    });
+  }
+}
 
-    // 선택적 파라미터 설정
-    const targetLang = requestData.targetLang || 'ko';
-    const separator = requestData.separator || "||TRANSLATE_SEPARATOR||";
+/**
+ * 단어/구 사전식 조회 요청 처리
+ * @param {Request} request - 클라이언트 요청 객체 ({term, context, targetLang, sourceLang, provider})
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Object} corsHeaders - CORS 헤더
+ * @returns {Response} - {success, result: {translation, partOfSpeech, definition, example, exampleTranslation}, quota} 응답 객체
+ */
+async function handleLookupRequest(request, env, corsHeaders) {
+  try {
+    // 토큰 인증
+    const auth = await authenticateRequest(request, env);
+    if (!auth.userId) {
+      return new Response(JSON.stringify({
+        error: auth.error
+      }), {
+        status: auth.status,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 요청 본문 파싱 및 검증
+    const requestData = await request.json();
+    const lookup = normalizeLookupRequest(requestData);
+    
+    if (!lookup) {
+      return new Response(JSON.stringify({
+        error: 'term 파라미터가 필요합니다'
+      }), {
+        status: 400,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 속도 제한 검사 (번역 요청과 같은 한도 공유)
+    const rateLimitResult = await checkRateLimit(env, `user:${auth.userId}`, MAX_REQUESTS_PER_MINUTE, 60 * 1000);
     
-    // Gemini API 요청 데이터 구성
-    const texts = requestData.texts;
-    const joinedTexts = texts.join(separator);
+    // 이후 모든 응답에 속도 제한 헤더 포함
+    corsHeaders = { ...corsHeaders, ...getRateLimitHeaders(rateLimitResult) };
     
-    // 캐시 키 생성 및 캐시 확인
-    const cacheKey = `${targetLang}:${computeHash(joinedTexts)}`;
-    const cachedResult = await getCachedResult(env, cacheKey);
+    if (!rateLimitResult.allowed) {
+      return createRateLimitedResponse(rateLimitResult, corsHeaders);
+    }
+    
+    // 제공자 선택
+    const providerName = resolveProviderName(requestData, env);
+    const provider = getProvider(providerName);
     
-    if (cachedResult) {
-      console.log('캐시 히트:', cacheKey);
-      return new Response(cachedResult, {
+    if (!provider) {
+      return new Response(JSON.stringify({
+        error: `지원하지 않는 번역 제공자입니다: ${providerName} (사용 가능: ${getProviderNames().join(', ')})`
+      }), {
+        status: 400,
         headers: getResponseHeaders(corsHeaders)
       });
     }
     
-    // API 키 확인
-    const apiKey = env.GEMINI_API_KEY;
-    if (!apiKey) {
+    // 월간 한도 확인 (요청 예상 토큰 수가 남은 한도 안이어야 함)
+    const quota = await getQuota(env, auth.userId);
+    if (!hasQuotaFor(quota, estimateTokens([lookup.term, lookup.context]))) {
+      return createQuotaExceededResponse(quota, corsHeaders);
+    }
+    
+    if (!provider.isConfigured(env)) {
       return new Response(JSON.stringify({
-        error: 'API 키가 설정되지 않았습니다.'
+        error: `${providerName} 제공자의 API 키가 설정되지 않았습니다.`,
+        quota
       }), {
         status: 500,
         headers: getResponseHeaders(corsHeaders)
       });
     }
+    
+    let lookupResult;
+    try {
+      lookupResult = await generateLookup(provider, lookup, requestData.targetLang || 'ko', env, {
+        sourceLang: normalizeLanguageCode(requestData.sourceLang)
+      });
+    } catch (providerError) {
+      return new Response(JSON.stringify({
+        error: providerError.message,
+        quota
+      }), {
+        status: providerError.status || 502,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    if (!lookupResult.result) {
+      return new Response(JSON.stringify({
+        error: '조회 결과를 해석하지 못했습니다.',
+        quota
+      }), {
+        status: 502,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 사용한 토큰 기록 (기계 번역 제공자는 입력 길이로 추정)
+    const tokensUsed = lookupResult.tokensUsed || estimateTokens([lookup.term, lookup.context]);
+    const updatedQuota = await recordUsage(env, auth.userId, tokensUsed);
+    
+    return new Response(JSON.stringify({
+      success: true,
+      result: lookupResult.result,
+      quota: updatedQuota
+    }), {
+      headers: getResponseHeaders(corsHeaders)
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: `서버 오류: ${error.message}`
+    }), {
+      status: 500,
+      headers: getResponseHeaders(corsHeaders)
+    });
+  }
+}
 
-    // Gemini API 호출
-    const geminiResponse = await callGeminiApi(apiKey, joinedTexts, targetLang, separator);
+/**
+ * POST 요청 처리 함수
+ * @param {Request} request - 클라이언트 요청 객체
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Object} ctx - 실행 컨텍스트 (waitUntil)
+ * @param {Object} corsHeaders - CORS 헤더
+ * @returns {Response} - 응답 객체
+ */
+async function handlePostRequest(request, env, ctx, corsHeaders) {
+  try {
+    // 토큰 인증
+    const auth = await authenticateRequest(request, env);
+    if (!auth.userId) {
+      return new Response(JSON.stringify({
+        error: auth.error
+      }), {
+        status: auth.status,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+    
+    // 요청 본문 파싱
+    const requestData = await request.json();
 
-    // Gemini API 응답 확인
-    if (!geminiResponse.ok) {
-      const errorData = await geminiResponse.json();
+    // 파라미터 검증
+    if (!validateRequestData(requestData)) {
       return new Response(JSON.stringify({
-        error: `Gemini API 오류: ${errorData.error?.message || geminiResponse.statusText}`
+        error: 'texts 파라미터가 필요합니다 (문자열 배열 형식)'
       }), {
-        status: geminiResponse.status,
+        status: 400,
         headers: getResponseHeaders(corsHeaders)
       });
     }
 
-    // 응답 처리
-    const result = await processGeminiResponse(geminiResponse, texts, separator);
+    // 속도 제한 검사 (사용자 단위 슬라이딩 윈도우)
+    const rateLimitResult = await checkRateLimit(env, `user:${auth.userId}`, MAX_REQUESTS_PER_MINUTE, 60 * 1000);
     
-    // 결과 생성
-    const responseData = JSON.stringify({
-      success: true,
-      translations: result.translations
-    });
+    // 이후 모든 응답에 속도 제한 헤더 포함
+    corsHeaders = { ...corsHeaders, ...getRateLimitHeaders(rateLimitResult) };
+    
+    if (!rateLimitResult.allowed) {
+      return createRateLimitedResponse(rateLimitResult, corsHeaders);
+    }
+
+    // 제공자 선택 (요청의 provider 필드 또는 env.TRANSLATION_PROVIDER)
+    const providerName = resolveProviderName(requestData, env);
+    const provider = getProvider(providerName);
+    
+    if (!provider) {
+      return new Response(JSON.stringify({
+        error: `지원하지 않는 번역 제공자입니다: ${providerName} (사용 가능: ${getProviderNames().join(', ')})`
+      }), {
+        status: 400,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
+
+    // 월간 한도 확인 (요청 예상 토큰 수가 남은 한도 안이어야 함)
+    const quota = await getQuota(env, auth.userId);
+    if (!hasQuotaFor(quota, estimateTokens(requestData.texts))) {
+      return createQuotaExceededResponse(quota, corsHeaders);
+    }
+
+    // 선택적 파라미터 설정
+    const targetLang = requestData.targetLang || 'ko';
+    
+    // 번역 작업 정보 (맥락 브리프, 용어집, 문체는 클라이언트 값이므로 다시 정리해서 사용)
+    const job = {
+      provider,
+      providerName,
+      userId: auth.userId,
+      texts: requestData.texts,
+      targetLang,
+      contextText: formatBrief(normalizeBrief(requestData.context)),
+      glossary: normalizeGlossary(requestData.glossary),
+      register: normalizeRegister(requestData.register),
+      sourceLangs: normalizeSourceLangs(requestData),
+      // 참고 번역은 프롬프트에만 들어가므로 LLM 제공자에만 사용
+      references: provider.kind === 'llm' ? normalizeReferences(requestData) : requestData.texts.map(() => null)
+    };
+    
+    // 스트리밍 요청은 세그먼트가 완료될 때마다 바로 전송
+    if (requestData.stream === true) {
+      return createStreamResponse(job, env, ctx, corsHeaders);
+    }
+
+    // 캐시 확인 후 미스 세그먼트만 제공자 API 호출
+    let result;
+    try {
+      result = await translateSegments(job, env);
+    } catch (providerError) {
+      return new Response(JSON.stringify({
+        error: providerError.message,
+        quota
+      }), {
+        status: providerError.status || 502,
+        headers: getResponseHeaders(corsHeaders)
+      });
+    }
     
-    // 캐시에 저장
-    if (env.TRANSLATION_CACHE) {
-      await env.TRANSLATION_CACHE.put(cacheKey, responseData, {expirationTtl: CACHE_TTL});
+    // 실제 사용 토큰 기록 (캐시 적중분은 차감하지 않음)
+    const updatedQuota = await recordUsage(env, auth.userId, result.tokensUsed);
+    
+    // 새 번역 캐시 저장 (응답을 지연시키지 않도록 백그라운드 처리)
+    const storing = storeSegments(env, result.newEntries);
+    if (ctx && typeof ctx.waitUntil === 'function') {
+      ctx.waitUntil(storing);
+    } else {
+      await storing;
     }
     
     // 결과 반환
-    return new Response(responseData, {
+    return new Response(JSON.stringify({
+      success: true,
+      provider: providerName,
+      model: provider.getModel(env),
+      translations: result.translations,
+      untranslatedIds: result.untranslatedIds,
+      cache: result.cache,
+      quota: updatedQuota
+    }), {
       headers: getResponseHeaders(corsHeaders)
     });
   } catch (error) {
@@ -161,6 +601,164 @@ async function handlePostRequest(request, env, corsHeaders) {
   }
 }
 
+/**
+ * 세그먼트 캐시를 확인하고 미스 세그먼트만 번역
+ * - 같은 원문은 한 번만 요청
+ * - 캐시된 세그먼트는 onSegment로 먼저 전달
+ * @param {Object} job - {provider, providerName, texts, targetLang, contextText, glossary, register, sourceLangs, references}
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Function|null} onSegment - 세그먼트 완료 시 (id, text) 콜백 (선택적)
+ * @returns {Promise<Object>} - {translations, untranslatedIds, cache: {hits, misses}, newEntries, tokensUsed}
+ */
+async function translateSegments(job, env, onSegment = null) {
+  const { provider, texts } = job;
+  const scope = {
+    provider: job.providerName,
+    model: provider.getModel(env),
+    targetLang: job.targetLang,
+    register: job.register,
+    context: job.contextText,
+    glossary: job.glossary
+  };
+  
+  const { keys, hits } = await lookupSegments(env, scope, texts, job.sourceLangs, job.references);
+  const translations = texts.map((text, index) => hits.has(index) ? hits.get(index) : text);
+  const cache = { hits: hits.size, misses: texts.length - hits.size };
+  
+  if (onSegment) {
+    hits.forEach((text, index) => onSegment(index, text));
+  }
+  
+  // 미스 세그먼트를 캐시 키(원문) 기준으로 묶기
+  const missGroups = new Map();
+  texts.forEach((text, index) => {
+    if (hits.has(index)) return;
+    
+    if (!missGroups.has(keys[index])) {
+      missGroups.set(keys[index], []);
+    }
+    missGroups.get(keys[index]).push(index);
+  });
+  
+  if (missGroups.size === 0) {
+    return { translations, untranslatedIds: [], cache, newEntries: [], tokensUsed: 0 };
+  }
+  
+  // 제공자 설정(API 키 등) 확인
+  if (!provider.isConfigured(env)) {
+    const error = new Error(`${job.providerName} 제공자의 API 키가 설정되지 않았습니다.`);
+    error.status = 500;
+    throw error;
+  }
+  
+  const groups = Array.from(missGroups.entries());
+  
+  // 원문 언어가 같은 세그먼트끼리 묶어 요청 (섞인 배치에서 한 언어를 모든 세그먼트에 적용하지 않도록)
+  const languageGroups = new Map();
+  groups.forEach(([key, indices], id) => {
+    const sourceLang = job.sourceLangs[indices[0]] || '';
+    if (!languageGroups.has(sourceLang)) {
+      languageGroups.set(sourceLang, []);
+    }
+    languageGroups.get(sourceLang).push(id);
+  });
+  
+  const untranslatedIds = [];
+  const newEntries = [];
+  let tokensUsed = 0;
+  
+  for (const [sourceLang, ids] of languageGroups) {
+    const missTexts = ids.map(id => texts[groups[id][1][0]]);
+    
+    // 제공자 API 호출 (LLM 제공자는 JSON 프로토콜 사용)
+    const result = await translateWithProvider(provider, missTexts, job.targetLang, env, {
+      onSegment: onSegment ? (i, text) => groups[ids[i]][1].forEach(index => onSegment(index, text)) : null,
+      contextText: job.contextText,
+      glossary: selectGlossaryForTexts(job.glossary, missTexts),
+      register: job.register,
+      sourceLang,
+      references: ids.map(id => job.references[groups[id][1][0]])
+    });
+    
+    const untranslated = new Set(result.untranslatedIds);
+    
+    ids.forEach((id, i) => {
+      const [key, indices] = groups[id];
+      if (untranslated.has(i)) {
+        untranslatedIds.push(...indices);
+        return;
+      }
+      
+      indices.forEach(index => {
+        translations[index] = result.translations[i];
+      });
+      
+      // 누락 없이 번역된 세그먼트만 캐시에 저장
+      newEntries.push({ key, text: result.translations[i] });
+    });
+    
+    // 제공자가 사용량을 알려주지 않으면 추정값으로 집계
+    tokensUsed += result.tokensUsed || estimateTokens(missTexts);
+  }
+  
+  return {
+    translations,
+    untranslatedIds: untranslatedIds.sort((a, b) => a - b),
+    cache,
+    newEntries,
+    tokensUsed
+  };
+}
+
+/**
+ * 세그먼트 스트리밍 응답 생성 (NDJSON)
+ * @param {Object} job - {provider, providerName, userId, texts, targetLang, contextText, glossary, register, sourceLangs, references}
+ * @param {Object} env - Cloudflare Workers 환경 변수
+ * @param {Object} ctx - 실행 컨텍스트 (waitUntil)
+ * @param {Object} corsHeaders - CORS 헤더
+ * @returns {Response} - 스트리밍 응답 객체
+ */
+function createStreamResponse(job, env, ctx, corsHeaders) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  // 한 줄에 하나의 JSON 객체 기록 (클라이언트 연결이 끊겨도 번역은 계속)
+  const writeLine = (data) => writer.write(encoder.encode(JSON.stringify(data) + '\n')).catch(() => {});
+
+  const streaming = (async () => {
+    try {
+      const result = await translateSegments(job, env,
+        (id, text) => writeLine({ type: 'segment', id, text }));
+
+      const quota = await recordUsage(env, job.userId, result.tokensUsed);
+
+      await writeLine({
+        type: 'done',
+        provider: job.providerName,
+        model: job.provider.getModel(env),
+        untranslatedIds: result.untranslatedIds,
+        cache: result.cache,
+        quota
+      });
+
+      await storeSegments(env, result.newEntries);
+    } catch (error) {
+      await writeLine({ type: 'error', error: error.message, status: error.status || 502 });
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })();
+
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(streaming);
+  }
+
+  return new Response(readable, {
+    headers: getStreamHeaders(corsHeaders)
+  });
+}
+
 /**
  * 요청 데이터 유효성 검사
  * @param {Object} requestData - 요청 데이터
@@ -169,180 +767,129 @@ async function handlePostRequest(request, env, corsHeaders) {
 function validateRequestData(requestData) {
   return requestData && 
          requestData.texts && 
-         Array.isArray(requestData.texts);
+         Array.isArray(requestData.texts) &&
+         requestData.texts.every(text => typeof text === 'string');
 }
 
 /**
- * 응답 헤더 생성
- * @param {Object} corsHeaders - CORS 헤더
- * @returns {Object} - 응답 헤더
+ * 언어 코드 검증 (ko, en, zh-TW 형식만 허용)
+ * @param {*} lang - 요청의 언어 코드
+ * @returns {string} - 언어 코드 (형식이 맞지 않으면 빈 문자열)
  */
-function getResponseHeaders(corsHeaders) {
-  return {
-    'Content-Type': 'application/json',
-    ...corsHeaders
-  };
+function normalizeLanguageCode(lang) {
+  return typeof lang === 'string' && /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(lang) ? lang : '';
 }
 
 /**
- * 속도 제한 검사
- * @param {Request} request - 클라이언트 요청 객체
- * @param {Object} env - Cloudflare Workers 환경 변수
- * @returns {Object} - 검사 결과 객체 {allowed: boolean}
+ * 세그먼트별 원문 언어 정리
+ * - sourceLangs가 texts와 같은 길이의 배열이면 세그먼트마다 사용
+ * - 아니면 sourceLang(사용자가 지정한 원문 언어)을 모든 세그먼트에 사용
+ * @param {Object} requestData - 요청 데이터
+ * @returns {string[]} - texts와 같은 길이의 언어 코드 배열 (모르면 빈 문자열)
  */
-async function checkRateLimit(request, env) {
-  // KV 네임스페이스가 없으면 제한 없음
-  if (!env.RATE_LIMITS) {
-    return { allowed: true };
-  }
+function normalizeSourceLangs(requestData) {
+  const { texts, sourceLangs } = requestData;
   
-  const IP = request.headers.get('CF-Connecting-IP');
-  const rateLimitKey = `ratelimit:${IP}`;
+  if (Array.isArray(sourceLangs) && sourceLangs.length === texts.length) {
+    return sourceLangs.map(normalizeLanguageCode);
+  }
   
-  // 현재 카운트 가져오기
-  const currentCount = parseInt(await env.RATE_LIMITS.get(rateLimitKey) || '0');
+  const sourceLang = normalizeLanguageCode(requestData.sourceLang);
+  return texts.map(() => sourceLang);
+}
+
+/**
+ * 참고 번역 정리 (형식이 맞지 않거나 너무 긴 항목은 버림)
+ * @param {Object} requestData - 요청 데이터 ({texts, references: [{id, source, translation}]})
+ * @returns {Array<Object|null>} - texts와 같은 길이의 {source, translation} 배열 (없으면 null)
+ */
+function normalizeReferences(requestData) {
+  const references = requestData.texts.map(() => null);
   
-  // 한도 초과 검사
-  if (currentCount > MAX_REQUESTS_PER_MINUTE) {
-    return { allowed: false };
+  if (!Array.isArray(requestData.references)) {
+    return references;
   }
   
-  // 요청 카운터 증가
-  await env.RATE_LIMITS.put(rateLimitKey, (currentCount + 1).toString(), {expirationTtl: 60});
+  requestData.references.forEach(item => {
+    if (!item || !Number.isInteger(item.id) || item.id < 0 || item.id >= references.length) {
+      return;
+    }
+    
+    const isValidText = (text) => typeof text === 'string' && text.trim() !== '' && text.length <= MAX_REFERENCE_LENGTH;
+    if (isValidText(item.source) && isValidText(item.translation)) {
+      references[item.id] = { source: item.source, translation: item.translation };
+    }
+  });
   
-  return { allowed: true };
+  return references;
 }
 
 /**
- * 캐시된 결과 가져오기
- * @param {Object} env - Cloudflare Workers 환경 변수
- * @param {string} cacheKey - 캐시 키
- * @returns {string|null} - 캐시된 결과 또는 null
+ * 응답 헤더 생성
+ * @param {Object} corsHeaders - CORS 헤더
+ * @returns {Object} - 응답 헤더
  */
-async function getCachedResult(env, cacheKey) {
-  if (env.TRANSLATION_CACHE) {
-    return await env.TRANSLATION_CACHE.get(cacheKey);
-  }
-  return null;
+function getResponseHeaders(corsHeaders) {
+  return {
+    'Content-Type': 'application/json',
+    ...corsHeaders
+  };
 }
 
 /**
- * Gemini API 호출
- * @param {string} apiKey - Gemini API 키
- * @param {string} joinedTexts - 결합된 텍스트
- * @param {string} targetLang - 대상 언어
- * @param {string} separator - 구분자
- * @returns {Response} - API 응답
+ * 스트리밍 응답 헤더 생성
+ * @param {Object} corsHeaders - CORS 헤더
+ * @returns {Object} - 응답 헤더
  */
-async function callGeminiApi(apiKey, joinedTexts, targetLang, separator) {
-  // Gemini API 프롬프트 구성
-  const promptText = `다음 텍스트들을 ${targetLang === 'ko' ? '한국어' : targetLang}로 자연스럽게 번역해주세요.
-각 텍스트는 '${separator}' 구분자로 분리되어 있습니다.
-번역 결과도 동일한 구분자로 분리해서 반환해주세요.
-원래 텍스트 수와 번역된 텍스트 수가 정확히 일치해야 합니다.
-번역만 제공하고 다른 설명은 하지 말아주세요.
-
-${joinedTexts}`;
-
-  return await fetch(`${GEMINI_API_ENDPOINT}?key=${apiKey}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      contents: [{
-        parts: [{
-          text: promptText
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.1,
-        topP: 0.95,
-        topK: 40,
-        maxOutputTokens: 8192
-      }
-    })
-  });
+function getStreamHeaders(corsHeaders) {
+  return {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    ...corsHeaders
+  };
 }
 
 /**
- * Gemini API 응답 처리
- * @param {Response} geminiResponse - Gemini API 응답
- * @param {string[]} originalTexts - 원본 텍스트 배열
- * @param {string} separator - 구분자
- * @returns {Object} - 처리된 결과 객체
+ * 속도 제한 초과 응답 생성
+ * @param {Object} rateLimitResult - checkRateLimit 결과
+ * @param {Object} corsHeaders - CORS 및 속도 제한 헤더
+ * @returns {Response} - 429 응답 객체
  */
-async function processGeminiResponse(geminiResponse, originalTexts, separator) {
-  const geminiData = await geminiResponse.json();
-  
-  // 응답 텍스트 추출
-  if (geminiData.candidates && 
-      geminiData.candidates.length > 0 && 
-      geminiData.candidates[0].content && 
-      geminiData.candidates[0].content.parts) {
-    
-    const translatedText = geminiData.candidates[0].content.parts[0].text;
-    const translations = translatedText.split(separator);
-    
-    // 결과 개수 처리
-    let finalTranslations = translations;
-    
-    if (translations.length !== originalTexts.length) {
-      console.log(`번역 결과 개수가 맞지 않습니다. 예상: ${originalTexts.length}, 실제: ${translations.length}`);
-      
-      // 결과 개수 맞추기
-      finalTranslations = matchTranslationsCount(translations, originalTexts);
-    }
-    
-    // 빈 문자열 처리
-    const cleanedTranslations = finalTranslations.map((text, index) => 
-      text.trim() || originalTexts[index]
-    );
-    
-    return { translations: cleanedTranslations };
-  } else {
-    throw new Error("Gemini API에서 유효한 응답을 받지 못했습니다.");
-  }
+function createRateLimitedResponse(rateLimitResult, corsHeaders) {
+  return new Response(JSON.stringify({
+    error: '요청 한도 초과. 잠시 후 다시 시도하세요.',
+    retryAfter: rateLimitResult.retryAfter
+  }), { 
+    status: 429,
+    headers: getResponseHeaders(corsHeaders)
+  });
 }
 
 /**
- * 번역 결과와 원본 개수 맞추기
- * @param {string[]} translations - 번역 결과 배열
- * @param {string[]} originalTexts - 원본 텍스트 배열
- * @returns {string[]} - 개수를 맞춘 번역 결과 배열
+ * 남은 한도로 요청을 처리할 수 있는지 확인
+ * @param {Object} quota - getQuota 결과
+ * @param {number} estimatedTokens - 요청 예상 토큰 수
+ * @returns {boolean} - 처리 가능 여부
  */
-function matchTranslationsCount(translations, originalTexts) {
-  // 결과가 부족한 경우 원본으로 채움
-  if (translations.length < originalTexts.length) {
-    const result = [...translations];
-    for (let i = translations.length; i < originalTexts.length; i++) {
-      result.push(originalTexts[i]);
-    }
-    return result;
-  }
-  
-  // 결과가 많은 경우 잘라냄
-  if (translations.length > originalTexts.length) {
-    return translations.slice(0, originalTexts.length);
-  }
-  
-  return translations;
+function hasQuotaFor(quota, estimatedTokens) {
+  return quota.remaining > 0 && quota.remaining >= estimatedTokens;
 }
 
 /**
- * 문자열에 대한 간단한 해시 생성 (캐시 키용)
- * @param {string} str - 해시 생성할 문자열
- * @returns {string} - 생성된 해시 값
+ * 월간 한도 초과 응답 생성
+ * @param {Object} quota - getQuota 결과
+ * @param {Object} corsHeaders - CORS 및 속도 제한 헤더
+ * @returns {Response} - 403 응답 객체
  */
-function computeHash(str) {
-  let hash = 0;
-  if (str.length === 0) return hash.toString(36);
-  
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // 32비트 정수로 변환
-  }
-  
-  return hash.toString(36); // 짧은 문자열로 변환
-}
\ No newline at end of file
+function createQuotaExceededResponse(quota, corsHeaders) {
+  return new Response(JSON.stringify({
+    error: quota.remaining > 0 ?
+      '남은 번역 한도보다 큰 요청입니다. 더 작게 나누어 요청하세요.' :
+      '이번 달 번역 한도를 모두 사용했습니다.',
+    quotaExceeded: true,
+    quota
+  }), {
+    status: 403,
+    headers: getResponseHeaders(corsHeaders)
+  });
+}
@@ -0,0 +1,1127 @@
+// options.js - 설정 페이지 (ES 모듈)
+import { APP_CONFIG } from '../config.js';
+import * as SiteRules from '../utils/site-rules.js';
+
+// 자동 번역 방식 표시 이름
+const SITE_MODE_LABELS = {
+  default: '기본 설정 따름',
+  always: '항상 번역',
+  never: '번역 안 함',
+  ask: '매번 묻기'
+};
+
+// 고급 설정 항목 → 입력 형식 (integer: 정수 범위, selector: CSS 선택자, boolean: 체크박스, rates: 통화별 환율)
+const ADVANCED_FIELDS = {
+  batchSize: 'integer',
+  maxConcurrentBatches: 'integer',
+  minTextLength: 'integer',
+  textContainerSelector: 'selector',
+  ignoreSelector: 'selector',
+  rootMargin: 'integer',
+  highlightTranslated: 'boolean',
+  keepOriginalOnHover: 'boolean',
+  cacheExpiryDays: 'integer',
+  cacheMaxSizeMB: 'integer',
+  fuzzyMatching: 'boolean',
+  fuzzyThreshold: 'integer',
+  currencyRates: 'rates'
+};
+
+// 번역 캐시 목록 한 번에 불러올 항목 수
+const CACHE_PAGE_SIZE = 50;
+
+// 번역 캐시 필터 선택지에서 '전체'를 나타내는 값 (사이트 origin/언어 쌍과 겹치지 않음)
+const CACHE_FILTER_ALL = 'all';
+
+// 오프라인 페이지 상태 표시 이름
+const OFFLINE_STATUS_LABELS = {
+  missing: '저장 안 됨',
+  ready: '오프라인 사용 가능',
+  partial: '일부만 저장됨',
+  stale: '페이지 변경됨',
+  settings: '설정 변경됨 (다시 저장 필요)'
+};
+
+// 미리 번역 중인 페이지가 있을 때 목록을 다시 불러올 간격 (ms)
+const OFFLINE_REFRESH_INTERVAL = 3000;
+
+// languages.json 언어 목록
+let languages = [];
+
+// 번역 캐시 목록 상태 (현재 검색 조건과 표시 중인 항목 수)
+let cacheFilter = {};
+let cacheEntryCount = 0;
+
+// 상태 메시지 자동 숨김 타이머
+let statusTimer = null;
+
+// 오프라인 페이지 목록 갱신 타이머
+let offlineRefreshTimer = null;
+
+/**
+ * 설정 페이지 초기화 메인 함수
+ */
+async function initializeOptions() {
+  try {
+    languages = await loadLanguages();
+    
+    await loadAdvancedSettings();
+    await renderProfiles();
+    
+    fillModeOptions(document.getElementById('newSiteMode'), 'default');
+    fillLanguageOptions(document.getElementById('newSiteTargetLang'), '');
+    
+    await renderSiteRules();
+    await renderCacheStats();
+    await loadCacheEntries();
+    await renderOfflinePages();
+    setupEventListeners();
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 페이지 초기화 오류:`, error);
+    showStatus('설정 페이지 초기화 중 오류가 발생했습니다.', true);
+  }
+}
+
+/**
+ * 언어 목록 로드
+ * @returns {Promise<Array>} - 언어 목록 (실패 시 빈 배열)
+ */
+async function loadLanguages() {
+  try {
+    const response = await fetch('../languages.json');
+    const data = await response.json();
+    return data && Array.isArray(data.languages) ? data.languages : [];
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 언어 목록 로드 오류:`, error);
+    return [];
+  }
+}
+
+/**
+ * 백그라운드에 메시지 전송
+ * @param {Object} message - 전송할 메시지
+ * @returns {Promise<Object>} - 응답 객체
+ */
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      
+      if (response && response.success) {
+        resolve(response);
+      } else {
+        reject(new Error(response?.error || '알 수 없는 오류'));
+      }
+    });
+  });
+}
+
+/**
+ * 고급 설정 로드 (저장되지 않은 항목은 기본값이 채워진 실제 적용 값)
+ */
+async function loadAdvancedSettings() {
+  try {
+    const response = await sendMessage({ action: 'getSettings' });
+    renderAdvancedSettings(response.settings);
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 로드 오류:`, error);
+    renderAdvancedSettings(APP_CONFIG.defaultSettings);
+  }
+}
+
+/**
+ * 설정 값 표시용 문자열
+ * @param {string} type - 입력 형식
+ * @param {*} value - 설정 값
+ * @returns {string} - 표시 문자열
+ */
+function formatSettingValue(type, value) {
+  switch (type) {
+    case 'boolean':
+      return value ? '켜짐' : '꺼짐';
+      
+    case 'rates':
+      return Object.entries(value || {}).map(([code, rate]) => `${code}=${rate}`).join(', ');
+      
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * 고급 설정 입력란 채우기 (기본값과 다른 항목 표시)
+ * @param {Object} settings - 적용 중인 설정
+ */
+function renderAdvancedSettings(settings) {
+  Object.entries(ADVANCED_FIELDS).forEach(([name, type]) => {
+    const input = document.getElementById(name);
+    const row = input && input.closest('.option-row');
+    if (!row) return;
+    
+    const defaultValue = APP_CONFIG.defaultSettings[name];
+    const value = settings[name] !== undefined ? settings[name] : defaultValue;
+    
+    if (type === 'boolean') {
+      input.checked = value === true;
+    } else {
+      input.value = formatSettingValue(type, value);
+    }
+    
+    const modified = formatSettingValue(type, value) !== formatSettingValue(type, defaultValue);
+    row.classList.toggle('modified', modified);
+    row.classList.remove('invalid');
+    row.querySelector('.option-hint').textContent = modified ?
+      `변경됨 (기본값: ${formatSettingValue(type, defaultValue)})` :
+      `기본값: ${formatSettingValue(type, defaultValue)}`;
+    
+    const errorElement = row.querySelector('.option-error');
+    if (errorElement) errorElement.textContent = '';
+  });
+}
+
+/**
+ * 고급 설정 입력 값 검증
+ * @param {string} name - 설정 이름
+ * @param {string} type - 입력 형식
+ * @param {HTMLInputElement} input - 입력 요소
+ * @returns {Object} - {value} 또는 {error}
+ */
+function validateField(name, type, input) {
+  if (type === 'boolean') {
+    return { value: input.checked };
+  }
+  
+  const raw = input.value.trim();
+  
+  if (type === 'selector') {
+    if (!raw) {
+      return { error: '선택자를 입력해주세요.' };
+    }
+    
+    try {
+      document.createDocumentFragment().querySelector(raw);
+    } catch (error) {
+      return { error: '올바른 CSS 선택자가 아닙니다.' };
+    }
+    
+    return { value: raw };
+  }
+  
+  if (type === 'rates') {
+    return parseCurrencyRates(raw);
+  }
+  
+  const limits = APP_CONFIG.settingLimits[name];
+  const number = Number(raw);
+  
+  if (!raw || !Number.isInteger(number) || number < limits.min || number > limits.max) {
+    return { error: `${limits.min}~${limits.max} 사이의 정수를 입력해주세요.` };
+  }
+  
+  return { value: number };
+}
+
+/**
+ * 환율표 입력 파싱 ("KRW=1360, EUR=0.92", 입력하지 않은 통화는 기본 환율 사용)
+ * @param {string} raw - 입력 값
+ * @returns {Object} - {value} 또는 {error}
+ */
+function parseCurrencyRates(raw) {
+  const rates = {};
+  const items = raw.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+  
+  if (items.length === 0) {
+    return { error: '환율을 입력해주세요. (예: KRW=1360)' };
+  }
+  
+  for (const item of items) {
+    const match = item.match(/^([A-Za-z]{3})\s*[=:]\s*(\d+(?:\.\d+)?)$/);
+    if (!match) {
+      return { error: `'${item}': 통화코드=환율 형식으로 입력해주세요. (예: KRW=1360)` };
+    }
+    
+    const code = match[1].toUpperCase();
+    const rate = Number(match[2]);
+    
+    if (!(code in APP_CONFIG.unitLocalization.currencyRates)) {
+      return { error: `지원하지 않는 통화입니다: ${code}` };
+    }
+    if (!(rate > 0)) {
+      return { error: `${code}: 0보다 큰 환율을 입력해주세요.` };
+    }
+    
+    rates[code] = rate;
+  }
+  
+  return { value: rates };
+}
+
+/**
+ * 고급 설정 입력 값 읽기
+ * @returns {Object|null} - 검증된 설정 값 (오류가 있으면 null)
+ */
+function readAdvancedForm() {
+  const values = {};
+  let valid = true;
+  
+  Object.entries(ADVANCED_FIELDS).forEach(([name, type]) => {
+    const input = document.getElementById(name);
+    const row = input && input.closest('.option-row');
+    if (!row) return;
+    
+    const result = validateField(name, type, input);
+    const errorElement = row.querySelector('.option-error');
+    
+    row.classList.toggle('invalid', !!result.error);
+    if (errorElement) errorElement.textContent = result.error || '';
+    
+    if (result.error) {
+      valid = false;
+    } else {
+      values[name] = result.value;
+    }
+  });
+  
+  return valid ? values : null;
+}
+
+/**
+ * 고급 설정 저장 (백그라운드가 저장 후 열린 탭에 전달)
+ * @param {Object} values - 바꿀 설정 값
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function saveAdvancedSettings(values) {
+  try {
+    // 이 페이지에 없는 설정 항목은 기존 값 유지
+    const data = await new Promise(resolve => chrome.storage.sync.get('settings', resolve));
+    const settings = { ...(data.settings || APP_CONFIG.defaultSettings), ...values };
+    
+    await sendMessage({ action: 'updateSettings', settings });
+    renderAdvancedSettings(settings);
+    showStatus('설정을 저장했습니다. 열려 있는 탭에 반영되었습니다.');
+    return true;
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 저장 오류:`, error);
+    showStatus(error.message || '설정 저장 중 오류가 발생했습니다.', true);
+    return false;
+  }
+}
+
+/**
+ * 고급 설정을 기본값으로 초기화
+ */
+async function resetAdvancedSettings() {
+  if (!confirm('고급 설정을 기본값으로 되돌릴까요?')) {
+    return;
+  }
+  
+  const defaults = {};
+  Object.keys(ADVANCED_FIELDS).forEach(name => {
+    defaults[name] = APP_CONFIG.defaultSettings[name];
+  });
+  
+  await saveAdvancedSettings(defaults);
+}
+
+/**
+ * 설정 프로필 목록 표시
+ */
+async function renderProfiles() {
+  const select = document.getElementById('profileSelect');
+  const activeLabel = document.getElementById('activeProfile');
+  if (!select) return;
+  
+  try {
+    const { active, profiles } = await sendMessage({ action: 'getProfiles' });
+    const selected = select.value;
+    
+    select.innerHTML = '';
+    
+    if (profiles.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = '저장된 프로필이 없습니다';
+      select.appendChild(option);
+    }
+    
+    profiles
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = `${profile.name} (사이트 규칙 ${profile.siteRuleCount}개)`;
+        select.appendChild(option);
+      });
+    
+    select.value = profiles.some(profile => profile.name === selected) ? selected : (active || select.options[0].value);
+    
+    ['applyProfileButton', 'exportProfileButton', 'removeProfileButton'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = profiles.length === 0;
+    });
+    
+    if (activeLabel) {
+      activeLabel.textContent = active ? `적용 중: ${active}` : '';
+    }
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 설정 프로필 로드 오류:`, error);
+  }
+}
+
+/**
+ * 선택한 프로필 적용 (열린 모든 탭에 반영)
+ */
+async function applySelectedProfile() {
+  const name = document.getElementById('profileSelect').value;
+  if (!name) return;
+  
+  try {
+    const response = await sendMessage({ action: 'applyProfile', name });
+    renderAdvancedSettings(response.settings);
+    await renderProfiles();
+    showStatus(`'${name}' 프로필을 적용했습니다.`);
+  } catch (error) {
+    showStatus(error.message || '프로필 적용 중 오류가 발생했습니다.', true);
+  }
+}
+
+/**
+ * 선택한 프로필 삭제
+ */
+async function removeSelectedProfile() {
+  const name = document.getElementById('profileSelect').value;
+  if (!name || !confirm(`'${name}' 프로필을 삭제할까요?`)) return;
+  
+  try {
+    await sendMessage({ action: 'removeProfile', name });
+    await renderProfiles();
+    showStatus('프로필을 삭제했습니다.');
+  } catch (error) {
+    showStatus(error.message || '프로필 삭제 중 오류가 발생했습니다.', true);
+  }
+}
+
+/**
+ * 설정 파일 내보내기 (JSON 파일 다운로드)
+ * @param {string} name - 프로필 이름 (없으면 현재 설정)
+ */
+async function exportSettings(name) {
+  try {
+    const { file } = await sendMessage({ action: 'exportSettings', name });
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tony-settings-${(file.profile || 'current').replace(/[\\/:*?"<>|\s]+/g, '_')}.json`;
+    link.click();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    showStatus(error.message || '설정 내보내기 중 오류가 발생했습니다.', true);
+  }
+}
+
+/**
+ * 설정 파일 가져오기 (검증 후 프로필로 저장)
+ * @param {File} file - 선택한 파일
+ */
+async function importSettings(file) {
+  const warningList = document.getElementById('importWarnings');
+  if (warningList) warningList.innerHTML = '';
+  
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (parseError) {
+      throw new Error('JSON 파일을 읽을 수 없습니다.');
+    }
+    
+    // 파일에 프로필 이름이 없으면 파일 이름 사용
+    const fallbackName = file.name.replace(/\.json$/i, '');
+    const response = await sendMessage({
+      action: 'importSettings',
+      data,
+      name: data && data.profile ? '' : fallbackName
+    });
+    
+    (response.warnings || []).forEach(warning => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      warningList.appendChild(item);
+    });
+    
+    await renderProfiles();
+    document.getElementById('profileSelect').value = response.name;
+    showStatus(`'${response.name}' 프로필로 가져왔습니다. 적용을 눌러 사용하세요.`);
+  } catch (error) {
+    showStatus(error.message || '설정 가져오기 중 오류가 발생했습니다.', true);
+  }
+}
+
+/**
+ * 자동 번역 방식 선택지 채우기
+ * @param {HTMLSelectElement} select - 대상 select
+ * @param {string} value - 선택할 값
+ */
+function fillModeOptions(select, value) {
+  if (!select) return;
+  
+  SiteRules.SITE_MODES.forEach(mode => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = SITE_MODE_LABELS[mode] || mode;
+    select.appendChild(option);
+  });
+  
+  select.value = value;
+}
+
+/**
+ * 번역 언어 선택지 채우기 (빈 값은 기본 번역 언어)
+ * @param {HTMLSelectElement} select - 대상 select
+ * @param {string} value - 선택할 값
+ */
+function fillLanguageOptions(select, value) {
+  if (!select) return;
+  
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = '기본 번역 언어';
+  select.appendChild(defaultOption);
+  
+  languages.forEach(lang => {
+    const option = document.createElement('option');
+    option.value = lang.code;
+    option.textContent = `${lang.native} (${lang.name})`;
+    select.appendChild(option);
+  });
+  
+  select.value = value;
+}
+
+/**
+ * 사이트 규칙 목록 표시
+ */
+async function renderSiteRules() {
+  const list = document.getElementById('siteRuleList');
+  if (!list) return;
+  
+  const rules = await SiteRules.getRules();
+  const origins = Object.keys(rules).sort();
+  
+  list.innerHTML = '';
+  
+  if (origins.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 4;
+    cell.className = 'site-rule-empty';
+    cell.textContent = '등록된 사이트 규칙이 없습니다.';
+    row.appendChild(cell);
+    list.appendChild(row);
+    return;
+  }
+  
+  origins.forEach(origin => {
+    const rule = rules[origin];
+    const row = document.createElement('tr');
+    
+    const originCell = document.createElement('td');
+    originCell.className = 'site-rule-origin';
+    originCell.textContent = origin;
+    
+    const modeSelect = document.createElement('select');
+    fillModeOptions(modeSelect, rule.mode || 'default');
+    
+    const langSelect = document.createElement('select');
+    fillLanguageOptions(langSelect, rule.targetLang || '');
+    
+    const updateRule = () => saveRule(origin, {
+      mode: modeSelect.value,
+      targetLang: langSelect.value
+    });
+    modeSelect.addEventListener('change', updateRule);
+    langSelect.addEventListener('change', updateRule);
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'remove-button';
+    removeButton.textContent = '삭제';
+    removeButton.addEventListener('click', async () => {
+      await SiteRules.removeRule(origin);
+      await renderSiteRules();
+      showStatus('사이트 규칙을 삭제했습니다.');
+    });
+    
+    const modeCell = document.createElement('td');
+    modeCell.appendChild(modeSelect);
+    const langCell = document.createElement('td');
+    langCell.appendChild(langSelect);
+    const actionCell = document.createElement('td');
+    actionCell.appendChild(removeButton);
+    
+    row.append(originCell, modeCell, langCell, actionCell);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * 사이트 규칙 저장
+ * @param {string} origin - 사이트 주소
+ * @param {Object} rule - {mode, targetLang}
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function saveRule(origin, rule) {
+  try {
+    const saved = await SiteRules.setRule(origin, rule);
+    showStatus(saved ? '사이트 규칙을 저장했습니다.' : '사이트 규칙을 저장하지 못했습니다.', !saved);
+    return saved;
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 사이트 규칙 저장 오류:`, error);
+    showStatus(error.message || '사이트 규칙 저장 중 오류가 발생했습니다.', true);
+    return false;
+  }
+}
+
+/**
+ * 언어 쌍 표시 이름 ('en>ko' → 'English → 한국어')
+ * @param {string} langPair - 언어 쌍
+ * @returns {string} - 표시 이름
+ */
+function formatLangPair(langPair) {
+  const langName = (code) => {
+    if (!code || code === '*') return '자동 감지';
+    const lang = languages.find(item => item.code === code);
+    return lang ? lang.native : code;
+  };
+  
+  const [sourceLang, targetLang] = (langPair || '').split('>');
+  return `${langName(sourceLang)} → ${langName(targetLang)}`;
+}
+
+/**
+ * 번역 캐시 통계와 언어/사이트별 목록 표시
+ */
+async function renderCacheStats() {
+  try {
+    const { stats } = await sendMessage({ action: 'getCacheStats' });
+    
+    const summary = document.getElementById('cacheSummary');
+    if (summary) {
+      summary.textContent = `${stats.count.toLocaleString()}개 · ${stats.sizeFormatted} / ${stats.maxSizeFormatted}` +
+        (stats.pinned ? ` · 고정 ${stats.pinned}개` : '');
+    }
+    
+    const byCount = (group) => Object.entries(group || {}).sort((a, b) => b[1].count - a[1].count);
+    
+    // 언어 쌍별 항목 수
+    const languageList = document.getElementById('cacheLanguageList');
+    if (languageList) {
+      languageList.innerHTML = '';
+      byCount(stats.byLanguage).forEach(([langPair, group]) => {
+        const item = document.createElement('li');
+        item.textContent = `${formatLangPair(langPair)} · ${group.count.toLocaleString()}개`;
+        languageList.appendChild(item);
+      });
+    }
+    
+    // 사이트별 항목 수 (사이트 단위 삭제)
+    const siteList = document.getElementById('cacheSiteList');
+    if (siteList) {
+      siteList.innerHTML = '';
+      byCount(stats.bySite).forEach(([origin, group]) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${origin || '알 수 없는 사이트'} · ${group.count.toLocaleString()}개`;
+        
+        const purgeButton = document.createElement('button');
+        purgeButton.type = 'button';
+        purgeButton.className = 'remove-button';
+        purgeButton.textContent = '삭제';
+        purgeButton.addEventListener('click', () => purgeCacheSite(origin));
+        
+        item.append(label, purgeButton);
+        siteList.appendChild(item);
+      });
+    }
+    
+    fillCacheFilterOptions(document.getElementById('cacheSiteFilter'), '모든 사이트',
+      Object.keys(stats.bySite || {}).sort().map(origin => [origin, origin || '알 수 없는 사이트']));
+    fillCacheFilterOptions(document.getElementById('cacheLanguageFilter'), '모든 언어',
+      Object.keys(stats.byLanguage || {}).sort().map(langPair => [langPair, formatLangPair(langPair)]));
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 캐시 통계 로드 오류:`, error);
+  }
+}
+
+/**
+ * 번역 캐시 검색 필터 선택지 채우기 (선택값 유지)
+ * @param {HTMLSelectElement} select - 대상 select
+ * @param {string} allLabel - '전체' 선택지 이름
+ * @param {Array} items - [값, 표시 이름] 배열
+ */
+function fillCacheFilterOptions(select, allLabel, items) {
+  if (!select) return;
+  
+  const selected = select.value;
+  select.innerHTML = '';
+  
+  [[CACHE_FILTER_ALL, allLabel], ...items].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  
+  select.value = items.some(([value]) => value === selected) ? selected : CACHE_FILTER_ALL;
+}
+
+/**
+ * 검색 조건으로 번역 캐시 항목 불러오기
+ * @param {boolean} append - 기존 목록 뒤에 이어서 불러오기 (더 보기)
+ */
+async function loadCacheEntries(append = false) {
+  const list = document.getElementById('cacheEntryList');
+  if (!list) return;
+  
+  try {
+    const { entries, total } = await sendMessage({
+      action: 'listCacheEntries',
+      filter: { ...cacheFilter, offset: append ? cacheEntryCount : 0, limit: CACHE_PAGE_SIZE }
+    });
+    
+    if (!append) {
+      list.innerHTML = '';
+      cacheEntryCount = 0;
+    }
+    
+    entries.forEach(entry => list.appendChild(createCacheEntryRow(entry)));
+    cacheEntryCount += entries.length;
+    
+    if (cacheEntryCount === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 6;
+      cell.className = 'site-rule-empty';
+      cell.textContent = '저장된 번역이 없습니다.';
+      row.appendChild(cell);
+      list.appendChild(row);
+    }
+    
+    const count = document.getElementById('cacheResultCount');
+    if (count) {
+      count.textContent = `${total.toLocaleString()}개 중 ${cacheEntryCount.toLocaleString()}개 표시`;
+    }
+    
+    const moreButton = document.getElementById('cacheMoreButton');
+    if (moreButton) {
+      moreButton.hidden = cacheEntryCount >= total;
+    }
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 캐시 목록 로드 오류:`, error);
+    showStatus('번역 캐시를 불러오지 못했습니다.', true);
+  }
+}
+
+/**
+ * 번역 캐시 항목 행 생성
+ * @param {Object} entry - CacheManager.listEntries 항목
+ * @returns {HTMLTableRowElement} - 표 행
+ */
+function createCacheEntryRow(entry) {
+  const row = document.createElement('tr');
+  
+  const sourceCell = document.createElement('td');
+  sourceCell.textContent = entry.unverified ? '(이전 버전 캐시 - 원문 없음)' : entry.source;
+  
+  const translationCell = document.createElement('td');
+  const showTranslation = () => {
+    translationCell.textContent = entry.translation;
+    if (entry.pinned) {
+      const badge = document.createElement('span');
+      badge.className = 'cache-pinned';
+      badge.textContent = '고정';
+      translationCell.appendChild(badge);
+    }
+  };
+  showTranslation();
+  
+  const langCell = document.createElement('td');
+  langCell.textContent = formatLangPair(entry.langPair);
+  
+  const siteCell = document.createElement('td');
+  siteCell.textContent = entry.origin || '-';
+  
+  const dateCell = document.createElement('td');
+  dateCell.textContent = new Date(entry.createdAt).toLocaleDateString();
+  
+  const actionCell = document.createElement('td');
+  
+  if (entry.editable) {
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'edit-button';
+    editButton.textContent = '수정';
+    editButton.addEventListener('click', () => {
+      editButton.disabled = true;
+      
+      const textarea = document.createElement('textarea');
+      textarea.rows = 3;
+      textarea.value = entry.translation;
+      
+      const saveButton = document.createElement('button');
+      saveButton.type = 'button';
+      saveButton.className = 'primary-button';
+      saveButton.textContent = '저장';
+      saveButton.addEventListener('click', async () => {
+        try {
+          const { entry: updated } = await sendMessage({
+            action: 'updateCacheEntry',
+            key: entry.key,
+            translation: textarea.value
+          });
+          row.replaceWith(createCacheEntryRow(updated));
+          showStatus('번역을 고쳤습니다. 이 번역은 고정됩니다.');
+          renderCacheStats();
+        } catch (error) {
+          showStatus(error.message || '번역을 저장하지 못했습니다.', true);
+        }
+      });
+      
+      const cancelButton = document.createElement('button');
+      cancelButton.type = 'button';
+      cancelButton.className = 'secondary-button';
+      cancelButton.textContent = '취소';
+      cancelButton.addEventListener('click', () => {
+        showTranslation();
+        editButton.disabled = false;
+      });
+      
+      translationCell.innerHTML = '';
+      translationCell.append(textarea, saveButton, cancelButton);
+      textarea.focus();
+    });
+    actionCell.appendChild(editButton);
+  }
+  
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'remove-button';
+  removeButton.textContent = '삭제';
+  removeButton.addEventListener('click', async () => {
+    try {
+      await sendMessage({ action: 'removeCacheEntry', key: entry.key });
+      row.remove();
+      cacheEntryCount = Math.max(0, cacheEntryCount - 1);
+      showStatus('캐시 항목을 삭제했습니다.');
+      renderCacheStats();
+    } catch (error) {
+      showStatus(error.message || '캐시 항목을 삭제하지 못했습니다.', true);
+    }
+  });
+  actionCell.appendChild(removeButton);
+  
+  row.append(sourceCell, translationCell, langCell, siteCell, dateCell, actionCell);
+  return row;
+}
+
+/**
+ * 사이트의 번역 캐시 모두 삭제
+ * @param {string} origin - 사이트 origin (빈 문자열이면 사이트를 모르는 항목)
+ */
+async function purgeCacheSite(origin) {
+  if (!confirm(`${origin || '알 수 없는 사이트'}의 번역 캐시를 모두 삭제할까요? 고친 번역도 삭제됩니다.`)) {
+    return;
+  }
+  
+  try {
+    const { clearedItems } = await sendMessage({ action: 'purgeCacheSite', origin });
+    showStatus(`${clearedItems}개 항목을 삭제했습니다.`);
+    await renderCacheStats();
+    await loadCacheEntries();
+  } catch (error) {
+    showStatus(error.message || '사이트 캐시를 삭제하지 못했습니다.', true);
+  }
+}
+
+/**
+ * 오프라인 페이지 목록 표시 (미리 번역 중인 페이지가 있으면 끝날 때까지 주기적으로 갱신)
+ */
+async function renderOfflinePages() {
+  const list = document.getElementById('offlinePageList');
+  if (!list) return;
+  
+  clearTimeout(offlineRefreshTimer);
+  
+  try {
+    const { pages } = await sendMessage({ action: 'getOfflinePages' });
+    list.innerHTML = '';
+    
+    if (pages.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      cell.className = 'site-rule-empty';
+      cell.textContent = '저장된 오프라인 페이지가 없습니다.';
+      row.appendChild(cell);
+      list.appendChild(row);
+      return;
+    }
+    
+    pages.forEach(page => list.appendChild(createOfflinePageRow(page)));
+    
+    if (pages.some(page => page.pending)) {
+      offlineRefreshTimer = setTimeout(renderOfflinePages, OFFLINE_REFRESH_INTERVAL);
+    }
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 오프라인 페이지 목록 로드 오류:`, error);
+  }
+}
+
+/**
+ * 오프라인 페이지 행 생성
+ * @param {Object} page - {url, status, segmentCount, translatedCount, pending}
+ * @returns {HTMLTableRowElement} - 행
+ */
+function createOfflinePageRow(page) {
+  const row = document.createElement('tr');
+  
+  const urlCell = document.createElement('td');
+  urlCell.className = 'offline-page-url';
+  urlCell.textContent = page.url;
+  
+  const statusCell = document.createElement('td');
+  statusCell.textContent = page.pending ? '번역 중...' : OFFLINE_STATUS_LABELS[page.status] || page.status;
+  statusCell.classList.toggle('offline-page-stale', !page.pending && page.status !== 'ready');
+  
+  const countCell = document.createElement('td');
+  countCell.textContent = page.segmentCount ?
+    `${page.translatedCount.toLocaleString()}/${page.segmentCount.toLocaleString()}` : '-';
+  
+  const actionCell = document.createElement('td');
+  
+  const refreshButton = document.createElement('button');
+  refreshButton.type = 'button';
+  refreshButton.className = 'edit-button';
+  refreshButton.textContent = '다시 저장';
+  refreshButton.disabled = page.pending === true;
+  refreshButton.addEventListener('click', () => prepareOfflinePages([page.url]));
+  
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'remove-button';
+  removeButton.textContent = '삭제';
+  removeButton.addEventListener('click', async () => {
+    try {
+      await sendMessage({ action: 'removeOfflinePage', url: page.url });
+      showStatus('오프라인 목록에서 삭제했습니다.');
+      await renderOfflinePages();
+    } catch (error) {
+      showStatus(error.message || '오프라인 페이지를 삭제하지 못했습니다.', true);
+    }
+  });
+  
+  actionCell.append(refreshButton, removeButton);
+  row.append(urlCell, statusCell, countCell, actionCell);
+  return row;
+}
+
+/**
+ * 페이지 미리 번역 요청 (백그라운드 탭에서 차례로 처리)
+ * @param {string[]} urls - 페이지 주소 배열
+ * @returns {Promise<boolean>} - 요청 성공 여부
+ */
+async function prepareOfflinePages(urls) {
+  try {
+    const { queued, invalid } = await sendMessage({ action: 'prepareOfflinePages', urls });
+    
+    if (invalid.length > 0) {
+      showStatus(`올바르지 않은 주소 ${invalid.length}개는 건너뛰었습니다: ${invalid.join(', ')}`, true);
+    } else {
+      showStatus(`${queued}개 페이지를 백그라운드에서 번역합니다.`);
+    }
+    
+    await renderOfflinePages();
+    return true;
+  } catch (error) {
+    showStatus(error.message || '오프라인 저장을 요청하지 못했습니다.', true);
+    return false;
+  }
+}
+
+/**
+ * 이벤트 리스너 설정
+ */
+function setupEventListeners() {
+  const advancedForm = document.getElementById('advancedForm');
+  if (advancedForm) {
+    advancedForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const values = readAdvancedForm();
+      if (!values) {
+        showStatus('입력 값을 확인해주세요.', true);
+        return;
+      }
+      
+      saveAdvancedSettings(values);
+    });
+  }
+  
+  const resetButton = document.getElementById('resetAdvancedButton');
+  if (resetButton) {
+    resetButton.addEventListener('click', resetAdvancedSettings);
+  }
+  
+  // 설정 프로필
+  document.getElementById('applyProfileButton')?.addEventListener('click', applySelectedProfile);
+  document.getElementById('removeProfileButton')?.addEventListener('click', removeSelectedProfile);
+  document.getElementById('exportProfileButton')?.addEventListener('click', () => {
+    exportSettings(document.getElementById('profileSelect').value);
+  });
+  document.getElementById('exportCurrentButton')?.addEventListener('click', () => exportSettings(''));
+  
+  const saveProfileForm = document.getElementById('saveProfileForm');
+  if (saveProfileForm) {
+    saveProfileForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const nameInput = document.getElementById('profileName');
+      try {
+        const response = await sendMessage({ action: 'saveProfile', name: nameInput.value });
+        nameInput.value = '';
+        await renderProfiles();
+        document.getElementById('profileSelect').value = response.name;
+        showStatus(`현재 설정을 '${response.name}' 프로필로 저장했습니다.`);
+      } catch (error) {
+        showStatus(error.message || '프로필 저장 중 오류가 발생했습니다.', true);
+      }
+    });
+  }
+  
+  const importInput = document.getElementById('importFile');
+  if (importInput) {
+    importInput.addEventListener('change', () => {
+      if (importInput.files && importInput.files[0]) {
+        importSettings(importInput.files[0]);
+      }
+      importInput.value = '';
+    });
+  }
+  
+  const form = document.getElementById('siteRuleForm');
+  if (form) {
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const originInput = document.getElementById('newSiteOrigin');
+      const input = originInput.value.trim();
+      // 스킴 없이 입력한 도메인은 https로 간주
+      const origin = SiteRules.getOrigin(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+      
+      if (!input || !origin) {
+        showStatus('올바른 사이트 주소를 입력해주세요. (예: https://example.com)', true);
+        return;
+      }
+      
+      const saved = await saveRule(origin, {
+        mode: document.getElementById('newSiteMode').value,
+        targetLang: document.getElementById('newSiteTargetLang').value
+      });
+      
+      if (saved) {
+        originInput.value = '';
+        await renderSiteRules();
+      }
+    });
+  }
+  
+  const cacheSearchForm = document.getElementById('cacheSearchForm');
+  if (cacheSearchForm) {
+    cacheSearchForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const origin = document.getElementById('cacheSiteFilter').value;
+      const langPair = document.getElementById('cacheLanguageFilter').value;
+      cacheFilter = {
+        query: document.getElementById('cacheQuery').value,
+        origin: origin === CACHE_FILTER_ALL ? undefined : origin,
+        langPair: langPair === CACHE_FILTER_ALL ? undefined : langPair
+      };
+      loadCacheEntries();
+    });
+  }
+  
+  const moreButton = document.getElementById('cacheMoreButton');
+  if (moreButton) moreButton.addEventListener('click', () => loadCacheEntries(true));
+  
+  const clearCacheButton = document.getElementById('clearCacheButton');
+  if (clearCacheButton) {
+    clearCacheButton.addEventListener('click', async () => {
+      if (!confirm('번역 캐시를 모두 삭제할까요? 고친 번역도 삭제됩니다.')) {
+        return;
+      }
+      
+      try {
+        const { clearedItems } = await sendMessage({ action: 'clearCache' });
+        showStatus(`${clearedItems}개 항목을 삭제했습니다.`);
+        await renderCacheStats();
+        await loadCacheEntries();
+      } catch (error) {
+        showStatus(error.message || '번역 캐시를 삭제하지 못했습니다.', true);
+      }
+    });
+  }
+  
+  const offlinePageForm = document.getElementById('offlinePageForm');
+  if (offlinePageForm) {
+    offlinePageForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const input = document.getElementById('offlinePageUrls');
+      const urls = input.value.split('\n').map(url => url.trim()).filter(Boolean);
+      
+      if (urls.length === 0) {
+        showStatus('미리 번역할 페이지 주소를 입력해주세요.', true);
+        return;
+      }
+      
+      if (await prepareOfflinePages(urls)) {
+        input.value = '';
+      }
+    });
+  }
+  
+  // 팝업 등 다른 화면에서 바꾼 규칙 반영
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.siteRules) {
+      renderSiteRules();
+    }
+  });
+}
+
+/**
+ * 저장 결과 메시지 표시
+ * @param {string} message - 메시지
+ * @param {boolean} isError - 오류 여부
+ */
+function showStatus(message, isError = false) {
+  const status = document.getElementById('statusMessage');
+  if (!status) return;
+  
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+  
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    status.textContent = '';
+  }, APP_CONFIG.uiSettings.autoHideDelay);
+}
+
+// DOM 로드 시 초기화
+document.addEventListener('DOMContentLoaded', initializeOptions);
@@ -3,25 +3,49 @@ import { APP_CONFIG, getCurrentMonth } from '../config.js';
 import * as CacheManager from '../utils/cache-manager.js';
 import * as UsageManager from '../utils/usage-manager.js';
 import * as UIManager from '../utils/ui-manager.js';
+import * as GlossaryManager from '../utils/glossary-manager.js';
+import * as SiteRules from '../utils/site-rules.js';
 
 // 모듈 스코프 상수
 const EXTERNAL_LINKS = {
   'privacyLink': 'https://tony-translator.com/privacy',
   'helpLink': 'https://tony-translator.com/help',
-  'subscriptionLink': 'https://tony-translator.com/subscription'
+  'subscriptionLink': 'https://tony-translator.com/subscription',
+  'shortcutsLink': 'chrome://extensions/shortcuts' // 단축키 변경 화면
 };
 
+// 번역 언어별 문체 프리셋 (예: {ko: 'polite'})
+let registerSettings = {};
+
+// 현재 탭의 사이트 규칙 키 (http/https 페이지가 아니면 null)
+let siteOrigin = null;
+
 /**
  * 팝업 초기화 메인 함수
  */
 async function initializePopup() {
   try {
     // 언어 목록 로드
-    await loadLanguages();
+    const languages = await loadLanguages();
+    
+    // 문체 프리셋 목록 표시
+    loadRegisterPresets();
     
     // 저장된 설정 로드
     await loadSettings();
     
+    // 용어집 목록 표시
+    await renderGlossary();
+    
+    // 현재 사이트 규칙 표시
+    await loadSiteRule(languages);
+    
+    // 현재 페이지의 원문 언어 표시
+    await showDetectedLanguage(languages);
+    
+    // 원문/번역 전환 버튼 상태
+    await syncToggleOriginalButton();
+    
     // 사용량 통계 가져오기
     const stats = await getUsageStats();
     
@@ -91,6 +115,52 @@ async function loadLanguages() {
   }
 }
 
+/**
+ * 문체 프리셋 드롭다운 채우기
+ */
+function loadRegisterPresets() {
+  const registerSelect = document.getElementById('register');
+  if (!registerSelect) return;
+  
+  registerSelect.innerHTML = '';
+  
+  APP_CONFIG.registerPresets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.value;
+    option.textContent = preset.label;
+    registerSelect.appendChild(option);
+  });
+}
+
+/**
+ * 현재 번역 언어에 저장된 문체를 드롭다운에 표시
+ */
+function syncRegisterSelect() {
+  const registerSelect = document.getElementById('register');
+  if (registerSelect) {
+    registerSelect.value = registerSettings[getSelectedTargetLang()] || '';
+  }
+}
+
+/**
+ * 문체 변경 시 현재 번역 언어의 문체로 저장
+ */
+function saveRegister() {
+  const registerSelect = document.getElementById('register');
+  if (!registerSelect) return;
+  
+  const targetLang = getSelectedTargetLang();
+  registerSettings = { ...registerSettings };
+  
+  if (registerSelect.value) {
+    registerSettings[targetLang] = registerSelect.value;
+  } else {
+    delete registerSettings[targetLang];
+  }
+  
+  saveSettings();
+}
+
 /**
  * 저장된 설정 로드
  */
@@ -121,6 +191,34 @@ async function loadSettings() {
         autoTranslateCheckbox.checked = settings.autoTranslate;
       }
       
+      // 문서 맥락 요약 설정
+      const contextAwareCheckbox = document.getElementById('contextAware');
+      if (contextAwareCheckbox) {
+        contextAwareCheckbox.checked = settings.contextAware === true;
+      }
+      
+      // 통화/단위 현지화 설정
+      const localizeUnitsCheckbox = document.getElementById('localizeUnits');
+      if (localizeUnitsCheckbox) {
+        localizeUnitsCheckbox.checked = settings.localizeUnits === true;
+      }
+      
+      // 용어 조회 설정
+      const inlineLookupCheckbox = document.getElementById('inlineLookup');
+      if (inlineLookupCheckbox) {
+        inlineLookupCheckbox.checked = settings.inlineLookup === true;
+      }
+      
+      // 표시 방식 설정
+      const displayModeSelect = document.getElementById('displayMode');
+      if (displayModeSelect) {
+        displayModeSelect.value = settings.displayMode || 'translated';
+      }
+      
+      // 번역 언어별 문체 설정
+      registerSettings = settings.registers || {};
+      syncRegisterSelect();
+      
       resolve(settings);
     });
   });
@@ -132,32 +230,45 @@ async function loadSettings() {
 function saveSettings() {
   const targetLangSelect = document.getElementById('targetLang');
   const autoTranslateCheckbox = document.getElementById('autoTranslate');
+  const contextAwareCheckbox = document.getElementById('contextAware');
+  const localizeUnitsCheckbox = document.getElementById('localizeUnits');
+  const inlineLookupCheckbox = document.getElementById('inlineLookup');
+  const displayModeSelect = document.getElementById('displayMode');
   
   if (!targetLangSelect || !autoTranslateCheckbox) {
     console.error(`[${APP_CONFIG.appName}] 설정 요소를 찾을 수 없습니다.`);
     return;
   }
   
-  const settings = {
-    targetLang: targetLangSelect.value,
-    autoTranslate: autoTranslateCheckbox.checked
-  };
+  chrome.storage.sync.get('settings', (data) => {
+    // 팝업에 없는 설정 항목은 기존 값 유지
+    const settings = {
+      ...(data.settings || {}),
+      targetLang: targetLangSelect.value,
+      autoTranslate: autoTranslateCheckbox.checked,
+      contextAware: contextAwareCheckbox ? contextAwareCheckbox.checked : false,
+      localizeUnits: localizeUnitsCheckbox ? localizeUnitsCheckbox.checked : false,
+      inlineLookup: inlineLookupCheckbox ? inlineLookupCheckbox.checked : false,
+      registers: registerSettings,
+      displayMode: displayModeSelect ? displayModeSelect.value : 'translated'
+    };
   
-  chrome.storage.sync.set({ settings }, () => {
-    // 저장된 설정을 활성 탭에 전달
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs && tabs[0] && tabs[0].id) {
-        chrome.tabs.sendMessage(tabs[0].id, { 
-          action: "updateSettings", 
-          settings: settings 
-        }).catch(error => {
-          console.warn(`[${APP_CONFIG.appName}] 탭에 메시지 전송 실패:`, error);
-        });
-      }
+    chrome.storage.sync.set({ settings }, () => {
+      // 저장된 설정을 활성 탭에 전달
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (tabs && tabs[0] && tabs[0].id) {
+          chrome.tabs.sendMessage(tabs[0].id, { 
+            action: "updateSettings", 
+            settings: settings 
+          }).catch(error => {
+            console.warn(`[${APP_CONFIG.appName}] 탭에 메시지 전송 실패:`, error);
+          });
+        }
+      });
+  
+      // 성공 메시지 표시 (선택적)
+      UIManager.showToast("설정이 저장되었습니다.", "success", 1500);
     });
-    
-    // 성공 메시지 표시 (선택적)
-    UIManager.showToast("설정이 저장되었습니다.", "success", 1500);
   });
 }
 
@@ -171,11 +282,18 @@ function setupEventListeners() {
     translateButton.addEventListener('click', translateCurrentPage);
   }
   
+  const toggleOriginalButton = document.getElementById('toggleOriginalButton');
+  if (toggleOriginalButton) {
+    toggleOriginalButton.addEventListener('click', toggleOriginal);
+  }
+  
   // 설정 변경 이벤트
   const targetLangSelect = document.getElementById('targetLang');
   const autoTranslateCheckbox = document.getElementById('autoTranslate');
   
   if (targetLangSelect) {
+    // 저장 전에 새 번역 언어의 문체를 표시
+    targetLangSelect.addEventListener('change', syncRegisterSelect);
     targetLangSelect.addEventListener('change', saveSettings);
   }
   
@@ -183,6 +301,61 @@ function setupEventListeners() {
     autoTranslateCheckbox.addEventListener('change', saveSettings);
   }
   
+  const contextAwareCheckbox = document.getElementById('contextAware');
+  if (contextAwareCheckbox) {
+    contextAwareCheckbox.addEventListener('change', saveSettings);
+  }
+  
+  const localizeUnitsCheckbox = document.getElementById('localizeUnits');
+  if (localizeUnitsCheckbox) {
+    localizeUnitsCheckbox.addEventListener('change', saveSettings);
+  }
+  
+  const inlineLookupCheckbox = document.getElementById('inlineLookup');
+  if (inlineLookupCheckbox) {
+    inlineLookupCheckbox.addEventListener('change', saveSettings);
+  }
+  
+  const siteModeSelect = document.getElementById('siteMode');
+  if (siteModeSelect) {
+    siteModeSelect.addEventListener('change', saveSiteRule);
+  }
+  
+  const siteTargetLangSelect = document.getElementById('siteTargetLang');
+  if (siteTargetLangSelect) {
+    siteTargetLangSelect.addEventListener('change', saveSiteRule);
+  }
+  
+  const optionsLink = document.getElementById('optionsLink');
+  if (optionsLink) {
+    optionsLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+  }
+  
+  const registerSelect = document.getElementById('register');
+  if (registerSelect) {
+    registerSelect.addEventListener('change', saveRegister);
+  }
+  
+  // 표시 방식은 저장된 설정이 활성 탭에 전달되면 즉시 전환됨
+  const displayModeSelect = document.getElementById('displayMode');
+  if (displayModeSelect) {
+    displayModeSelect.addEventListener('change', saveSettings);
+  }
+  
+  // 용어집 추가 버튼
+  const glossaryAddButton = document.getElementById('glossaryAddButton');
+  if (glossaryAddButton) {
+    glossaryAddButton.addEventListener('click', addGlossaryTerm);
+  }
+  
+  // 번역 언어가 바뀌면 해당 언어 용어집 표시
+  if (targetLangSelect) {
+    targetLangSelect.addEventListener('change', renderGlossary);
+  }
+  
   // 업그레이드 버튼
   const upgradeButton = document.getElementById('upgradeButton');
   if (upgradeButton) {
@@ -201,6 +374,247 @@ function setupEventListeners() {
   });
 }
 
+/**
+ * 현재 선택된 번역 언어
+ * @returns {string} - 언어 코드
+ */
+function getSelectedTargetLang() {
+  const targetLangSelect = document.getElementById('targetLang');
+  return (targetLangSelect && targetLangSelect.value) || 'ko';
+}
+
+/**
+ * 용어집 목록 표시 (현재 번역 언어의 고정 번역 + 번역 제외 용어)
+ */
+async function renderGlossary() {
+  const list = document.getElementById('glossaryList');
+  if (!list) return;
+  
+  const targetLang = getSelectedTargetLang();
+  const glossary = await GlossaryManager.getGlossary();
+  
+  const items = [
+    ...glossary.entries
+      .filter(entry => entry.translations && entry.translations[targetLang])
+      .map(entry => ({
+        label: `${entry.term} → ${entry.translations[targetLang]}`,
+        caseSensitive: entry.caseSensitive,
+        remove: () => GlossaryManager.removeTerm(entry.term, targetLang)
+      })),
+    ...glossary.doNotTranslate.map(item => ({
+      label: `${item.term} (번역 안 함)`,
+      caseSensitive: item.caseSensitive,
+      remove: () => GlossaryManager.removeDoNotTranslate(item.term)
+    }))
+  ];
+  
+  list.innerHTML = '';
+  
+  if (items.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'glossary-empty';
+    empty.textContent = '등록된 용어가 없습니다.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  items.forEach(item => {
+    const row = document.createElement('li');
+    
+    const label = document.createElement('span');
+    label.textContent = item.caseSensitive ? `${item.label} [Aa]` : item.label;
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'glossary-remove';
+    removeButton.textContent = '삭제';
+    removeButton.addEventListener('click', async () => {
+      try {
+        await item.remove();
+        await renderGlossary();
+      } catch (error) {
+        UIManager.showToast(error.message, "error", 3000);
+      }
+    });
+    
+    row.appendChild(label);
+    row.appendChild(removeButton);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * 용어집에 용어 추가 (번역을 비우면 번역 제외 용어로 추가)
+ */
+async function addGlossaryTerm() {
+  const termInput = document.getElementById('glossaryTerm');
+  const translationInput = document.getElementById('glossaryTranslation');
+  const caseSensitiveCheckbox = document.getElementById('glossaryCaseSensitive');
+  
+  if (!termInput || !translationInput) return;
+  
+  const caseSensitive = caseSensitiveCheckbox ? caseSensitiveCheckbox.checked : false;
+  
+  try {
+    const saved = translationInput.value.trim() ?
+      await GlossaryManager.addTerm(termInput.value, translationInput.value, getSelectedTargetLang(), caseSensitive) :
+      await GlossaryManager.addDoNotTranslate(termInput.value, caseSensitive);
+    
+    if (!saved) {
+      UIManager.showToast("용어집을 저장하지 못했습니다.", "error", 2000);
+      return;
+    }
+    
+    termInput.value = '';
+    translationInput.value = '';
+    await renderGlossary();
+    UIManager.showToast("용어집에 추가되었습니다.", "success", 1500);
+  } catch (error) {
+    // 입력 오류와 저장 공간 부족(sync 용량) 오류 표시
+    UIManager.showToast(error.message, "error", 3000);
+  }
+}
+
+/**
+ * 현재 페이지의 원문 언어 표시 (콘텐츠 스크립트에 감지 결과 요청)
+ * @param {Array} languages - languages.json 언어 목록
+ */
+async function showDetectedLanguage(languages) {
+  const label = document.getElementById('detectedLanguage');
+  if (!label) return;
+  
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs || !tabs[0] || !tabs[0].id) {
+      throw new Error('활성 탭이 없습니다.');
+    }
+    
+    const response = await chrome.tabs.sendMessage(tabs[0].id, { action: "getDetectedLanguage" });
+    const detected = response && response.language;
+    
+    if (!detected) {
+      label.textContent = '감지된 언어: 알 수 없음';
+      return;
+    }
+    
+    const language = (languages || []).find(lang => lang.code === detected.lang);
+    const name = language ? language.native : detected.lang;
+    const sameAsTarget = detected.lang === getSelectedTargetLang();
+    
+    label.textContent = `감지된 언어: ${name}${sameAsTarget ? ' (번역 언어와 같음)' : ''}`;
+  } catch (error) {
+    // 콘텐츠 스크립트가 없는 페이지 (chrome:// 등)
+    console.warn(`[${APP_CONFIG.appName}] 원문 언어 확인 실패:`, error);
+    label.textContent = '감지된 언어: 알 수 없음';
+  }
+}
+
+/**
+ * 현재 탭 사이트의 규칙 표시 (http/https가 아닌 페이지는 비활성)
+ * @param {Array} languages - languages.json 언어 목록
+ */
+async function loadSiteRule(languages) {
+  const siteModeSelect = document.getElementById('siteMode');
+  const siteTargetLangSelect = document.getElementById('siteTargetLang');
+  const originLabel = document.getElementById('siteOrigin');
+  if (!siteModeSelect || !siteTargetLangSelect) return;
+  
+  (languages || []).forEach(lang => {
+    const option = document.createElement('option');
+    option.value = lang.code;
+    option.textContent = `${lang.native} (${lang.name})`;
+    siteTargetLangSelect.appendChild(option);
+  });
+  
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    const origin = tabs && tabs[0] ? SiteRules.getOrigin(tabs[0].url || '') : null;
+    
+    if (!origin) {
+      if (originLabel) originLabel.textContent = '(설정할 수 없는 페이지)';
+      return;
+    }
+    
+    siteOrigin = origin;
+    if (originLabel) originLabel.textContent = new URL(origin).host;
+    
+    const rule = await SiteRules.getRule(origin);
+    siteModeSelect.value = rule.mode;
+    siteTargetLangSelect.value = rule.targetLang;
+    siteModeSelect.disabled = false;
+    siteTargetLangSelect.disabled = false;
+  } catch (error) {
+    console.warn(`[${APP_CONFIG.appName}] 사이트 규칙 로드 실패:`, error);
+  }
+}
+
+/**
+ * 현재 사이트 규칙 저장 (열린 탭은 storage 변경으로 대상 언어를 다시 읽음)
+ */
+async function saveSiteRule() {
+  const siteModeSelect = document.getElementById('siteMode');
+  const siteTargetLangSelect = document.getElementById('siteTargetLang');
+  if (!siteOrigin || !siteModeSelect || !siteTargetLangSelect) return;
+  
+  try {
+    await SiteRules.setRule(siteOrigin, {
+      mode: siteModeSelect.value,
+      targetLang: siteTargetLangSelect.value
+    });
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 사이트 규칙 저장 오류:`, error);
+    showErrorMessage(error.message || "사이트 규칙 저장 중 오류가 발생했습니다.");
+  }
+}
+
+/**
+ * 원문/번역 전환 버튼 표시 갱신
+ * @param {string} mode - 현재 표시 방식
+ * @param {number} count - 페이지에 적용된 번역 수
+ */
+function updateToggleOriginalButton(mode, count) {
+  const button = document.getElementById('toggleOriginalButton');
+  if (!button) return;
+  
+  button.disabled = !count;
+  button.textContent = mode === 'original' ? '번역 보기' : '원문 보기';
+}
+
+/**
+ * 현재 페이지의 표시 방식을 받아 전환 버튼에 반영
+ */
+async function syncToggleOriginalButton() {
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs || !tabs[0] || !tabs[0].id) return;
+    
+    const response = await chrome.tabs.sendMessage(tabs[0].id, { action: "getDisplayMode" });
+    if (response && response.success) {
+      updateToggleOriginalButton(response.mode, response.count);
+    }
+  } catch (error) {
+    // 콘텐츠 스크립트가 없는 페이지는 버튼 비활성 상태 유지
+    console.warn(`[${APP_CONFIG.appName}] 표시 방식 확인 실패:`, error);
+  }
+}
+
+/**
+ * 현재 페이지를 원문 보기 ↔ 번역 보기로 전환 (번역 재요청 없음)
+ */
+async function toggleOriginal() {
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs || !tabs[0] || !tabs[0].id) return;
+    
+    const response = await chrome.tabs.sendMessage(tabs[0].id, { action: "toggleOriginal" });
+    if (response && response.success) {
+      updateToggleOriginalButton(response.mode, response.count);
+    }
+  } catch (error) {
+    console.error(`[${APP_CONFIG.appName}] 원문/번역 전환 오류:`, error);
+    showErrorMessage("원문/번역 전환 중 오류가 발생했습니다.");
+  }
+}
+
 /**
  * 현재 페이지 번역
  */
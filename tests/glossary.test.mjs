@@ -0,0 +1,104 @@
+// glossary.test.mjs - 워커 용어집 정리/선택/검증 테스트 (실행: node --test tests/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizeGlossary,
+  selectGlossaryForTexts,
+  formatGlossary,
+  findGlossaryViolations
+} from '../features/cloudflare_worker/glossary.js';
+import { translateWithJsonProtocol } from '../features/cloudflare_worker/translation-protocol.js';
+
+const glossary = normalizeGlossary({
+  terms: [
+    { source: 'Worker', target: '워커' },
+    { source: 'PR', target: '풀 리퀘스트', caseSensitive: true }
+  ],
+  doNotTranslate: [{ term: 'GitHub', caseSensitive: true }]
+});
+
+/**
+ * 요청마다 정해진 번역 하나를 돌려주는 가짜 LLM 제공자
+ * @param {string[]} replies - 요청 순서대로 id 0의 번역
+ * @returns {Object} - 제공자 객체 (prompts에 받은 프롬프트 기록)
+ */
+function createFakeProvider(replies) {
+  const provider = {
+    name: 'fake',
+    kind: 'llm',
+    prompts: [],
+
+    async generate(request) {
+      provider.prompts.push(request.prompt);
+      const text = replies[Math.min(provider.prompts.length, replies.length) - 1];
+      return JSON.stringify({ translations: [{ id: 0, text }] });
+    }
+  };
+
+  return provider;
+}
+
+test('normalizeGlossary는 형식이 잘못된 항목을 버리고 빈 용어집은 null로 만든다', () => {
+  assert.equal(normalizeGlossary(null), null);
+  assert.equal(normalizeGlossary({ terms: [{ source: 'a' }], doNotTranslate: [{ term: '  ' }] }), null);
+
+  const normalized = normalizeGlossary({
+    terms: [null, 'text', { source: ' Worker ', target: '워커', caseSensitive: 'yes' }],
+    doNotTranslate: [{ term: 'x'.repeat(150), caseSensitive: true }]
+  });
+
+  assert.deepEqual(normalized.terms, [{ source: 'Worker', target: '워커', caseSensitive: false }]);
+  assert.equal(normalized.doNotTranslate[0].term.length, 100);
+  assert.equal(normalized.doNotTranslate[0].caseSensitive, true);
+});
+
+test('normalizeGlossary는 용어 수를 200개로 제한한다', () => {
+  const terms = Array.from({ length: 250 }, (_, index) => ({ source: `term${index}`, target: `용어${index}` }));
+
+  assert.equal(normalizeGlossary({ terms }).terms.length, 200);
+});
+
+test('텍스트에 등장하는 용어만 고르고 영숫자 용어는 단어 경계를 확인한다', () => {
+  assert.equal(selectGlossaryForTexts(glossary, ['Check the PRice']), null);
+  assert.equal(selectGlossaryForTexts(glossary, ['open a pr']), null); // 대소문자 구분 용어
+  assert.equal(selectGlossaryForTexts(null, ['Worker']), null);
+
+  const selected = selectGlossaryForTexts(glossary, ['Review the PR', 'deploy the worker']);
+  assert.deepEqual(selected.terms.map(item => item.source), ['Worker', 'PR']);
+  assert.deepEqual(selected.doNotTranslate, []);
+});
+
+test('프롬프트용 용어집은 용어마다 한 줄로 만든다', () => {
+  assert.equal(formatGlossary(null), '');
+  assert.equal(formatGlossary(glossary), [
+    '- "Worker" → "워커"',
+    '- "PR" → "풀 리퀘스트"',
+    '- "GitHub" → 번역하지 말고 원문 그대로 유지'
+  ].join('\n'));
+});
+
+test('고정 번역이 빠지거나 번역하지 않을 용어가 바뀐 경우를 위반으로 찾는다', () => {
+  assert.deepEqual(findGlossaryViolations(glossary, 'Run the Worker on GitHub', '깃허브에서 작업자 실행'), ['Worker', 'GitHub']);
+  assert.deepEqual(findGlossaryViolations(glossary, 'Run the Worker on GitHub', 'GitHub에서 워커 실행'), []);
+  assert.deepEqual(findGlossaryViolations(glossary, 'Nothing to check', '확인할 것 없음'), []);
+  assert.deepEqual(findGlossaryViolations(null, 'Worker', '작업자'), []);
+});
+
+test('용어집을 어긴 번역은 다시 요청하고 마지막 시도에서도 어기면 그대로 쓴다', async () => {
+  const workerGlossary = selectGlossaryForTexts(glossary, ['Run Worker']);
+
+  const provider = createFakeProvider(['작업자 실행', '워커 실행']);
+  const fixed = await translateWithJsonProtocol(provider, ['Run Worker'], 'ko', {}, { glossary: workerGlossary });
+
+  assert.deepEqual(fixed.translations, ['워커 실행']);
+  assert.match(provider.prompts[0], /"Worker" → "워커"/);
+  assert.match(provider.prompts[1], /용어집을 지키지 않았습니다 \(id 0: "Worker"\)/);
+
+  const stubborn = createFakeProvider(['작업자 실행']);
+  const kept = await translateWithJsonProtocol(stubborn, ['Run Worker'], 'ko', {}, { glossary: workerGlossary });
+
+  assert.equal(stubborn.prompts.length, 3); // 처음 요청 + 재요청 2번
+  assert.deepEqual(kept.translations, ['작업자 실행']);
+  assert.deepEqual(kept.untranslatedIds, []);
+});
@@ -0,0 +1,86 @@
+// language-detector.test.mjs - 세그먼트 언어 감지 테스트 (실행: node --test tests/)
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as LanguageDetector from '../utils/language-detector.js';
+
+const defaultSettings = LanguageDetector.getSettings();
+
+afterEach(() => {
+  LanguageDetector.updateSettings(defaultSettings);
+});
+
+/**
+ * 감지한 언어 코드 (감지하지 못하면 null)
+ * @param {string} text - 검사할 텍스트
+ * @returns {string|null} - 언어 코드
+ */
+function detectLang(text) {
+  const detected = LanguageDetector.detectLanguage(text);
+  return detected ? detected.lang : null;
+}
+
+test('문자 체계로 한국어, 일본어, 중국어 간체/번체, 러시아어를 구분한다', () => {
+  assert.equal(detectLang('오늘 회의는 오후 세 시에 시작합니다.'), 'ko');
+  assert.equal(detectLang('今日は東京で会議があります。'), 'ja');
+  assert.equal(detectLang('我们这个时间来说国家的发展。'), 'zh');
+  assert.equal(detectLang('我們這個時間來說國家的發展。'), 'zh-TW');
+  assert.equal(detectLang('Сегодня мы обсуждаем новый проект.'), 'ru');
+});
+
+test('비라틴 문장 속 영문 제품명은 언어 판단을 바꾸지 않는다', () => {
+  const detected = LanguageDetector.detectLanguage('Chrome 확장 프로그램을 설치한 뒤 브라우저를 다시 시작해 주세요.');
+
+  assert.equal(detected.lang, 'ko');
+  assert.ok(detected.confidence >= defaultSettings.minConfidence);
+});
+
+test('영문 글자가 더 많은 혼합 문장은 다른 라틴 언어로 확신하지 않는다', () => {
+  const detected = LanguageDetector.detectLanguage('GitHub 저장소에서 새 Pull Request를 만들어 보세요.');
+
+  // 확신도가 낮으면 감지하지 않은 것으로 처리되어 원문 언어 없이 번역 요청
+  assert.ok(!detected || detected.lang === 'ko' || detected.confidence < defaultSettings.minConfidence);
+});
+
+test('라틴 문자 문장은 3-gram 프로필로 언어를 고른다', () => {
+  assert.equal(detectLang('The quick brown fox jumps over the lazy dog and then runs into the forest.'), 'en');
+  assert.equal(detectLang('Der schnelle braune Fuchs springt über den faulen Hund und läuft in den Wald.'), 'de');
+  assert.equal(detectLang('Le renard brun rapide saute par-dessus le chien paresseux et court dans la forêt.'), 'fr');
+  assert.equal(detectLang('El zorro marrón rápido salta sobre el perro perezoso y corre hacia el bosque.'), 'es');
+});
+
+test('글자가 부족하거나 문자가 아닌 입력은 감지하지 않는다', () => {
+  assert.equal(LanguageDetector.detectLanguage(''), null);
+  assert.equal(LanguageDetector.detectLanguage(null), null);
+  assert.equal(LanguageDetector.detectLanguage('12:30 - 42%'), null);
+  assert.equal(LanguageDetector.detectLanguage('OK'), null); // 3-gram 비교에 필요한 라틴 문자 수 미만
+});
+
+test('isSameLanguage는 확신도가 충분할 때만 같은 언어로 본다', () => {
+  assert.equal(LanguageDetector.isSameLanguage({ lang: 'ko', confidence: 0.9 }, 'ko'), true);
+  assert.equal(LanguageDetector.isSameLanguage({ lang: 'ko', confidence: 0.3 }, 'ko'), false);
+  assert.equal(LanguageDetector.isSameLanguage(null, 'ko'), false);
+
+  LanguageDetector.updateSettings({ minConfidence: 0.2 });
+  assert.equal(LanguageDetector.isSameLanguage({ lang: 'ko', confidence: 0.3 }, 'ko'), true);
+});
+
+test('isSameLanguage는 지역 코드를 무시하지만 중국어 간체/번체는 구분한다', () => {
+  assert.equal(LanguageDetector.isSameLanguage({ lang: 'pt', confidence: 1 }, 'pt-BR'), true);
+  assert.equal(LanguageDetector.isSameLanguage({ lang: 'zh', confidence: 1 }, 'zh-TW'), false);
+  assert.equal(LanguageDetector.isSameLanguage({ lang: 'zh-TW', confidence: 1 }, 'zh-TW'), true);
+});
+
+test('detectDominantLanguage는 글자 수로 가중한 주 언어와 비율을 돌려준다', () => {
+  const dominant = LanguageDetector.detectDominantLanguage([
+    '오늘 회의는 오후 세 시에 시작합니다. 자료는 미리 공유해 주세요.',
+    '회의실은 삼층입니다.',
+    'Thank you for joining the meeting today.',
+    '12:30'
+  ]);
+
+  assert.equal(dominant.lang, 'ko');
+  assert.ok(dominant.confidence > 0.5 && dominant.confidence < 1);
+  assert.equal(LanguageDetector.detectDominantLanguage(['12', '']), null);
+  assert.equal(LanguageDetector.detectDominantLanguage(null), null);
+});
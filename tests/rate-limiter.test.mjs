@@ -0,0 +1,135 @@
+// rate-limiter.test.mjs - 슬라이딩 윈도우 속도 제한 테스트 (실행: node --test tests/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  RateLimiterDurableObject,
+  createMemoryStore,
+  checkRateLimit,
+  getRateLimitHeaders
+} from '../features/cloudflare_worker/rate-limiter.js';
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Date.now를 테스트에서 움직일 수 있는 시계로 교체
+ * @param {Object} t - node:test 테스트 컨텍스트
+ * @param {number} start - 시작 시각 (ms)
+ * @returns {Object} - {advance(ms)}
+ */
+function useClock(t, start = 1_000_000) {
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+
+  return {
+    advance(ms) {
+      now += ms;
+    }
+  };
+}
+
+/**
+ * RATE_LIMITER 바인딩처럼 키마다 Durable Object 하나를 만들어 주는 가짜 네임스페이스
+ * @returns {Object} - {idFromName, get}
+ */
+function createFakeNamespace() {
+  const objects = new Map();
+
+  return {
+    idFromName: name => name,
+    get(id) {
+      if (!objects.has(id)) {
+        const stored = new Map();
+        const storage = {
+          async get(key) { return stored.get(key); },
+          async put(key, value) { stored.set(key, value); }
+        };
+        objects.set(id, new RateLimiterDurableObject({ storage }, {}));
+      }
+
+      const object = objects.get(id);
+      return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+    }
+  };
+}
+
+test('윈도우 안에서는 한도까지만 허용하고 남은 수를 줄인다', async (t) => {
+  useClock(t);
+  const store = createMemoryStore();
+
+  const results = [];
+  for (let index = 0; index < 4; index++) {
+    results.push(await store.check('user:a', 3, WINDOW_MS));
+  }
+
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+  assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+  assert.equal(results[0].limit, 3);
+});
+
+test('가장 오래된 요청이 윈도우를 벗어나면 한 자리가 다시 열린다', async (t) => {
+  const clock = useClock(t);
+  const store = createMemoryStore();
+
+  await store.check('user:a', 2, WINDOW_MS);
+  clock.advance(20 * 1000);
+  await store.check('user:a', 2, WINDOW_MS);
+  clock.advance(30 * 1000);
+
+  const denied = await store.check('user:a', 2, WINDOW_MS);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfter, 10); // 첫 요청이 벗어나기까지 남은 초
+  assert.equal(denied.resetAt, 1_000_000 + WINDOW_MS);
+
+  clock.advance(10 * 1000 + 1);
+  const allowed = await store.check('user:a', 2, WINDOW_MS);
+  assert.equal(allowed.allowed, true);
+  assert.equal(allowed.remaining, 0);
+});
+
+test('윈도우 경계에서 고정 카운터처럼 버스트가 통과하지 않는다', async (t) => {
+  const clock = useClock(t);
+  const store = createMemoryStore();
+
+  clock.advance(WINDOW_MS - 1000);
+  await store.check('user:a', 2, WINDOW_MS);
+  await store.check('user:a', 2, WINDOW_MS);
+  clock.advance(2000); // 고정 윈도우라면 새 윈도우가 시작된 시각
+
+  assert.equal((await store.check('user:a', 2, WINDOW_MS)).allowed, false);
+});
+
+test('키마다 따로 제한한다', async (t) => {
+  useClock(t);
+  const store = createMemoryStore();
+
+  await store.check('user:a', 1, WINDOW_MS);
+
+  assert.equal((await store.check('user:a', 1, WINDOW_MS)).allowed, false);
+  assert.equal((await store.check('user:b', 1, WINDOW_MS)).allowed, true);
+});
+
+test('RATE_LIMITER 바인딩이 있으면 Durable Object에 기록한다', async (t) => {
+  useClock(t);
+  const env = { RATE_LIMITER: createFakeNamespace() };
+
+  const first = await checkRateLimit(env, 'register:1.1.1.1', 1, WINDOW_MS);
+  const second = await checkRateLimit(env, 'register:1.1.1.1', 1, WINDOW_MS);
+  const other = await checkRateLimit(env, 'register:2.2.2.2', 1, WINDOW_MS);
+
+  assert.equal(first.allowed, true);
+  assert.equal(second.allowed, false);
+  assert.equal(second.retryAfter, 60);
+  assert.equal(other.allowed, true);
+});
+
+test('거부한 경우에만 Retry-After 헤더를 넣는다', () => {
+  const base = { limit: 30, remaining: 0, resetAt: 61_500 };
+
+  assert.deepEqual(getRateLimitHeaders({ ...base, allowed: true, retryAfter: 0 }), {
+    'X-RateLimit-Limit': '30',
+    'X-RateLimit-Remaining': '0',
+    'X-RateLimit-Reset': '62'
+  });
+  assert.equal(getRateLimitHeaders({ ...base, allowed: false, retryAfter: 12 })['Retry-After'], '12');
+});
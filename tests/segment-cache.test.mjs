@@ -0,0 +1,106 @@
+// segment-cache.test.mjs - 워커 세그먼트 캐시 키/조회 테스트 (실행: node --test tests/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeSegmentKey, lookupSegments, storeSegments } from '../features/cloudflare_worker/segment-cache.js';
+
+const scope = { provider: 'gemini', model: 'gemini-1.5-flash', targetLang: 'ko', register: '', context: '', glossary: null };
+
+/**
+ * KV 네임스페이스와 같은 get/put을 가진 가짜 저장소
+ * @returns {Object} - {get, put, data, options}
+ */
+function createFakeKv() {
+  const kv = {
+    data: new Map(),
+    options: new Map(),
+
+    async get(key) {
+      return kv.data.has(key) ? kv.data.get(key) : null;
+    },
+
+    async put(key, value, options) {
+      kv.data.set(key, value);
+      kv.options.set(key, options);
+    }
+  };
+
+  return kv;
+}
+
+test('같은 원문과 맥락은 항상 같은 seg: SHA-256 키가 된다', async () => {
+  const key = await computeSegmentKey(scope, 'Hello');
+
+  assert.match(key, /^seg:[0-9a-f]{64}$/);
+  assert.equal(await computeSegmentKey({ ...scope }, 'Hello'), key);
+  assert.notEqual(await computeSegmentKey(scope, 'Hello '), key);
+});
+
+test('제공자, 모델, 대상 언어, 원문 언어, 참고 번역, 문체, 맥락이 다르면 키가 다르다', async () => {
+  const base = await computeSegmentKey(scope, 'Hello');
+  const variants = await Promise.all([
+    computeSegmentKey({ ...scope, provider: 'openai' }, 'Hello'),
+    computeSegmentKey({ ...scope, model: 'gemini-1.5-pro' }, 'Hello'),
+    computeSegmentKey({ ...scope, targetLang: 'ja' }, 'Hello'),
+    computeSegmentKey(scope, 'Hello', 'en'),
+    computeSegmentKey(scope, 'Hello', '', { source: 'Hello!', translation: '안녕!' }),
+    computeSegmentKey({ ...scope, register: 'formal' }, 'Hello'),
+    computeSegmentKey({ ...scope, context: '개발자 문서' }, 'Hello')
+  ]);
+
+  assert.equal(new Set([base, ...variants]).size, variants.length + 1);
+});
+
+test('구분자를 포함한 원문도 다른 조합과 키가 겹치지 않는다', async () => {
+  const first = await computeSegmentKey({ ...scope, targetLang: 'ko|a' }, 'b');
+  const second = await computeSegmentKey({ ...scope, targetLang: 'ko' }, 'a|b');
+
+  assert.notEqual(first, second);
+});
+
+test('키에는 그 원문에 등장하는 용어집 항목만 들어간다', async () => {
+  const glossary = {
+    terms: [{ source: 'Worker', target: '워커', caseSensitive: false }],
+    doNotTranslate: [{ term: 'GitHub', caseSensitive: true }]
+  };
+  const changedGlossary = {
+    ...glossary,
+    terms: [{ source: 'Worker', target: '작업자', caseSensitive: false }]
+  };
+
+  // 용어가 없는 원문은 용어집이 바뀌어도 같은 키
+  assert.equal(
+    await computeSegmentKey({ ...scope, glossary }, 'Open GitHub'),
+    await computeSegmentKey({ ...scope, glossary: changedGlossary }, 'Open GitHub')
+  );
+
+  // 용어가 있는 원문은 그 용어가 바뀌면 다른 키
+  assert.notEqual(
+    await computeSegmentKey({ ...scope, glossary }, 'Run the Worker'),
+    await computeSegmentKey({ ...scope, glossary: changedGlossary }, 'Run the Worker')
+  );
+  assert.notEqual(
+    await computeSegmentKey({ ...scope, glossary }, 'Run the Worker'),
+    await computeSegmentKey(scope, 'Run the Worker')
+  );
+});
+
+test('저장한 세그먼트만 적중하고 KV가 없으면 모두 미스로 처리한다', async () => {
+  const env = { TRANSLATION_CACHE: createFakeKv() };
+  const texts = ['Hello', 'World'];
+  const sourceLangs = ['en', ''];
+
+  const first = await lookupSegments(env, scope, texts, sourceLangs);
+  assert.equal(first.hits.size, 0);
+
+  await storeSegments(env, [{ key: first.keys[1], text: '세계' }]);
+  const second = await lookupSegments(env, scope, texts, sourceLangs);
+
+  assert.deepEqual(second.keys, first.keys);
+  assert.deepEqual([...second.hits], [[1, '세계']]);
+  assert.ok(env.TRANSLATION_CACHE.options.get(first.keys[1]).expirationTtl > 0);
+
+  const withoutKv = await lookupSegments({}, scope, texts, sourceLangs);
+  assert.equal(withoutKv.hits.size, 0);
+  assert.deepEqual(withoutKv.keys, first.keys);
+});
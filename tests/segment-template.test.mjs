@@ -0,0 +1,85 @@
+// segment-template.test.mjs - 세그먼트 템플릿/유사도 테스트 (실행: node --test tests/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  templatize,
+  createTranslationTemplate,
+  fillTemplate,
+  similarity
+} from '../utils/segment-template.js';
+
+/**
+ * 원문과 번역으로 번역 템플릿을 만든 뒤 새 원문의 값으로 채우기
+ * @param {string} source - 번역된 원문
+ * @param {string} translation - 원문의 번역
+ * @param {string} newSource - 값만 다른 새 원문
+ * @returns {string|null} - 새 원문의 번역
+ */
+function reuseTranslation(source, translation, newSource) {
+  const sourceTemplate = templatize(source);
+  const newTemplate = templatize(newSource);
+  assert.equal(newTemplate.template, sourceTemplate.template);
+
+  const translationTemplate = createTranslationTemplate(translation, sourceTemplate.values);
+  return fillTemplate(translationTemplate, newTemplate.values);
+}
+
+test('templatize는 URL, 날짜, 시각, 숫자를 순서대로 자리표시자로 바꾼다', () => {
+  assert.deepEqual(templatize('Updated 2 hours ago'), { template: 'Updated {0} hours ago', values: ['2'] });
+  assert.deepEqual(templatize('Posted on 2024-01-15 at 10:30 by 3 users'), {
+    template: 'Posted on {0} at {1} by {2} users',
+    values: ['2024-01-15', '10:30', '3']
+  });
+  assert.deepEqual(templatize('See https://example.com/docs/v2.'), {
+    template: 'See {0}.',
+    values: ['https://example.com/docs/v2']
+  });
+  assert.deepEqual(templatize('Price 1,234.50 total'), { template: 'Price {0} total', values: ['1,234.50'] });
+});
+
+test('templatize는 값이 없거나 너무 많거나 번역할 글자가 없으면 null을 돌려준다', () => {
+  assert.equal(templatize('No values here'), null);
+  assert.equal(templatize(''), null);
+  assert.equal(templatize(null), null);
+  assert.equal(templatize('Show {0} of 5'), null); // 자리표시자 모양이 이미 있는 원문
+  assert.equal(templatize('12 / 34 - 56'), null);
+  assert.equal(templatize('1 2 3 4 5 6 7 8 9 items'), null);
+});
+
+test('번역 템플릿으로 값만 다른 세그먼트의 번역을 만든다', () => {
+  assert.equal(reuseTranslation('Updated 2 hours ago', '2시간 전 업데이트', 'Updated 5 hours ago'), '5시간 전 업데이트');
+
+  // 번역에서 값 순서가 바뀌어도 원래 자리를 지킨다
+  assert.equal(reuseTranslation('Page 2 of 10', '10페이지 중 2페이지', 'Page 3 of 12'), '12페이지 중 3페이지');
+});
+
+test('번역에서 값을 정확히 한 번씩 찾을 수 없으면 번역 템플릿을 만들지 않는다', () => {
+  assert.equal(createTranslationTemplate('두 시간 전 업데이트', ['2']), null); // 다른 형식으로 번역
+  assert.equal(createTranslationTemplate('2개 중 2개', ['2']), null); // 값이 두 번 나옴
+  assert.equal(createTranslationTemplate('3개와 3개', ['3', '3']), null); // 원문 값이 중복
+  assert.equal(createTranslationTemplate('123개', ['12']), null); // 다른 숫자의 일부
+  assert.equal(createTranslationTemplate('번역', []), null);
+  assert.equal(createTranslationTemplate(null, ['1']), null);
+});
+
+test('fillTemplate는 값 수가 모자라면 null을 돌려준다', () => {
+  const translationTemplate = createTranslationTemplate('10페이지 중 2페이지', ['2', '10']);
+
+  assert.equal(fillTemplate(translationTemplate, ['7']), null);
+  assert.equal(fillTemplate(translationTemplate, null), null);
+  assert.equal(fillTemplate('값 없는 번역', []), '값 없는 번역');
+});
+
+test('similarity는 편집 거리를 긴 쪽 길이로 나눈 값을 뺀다', () => {
+  assert.equal(similarity('same', 'same'), 1);
+  assert.equal(similarity('', 'text'), 0);
+  assert.equal(similarity('kitten', 'sitting'), 1 - 3 / 7);
+  assert.equal(similarity('Save changes', 'Save change'), 1 - 1 / 12);
+});
+
+test('similarity는 기준보다 낮을 것이 확실하면 0을 돌려준다', () => {
+  assert.equal(similarity('kitten', 'sitting', 0.9), 0);
+  assert.equal(similarity('a', 'abcdefghij', 0.5), 0); // 길이 차이만으로 판단
+  assert.equal(similarity('Save changes', 'Save change', 0.9), 1 - 1 / 12);
+});
@@ -0,0 +1,173 @@
+// settings-schema.test.mjs - 설정 마이그레이션 테스트 (실행: node --test tests/)
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// createStorageAdapter가 확인하는 chrome.runtime.lastError만 흉내냄
+globalThis.chrome = { runtime: { lastError: null } };
+
+const { APP_CONFIG } = await import('../config.js');
+const SettingsSchema = await import('../utils/settings-schema.js');
+
+/**
+ * chrome.storage 영역과 같은 콜백 형식의 가짜 저장소
+ * @param {Object} initial - 처음 저장된 값
+ * @returns {Object} - {get, set, data, writes, failWith}
+ */
+function createFakeArea(initial = {}) {
+  const area = {
+    data: structuredClone(initial),
+    writes: 0,
+    failWith: null, // 설정하면 다음 호출에서 chrome.runtime.lastError로 전달
+
+    get(keys, callback) {
+      const result = {};
+      [].concat(keys).forEach(key => {
+        if (key in area.data) {
+          result[key] = structuredClone(area.data[key]);
+        }
+      });
+      respond(callback, result);
+    },
+
+    set(items, callback) {
+      if (!area.failWith) {
+        Object.assign(area.data, structuredClone(items));
+        area.writes++;
+      }
+      respond(callback);
+    }
+  };
+
+  // 실제 API처럼 콜백 안에서만 lastError가 보이게 함
+  const respond = (callback, result) => {
+    chrome.runtime.lastError = area.failWith;
+    area.failWith = null;
+    try {
+      callback(result);
+    } finally {
+      chrome.runtime.lastError = null;
+    }
+  };
+
+  return area;
+}
+
+let area;
+let storage;
+
+beforeEach(() => {
+  area = createFakeArea();
+  storage = SettingsSchema.createStorageAdapter(area);
+});
+
+test('MIGRATIONS는 1부터 SETTINGS_VERSION까지 빠짐없이 순서대로 있다', () => {
+  const versions = SettingsSchema.MIGRATIONS.map(step => step.version);
+  const expected = Array.from({ length: SettingsSchema.SETTINGS_VERSION }, (_, index) => index + 1);
+
+  assert.deepEqual(versions, expected);
+  SettingsSchema.MIGRATIONS.forEach(step => {
+    assert.equal(typeof step.description, 'string');
+    assert.equal(typeof step.migrate, 'function');
+  });
+});
+
+test('마이그레이션 단계는 입력 설정을 바꾸지 않는다', () => {
+  const input = { targetLang: 'ja', rootMargin: '300px' };
+  const snapshot = structuredClone(input);
+
+  SettingsSchema.MIGRATIONS.forEach(step => step.migrate(input));
+
+  assert.deepEqual(input, snapshot);
+});
+
+test('버전 1 단계는 1.0.0 이전 설정에 빠진 기본 항목만 채운다', () => {
+  const [step] = SettingsSchema.MIGRATIONS;
+  const migrated = step.migrate({ targetLang: 'ja' });
+
+  assert.equal(migrated.targetLang, 'ja');
+  assert.equal(migrated.batchSize, APP_CONFIG.defaultSettings.batchSize);
+  assert.equal(migrated.immediateTranslation, APP_CONFIG.defaultSettings.immediateTranslation);
+});
+
+test('버전 2 단계는 rootMargin px 문자열을 숫자로 바꾸고 그 외 문자열은 지운다', () => {
+  const step = SettingsSchema.MIGRATIONS.find(item => item.version === 2);
+
+  assert.equal(step.migrate({ rootMargin: '300px' }).rootMargin, 300);
+  assert.equal(step.migrate({ rootMargin: ' 150 ' }).rootMargin, 150);
+  assert.equal('rootMargin' in step.migrate({ rootMargin: '10%' }), false);
+  assert.equal(step.migrate({ rootMargin: 120 }).rootMargin, 120);
+});
+
+test('버전 기록이 없는 1.0.0 이전 설정은 모든 단계를 적용해 저장한다', async () => {
+  area.data.settings = { targetLang: 'ja', rootMargin: '300px' };
+
+  const result = await SettingsSchema.migrateStoredSettings(storage, '0.9.0');
+
+  assert.equal(result.migrated, true);
+  assert.deepEqual(result.applied, [1, 2]);
+  assert.equal(area.data[SettingsSchema.VERSION_STORAGE_KEY], SettingsSchema.SETTINGS_VERSION);
+  assert.equal(area.data.settings.targetLang, 'ja');
+  assert.equal(area.data.settings.rootMargin, 300);
+  assert.deepEqual(Object.keys(area.data.settings).sort(), Object.keys(APP_CONFIG.defaultSettings).sort());
+});
+
+test('버전 기록이 없으면 업데이트 전 앱 버전으로 설정 버전을 추정한다', async () => {
+  area.data.settings = { rootMargin: '250px' };
+
+  const result = await SettingsSchema.migrateStoredSettings(storage, '1.0.0');
+
+  assert.deepEqual(result.applied, [2]);
+  assert.equal(area.data.settings.rootMargin, 250);
+});
+
+test('저장된 설정 버전 이후 단계만 적용하고 잘못된 값은 기본값으로 바꾼다', async () => {
+  area.data.settings = { rootMargin: '10%', batchSize: 'many', unknownKey: true };
+  area.data[SettingsSchema.VERSION_STORAGE_KEY] = 1;
+
+  const result = await SettingsSchema.migrateStoredSettings(storage, '0.1.0');
+
+  assert.deepEqual(result.applied, [2]);
+  assert.equal(area.data.settings.rootMargin, APP_CONFIG.defaultSettings.rootMargin);
+  assert.equal(area.data.settings.batchSize, APP_CONFIG.defaultSettings.batchSize);
+  assert.equal('unknownKey' in area.data.settings, false);
+  assert.equal(result.errors.length, 2);
+});
+
+test('현재 버전 설정이나 저장된 설정이 없으면 저장하지 않는다', async () => {
+  let result = await SettingsSchema.migrateStoredSettings(storage, '0.9.0');
+  assert.equal(result.migrated, false);
+
+  area.data.settings = { rootMargin: '300px' };
+  area.data[SettingsSchema.VERSION_STORAGE_KEY] = SettingsSchema.SETTINGS_VERSION;
+
+  result = await SettingsSchema.migrateStoredSettings(storage, '0.9.0');
+
+  assert.equal(result.migrated, false);
+  assert.equal(area.writes, 0);
+  assert.equal(area.data.settings.rootMargin, '300px');
+});
+
+test('더 새로운 버전의 설정은 바꾸지 않고 오류를 낸다', async () => {
+  area.data.settings = { targetLang: 'ja' };
+  area.data[SettingsSchema.VERSION_STORAGE_KEY] = SettingsSchema.SETTINGS_VERSION + 1;
+
+  await assert.rejects(SettingsSchema.migrateStoredSettings(storage, '9.0.0'), /더 새로운 버전/);
+  assert.equal(area.writes, 0);
+});
+
+test('저장소 오류는 chrome.runtime.lastError 메시지로 전달된다', async () => {
+  area.data.settings = { rootMargin: '300px' };
+  area.failWith = { message: 'QUOTA_BYTES_PER_ITEM quota exceeded' };
+
+  await assert.rejects(SettingsSchema.migrateStoredSettings(storage, '0.9.0'), /QUOTA_BYTES_PER_ITEM/);
+  assert.equal(area.writes, 0);
+});
+
+test('환율표는 지원하는 통화 코드와 양수 환율만 허용한다', () => {
+  assert.equal(SettingsSchema.validateValue('currencyRates', { KRW: 1400, EUR: 0.9 }), null);
+  assert.equal(SettingsSchema.validateValue('currencyRates', APP_CONFIG.defaultSettings.currencyRates), null);
+  assert.notEqual(SettingsSchema.validateValue('currencyRates', { XYZ: 1 }), null);
+  assert.notEqual(SettingsSchema.validateValue('currencyRates', { KRW: 0 }), null);
+  assert.notEqual(SettingsSchema.validateValue('currencyRates', { KRW: '1400' }), null);
+  assert.notEqual(SettingsSchema.validateValue('currencyRates', [1]), null);
+});
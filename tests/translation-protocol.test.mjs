@@ -0,0 +1,136 @@
+// translation-protocol.test.mjs - JSON 번역 프로토콜 테스트 (실행: node --test tests/)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseJsonText,
+  parseTranslationResponse,
+  createSegmentExtractor,
+  translateWithJsonProtocol
+} from '../features/cloudflare_worker/translation-protocol.js';
+
+/**
+ * 요청마다 정해진 응답을 돌려주는 가짜 LLM 제공자
+ * @param {Array<Function>} replies - (request) → {translations} 또는 응답 텍스트
+ * @param {Object} options - {stream: generateStream 제공 여부, chunkSize: 스트리밍 조각 길이}
+ * @returns {Object} - 제공자 객체 (requests에 받은 요청 기록)
+ */
+function createFakeProvider(replies, options = {}) {
+  const provider = {
+    name: 'fake',
+    kind: 'llm',
+    requests: [],
+
+    async generate(request) {
+      provider.requests.push(request);
+      request.reportUsage(10);
+
+      const reply = replies[provider.requests.length - 1] || (() => ({ translations: [] }));
+      const result = reply(request);
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    }
+  };
+
+  if (options.stream) {
+    provider.generateStream = async (request, env, onChunk) => {
+      const rawText = await provider.generate(request, env);
+      for (let index = 0; index < rawText.length; index += options.chunkSize || 7) {
+        onChunk(rawText.slice(index, index + (options.chunkSize || 7)));
+      }
+    };
+  }
+
+  return provider;
+}
+
+// 받은 세그먼트를 '[id] text' 형식으로 번역
+const translateAll = request => ({
+  translations: request.segments.map(segment => ({ id: segment.id, text: `[${segment.id}] ${segment.text}` }))
+});
+
+test('parseJsonText는 코드 블록으로 감싼 응답도 읽고 잘못된 JSON은 null을 돌려준다', () => {
+  assert.deepEqual(parseJsonText('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonText('  {"a": 2}  '), { a: 2 });
+  assert.equal(parseJsonText('{"a": '), null);
+  assert.equal(parseJsonText(undefined), null);
+});
+
+test('parseTranslationResponse는 기대한 id의 비어 있지 않은 첫 번역만 받는다', () => {
+  const parsed = parseTranslationResponse(JSON.stringify({
+    translations: [
+      { id: 0, text: ' 첫째 ' },
+      { id: 0, text: '중복' },
+      { id: 1, text: '   ' },
+      { id: 5, text: '모르는 id' },
+      { id: '2', text: '문자열 id' },
+      null
+    ]
+  }), new Set([0, 1, 2]));
+
+  assert.deepEqual([...parsed], [[0, '첫째']]);
+  assert.equal(parseTranslationResponse('not json', new Set([0])).size, 0);
+});
+
+test('세그먼트 추출기는 조각으로 나뉜 응답에서 닫힌 세그먼트를 한 번씩 전달한다', () => {
+  const emitted = [];
+  const extractor = createSegmentExtractor(new Set([0, 1]), (id, text) => emitted.push([id, text]));
+  const rawText = JSON.stringify({
+    translations: [
+      { id: 0, text: '괄호 } 와 "따옴표" \\ 포함' },
+      { id: 7, text: '모르는 id' },
+      { id: 0, text: '중복' },
+      { id: 1, text: '둘째' }
+    ]
+  });
+
+  for (let index = 0; index < rawText.length; index += 3) {
+    extractor.push(rawText.slice(index, index + 3));
+    if (index < 20) {
+      assert.equal(emitted.length, 0); // 첫 객체가 닫히기 전에는 전달하지 않음
+    }
+  }
+
+  assert.deepEqual(emitted, [[0, '괄호 } 와 "따옴표" \\ 포함'], [1, '둘째']]);
+});
+
+test('누락된 세그먼트만 다시 요청하고 사용 토큰을 합산한다', async () => {
+  const provider = createFakeProvider([
+    () => ({ translations: [{ id: 0, text: '하나' }, { id: 2, text: '' }] }),
+    translateAll
+  ]);
+
+  const result = await translateWithJsonProtocol(provider, ['one', 'two', 'three'], 'ko', {});
+
+  assert.equal(provider.requests.length, 2);
+  assert.deepEqual(provider.requests[1].segments.map(segment => segment.id), [1, 2]);
+  assert.match(provider.requests[1].prompt, /누락되었거나 형식이 잘못된/);
+  assert.deepEqual(result.translations, ['하나', '[1] two', '[2] three']);
+  assert.deepEqual(result.untranslatedIds, []);
+  assert.equal(result.tokensUsed, 20);
+});
+
+test('재요청 횟수를 넘긴 세그먼트는 원문을 같은 위치에 두고 untranslatedIds로 알린다', async () => {
+  const onlyFirst = () => ({ translations: [{ id: 0, text: '하나' }] });
+  const provider = createFakeProvider([onlyFirst, onlyFirst, onlyFirst, translateAll]);
+
+  const result = await translateWithJsonProtocol(provider, ['one', 'two'], 'ko', {});
+
+  assert.equal(provider.requests.length, 3); // 처음 요청 + 재요청 2번
+  assert.deepEqual(result.translations, ['하나', 'two']);
+  assert.deepEqual(result.untranslatedIds, [1]);
+});
+
+test('스트리밍 제공자는 세그먼트마다 onSegment를 한 번씩 호출한다', async () => {
+  const provider = createFakeProvider([
+    () => ({ translations: [{ id: 1, text: '둘' }, { id: 0, text: '하나' }] }),
+    translateAll
+  ], { stream: true, chunkSize: 5 });
+  const segments = [];
+
+  const result = await translateWithJsonProtocol(provider, ['one', 'two', 'three'], 'ko', {}, {
+    onSegment: (id, text) => segments.push([id, text])
+  });
+
+  assert.deepEqual(segments, [[1, '둘'], [0, '하나'], [2, '[2] three']]);
+  assert.deepEqual(result.translations, ['하나', '둘', '[2] three']);
+});
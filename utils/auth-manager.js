@@ -0,0 +1,175 @@
+// auth-manager.js - 워커 인증 토큰 관리
+import { APP_CONFIG, safeDispatchEvent } from '../config.js';
+
+// 모듈 스코프에서 상태 관리
+let authManagerInitialized = false;
+
+// 토큰 저장 키 (기기별 설치 단위이므로 local 스토리지 사용)
+const TOKEN_STORAGE_KEY = 'authToken';
+
+// 설치 id 저장 키 (토큰을 지워도 남겨 두어 다시 등록하면 같은 사용자로 이어짐)
+const INSTALL_ID_STORAGE_KEY = 'installId';
+
+// 진행 중인 등록 요청 (동시 요청 시 중복 등록 방지)
+let pendingRegistration = null;
+
+/**
+ * 저장된 토큰 가져오기
+ * @returns {Promise<string|null>} - 토큰 또는 null
+ */
+async function getStoredToken() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(TOKEN_STORAGE_KEY, (data) => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 인증 토큰 조회 오류:`, chrome.runtime.lastError);
+        resolve(null);
+        return;
+      }
+      
+      resolve(data && data[TOKEN_STORAGE_KEY] ? data[TOKEN_STORAGE_KEY] : null);
+    });
+  });
+}
+
+/**
+ * 토큰 저장
+ * @param {string} token - 저장할 토큰
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function saveToken(token) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [TOKEN_STORAGE_KEY]: token }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 인증 토큰 저장 오류:`, chrome.runtime.lastError);
+        resolve(false);
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+/**
+ * 설치 id 가져오기 (없으면 만들어 저장)
+ * @returns {Promise<string>} - 설치 id
+ */
+async function getInstallId() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(INSTALL_ID_STORAGE_KEY, (data) => {
+      if (!chrome.runtime.lastError && data && data[INSTALL_ID_STORAGE_KEY]) {
+        resolve(data[INSTALL_ID_STORAGE_KEY]);
+        return;
+      }
+      
+      const installId = crypto.randomUUID();
+      chrome.storage.local.set({ [INSTALL_ID_STORAGE_KEY]: installId }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn(`[${APP_CONFIG.appName}] 설치 id 저장 오류:`, chrome.runtime.lastError);
+        }
+        resolve(installId);
+      });
+    });
+  });
+}
+
+/**
+ * 워커에 설치 등록 후 새 토큰 발급
+ * @returns {Promise<Object>} - {token, quota}
+ */
+async function register() {
+  const response = await fetch(`${APP_CONFIG.apiEndpoint}/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      installId: await getInstallId(),
+      version: chrome.runtime.getManifest().version
+    })
+  });
+  
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok || !data.token) {
+    throw new Error(data.error || `토큰 발급 실패 (${response.status})`);
+  }
+  
+  await saveToken(data.token);
+  
+  // 이벤트 발행 (토큰 발급됨)
+  safeDispatchEvent('auth:registered', { quota: data.quota });
+  
+  return { token: data.token, quota: data.quota };
+}
+
+/**
+ * 인증 토큰 가져오기 (없으면 등록)
+ * @returns {Promise<string>} - 인증 토큰
+ */
+async function getToken() {
+  if (!authManagerInitialized) {
+    console.log(`[${APP_CONFIG.appName}] AuthManager 초기화 중`);
+    authManagerInitialized = true;
+  }
+  
+  const storedToken = await getStoredToken();
+  if (storedToken) {
+    return storedToken;
+  }
+  
+  // 동시에 여러 번역 요청이 들어와도 한 번만 등록
+  if (!pendingRegistration) {
+    pendingRegistration = register().finally(() => {
+      pendingRegistration = null;
+    });
+  }
+  
+  const { token } = await pendingRegistration;
+  return token;
+}
+
+/**
+ * 인증 헤더 생성
+ * @returns {Promise<Object>} - Authorization 헤더 객체
+ */
+async function getAuthHeaders() {
+  try {
+    const token = await getToken();
+    return { 'Authorization': `Bearer ${token}` };
+  } catch (error) {
+    handleError('인증 토큰 발급 오류', error);
+    return {};
+  }
+}
+
+/**
+ * 저장된 토큰 삭제 (워커가 401을 반환한 경우 재등록 유도)
+ * @returns {Promise<boolean>} - 삭제 성공 여부
+ */
+async function clearToken() {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(TOKEN_STORAGE_KEY, () => {
+      resolve(!chrome.runtime.lastError);
+    });
+  });
+}
+
+/**
+ * 오류 처리
+ * @param {string} message - 오류 메시지
+ * @param {Error} error - 오류 객체
+ */
+function handleError(message, error) {
+  console.error(`[${APP_CONFIG.appName}] ${message}:`, error);
+  
+  // 오류 이벤트 발행
+  safeDispatchEvent('auth:error', {
+    message,
+    error: error.message
+  });
+}
+
+// 모듈 내보내기
+export {
+  getToken,
+  getAuthHeaders,
+  clearToken
+};
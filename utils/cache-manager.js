@@ -1,5 +1,8 @@
 // cache-manager.js - ES 모듈 방식으로 리팩토링
 import { APP_CONFIG, safeDispatchEvent } from '../config.js';
+import * as GlossaryManager from './glossary-manager.js';
+import * as TranslationMemory from './translation-memory.js';
+import * as SegmentTemplate from './segment-template.js';
 
 // 모듈 스코프에서 상태 관리 (전역 변수 최소화)
 let cacheManagerInitialized = false;
@@ -7,63 +10,272 @@ let cacheManagerInitialized = false;
 // 캐시 설정 (APP_CONFIG에서 가져옴)
 const CACHE_SETTINGS = { ...APP_CONFIG.cacheSettings };
 
+/**
+ * 캐시 키는 정규화한 원문과 번역 맥락 전체의 SHA-256 해시로 만든다.
+ *   정규화: 유니코드 NFC + 연속 공백을 공백 하나로 (대소문자/단어 사이 공백은 유지)
+ *   맥락: 원문 언어(사용자가 지정한 경우만), 대상 언어, 번역 제공자, 범위(문체 프리셋/문서 맥락), 용어집 버전
+ * 읽을 때는 레코드에 저장된 원문과 맥락을 다시 비교해 일치할 때만 사용한다.
+ * 키 형식을 바꾸면 KEY_VERSION을 올리고 migrateLegacyEntries에서 이전 레코드를 처리한다.
+ *
+ * 번역 메모리 이전의 chrome.storage.local 'translate_' 항목은 원문 없이 손실 해시만 있어 검증할 수 없다.
+ * 이 항목은 keyVersion LEGACY_KEY_VERSION, unverified: true 레코드로 옮기고 이전 키로만 찾으며
+ * 새로 저장하지 않으므로 기존 만료 기간이 지나면 사라진다.
+ */
+const KEY_VERSION = 2;
+const LEGACY_KEY_VERSION = 0;
+
+// 유사 일치 검색 한 번(모든 세그먼트 합계)에 살펴볼 최대 레코드 수
+const FUZZY_SCAN_LIMIT = 2000;
+
+// 유사 일치를 찾을 원문 길이 범위 (짧은 문자열은 한두 글자 차이로 뜻이 바뀌고, 긴 문자열은 비교 비용이 큼)
+const FUZZY_MIN_LENGTH = 10;
+const FUZZY_MAX_LENGTH = 500;
+
 /**
  * 캐시에서 번역 가져오기
  * @param {string} text - 원본 텍스트
  * @param {string} targetLang - 대상 언어 코드
+ * @param {string} scope - 번역 범위 식별자 (문서 맥락 등, 선택적)
+ * @param {Object} meta - {sourceLang: 원문 언어, provider: 번역 제공자} (선택적)
  * @returns {Promise<string|null>} - 캐시된 번역 또는 null
  */
-async function get(text, targetLang) {
+async function get(text, targetLang, scope = '', meta = {}) {
+  // 유효성 검사
+  if (!text || typeof text !== 'string' || !targetLang) {
+    return null;
+  }
+  
+  const [translation] = await getMany([text], targetLang, scope, meta);
+  return translation;
+}
+
+/**
+ * 캐시에서 여러 번역 한 번에 가져오기
+ * @param {string[]} texts - 원본 텍스트 배열
+ * @param {string} targetLang - 대상 언어 코드
+ * @param {string} scope - 번역 범위 식별자 (문서 맥락 등, 선택적)
+ * @param {Object} meta - {sourceLang: 원문 언어, provider: 번역 제공자} (선택적)
+ * @returns {Promise<Array<string|null>>} - 텍스트 순서대로 캐시된 번역 (없으면 null)
+ */
+async function getMany(texts, targetLang, scope = '', meta = {}) {
   // 이미 초기화된 경우 중복 실행 방지
   if (!cacheManagerInitialized) {
     console.log(`[${APP_CONFIG.appName}] CacheManager 초기화 중`);
     cacheManagerInitialized = true;
   }
-
-  // 유효성 검사
-  if (!text || typeof text !== 'string' || !targetLang) {
-    return null;
+  
+  if (!Array.isArray(texts) || texts.length === 0) {
+    return [];
   }
   
-  const key = getCacheKey(text, targetLang);
+  if (!targetLang) {
+    return texts.map(() => null);
+  }
   
   try {
-    const data = await fetchFromStorage(key);
+    const context = getCacheContext(targetLang, scope, meta, await GlossaryManager.getVersion());
+    const sources = texts.map(text => text && typeof text === 'string' ? normalizeSource(text) : '');
+    const keys = await Promise.all(sources.map(source => source ? getCacheKey(source, context) : null));
+    
+    const records = await TranslationMemory.getMany(keys.filter(Boolean));
+    const recordsByKey = new Map(records.filter(Boolean).map(record => [record.key, record]));
+    const expiredKeys = [];
+    
+    const translations = keys.map((key, index) => {
+      const record = key ? recordsByKey.get(key) : null;
+      if (!record) return null;
+      
+      // 저장된 원문/맥락이 다르면 사용하지 않음 (해시 충돌 방지)
+      if (!matchesRecord(record, sources[index], context)) {
+        console.warn(`[${APP_CONFIG.appName}] 캐시 원문 불일치, 무시함: ${key}`);
+        return null;
+      }
+      
+      // 만료 여부 확인 (사용자가 고친 번역은 만료되지 않음)
+      if (!record.pinned && isExpired(record.createdAt)) {
+        expiredKeys.push(key);
+        return null;
+      }
+      
+      return record.translation;
+    });
+    
+    if (expiredKeys.length > 0) {
+      await TranslationMemory.removeMany(expiredKeys);
+    }
+    
+    const hits = translations.filter(Boolean).length;
+    if (hits > 0) {
+      console.log(`[${APP_CONFIG.appName}] 캐시에서 번역 불러옴: ${hits}/${texts.length}개`);
+    }
     
-    if (!data) return null;
+    // 정확히 일치하지 않은 항목은 숫자/날짜/URL만 다른 템플릿으로 찾기
+    // (유사 일치는 번역을 그대로 쓰지 않고 getFuzzyMatches로 참고 번역만 제공)
+    const missing = sources
+      .map((source, index) => source && translations[index] === null ? index : -1)
+      .filter(index => index !== -1);
     
-    // 만료 여부 확인
-    if (isExpired(data.timestamp)) {
-      await remove(text, targetLang);
-      return null;
+    const templateHits = await fillTemplateMatches(sources, missing, translations, context);
+    if (templateHits > 0) {
+      console.log(`[${APP_CONFIG.appName}] 번역 메모리 템플릿 일치 ${templateHits}개`);
     }
     
-    console.log(`[${APP_CONFIG.appName}] 캐시에서 번역 불러옴: ${text.substring(0, 20)}...`);
-    return data.translation;
+    const legacyHits = await fillLegacyMatches(sources, missing, translations, context);
+    if (legacyHits > 0) {
+      console.log(`[${APP_CONFIG.appName}] 이전 버전 캐시 일치 ${legacyHits}개`);
+    }
+    
+    return translations;
   } catch (error) {
     handleError('캐시 읽기 오류', error);
-    return null;
+    return texts.map(() => null);
   }
 }
 
 /**
- * 캐시에서 데이터 가져오기
- * @param {string} key - 캐시 키
- * @returns {Promise<Object|null>} - 캐시된 데이터 또는 null
+ * 템플릿 일치로 번역 채우기 ("3 comments"의 번역으로 "5 comments" 번역)
+ * @param {string[]} sources - 정규화된 원문 배열
+ * @param {number[]} indices - 찾을 항목 인덱스
+ * @param {Array<string|null>} translations - 결과 배열 (찾은 번역을 채움)
+ * @param {Object} context - getCacheContext 결과
+ * @returns {Promise<number>} - 채운 항목 수
  */
-async function fetchFromStorage(key) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(key, (result) => {
-      // 결과가 없거나 크롬 API 오류 발생 시
-      if (chrome.runtime.lastError) {
-        console.warn(`[${APP_CONFIG.appName}] 캐시 조회 오류:`, chrome.runtime.lastError);
-        resolve(null);
-        return;
+async function fillTemplateMatches(sources, indices, translations, context) {
+  const templates = indices.map(index => SegmentTemplate.templatize(sources[index]));
+  const templateKeys = await Promise.all(templates.map(template =>
+    template ? getTemplateKey(template.template, context) : null
+  ));
+  
+  if (!templateKeys.some(Boolean)) {
+    return 0;
+  }
+  
+  const records = await TranslationMemory.getManyByIndex('templateKey', templateKeys);
+  let filled = 0;
+  
+  records.forEach((record, i) => {
+    if (!record || !matchesContext(record, context) || (!record.pinned && isExpired(record.createdAt))) {
+      return;
+    }
+    
+    // 해시 충돌 방지: 저장된 원문의 템플릿이 같은지 다시 확인
+    const stored = SegmentTemplate.templatize(record.sourceText);
+    if (!stored || stored.template !== templates[i].template) {
+      return;
+    }
+    
+    const translation = SegmentTemplate.fillTemplate(record.templateTranslation, templates[i].values);
+    if (translation) {
+      translations[indices[i]] = translation;
+      filled++;
+    }
+  });
+  
+  return filled;
+}
+
+/**
+ * 유사 원문 찾기 (원문이 거의 같은 이전 번역을 참고 번역으로 제공, 결과로 바로 쓰지 않음)
+ * "Turn on notifications"와 "Turn off notifications"처럼 뜻이 반대인 문장도 유사도가 높으므로
+ * 호출 측은 이 번역을 LLM에 참고로만 전달해야 한다.
+ * @param {string[]} texts - 원본 텍스트 배열
+ * @param {string} targetLang - 대상 언어 코드
+ * @param {string} scope - 번역 범위 식별자 (문서 맥락 등, 선택적)
+ * @param {Object} meta - {sourceLang: 원문 언어, provider: 번역 제공자} (선택적)
+ * @returns {Promise<Array<Object|null>>} - 텍스트 순서대로 {source, translation, score} (없으면 null)
+ */
+async function getFuzzyMatches(texts, targetLang, scope = '', meta = {}) {
+  if (!Array.isArray(texts)) {
+    return [];
+  }
+  
+  if (!CACHE_SETTINGS.fuzzyMatching || !targetLang) {
+    return texts.map(() => null);
+  }
+  
+  try {
+    const context = getCacheContext(targetLang, scope, meta, await GlossaryManager.getVersion());
+    const langPair = getLangPair(context);
+    const threshold = CACHE_SETTINGS.fuzzyThreshold / 100;
+    const matches = [];
+    let scanned = 0;
+    
+    for (const text of texts) {
+      const source = text && typeof text === 'string' ? normalizeSource(text) : '';
+      if (source.length < FUZZY_MIN_LENGTH || source.length > FUZZY_MAX_LENGTH || scanned >= FUZZY_SCAN_LIMIT) {
+        matches.push(null);
+        continue;
       }
       
-      resolve(result[key]);
-    });
+      // 유사도가 기준 이상이려면 길이 비율도 기준 이상이어야 하므로 그 길이 범위의 레코드만 확인
+      const range = IDBKeyRange.bound(
+        [langPair, Math.ceil(source.length * threshold)],
+        [langPair, Math.floor(source.length / threshold)]
+      );
+      let best = null;
+      
+      await TranslationMemory.forEachRecord(record => {
+        if (++scanned > FUZZY_SCAN_LIMIT) {
+          return false;
+        }
+        
+        if (record.sourceText === source || typeof record.translation !== 'string' ||
+            !matchesContext(record, context) || (!record.pinned && isExpired(record.createdAt))) {
+          return true;
+        }
+        
+        const score = SegmentTemplate.similarity(source, record.sourceText, threshold);
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { source: record.sourceText, translation: record.translation, score };
+        }
+        return true;
+      }, { index: 'lengthKey', range });
+      
+      matches.push(best);
+    }
+    
+    const found = matches.filter(Boolean).length;
+    if (found > 0) {
+      console.log(`[${APP_CONFIG.appName}] 번역 메모리 유사 일치 ${found}개 (참고 번역으로 전달)`);
+    }
+    
+    return matches;
+  } catch (error) {
+    handleError('유사 일치 검색 오류', error);
+    return texts.map(() => null);
+  }
+}
+
+/**
+ * 이전 버전 캐시로 번역 채우기 (원문을 검증할 수 없으므로 이전 버전과 같은 조건에서만 사용)
+ * @param {string[]} sources - 정규화된 원문 배열
+ * @param {number[]} indices - 찾을 항목 인덱스
+ * @param {Array<string|null>} translations - 결과 배열 (찾은 번역을 채움)
+ * @param {Object} context - getCacheContext 결과
+ * @returns {Promise<number>} - 채운 항목 수
+ */
+async function fillLegacyMatches(sources, indices, translations, context) {
+  // 이전 버전은 원문 언어 지정과 제공자 선택 없이 번역을 저장함
+  const pending = indices.filter(index => translations[index] === null);
+  if (pending.length === 0 || context.sourceLang || context.provider) {
+    return 0;
+  }
+  
+  const keys = pending.map(index => getLegacyCacheKey(sources[index], context));
+  const records = await TranslationMemory.getMany(keys);
+  let filled = 0;
+  
+  records.forEach((record, position) => {
+    if (!record || record.keyVersion !== LEGACY_KEY_VERSION || typeof record.translation !== 'string' ||
+        isExpired(record.createdAt)) {
+      return;
+    }
+    
+    translations[pending[position]] = record.translation;
+    filled++;
   });
+  
+  return filled;
 }
 
 /**
@@ -81,31 +293,49 @@ function isExpired(timestamp) {
  * @param {string} text - 원본 텍스트
  * @param {string} translation - 번역된 텍스트
  * @param {string} targetLang - 대상 언어 코드
+ * @param {string} scope - 번역 범위 식별자 (문서 맥락 등, 선택적)
+ * @param {Object} meta - {sourceLang: 원문 언어, provider: 번역 제공자, origin: 번역한 사이트} (선택적)
  * @returns {Promise<boolean>} - 저장 성공 여부
  */
-async function set(text, translation, targetLang) {
+async function set(text, translation, targetLang, scope = '', meta = {}) {
   // 유효성 검사
   if (!text || !translation || !targetLang) {
     return false;
   }
   
-  const key = getCacheKey(text, targetLang);
-  const data = {
-    translation,
-    timestamp: Date.now() // 현재 시간 기록
-  };
+  return setMany([{ text, translation }], targetLang, scope, meta);
+}
+
+/**
+ * 여러 번역 결과를 한 번에 캐시에 저장
+ * @param {Array<Object>} entries - [{text, translation}] 배열
+ * @param {string} targetLang - 대상 언어 코드
+ * @param {string} scope - 번역 범위 식별자 (문서 맥락 등, 선택적)
+ * @param {Object} meta - {sourceLang: 원문 언어, provider: 번역 제공자, origin: 번역한 사이트} (선택적)
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function setMany(entries, targetLang, scope = '', meta = {}) {
+  const validEntries = (entries || []).filter(entry =>
+    entry && entry.text && typeof entry.text === 'string' && entry.translation
+  );
+  
+  if (validEntries.length === 0 || !targetLang) {
+    return false;
+  }
   
   try {
-    return new Promise((resolve) => {
-      chrome.storage.local.set({ [key]: data }, () => {
-        if (chrome.runtime.lastError) {
-          console.warn(`[${APP_CONFIG.appName}] 캐시 저장 오류:`, chrome.runtime.lastError);
-          resolve(false);
-        } else {
-          resolve(true);
-        }
-      });
-    });
+    const context = getCacheContext(targetLang, scope, meta, await GlossaryManager.getVersion());
+    const now = Date.now();
+    
+    const records = await Promise.all(validEntries.map(entry =>
+      createRecord(normalizeSource(entry.text), entry.translation, context, {
+        origin: meta.origin || '',
+        createdAt: now,
+        lastUsed: now
+      })
+    ));
+    
+    return TranslationMemory.setMany(records, { maxBytes: getMaxBytes() });
   } catch (error) {
     handleError('캐시 저장 오류', error);
     return false;
@@ -116,22 +346,16 @@ async function set(text, translation, targetLang) {
  * 캐시에서 번역 제거
  * @param {string} text - 원본 텍스트
  * @param {string} targetLang - 대상 언어 코드
+ * @param {string} scope - 번역 범위 식별자 (문서 맥락 등, 선택적)
+ * @param {Object} meta - {sourceLang: 원문 언어, provider: 번역 제공자} (선택적)
  * @returns {Promise<boolean>} - 제거 성공 여부
  */
-async function remove(text, targetLang) {
-  const key = getCacheKey(text, targetLang);
-  
+async function remove(text, targetLang, scope = '', meta = {}) {
   try {
-    return new Promise((resolve) => {
-      chrome.storage.local.remove(key, () => {
-        if (chrome.runtime.lastError) {
-          console.warn(`[${APP_CONFIG.appName}] 캐시 제거 오류:`, chrome.runtime.lastError);
-          resolve(false);
-        } else {
-          resolve(true);
-        }
-      });
-    });
+    const context = getCacheContext(targetLang, scope, meta, await GlossaryManager.getVersion());
+    const key = await getCacheKey(normalizeSource(text), context);
+    await TranslationMemory.removeMany([key]);
+    return true;
   } catch (error) {
     handleError('캐시 제거 오류', error);
     return false;
@@ -139,57 +363,223 @@ async function remove(text, targetLang) {
 }
 
 /**
- * 캐시 검색 키 생성
+ * 원문 정규화 (표기가 같은 문자열만 같게 취급: NFC + 공백 정리)
  * @param {string} text - 원본 텍스트
+ * @returns {string} - 정규화된 원문
+ */
+function normalizeSource(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * SHA-256 해시 (16진수)
+ * @param {string} value - 해시할 문자열
+ * @returns {Promise<string>} - 해시 문자열
+ */
+async function sha256(value) {
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 번역 맥락 (같은 원문이라도 맥락이 다르면 다른 캐시 항목)
  * @param {string} targetLang - 대상 언어 코드
- * @returns {string} - 캐시 키
+ * @param {string} scope - 번역 범위 식별자 (문체 프리셋/문서 맥락)
+ * @param {Object} meta - {sourceLang: 사용자가 지정한 원문 언어 (감지한 언어는 넣지 않음), provider}
+ * @param {number} glossaryVersion - 용어집 버전 (용어집을 수정하면 이전 번역을 사용하지 않음)
+ * @returns {Object} - {sourceLang, targetLang, provider, scope, glossaryVersion}
+ */
+function getCacheContext(targetLang, scope = '', meta = {}, glossaryVersion = 0) {
+  return {
+    sourceLang: meta.sourceLang || '',
+    targetLang,
+    provider: meta.provider || '',
+    scope: scope || '',
+    glossaryVersion: glossaryVersion || 0
+  };
+}
+
+/**
+ * 캐시 검색 키 생성
+ * @param {string} source - 정규화된 원문
+ * @param {Object} context - getCacheContext 결과
+ * @returns {Promise<string>} - 캐시 키
+ */
+async function getCacheKey(source, context) {
+  const hash = await sha256(JSON.stringify([
+    KEY_VERSION,
+    source,
+    context.sourceLang,
+    context.targetLang,
+    context.provider,
+    context.scope,
+    context.glossaryVersion
+  ]));
+  return `${CACHE_SETTINGS.keyPrefix}${context.targetLang}_${hash}`;
+}
+
+/**
+ * 번역 메모리 이전 캐시 키 생성 (chrome.storage.local에 저장하던 형식)
+ * 형식: translate_<lang>_[g<용어집 버전>_][<범위>_]<해시>
+ * @param {string} source - 정규화된 원문
+ * @param {Object} context - getCacheContext 결과
+ * @returns {string} - 이전 캐시 키
  */
-function getCacheKey(text, targetLang) {
-  // 텍스트에서 공백 제거하고 해시 생성 (단순화된 해싱)
-  const simpleHash = text
-    .trim()
+function getLegacyCacheKey(source, context) {
+  // 이전 버전과 같은 단순 해시 (소문자, 공백 제거)
+  const simpleHash = source
     .toLowerCase()
     .replace(/\s+/g, '')
     .split('')
     .reduce((hash, char) => ((hash << 5) - hash) + char.charCodeAt(0), 0)
     .toString(36);
   
-  return `${CACHE_SETTINGS.keyPrefix}${targetLang}_${simpleHash}`;
+  const glossaryPart = context.glossaryVersion > 0 ? `g${context.glossaryVersion}_` : '';
+  const scopePart = context.scope ? `${context.scope}_` : '';
+  return `${CACHE_SETTINGS.keyPrefix}${context.targetLang}_${glossaryPart}${scopePart}${simpleHash}`;
+}
+
+/**
+ * 템플릿 검색 키 생성 (숫자/날짜/URL을 자리표시자로 바꾼 원문 + 맥락)
+ * @param {string} template - 원문 템플릿
+ * @param {Object} context - getCacheContext 결과
+ * @returns {Promise<string>} - 템플릿 키
+ */
+async function getTemplateKey(template, context) {
+  return sha256(JSON.stringify([
+    KEY_VERSION,
+    'template',
+    template,
+    context.sourceLang,
+    context.targetLang,
+    context.provider,
+    context.scope,
+    context.glossaryVersion
+  ]));
+}
+
+/**
+ * 레코드의 템플릿 필드 갱신 (번역에서 값을 찾을 수 없으면 템플릿 필드 제거)
+ * @param {Object} record - 번역 메모리 레코드
+ * @param {Object} context - getCacheContext 결과
+ * @returns {Promise<Object>} - 템플릿 필드가 반영된 레코드
+ */
+async function withTemplate(record, context) {
+  const { templateKey, templateTranslation, ...rest } = record;
+  const template = typeof record.translation === 'string' ? SegmentTemplate.templatize(record.sourceText) : null;
+  const translationTemplate = template ?
+    SegmentTemplate.createTranslationTemplate(record.translation, template.values) : null;
+  
+  if (!translationTemplate) {
+    return rest;
+  }
+  
+  return {
+    ...rest,
+    templateKey: await getTemplateKey(template.template, context),
+    templateTranslation: translationTemplate
+  };
+}
+
+/**
+ * 번역 메모리 레코드 생성
+ * @param {string} source - 정규화된 원문
+ * @param {*} translation - 번역 결과
+ * @param {Object} context - getCacheContext 결과
+ * @param {Object} fields - {origin, createdAt, lastUsed}
+ * @returns {Promise<Object>} - 레코드
+ */
+async function createRecord(source, translation, context, fields) {
+  return withTemplate({
+    key: await getCacheKey(source, context),
+    keyVersion: KEY_VERSION,
+    sourceHash: await sha256(source),
+    sourceText: source,
+    sourceLength: source.length,
+    translation,
+    ...context,
+    langPair: getLangPair(context),
+    ...fields
+  }, context);
+}
+
+/**
+ * 언어 쌍 ('en>ko', 원문 언어를 모르면 '*>ko')
+ * @param {Object} context - getCacheContext 결과
+ * @returns {string} - 언어 쌍
+ */
+function getLangPair(context) {
+  return `${context.sourceLang || '*'}>${context.targetLang}`;
+}
+
+/**
+ * 레코드가 원문/맥락과 일치하는지 확인
+ * @param {Object} record - 번역 메모리 레코드
+ * @param {string} source - 정규화된 원문
+ * @param {Object} context - getCacheContext 결과
+ * @returns {boolean} - 일치 여부
+ */
+function matchesRecord(record, source, context) {
+  return record.sourceText === source && matchesContext(record, context);
+}
+
+/**
+ * 레코드가 번역 맥락과 일치하는지 확인
+ * @param {Object} record - 번역 메모리 레코드
+ * @param {Object} context - getCacheContext 결과
+ * @returns {boolean} - 일치 여부
+ */
+function matchesContext(record, context) {
+  return record.keyVersion === KEY_VERSION &&
+    Object.keys(context).every(field => (record[field] || '') === (context[field] || ''));
+}
+
+/**
+ * 번역 메모리 크기 예산 (바이트)
+ * @returns {number} - 최대 크기
+ */
+function getMaxBytes() {
+  return CACHE_SETTINGS.maxSizeMB * 1024 * 1024;
 }
 
 /**
  * 캐시 통계 가져오기
- * @returns {Promise<Object>} - 캐시 통계 (count, size)
+ * @param {Object} options - {breakdown: 언어 쌍/사이트별 통계 포함 여부 (전체 순회)}
+ * @returns {Promise<Object>} - 캐시 통계 (count, size, maxSize, pinned, byLanguage, bySite)
  */
-async function getStats() {
+async function getStats(options = {}) {
   try {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(null, (items) => {
-        if (chrome.runtime.lastError) {
-          console.warn(`[${APP_CONFIG.appName}] 캐시 통계 수집 오류:`, chrome.runtime.lastError);
-          resolve({ count: 0, size: 0 });
-          return;
-        }
-        
-        const cacheKeys = Object.keys(items).filter(key => 
-          key.startsWith(CACHE_SETTINGS.keyPrefix)
-        );
-        
-        // 캐시 크기 계산 (대략적인 JSON 크기)
-        const cacheItems = {};
-        cacheKeys.forEach(key => {
-          cacheItems[key] = items[key];
-        });
-        
-        const cacheSize = JSON.stringify(cacheItems).length;
-        
-        resolve({
-          count: cacheKeys.length,
-          size: cacheSize,
-          sizeFormatted: formatSize(cacheSize)
-        });
-      });
+    const { count, size } = await TranslationMemory.getStats();
+    const stats = {
+      count,
+      size,
+      sizeFormatted: formatSize(size),
+      maxSize: getMaxBytes(),
+      maxSizeFormatted: formatSize(getMaxBytes())
+    };
+    
+    if (!options.breakdown) {
+      return stats;
+    }
+    
+    // 언어 쌍('en>ko')/사이트 origin별 {count, size} (사이트를 모르는 항목은 빈 문자열)
+    const byLanguage = {};
+    const bySite = {};
+    let pinned = 0;
+    
+    const addTo = (group, name, record) => {
+      group[name] = group[name] || { count: 0, size: 0 };
+      group[name].count++;
+      group[name].size += record.size || 0;
+    };
+    
+    await TranslationMemory.forEachRecord(record => {
+      addTo(byLanguage, record.langPair || `*>${record.targetLang}`, record);
+      addTo(bySite, record.origin || '', record);
+      if (record.pinned) pinned++;
     });
+    
+    return { ...stats, pinned, byLanguage, bySite };
   } catch (error) {
     handleError('캐시 통계 수집 오류', error);
     return { count: 0, size: 0, sizeFormatted: '0 B' };
@@ -216,42 +606,14 @@ function formatSize(bytes) {
  * @returns {Promise<number>} - 삭제된 항목 수
  */
 async function cleanupExpired() {
-  const now = Date.now();
-  const expiryTime = CACHE_SETTINGS.expiryDays * 24 * 60 * 60 * 1000;
-  
   try {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(null, (items) => {
-        if (chrome.runtime.lastError) {
-          console.warn(`[${APP_CONFIG.appName}] 캐시 정리 조회 오류:`, chrome.runtime.lastError);
-          resolve(0);
-          return;
-        }
-        
-        // 만료된 항목 키 찾기
-        const expiredKeys = Object.keys(items)
-          .filter(key => {
-            // 캐시 항목이며, 만료 시간이 지난 항목만 필터링
-            return key.startsWith(CACHE_SETTINGS.keyPrefix) && 
-                   items[key].timestamp && 
-                   (now - items[key].timestamp > expiryTime);
-          });
-        
-        if (expiredKeys.length > 0) {
-          chrome.storage.local.remove(expiredKeys, () => {
-            if (chrome.runtime.lastError) {
-              console.warn(`[${APP_CONFIG.appName}] 만료 캐시 제거 오류:`, chrome.runtime.lastError);
-              resolve(0);
-            } else {
-              console.log(`[${APP_CONFIG.appName}] ${expiredKeys.length}개의 만료된 캐시 항목 삭제됨`);
-              resolve(expiredKeys.length);
-            }
-          });
-        } else {
-          resolve(0);
-        }
-      });
-    });
+    const removed = await TranslationMemory.removeWhere(record => !record.pinned && isExpired(record.createdAt));
+    
+    if (removed > 0) {
+      console.log(`[${APP_CONFIG.appName}] ${removed}개의 만료된 캐시 항목 삭제됨`);
+    }
+    
+    return removed;
   } catch (error) {
     handleError('캐시 정리 오류', error);
     return 0;
@@ -264,39 +626,291 @@ async function cleanupExpired() {
  */
 async function clearAll() {
   try {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(null, (items) => {
-        if (chrome.runtime.lastError) {
-          console.warn(`[${APP_CONFIG.appName}] 전체 캐시 정리 조회 오류:`, chrome.runtime.lastError);
-          resolve(0);
-          return;
-        }
-        
-        // 모든 캐시 항목 찾기
-        const cacheKeys = Object.keys(items)
-          .filter(key => key.startsWith(CACHE_SETTINGS.keyPrefix));
-        
-        if (cacheKeys.length > 0) {
-          chrome.storage.local.remove(cacheKeys, () => {
-            if (chrome.runtime.lastError) {
-              console.warn(`[${APP_CONFIG.appName}] 전체 캐시 제거 오류:`, chrome.runtime.lastError);
-              resolve(0);
-            } else {
-              console.log(`[${APP_CONFIG.appName}] ${cacheKeys.length}개의 캐시 항목 모두 삭제됨`);
-              resolve(cacheKeys.length);
-            }
-          });
-        } else {
-          resolve(0);
-        }
-      });
-    });
+    const removed = await TranslationMemory.clear();
+    console.log(`[${APP_CONFIG.appName}] ${removed}개의 캐시 항목 모두 삭제됨`);
+    return removed;
   } catch (error) {
     handleError('전체 캐시 정리 오류', error);
     return 0;
   }
 }
 
+/**
+ * 캐시 관리 화면에 표시할 항목 형식
+ * @param {Object} record - 번역 메모리 레코드
+ * @returns {Object} - {key, source, translation, editable, unverified, sourceLang, targetLang, langPair, origin, pinned, createdAt, lastUsed}
+ */
+function toEntry(record) {
+  // 용어 조회 결과는 객체로 저장되므로 번역만 표시하고 수정은 막음
+  // (원문이 없는 이전 버전 캐시도 고정하면 만료되지 않으므로 수정 불가)
+  const editable = typeof record.translation === 'string' && record.unverified !== true;
+  
+  return {
+    key: record.key,
+    source: record.sourceText,
+    translation: typeof record.translation === 'string' ?
+      record.translation : (record.translation && record.translation.translation) || '',
+    editable,
+    unverified: record.unverified === true,
+    sourceLang: record.sourceLang || '',
+    targetLang: record.targetLang,
+    langPair: record.langPair,
+    origin: record.origin || '',
+    pinned: record.pinned === true,
+    createdAt: record.createdAt,
+    lastUsed: record.lastUsed
+  };
+}
+
+/**
+ * 캐시 항목 목록 (최근 사용 순)
+ * @param {Object} filter - {query: 원문/번역 검색어, origin: 사이트, langPair: 언어 쌍, offset, limit}
+ * @returns {Promise<Object>} - {entries, total}
+ */
+async function listEntries(filter = {}) {
+  const query = (filter.query || '').trim().toLowerCase();
+  const offset = Math.max(0, Number(filter.offset) || 0);
+  const limit = Math.min(200, Math.max(1, Number(filter.limit) || 50));
+  const entries = [];
+  let total = 0;
+  
+  const matches = (record) => {
+    if (filter.langPair && record.langPair !== filter.langPair) return false;
+    if (!query) return true;
+    
+    const entry = toEntry(record);
+    return (entry.source || '').toLowerCase().includes(query) ||
+      entry.translation.toLowerCase().includes(query);
+  };
+  
+  try {
+    // 사이트를 지정하면 [origin, lastUsed] 인덱스로 해당 사이트만 최근 사용 순으로 순회
+    await TranslationMemory.forEachRecord(record => {
+      if (!matches(record)) return;
+      
+      if (total >= offset && entries.length < limit) {
+        entries.push(toEntry(record));
+      }
+      total++;
+    }, typeof filter.origin === 'string' ?
+      {
+        index: 'originLastUsed',
+        range: IDBKeyRange.bound([filter.origin, -Infinity], [filter.origin, Infinity]),
+        direction: 'prev'
+      } :
+      { index: 'lastUsed', direction: 'prev' });
+    
+    return { entries, total };
+  } catch (error) {
+    handleError('캐시 목록 조회 오류', error);
+    return { entries: [], total: 0 };
+  }
+}
+
+/**
+ * 캐시 항목 번역 수정 (수정한 항목은 고정되어 만료/정리/자동 번역으로 바뀌지 않음)
+ * @param {string} key - 캐시 키
+ * @param {string} translation - 고친 번역
+ * @returns {Promise<Object>} - 수정된 항목
+ */
+async function updateEntry(key, translation) {
+  const text = typeof translation === 'string' ? translation.trim() : '';
+  if (!text) {
+    throw new Error('번역을 입력해주세요.');
+  }
+  
+  const [record] = await TranslationMemory.getMany([key]);
+  if (!record) {
+    throw new Error('캐시 항목을 찾을 수 없습니다.');
+  }
+  
+  if (typeof record.translation !== 'string') {
+    throw new Error('용어 조회 결과는 수정할 수 없습니다.');
+  }
+  
+  if (record.unverified === true) {
+    throw new Error('원문이 없는 이전 버전 캐시는 수정할 수 없습니다.');
+  }
+  
+  // 고친 번역 기준으로 템플릿도 다시 만듦
+  const updated = await withTemplate(
+    { ...record, translation: text, pinned: true, editedAt: Date.now() },
+    getCacheContext(record.targetLang, record.scope, record, record.glossaryVersion)
+  );
+  if (!(await TranslationMemory.setMany([updated], { maxBytes: getMaxBytes() }))) {
+    throw new Error('캐시 항목을 저장하지 못했습니다.');
+  }
+  
+  safeDispatchEvent('cache:entry-updated', { key });
+  return toEntry(updated);
+}
+
+/**
+ * 캐시 항목 삭제
+ * @param {string} key - 캐시 키
+ * @returns {Promise<Object|null>} - 삭제된 항목 (없었으면 null)
+ */
+async function removeEntry(key) {
+  const [record] = await TranslationMemory.getMany([key]);
+  if (!record || (await TranslationMemory.removeMany([key])) === 0) {
+    return null;
+  }
+  
+  return toEntry(record);
+}
+
+/**
+ * 사이트의 캐시 항목 모두 삭제 (고정된 항목 포함)
+ * @param {string} origin - 사이트 origin (빈 문자열이면 사이트를 모르는 항목)
+ * @returns {Promise<number>} - 삭제된 항목 수
+ */
+async function purgeSite(origin) {
+  if (typeof origin !== 'string') {
+    return 0;
+  }
+  
+  const removed = await TranslationMemory.removeWhere(() => true, {
+    index: 'origin',
+    range: IDBKeyRange.only(origin)
+  });
+  
+  console.log(`[${APP_CONFIG.appName}] ${origin || '알 수 없는 사이트'} 캐시 ${removed}개 삭제됨`);
+  return removed;
+}
+
+/**
+ * 이전 형식 캐시 정리 (업데이트 시 한 번 실행)
+ * - chrome.storage.local의 'translate_' 항목: 검증할 수 없는 레코드로 번역 메모리에 옮김 (만료되면 삭제)
+ * - 이전 키 형식의 번역 메모리 레코드: 원문이 있으면 새 키로 다시 저장, 없으면 삭제
+ * @returns {Promise<number>} - 옮긴 항목 수
+ */
+async function migrateLegacyEntries() {
+  try {
+    const movedLegacy = await migrateLegacyStorageEntries();
+    
+    const outdated = [];
+    await TranslationMemory.forEachRecord(record => {
+      if (record.keyVersion !== KEY_VERSION && record.keyVersion !== LEGACY_KEY_VERSION) {
+        outdated.push(record);
+      }
+    });
+    
+    if (outdated.length === 0) {
+      return movedLegacy;
+    }
+    
+    const records = await Promise.all(outdated
+      .filter(record => record.sourceText && !isExpired(record.createdAt))
+      .map(record => createRecord(
+        normalizeSource(record.sourceText),
+        record.translation,
+        getCacheContext(record.targetLang, record.scope, record, record.glossaryVersion),
+        { origin: record.origin || '', createdAt: record.createdAt, lastUsed: record.lastUsed }
+      )));
+    
+    await TranslationMemory.removeMany(outdated.map(record => record.key));
+    if (records.length > 0 && !(await TranslationMemory.setMany(records, { maxBytes: getMaxBytes() }))) {
+      throw new Error('번역 메모리에 새 키로 저장하지 못했습니다.');
+    }
+    
+    console.log(`[${APP_CONFIG.appName}] 이전 키 형식 캐시 정리: ${records.length}개 이동, ` +
+      `${outdated.length - records.length}개 삭제`);
+    safeDispatchEvent('cache:migrated', { migrated: records.length + movedLegacy, total: outdated.length + movedLegacy });
+    
+    return records.length + movedLegacy;
+  } catch (error) {
+    handleError('이전 캐시 이동 오류', error);
+    return 0;
+  }
+}
+
+/**
+ * chrome.storage.local 이전 캐시 항목을 검증할 수 없는 번역 메모리 레코드로 변환
+ * 키 형식: translate_<lang>_[g<용어집 버전>_][<범위>_]<해시>
+ * @param {string} key - 이전 캐시 키
+ * @param {Object} value - {translation, timestamp}
+ * @returns {Object|null} - 레코드 (형식이 맞지 않으면 null)
+ */
+function convertLegacyEntry(key, value) {
+  if (!value || typeof value.translation !== 'string') {
+    return null;
+  }
+  
+  const parts = key.slice(CACHE_SETTINGS.keyPrefix.length).split('_');
+  if (parts.length < 2) {
+    return null;
+  }
+  
+  const targetLang = parts.shift();
+  const sourceHash = parts.pop();
+  const glossaryVersion = /^g\d+$/.test(parts[0] || '') ? Number(parts.shift().slice(1)) : 0;
+  const timestamp = Number(value.timestamp) || 0;
+  
+  return {
+    key,
+    keyVersion: LEGACY_KEY_VERSION,
+    unverified: true,
+    sourceHash,
+    sourceText: '', // 이전 저장소에는 원문이 없음
+    sourceLength: 0,
+    translation: value.translation,
+    sourceLang: '',
+    targetLang,
+    langPair: `*>${targetLang}`,
+    provider: '',
+    scope: parts.join('_'),
+    glossaryVersion,
+    origin: '',
+    createdAt: timestamp,
+    lastUsed: timestamp
+  };
+}
+
+/**
+ * chrome.storage.local에 남은 이전 캐시 항목을 번역 메모리로 옮기기 (옮긴 뒤 이전 항목 삭제)
+ * @returns {Promise<number>} - 옮긴 항목 수
+ */
+async function migrateLegacyStorageEntries() {
+  const items = await new Promise((resolve) => {
+    chrome.storage.local.get(null, (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 이전 캐시 조회 오류:`, chrome.runtime.lastError);
+        resolve({});
+        return;
+      }
+      
+      resolve(result || {});
+    });
+  });
+  
+  const legacyKeys = Object.keys(items).filter(key => key.startsWith(CACHE_SETTINGS.keyPrefix));
+  if (legacyKeys.length === 0) {
+    return 0;
+  }
+  
+  // 이미 만료된 항목은 옮기지 않고 삭제
+  const records = legacyKeys
+    .map(key => convertLegacyEntry(key, items[key]))
+    .filter(record => record && !isExpired(record.createdAt));
+  
+  if (records.length > 0 && !(await TranslationMemory.setMany(records, { maxBytes: getMaxBytes() }))) {
+    throw new Error('번역 메모리에 이전 캐시를 저장하지 못했습니다.');
+  }
+  
+  // 옮긴 뒤에만 이전 키 삭제 (실패하면 다음 업데이트 때 다시 시도)
+  await new Promise((resolve) => {
+    chrome.storage.local.remove(legacyKeys, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 이전 캐시 제거 오류:`, chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+  
+  console.log(`[${APP_CONFIG.appName}] 이전 캐시 ${records.length}/${legacyKeys.length}개를 번역 메모리로 이동`);
+  return records.length;
+}
+
 /**
  * 오류 처리
  * @param {string} message - 오류 메시지
@@ -323,6 +937,8 @@ function handleError(message, error) {
 function updateSettings(newSettings) {
   if (!newSettings) return;
   
+  const previousMaxSizeMB = CACHE_SETTINGS.maxSizeMB;
+  
   // 기존 설정과 다른 부분만 업데이트하여 로그 출력
   Object.entries(newSettings).forEach(([key, value]) => {
     if (CACHE_SETTINGS[key] !== value) {
@@ -330,6 +946,13 @@ function updateSettings(newSettings) {
       CACHE_SETTINGS[key] = value;
     }
   });
+  
+  // 크기 예산을 줄이면 바로 정리
+  if (CACHE_SETTINGS.maxSizeMB < previousMaxSizeMB) {
+    TranslationMemory.evictToBudget(getMaxBytes()).catch(error => {
+      handleError('캐시 크기 정리 오류', error);
+    });
+  }
 }
 
 /**
@@ -343,11 +966,19 @@ function getSettings() {
 // 모듈 내보내기
 export {
   get,
+  getMany,
+  getFuzzyMatches,
   set,
+  setMany,
   remove,
   getStats,
   cleanupExpired,
   clearAll,
+  listEntries,
+  updateEntry,
+  removeEntry,
+  purgeSite,
+  migrateLegacyEntries,
   updateSettings,
   getSettings
-};
\ No newline at end of file
+};
@@ -410,44 +410,8 @@ function applyTranslations(translatedItems) {
   
   // 각 번역 항목 처리
   translatedItems.forEach(item => {
-    try {
-      if (!item || !item.translated || item.original === item.translated) {
-        return;
-      }
-      
-      // 요소가 없는 경우 무시
-      if (!item.element || !(item.element instanceof Element)) {
-        return;
-      }
-      
-      let success = false;
-      
-      // 번역 타입에 따라 다르게 처리
-      switch (item.type) {
-        case 'attribute':
-          if (item.attribute) {
-            success = replaceElementAttribute(item.element, item.attribute, item.translated);
-          }
-          break;
-          
-        case 'text':
-          if (item.node && item.node.nodeType === Node.TEXT_NODE) {
-            success = replaceTextNodeContent(item.node, item.translated);
-          }
-          break;
-          
-        default:
-          // 요소 텍스트 직접 번역
-          success = replaceElementText(item.element, item.translated);
-          break;
-      }
-      
-      if (success) {
-        successCount++;
-      }
-    } catch (itemError) {
-      console.warn(`[${APP_CONFIG.appName}] 번역 항목 적용 오류:`, itemError);
-      state.failedCount++;
+    if (applyTranslationItem(item)) {
+      successCount++;
     }
   });
   
@@ -462,6 +426,43 @@ function applyTranslations(translatedItems) {
   return successCount;
 }
 
+/**
+ * 번역 항목 하나를 DOM에 적용
+ * @param {Object} item - 번역 항목
+ * @returns {boolean} - 적용 성공 여부
+ */
+function applyTranslationItem(item) {
+  try {
+    if (!item || !item.translated || item.original === item.translated) {
+      return false;
+    }
+    
+    // 요소가 없는 경우 무시
+    if (!item.element || !(item.element instanceof Element)) {
+      return false;
+    }
+    
+    // 번역 타입에 따라 다르게 처리
+    switch (item.type) {
+      case 'attribute':
+        return item.attribute ?
+          replaceElementAttribute(item.element, item.attribute, item.translated) : false;
+        
+      case 'text':
+        return item.node && item.node.nodeType === Node.TEXT_NODE ?
+          replaceTextNodeContent(item.node, item.translated) : false;
+        
+      default:
+        // 요소 텍스트 직접 번역
+        return replaceElementText(item.element, item.translated);
+    }
+  } catch (itemError) {
+    console.warn(`[${APP_CONFIG.appName}] 번역 항목 적용 오류:`, itemError);
+    state.failedCount++;
+    return false;
+  }
+}
+
 /**
  * 텍스트 교체 이벤트 발행
  * @param {number} successCount - 성공한 번역 수
@@ -5,7 +5,7 @@ import { APP_CONFIG, safeDispatchEvent } from '../../config.js';
 const DEFAULT_SETTINGS = {
   minTextLength: APP_CONFIG.defaultSettings.minTextLength || 2,
   textContainerSelector: 'p, h1, h2, h3, h4, h5, li, span, a, td, div, article',
-  ignoreSelector: 'script, style, noscript, code, pre',
+  ignoreSelector: `script, style, noscript, code, pre, [${APP_CONFIG.domAttributes.bilingualAttr}]`,
   translatedAttr: APP_CONFIG.domAttributes.translatedAttr,
   pendingAttr: APP_CONFIG.domAttributes.pendingAttr,
   sourceAttr: APP_CONFIG.domAttributes.sourceAttr,
@@ -0,0 +1,436 @@
+// glossary-manager.js - 사용자 용어집 관리 모듈
+import { APP_CONFIG, safeDispatchEvent } from '../config.js';
+
+/**
+ * chrome.storage.sync에 용어집을 저장한다.
+ * sync 항목 하나는 8KB(QUOTA_BYTES_PER_ITEM)를 넘을 수 없으므로 용어를 여러 항목으로 나눈다.
+ *   'glossary': {version, chunks: 나눈 항목 수}
+ *     version: 수정할 때마다 1씩 증가 (캐시 키에 포함되어 이전 번역을 무효화)
+ *   'glossary_0', 'glossary_1', ...: {entries, doNotTranslate}
+ *     entries: [{term, caseSensitive, translations: {ko: '...', ja: '...'}}]
+ *     doNotTranslate: [{term, caseSensitive}]
+ * 이전 형식('glossary' 하나에 entries/doNotTranslate 포함)도 읽을 수 있으며 다음 저장 때 나누어 저장된다.
+ * 번역 요청에는 대상 언어와 요청 텍스트에 해당하는 항목만 골라 보낸다.
+ */
+
+const STORAGE_KEY = 'glossary';
+const CHUNK_KEY_PREFIX = 'glossary_';
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+
+// 나눈 항목 하나의 최대 크기 (바이트, 8192에서 키 이름과 여유분 제외)
+const MAX_CHUNK_BYTES = 7000;
+
+// 로드된 용어집 (storage 변경 시 다시 읽음)
+let cachedGlossary = null;
+let cachedChunkCount = 0;
+
+/**
+ * 빈 용어집 생성
+ * @returns {Object} - 기본 용어집
+ */
+function createDefaultGlossary() {
+  return {
+    version: 0,
+    entries: [],
+    doNotTranslate: []
+  };
+}
+
+/**
+ * 저장된 용어집 형식 보정
+ * @param {Object} glossary - 저장된 용어집
+ * @returns {Object} - 보정된 용어집
+ */
+function normalizeGlossary(glossary) {
+  if (!glossary || typeof glossary !== 'object') {
+    return createDefaultGlossary();
+  }
+
+  return {
+    version: Number.isInteger(glossary.version) ? glossary.version : 0,
+    entries: Array.isArray(glossary.entries) ? glossary.entries : [],
+    doNotTranslate: Array.isArray(glossary.doNotTranslate) ? glossary.doNotTranslate : []
+  };
+}
+
+/**
+ * chrome.storage.sync 항목 읽기
+ * @param {string|string[]} keys - 키
+ * @returns {Promise<Object|null>} - 읽은 값 (오류 시 null)
+ */
+function readSync(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(keys, (data) => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 용어집 조회 오류:`, chrome.runtime.lastError);
+        resolve(null);
+        return;
+      }
+
+      resolve(data || {});
+    });
+  });
+}
+
+/**
+ * 나눈 항목 키 목록
+ * @param {number} start - 시작 번호
+ * @param {number} end - 끝 번호 (포함하지 않음)
+ * @returns {string[]} - 키 배열
+ */
+function getChunkKeys(start, end) {
+  return Array.from({ length: Math.max(0, end - start) }, (_, index) => `${CHUNK_KEY_PREFIX}${start + index}`);
+}
+
+/**
+ * 용어를 sync 항목 크기 제한 안으로 나누기
+ * @param {Object} glossary - 용어집
+ * @returns {Array<Object>} - [{entries, doNotTranslate}]
+ */
+function splitIntoChunks(glossary) {
+  const items = [
+    ...glossary.entries.map(entry => ({ field: 'entries', value: entry })),
+    ...glossary.doNotTranslate.map(item => ({ field: 'doNotTranslate', value: item }))
+  ];
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = { entries: [], doNotTranslate: [] };
+  let currentBytes = 0;
+
+  items.forEach(({ field, value }) => {
+    const bytes = encoder.encode(JSON.stringify(value)).length + 1;
+    if (currentBytes > 0 && currentBytes + bytes > MAX_CHUNK_BYTES) {
+      chunks.push(current);
+      current = { entries: [], doNotTranslate: [] };
+      currentBytes = 0;
+    }
+
+    current[field].push(value);
+    currentBytes += bytes;
+  });
+
+  if (currentBytes > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * 저장 오류 메시지 (sync 저장 공간 부족은 따로 안내)
+ * @param {Object} lastError - chrome.runtime.lastError
+ * @returns {string} - 사용자에게 보여줄 메시지
+ */
+function getSaveErrorMessage(lastError) {
+  const message = (lastError && lastError.message) || '';
+
+  if (/QUOTA_BYTES|MAX_ITEMS/.test(message)) {
+    return '동기화 저장 공간이 부족해 용어집을 저장하지 못했습니다. 사용하지 않는 용어를 삭제해주세요.';
+  }
+
+  if (/MAX_WRITE_OPERATIONS/.test(message)) {
+    return '용어집을 너무 자주 저장했습니다. 잠시 후 다시 시도해주세요.';
+  }
+
+  return `용어집을 저장하지 못했습니다.${message ? ` (${message})` : ''}`;
+}
+
+/**
+ * 용어집 가져오기
+ * @returns {Promise<Object>} - 용어집 객체
+ */
+async function getGlossary() {
+  if (cachedGlossary) {
+    return cachedGlossary;
+  }
+
+  try {
+    const data = await readSync(STORAGE_KEY);
+    if (!data) {
+      return createDefaultGlossary();
+    }
+
+    const stored = data[STORAGE_KEY];
+    const chunkCount = stored && Number.isInteger(stored.chunks) ? stored.chunks : 0;
+
+    // 이전 형식은 항목 하나에 모든 용어가 있음
+    if (chunkCount === 0) {
+      cachedGlossary = normalizeGlossary(stored);
+      cachedChunkCount = 0;
+      return cachedGlossary;
+    }
+
+    const chunkKeys = getChunkKeys(0, chunkCount);
+    const chunkData = await readSync(chunkKeys);
+    if (!chunkData) {
+      return createDefaultGlossary();
+    }
+
+    const chunks = chunkKeys.map(key => normalizeGlossary(chunkData[key]));
+    cachedGlossary = {
+      version: normalizeGlossary(stored).version,
+      entries: chunks.flatMap(chunk => chunk.entries),
+      doNotTranslate: chunks.flatMap(chunk => chunk.doNotTranslate)
+    };
+    cachedChunkCount = chunkCount;
+    return cachedGlossary;
+  } catch (error) {
+    handleError('용어집 가져오기 오류', error);
+    return createDefaultGlossary();
+  }
+}
+
+/**
+ * 용어집 버전 가져오기 (캐시 키용)
+ * @returns {Promise<number>} - 용어집 버전
+ */
+async function getVersion() {
+  const glossary = await getGlossary();
+  return glossary.version;
+}
+
+/**
+ * 용어집 저장 (버전 증가, sync 항목 크기 제한에 맞춰 나누어 저장)
+ * @param {Object} glossary - 저장할 용어집
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ * @throws {Error} - 저장 공간 부족 등으로 저장하지 못한 경우 (사용자에게 보여줄 메시지)
+ */
+async function saveGlossary(glossary) {
+  const current = await getGlossary();
+  const previousChunkCount = cachedChunkCount;
+  const updated = {
+    ...normalizeGlossary(glossary),
+    version: current.version + 1
+  };
+
+  const chunks = splitIntoChunks(updated);
+  const items = { [STORAGE_KEY]: { version: updated.version, chunks: chunks.length } };
+  chunks.forEach((chunk, index) => {
+    items[`${CHUNK_KEY_PREFIX}${index}`] = chunk;
+  });
+
+  // 빈 용어집은 나눈 항목 없이 저장 (chunks 0은 이전 형식과 같이 읽히므로 빈 목록 포함)
+  if (chunks.length === 0) {
+    items[STORAGE_KEY] = updated;
+  }
+
+  await new Promise((resolve, reject) => {
+    chrome.storage.sync.set(items, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 용어집 저장 오류:`, chrome.runtime.lastError);
+        reject(new Error(getSaveErrorMessage(chrome.runtime.lastError)));
+        return;
+      }
+
+      resolve();
+    });
+  });
+
+  cachedGlossary = updated;
+  cachedChunkCount = chunks.length;
+
+  // 줄어든 만큼 남은 이전 항목 삭제
+  const staleKeys = getChunkKeys(chunks.length, previousChunkCount);
+  if (staleKeys.length > 0) {
+    chrome.storage.sync.remove(staleKeys, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 이전 용어집 항목 삭제 오류:`, chrome.runtime.lastError);
+      }
+    });
+  }
+
+  safeDispatchEvent('glossary:updated', { version: updated.version });
+  return true;
+}
+
+/**
+ * 용어 문자열 검증
+ * @param {string} term - 용어
+ * @returns {string} - 정리된 용어
+ */
+function cleanTerm(term) {
+  if (typeof term !== 'string' || term.trim() === '') {
+    throw new Error('용어를 입력해주세요.');
+  }
+
+  if (term.trim().length > MAX_TERM_LENGTH) {
+    throw new Error(`용어는 ${MAX_TERM_LENGTH}자 이하로 입력해주세요.`);
+  }
+
+  return term.trim();
+}
+
+/**
+ * 고정 번역 용어 추가 (같은 용어가 있으면 해당 언어 번역만 갱신)
+ * @param {string} term - 원문 용어
+ * @param {string} translation - 고정 번역
+ * @param {string} targetLang - 대상 언어 코드
+ * @param {boolean} caseSensitive - 대소문자 구분 여부
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function addTerm(term, translation, targetLang, caseSensitive = false) {
+  const source = cleanTerm(term);
+  const target = cleanTerm(translation);
+  const glossary = await getGlossary();
+
+  const entries = glossary.entries.map(entry => ({ ...entry, translations: { ...entry.translations } }));
+  const existing = entries.find(entry => entry.term === source && entry.caseSensitive === caseSensitive);
+
+  if (existing) {
+    existing.translations[targetLang] = target;
+  } else {
+    if (entries.length + glossary.doNotTranslate.length >= MAX_TERMS) {
+      throw new Error(`용어집은 최대 ${MAX_TERMS}개까지 저장할 수 있습니다.`);
+    }
+    entries.push({ term: source, caseSensitive, translations: { [targetLang]: target } });
+  }
+
+  return saveGlossary({ ...glossary, entries });
+}
+
+/**
+ * 고정 번역 용어 제거 (targetLang 지정 시 해당 언어 번역만 제거)
+ * @param {string} term - 원문 용어
+ * @param {string} targetLang - 대상 언어 코드 (선택적)
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function removeTerm(term, targetLang = null) {
+  const glossary = await getGlossary();
+
+  const entries = glossary.entries
+    .map(entry => {
+      if (entry.term !== term) return entry;
+      if (!targetLang) return null;
+
+      const translations = { ...entry.translations };
+      delete translations[targetLang];
+      return Object.keys(translations).length > 0 ? { ...entry, translations } : null;
+    })
+    .filter(Boolean);
+
+  return saveGlossary({ ...glossary, entries });
+}
+
+/**
+ * 번역 제외 용어 추가
+ * @param {string} term - 번역하지 않을 용어
+ * @param {boolean} caseSensitive - 대소문자 구분 여부
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function addDoNotTranslate(term, caseSensitive = false) {
+  const source = cleanTerm(term);
+  const glossary = await getGlossary();
+
+  if (glossary.doNotTranslate.some(item => item.term === source && item.caseSensitive === caseSensitive)) {
+    return true;
+  }
+
+  if (glossary.entries.length + glossary.doNotTranslate.length >= MAX_TERMS) {
+    throw new Error(`용어집은 최대 ${MAX_TERMS}개까지 저장할 수 있습니다.`);
+  }
+
+  return saveGlossary({
+    ...glossary,
+    doNotTranslate: [...glossary.doNotTranslate, { term: source, caseSensitive }]
+  });
+}
+
+/**
+ * 번역 제외 용어 제거
+ * @param {string} term - 용어
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function removeDoNotTranslate(term) {
+  const glossary = await getGlossary();
+
+  return saveGlossary({
+    ...glossary,
+    doNotTranslate: glossary.doNotTranslate.filter(item => item.term !== term)
+  });
+}
+
+/**
+ * 텍스트에 용어가 포함되어 있는지 확인 (영문/숫자 용어는 단어 경계 확인)
+ * @param {string} text - 검사할 텍스트
+ * @param {string} term - 용어
+ * @param {boolean} caseSensitive - 대소문자 구분 여부
+ * @returns {boolean} - 포함 여부
+ */
+function containsTerm(text, term, caseSensitive) {
+  if (!text || !term) {
+    return false;
+  }
+
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const start = /^[A-Za-z0-9]/.test(term) ? '(?<![A-Za-z0-9])' : '';
+  const end = /[A-Za-z0-9]$/.test(term) ? '(?![A-Za-z0-9])' : '';
+
+  return new RegExp(`${start}${escaped}${end}`, caseSensitive ? '' : 'i').test(text);
+}
+
+/**
+ * 번역 요청에 보낼 용어집 구성 (대상 언어와 요청 텍스트에 해당하는 항목만)
+ * @param {string[]} texts - 번역할 텍스트 배열
+ * @param {string} targetLang - 대상 언어 코드
+ * @returns {Promise<Object|null>} - {terms, doNotTranslate} 또는 null
+ */
+async function getGlossaryForTexts(texts, targetLang) {
+  const glossary = await getGlossary();
+  const appears = (term, caseSensitive) => texts.some(text => containsTerm(text, term, caseSensitive));
+
+  const terms = glossary.entries
+    .filter(entry => entry.translations && entry.translations[targetLang])
+    .filter(entry => appears(entry.term, entry.caseSensitive))
+    .map(entry => ({
+      source: entry.term,
+      target: entry.translations[targetLang],
+      caseSensitive: entry.caseSensitive === true
+    }));
+
+  const doNotTranslate = glossary.doNotTranslate
+    .filter(item => appears(item.term, item.caseSensitive))
+    .map(item => ({ term: item.term, caseSensitive: item.caseSensitive === true }));
+
+  return terms.length > 0 || doNotTranslate.length > 0 ? { terms, doNotTranslate } : null;
+}
+
+/**
+ * 오류 처리 함수
+ * @param {string} message - 오류 메시지
+ * @param {Error} error - 오류 객체
+ */
+function handleError(message, error) {
+  console.error(`[${APP_CONFIG.appName}] ${message}:`, error);
+
+  try {
+    safeDispatchEvent('glossary:error', {
+      message,
+      error: error.message
+    });
+  } catch (eventError) {
+    console.warn(`[${APP_CONFIG.appName}] 이벤트 발행 오류:`, eventError);
+  }
+}
+
+// 다른 컨텍스트(팝업, 옵션 페이지)에서 수정한 용어집 반영
+if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    // 나눈 항목 여러 개가 함께 바뀌므로 다음 조회 때 다시 읽음
+    if (areaName === 'sync' && changes[STORAGE_KEY]) {
+      cachedGlossary = null;
+    }
+  });
+}
+
+// 모듈 내보내기
+export {
+  getGlossary,
+  getVersion,
+  saveGlossary,
+  addTerm,
+  removeTerm,
+  addDoNotTranslate,
+  removeDoNotTranslate,
+  getGlossaryForTexts
+};
@@ -0,0 +1,309 @@
+// language-detector.js - 세그먼트 언어 감지 모듈
+/**
+ * 네트워크 없이 세그먼트의 언어를 추정한다.
+ * 1) 문자 체계(스크립트)로 먼저 구분: 한글 → ko, 가나 → ja, 한자 → zh/zh-TW, 키릴 → ru 등
+ * 2) 라틴 문자는 언어별 고빈도 문자 3-gram 프로필과 비교해 가장 가까운 언어 선택
+ *
+ * 이미 대상 언어로 된 세그먼트를 번역 요청에서 빼서 사용량을 아끼는 용도이므로
+ * 확신도가 낮으면 감지하지 않은 것(null)으로 처리해 번역 쪽으로 보낸다.
+ */
+
+// 감지 설정
+let settings = {
+  minLetters: 2,          // 스크립트로 구분할 때 필요한 최소 문자 수
+  minLatinLetters: 12,    // 3-gram 비교에 필요한 최소 라틴 문자 수
+  minConfidence: 0.6      // 같은 언어로 판단할 최소 확신도
+};
+
+// 스크립트별 문자 범위 (언어가 하나로 정해지는 스크립트만 lang 지정)
+const SCRIPTS = [
+  { name: 'hangul', lang: 'ko', regex: /[ᄀ-ᇿ㄰-㆏가-힯]/g },
+  { name: 'kana', lang: 'ja', regex: /[぀-ヿㇰ-ㇿ]/g },
+  { name: 'han', lang: 'zh', regex: /[㐀-䶿一-鿿]/g },
+  { name: 'cyrillic', lang: 'ru', regex: /[Ѐ-ӿ]/g },
+  { name: 'arabic', lang: 'ar', regex: /[؀-ۿݐ-ݿ]/g },
+  { name: 'devanagari', lang: 'hi', regex: /[ऀ-ॿ]/g },
+  { name: 'thai', lang: 'th', regex: /[฀-๿]/g },
+  { name: 'latin', lang: null, regex: /[A-Za-zÀ-ɏḀ-ỿ]/g }
+];
+
+// 간체/번체 구분용 고빈도 글자 (같은 위치끼리 대응)
+const SIMPLIFIED_CHARS = '这们个来时说国会对发经开样问关还实进现过从为见间学东车长门书';
+const TRADITIONAL_CHARS = '這們個來時說國會對發經開樣問關還實進現過從為見間學東車長門書';
+
+// 라틴 문자 언어별 고빈도 3-gram (빈도 순, 공백은 단어 경계)
+const TRIGRAM_PROFILES = {
+  en: [' th', 'the', 'he ', 'ing', 'and', ' an', 'nd ', ' of', 'of ', 'ed ', ' to', 'to ', 'ion', ' in', 'in ',
+    'er ', 'tio', 'ent', 'is ', ' is', 'es ', 'at ', 're ', 'for', ' fo', 'or ', 'on ', 'hat', 'tha', 'ly ',
+    ' co', 'you', ' yo', 'ou ', 'all', 'ter', 'ere', 'her', 'ate', 'ver', 'wit', 'ith', 'th '],
+  es: [' de', 'de ', 'os ', ' la', 'la ', 'el ', ' el', 'ión', 'es ', ' qu', 'que', 'ue ', ' en', 'en ', 'as ',
+    'ent', ' co', 'con', 'ado', 'ara', 'par', ' pa', ' lo', 'los', 'do ', 'nte', 'ón ', 'ien', 'una', ' un',
+    'por', ' po', 'ra ', 'ida', 'aci', 'cio', 'est', ' es', 'mos', 'del'],
+  fr: [' de', 'es ', 'de ', ' le', 'le ', 'ent', 'ion', 'les', ' la', 'la ', 'nt ', ' et', 'et ', 're ', ' co',
+    'tio', 'que', ' qu', 'ue ', ' pa', 'des', 'ons', 'eme', 'our', ' po', 'pou', 'ous', ' vo', 'vou', 'ez ',
+    'est', ' un', 'une', 'dan', 'ans', ' da', 'ait', 'eur', 'ité', 'té '],
+  de: ['en ', 'er ', ' di', 'die', 'der', ' de', 'ie ', 'ch ', 'sch', 'ich', 'ein', ' ei', 'und', ' un', 'nd ',
+    'cht', 'den', 'ung', 'ng ', ' da', 'gen', 'ten', ' zu', 'ist', ' is', 'st ', 'te ', ' ge', 'nde', 'auf',
+    ' au', 'ter', 'das', 'it ', ' mi', 'mit', 'sie', ' si', 'ver', ' ve', 'ben', 'hen'],
+  it: [' di', 'di ', 'to ', 'la ', ' la', 're ', 'ell', 'lla', ' de', 'del', 'one', 'che', ' ch', 'he ', ' co',
+    'ent', 'zio', 'ion', ' il', 'il ', 'no ', 'ne ', 'are', ' pe', 'per', 'er ', 'ato', 'ta ', ' in', 'nte',
+    'gli', 'le ', 'con', 'ono', 'tto', 'sta', ' un', 'una', 'all', 'ia '],
+  pt: [' de', 'de ', 'os ', ' qu', 'que', 'ue ', 'ão ', 'ção', ' co', 'ent', 'do ', 'da ', ' da', ' do', 'as ',
+    ' a ', 'es ', ' pa', 'par', 'ra ', ' e ', 'com', 'nte', 'ado', ' um', 'um ', 'uma', ' se', 'em ', ' em',
+    'não', ' nã', 'ess', 'est', 'ões', 'ara', 'mos', 'dos'],
+  nl: ['en ', ' de', 'de ', 'van', ' va', 'an ', 'het', ' he', 'et ', 'een', ' ee', 'er ', ' en', 'aar', 'ijk',
+    'ij ', ' ve', 'ver', ' in', 'in ', 'te ', ' te', 'oor', 'den', 'gen', 'ing', 'ng ', 'dat', ' da', 'at ',
+    'cht', 'nde', ' zi', 'zij', 'ijn', 'jn ', ' ge', 'met', 'wor', 'erd', ' je', 'je ', 'voo', 'uw ', 'ee '],
+  id: ['an ', ' me', 'kan', 'ang', 'ng ', 'men', 'yan', ' ya', 'ya ', ' da', 'dan', ' di', 'ah ', 'nya', 'ran',
+    'ber', ' be', 'ata', 'per', ' pe', 'ela', 'ada', 'aka', 'ai ', ' ke', 'ini', ' in', 'eng', 'tuk', 'ntu',
+    'unt', ' un', 'ama', 'dal', 'lam', 'am ', 'gan', 'asi', 'ter', ' te'],
+  tr: ['lar', 'ler', ' bi', 'bir', 'ir ', 'ar ', 'er ', 'in ', 'an ', 'ını', 'eri', 'ın ', 'en ', ' ve', 've ',
+    'ası', 'de ', 'da ', ' ka', 'le ', 'ak ', 'yor', 'ara', 'ile', ' il', 'ınd', 'nda', 'ini', 'rin', 'ına',
+    'dır', 'ığı', ' iç', 'içi', 'çin', 'ece', 'mak'],
+  pl: ['ie ', 'nie', ' ni', ' pr', 'prz', 'rze', 'ię ', 'ch ', ' na', 'na ', ' po', 'ego', 'ani', 'ych', 'wie',
+    ' w ', 'owa', 'ost', 'ści', 'sta', ' i ', 'cze', 'ją ', 'dzi', ' do', 'kie', 'nia', 'rzy', 'em ', 'ej ',
+    ' si', 'się', 'zy ', 'jak', 'est', ' je', 'jes'],
+  vi: ['ng ', ' ng', 'ngư', 'ười', 'ời ', ' cá', 'các', 'ác ', ' củ', 'của', 'ủa ', ' và', 'và ', ' đư', 'ược',
+    'ợc ', ' kh', 'khô', 'hôn', 'ông', ' có', 'có ', ' nh', 'nhữ', 'ững', 'ột ', ' mộ', 'một', ' là', 'là ',
+    ' đã', 'đã ', ' tr', 'tro', 'ong'],
+  sv: ['en ', ' oc', 'och', 'ch ', 'er ', ' de', 'för', ' fö', 'ör ', 'att', ' at', 'tt ', 'det', 'et ', 'ar ',
+    ' på', 'på ', 'som', ' so', 'om ', 'and', 'ade', 'är ', ' är', 'ing', 'ng ', 'den', 'ter', 'til', 'ill',
+    ' ti', 'lla', 'nde', 'av ', ' av', 'med', ' me', 'var', 'ner', 'sta'],
+  da: [' og', 'og ', 'er ', 'en ', 'der', ' de', 'for', ' fo', 'et ', ' at', 'at ', ' er', 'den', 'til', ' ti',
+    'il ', 'and', 'med', ' me', 'ige', 'lig', 'ere', 'ne ', 'de ', ' på', 'på ', 'som', ' so', 'af ', ' af',
+    'har', ' ha', 'ikk', 'kke', 'ke ', 'ing', 'ter', 'nde', 'els', 'lse'],
+  no: [' og', 'og ', 'er ', 'en ', ' de', 'det', 'et ', ' å ', 'for', ' fo', 'til', ' ti', 'il ', ' i ', 'som',
+    ' so', 'om ', 'med', ' me', 'har', ' ha', 'ikk', 'kke', 'ke ', 'den', 'ene', 'ing', 'ter', 'jon', 'sjo',
+    'ske', ' på', 'på ', 'av ', ' av', 'ige', 'lig', 'ere', 'nde', 'eg '],
+  fi: ['en ', 'in ', 'an ', 'ist', 'sta', ' ja', 'ja ', 'ssa', 'sa ', 'lla', 'isi', 'ta ', 'ise', ' ka', 'tä ',
+    'ää ', 'nen', 'ine', 'ste', 'ais', ' on', 'on ', ' ol', 'oli', 'kse', 'ell', 'tti', 'iin', 'lle', 'ttä',
+    'ksi', 'aan', 'ään', 'sen', 'ust', 'ein', 'uks', 'est'],
+  cs: [' a ', 'ní ', ' pr', 'pro', 'ost', ' po', ' ne', 'je ', ' je', ' na', 'na ', 'ch ', 'ého', 'ení', 'ter',
+    'ova', 'sti', 'pře', ' př', 'ých', 'ně ', 'se ', ' se', 'ky ', 'pod', 'ako', 'ak ', 'by ', ' by', 'tak',
+    ' ta', 'ými', 'lov', 'jí ', 'ské'],
+  hu: [' a ', ' az', 'az ', 'ek ', 'en ', ' me', 'sze', ' sz', 'gy ', 'egy', ' eg', 'ség', 'és ', ' és', 'nak',
+    'ak ', 'tt ', 'hog', 'ogy', ' ho', 'ban', 'an ', 'ben', 'el ', ' el', 'ett', 'nem', ' ne', 'em ', 'ás ',
+    'ról', 'ött', 'ele', 'ere', 'eke', 'ok ', 'ik ', 'int', 'ény', 'val']
+};
+
+// 언어별로 쓰이는 악센트/특수 문자 (이 문자가 있는데 목록에 없는 언어는 감점)
+const LATIN_MARKS = {
+  en: '',
+  es: 'áéíóúüñ',
+  fr: 'àâæçéèêëîïôœùûüÿ',
+  de: 'äöüß',
+  it: 'àèéìíòóù',
+  pt: 'áâãàçéêíóôõú',
+  nl: 'éëïó',
+  id: '',
+  tr: 'çğıöşüâî',
+  pl: 'ąćęłńóśźż',
+  vi: 'àáảãạăằắẳẵặâầấẩẫậđèéẻẽẹêềếểễệìíỉĩịòóỏõọôồốổỗộơờớởỡợùúủũụưừứửữựỳýỷỹỵ',
+  sv: 'åäöé',
+  da: 'æøåé',
+  no: 'æøåéô',
+  fi: 'äöå',
+  cs: 'áčďéěíňóřšťúůýž',
+  hu: 'áéíóöőúüű'
+};
+
+// 3-gram → 가중치 (앞 순위일수록 높음)
+const PROFILE_WEIGHTS = Object.fromEntries(
+  Object.entries(TRIGRAM_PROFILES).map(([lang, trigrams]) => {
+    const weights = new Map();
+    trigrams.forEach((trigram, rank) => {
+      if (!weights.has(trigram)) {
+        weights.set(trigram, 1 - rank / (trigrams.length * 2));
+      }
+    });
+    return [lang, weights];
+  })
+);
+
+/**
+ * 스크립트별 문자 수 계산
+ * @param {string} text - 검사할 텍스트
+ * @returns {Object} - {counts: {script: number}, total: number}
+ */
+function countScripts(text) {
+  const counts = {};
+  let total = 0;
+
+  SCRIPTS.forEach(script => {
+    const matches = text.match(script.regex);
+    counts[script.name] = matches ? matches.length : 0;
+    total += counts[script.name];
+  });
+
+  return { counts, total };
+}
+
+/**
+ * 한자 텍스트의 간체/번체 구분
+ * @param {string} text - 검사할 텍스트
+ * @returns {string} - 'zh' 또는 'zh-TW'
+ */
+function detectChineseVariant(text) {
+  let simplified = 0;
+  let traditional = 0;
+
+  for (const char of text) {
+    if (SIMPLIFIED_CHARS.includes(char)) simplified++;
+    else if (TRADITIONAL_CHARS.includes(char)) traditional++;
+  }
+
+  return traditional > simplified ? 'zh-TW' : 'zh';
+}
+
+/**
+ * 라틴 문자 텍스트의 3-gram 점수로 언어 추정
+ * @param {string} text - 검사할 텍스트
+ * @returns {Object|null} - {lang, confidence} 또는 null
+ */
+function detectLatinLanguage(text) {
+  const normalized = ` ${text.toLowerCase().replace(/[^a-zÀ-ɏḀ-ỿ]+/g, ' ').trim()} `;
+  if (normalized.replace(/ /g, '').length < settings.minLatinLetters) {
+    return null;
+  }
+
+  const trigrams = [];
+  for (let i = 0; i < normalized.length - 2; i++) {
+    trigrams.push(normalized.substring(i, i + 3));
+  }
+
+  // 악센트 문자: 그 언어에서 쓰는 문자면 가산, 쓰지 않는 문자면 감산
+  const marks = normalized.replace(/[a-z ]/g, '');
+
+  const scores = Object.entries(PROFILE_WEIGHTS)
+    .map(([lang, weights]) => {
+      const trigramScore = trigrams.reduce((sum, trigram) => sum + (weights.get(trigram) || 0), 0) / trigrams.length;
+      const markScore = Array.from(marks)
+        .reduce((sum, mark) => sum + (LATIN_MARKS[lang].includes(mark) ? 1 : -2), 0) / trigrams.length;
+
+      return { lang, score: Math.max(0, trigramScore + markScore) };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (!best || best.score === 0) {
+    return null;
+  }
+
+  // 1등과 2등의 점수 차이를 확신도로 사용 (비슷한 언어끼리 겹치면 낮아짐)
+  const margin = (best.score - second.score) / best.score;
+  const coverage = Math.min(1, best.score / 0.25);
+
+  return { lang: best.lang, confidence: Math.min(1, margin * 2.5) * coverage };
+}
+
+/**
+ * 텍스트 언어 감지
+ * @param {string} text - 검사할 텍스트
+ * @returns {Object|null} - {lang, confidence} 또는 null (글자가 부족하거나 판단할 수 없는 경우)
+ */
+function detectLanguage(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const { counts, total } = countScripts(text);
+  if (total < settings.minLetters) {
+    return null;
+  }
+
+  // 일본어는 한자와 가나가 섞이므로 가나가 조금이라도 있으면 일본어로 판단
+  const cjk = counts.han + counts.kana;
+  if (counts.kana > 0 && counts.kana >= cjk * 0.1 && counts.hangul < cjk) {
+    return { lang: 'ja', confidence: Math.min(1, (cjk + counts.latin * 0.2) / total) };
+  }
+
+  const dominant = SCRIPTS
+    .map(script => ({ ...script, count: counts[script.name] }))
+    .sort((a, b) => b.count - a.count)[0];
+  const share = dominant.count / total;
+
+  if (dominant.name === 'latin') {
+    const result = detectLatinLanguage(text);
+    return result ? { lang: result.lang, confidence: result.confidence * share } : null;
+  }
+
+  // 비라틴 문장 속 영문 단어(제품명 등)는 흔하므로 절반 이상이면 확신
+  const lang = dominant.name === 'han' ? detectChineseVariant(text) : dominant.lang;
+  return { lang, confidence: Math.min(1, share * 2) };
+}
+
+/**
+ * 감지 결과가 대상 언어와 같은지 확인 (확신도가 충분한 경우만)
+ * @param {Object|null} detected - detectLanguage 결과
+ * @param {string} targetLang - 대상 언어 코드
+ * @returns {boolean} - 같은 언어 여부
+ */
+function isSameLanguage(detected, targetLang) {
+  if (!detected || !targetLang || detected.confidence < settings.minConfidence) {
+    return false;
+  }
+
+  // 중국어는 간체/번체까지 구분, 그 외는 지역 코드 무시 (pt-BR → pt)
+  if (detected.lang.startsWith('zh') || targetLang.startsWith('zh')) {
+    return detected.lang === targetLang;
+  }
+
+  return detected.lang === targetLang.split('-')[0];
+}
+
+/**
+ * 텍스트 배열 전체의 주 언어 감지 (문자 수와 확신도로 가중)
+ * @param {string[]} texts - 텍스트 배열
+ * @returns {Object|null} - {lang, confidence(전체 중 비율)} 또는 null
+ */
+function detectDominantLanguage(texts) {
+  if (!Array.isArray(texts)) {
+    return null;
+  }
+
+  const weights = new Map();
+  let total = 0;
+
+  texts.forEach(text => {
+    const detected = detectLanguage(text);
+    if (!detected) return;
+
+    const weight = text.length * detected.confidence;
+    weights.set(detected.lang, (weights.get(detected.lang) || 0) + weight);
+    total += weight;
+  });
+
+  if (total === 0) {
+    return null;
+  }
+
+  const [lang, weight] = Array.from(weights.entries()).sort((a, b) => b[1] - a[1])[0];
+  return { lang, confidence: weight / total };
+}
+
+/**
+ * 설정 업데이트
+ * @param {Object} newSettings - {minLetters, minLatinLetters, minConfidence}
+ */
+function updateSettings(newSettings) {
+  if (!newSettings) return;
+
+  settings = { ...settings, ...newSettings };
+}
+
+/**
+ * 현재 설정 가져오기
+ * @returns {Object} - 현재 설정
+ */
+function getSettings() {
+  return { ...settings };
+}
+
+// 모듈 내보내기
+export {
+  detectLanguage,
+  isSameLanguage,
+  detectDominantLanguage,
+  updateSettings,
+  getSettings
+};
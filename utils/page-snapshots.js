@@ -0,0 +1,669 @@
+// page-snapshots.js - 페이지별 번역 스냅샷 (다시 방문한 페이지 즉시 적용, 오프라인 미리 번역)
+import { APP_CONFIG, safeDispatchEvent } from '../config.js';
+
+/**
+ * 페이지 주소(+대상 언어)마다 그 페이지의 세그먼트 목록과 번역을 IndexedDB에 저장한다.
+ * 다시 방문하면 콘텐츠 스크립트가 세그먼트 목록을 보내고, 지문(fingerprint)이 같으면
+ * 저장된 번역을 한 번에 돌려주어 배치 번역/네트워크 요청 없이 적용한다.
+ * 지문이 다르면 페이지가 바뀐 것으로 보고(stale) 남아 있는 세그먼트의 번역만 유지한다.
+ *
+ * 레코드 형식:
+ * {
+ *   key,             // `${targetLang}|${url}`
+ *   url,             // 해시(#)를 뺀 페이지 주소
+ *   origin,          // 사이트 origin (사이트별 삭제용)
+ *   targetLang,
+ *   settingsKey,     // 번역 결과에 영향을 주는 설정 (문체, 번역 제공자, 용어집 버전, 단위 현지화)
+ *   fingerprint,     // 정규화한 세그먼트 목록의 SHA-256 해시
+ *   segments,        // 정규화한 원문 → 번역 (아직 번역하지 않은 세그먼트는 null)
+ *   segmentCount,    // 서로 다른 세그먼트 수
+ *   translatedCount, // 번역이 있는 세그먼트 수
+ *   offline,         // 오프라인 목록에 있는 페이지 (개수 제한 정리 제외)
+ *   preparedAt,      // 오프라인 미리 번역을 마친 시각
+ *   changedAt,       // 지문이 바뀐 것을 마지막으로 감지한 시각
+ *   createdAt,
+ *   updatedAt,
+ *   lastUsed,        // 마지막 사용 시각
+ *   evictableAt      // 오프라인이 아닌 페이지의 lastUsed ('evictable' 인덱스, 개수 제한 정리 기준)
+ * }
+ *
+ * 오프라인 목록(미리 번역할 페이지 주소)은 chrome.storage.local의 'offlinePages'에 저장한다.
+ */
+
+const DB_NAME = 'tony-page-snapshots';
+const DB_VERSION = 2;
+const STORE_NAME = 'pages';
+const OFFLINE_STORAGE_KEY = 'offlinePages';
+
+// 저장할 최대 페이지 수 (오프라인 목록의 페이지는 세지 않음)
+const MAX_PAGES = 100;
+
+// 세그먼트가 이보다 많은 페이지는 스냅샷을 만들지 않음 (무한 스크롤 피드 등)
+const MAX_SEGMENTS = 3000;
+
+// 오프라인 목록 최대 주소 수
+const MAX_OFFLINE_PAGES = 50;
+
+// 모듈 스코프 상태
+let dbPromise = null;
+
+/**
+ * IndexedDB 요청을 Promise로 변환
+ * @param {IDBRequest} request - IndexedDB 요청
+ * @returns {Promise<any>} - 요청 결과
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 데이터베이스 열기 (처음 열 때 저장소와 인덱스 생성)
+ * @returns {Promise<IDBDatabase>} - 데이터베이스
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // 스냅샷은 다시 만들 수 있는 캐시이므로 이전 버전 저장소는 지우고 새로 만듦
+      if (db.objectStoreNames.contains(STORE_NAME)) {
+        db.deleteObjectStore(STORE_NAME);
+      }
+
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      store.createIndex('origin', 'origin');
+      store.createIndex('url', 'url');
+      store.createIndex('evictable', 'evictableAt');
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * 저장소 트랜잭션 실행
+ * @param {string} mode - 'readonly' 또는 'readwrite'
+ * @param {Function} callback - (store) => Promise
+ * @returns {Promise<any>} - callback 결과 (트랜잭션 완료 후)
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('트랜잭션이 중단되었습니다.'));
+  });
+
+  const result = await callback(transaction.objectStore(STORE_NAME));
+  await done;
+  return result;
+}
+
+/**
+ * 커서 순회 (레코드를 하나씩만 읽음)
+ * @param {IDBRequest} request - openCursor/openKeyCursor 요청
+ * @param {Function} callback - (cursor) 호출 함수 (false를 반환하면 중단)
+ * @returns {Promise<void>}
+ */
+function walkCursor(request, callback) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || callback(cursor) === false) {
+        resolve();
+        return;
+      }
+
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 저장할 레코드 (오프라인 페이지는 'evictable' 인덱스에서 빠지도록 evictableAt 제거)
+ * @param {Object} record - 스냅샷 레코드
+ * @returns {Object} - 저장할 레코드
+ */
+function toStoredRecord(record) {
+  const stored = { ...record };
+  if (stored.offline) {
+    delete stored.evictableAt;
+  } else {
+    stored.evictableAt = stored.lastUsed;
+  }
+  return stored;
+}
+
+/**
+ * 페이지 주소 정리 (http/https만, 해시 제거)
+ * @param {string} url - 페이지 주소
+ * @returns {string|null} - 정리된 주소 (지원하지 않는 주소면 null)
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 세그먼트 원문 정규화 (번역 메모리 원문 정규화와 같은 규칙)
+ * @param {string} text - 원문
+ * @returns {string} - 정규화된 원문
+ */
+function normalizeText(text) {
+  return typeof text === 'string' ? text.normalize('NFC').replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * 세그먼트 목록 지문 (문서 순서 포함)
+ * @param {string[]} texts - 정규화된 원문 배열
+ * @returns {Promise<string>} - SHA-256 16진수 문자열
+ */
+async function getFingerprint(texts) {
+  const data = new TextEncoder().encode(JSON.stringify(texts));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 번역 결과에 영향을 주는 설정을 문자열로 (달라지면 저장된 번역을 쓰지 않음)
+ * @param {Object} context - {targetLang, register, provider, glossaryVersion, localizeUnits}
+ * @returns {string} - 설정 키
+ */
+function getSettingsKey(context) {
+  return JSON.stringify([
+    context.targetLang,
+    context.register || '',
+    context.provider || '',
+    context.glossaryVersion || 0,
+    context.localizeUnits === true
+  ]);
+}
+
+/**
+ * 레코드 키
+ * @param {string} url - 정리된 페이지 주소
+ * @param {string} targetLang - 대상 언어
+ * @returns {string} - 키
+ */
+function getPageKey(url, targetLang) {
+  return `${targetLang}|${url}`;
+}
+
+/**
+ * 세그먼트 맵 복사 (원문이 '__proto__', 'constructor' 같은 이름이어도 안전하도록 프로토타입 없는 객체 사용)
+ * @param {Object} segments - 원문 → 번역
+ * @returns {Object} - 복사본
+ */
+function copySegments(segments) {
+  return Object.assign(Object.create(null), segments || {});
+}
+
+/**
+ * 스냅샷 세그먼트에 원문이 있는지 확인
+ * @param {Object} segments - 원문 → 번역
+ * @param {string} source - 정규화된 원문
+ * @returns {boolean} - 포함 여부
+ */
+function hasSegment(segments, source) {
+  return Object.prototype.hasOwnProperty.call(segments, source);
+}
+
+/**
+ * 번역이 있는 세그먼트 수
+ * @param {Object} segments - 원문 → 번역
+ * @returns {number} - 개수
+ */
+function countTranslated(segments) {
+  return Object.values(segments).filter(translation => typeof translation === 'string').length;
+}
+
+/**
+ * 저장된 스냅샷 조회 (지문이 바뀌었으면 남아 있는 세그먼트의 번역만 유지하도록 갱신)
+ * @param {string} url - 페이지 주소
+ * @param {string[]} texts - 페이지 세그먼트 원문 (문서 순서)
+ * @param {Object} context - {targetLang, register, provider, glossaryVersion, localizeUnits}
+ * @returns {Promise<Object>} - {fingerprint, status, translations}
+ *   status: 'fresh' (그대로), 'stale' (페이지 변경됨), 'missing' (저장된 번역 없음), 'unsupported' (저장하지 않는 페이지)
+ *   translations: texts 순서대로 저장된 번역 (없으면 null)
+ */
+async function lookup(url, texts, context) {
+  const pageUrl = normalizeUrl(url);
+  const sources = Array.isArray(texts) ? texts.map(normalizeText) : [];
+  const unique = Array.from(new Set(sources.filter(Boolean)));
+
+  if (!pageUrl || !context || !context.targetLang || unique.length === 0 || unique.length > MAX_SEGMENTS) {
+    return { fingerprint: null, status: 'unsupported', translations: sources.map(() => null) };
+  }
+
+  const fingerprint = await getFingerprint(sources.filter(Boolean));
+  const settingsKey = getSettingsKey(context);
+  const key = getPageKey(pageUrl, context.targetLang);
+  const now = Date.now();
+
+  const { record, status } = await withStore('readwrite', async (store) => {
+    const existing = await promisifyRequest(store.get(key));
+    // 설정이 바뀌었으면 저장된 번역을 쓰지 않고 새로 만듦
+    const usable = existing && existing.settingsKey === settingsKey ? existing : null;
+
+    if (usable && usable.fingerprint === fingerprint) {
+      await promisifyRequest(store.put(toStoredRecord({ ...usable, lastUsed: now })));
+      return { record: usable, status: usable.translatedCount > 0 ? 'fresh' : 'missing' };
+    }
+
+    // 처음 보는 페이지이거나 바뀐 페이지: 새 세그먼트 목록으로 다시 만들고 남아 있는 번역만 유지
+    const previous = usable ? copySegments(usable.segments) : Object.create(null);
+    const segments = Object.create(null);
+    unique.forEach(source => {
+      segments[source] = hasSegment(previous, source) && typeof previous[source] === 'string' ? previous[source] : null;
+    });
+
+    const updated = {
+      key,
+      url: pageUrl,
+      origin: new URL(pageUrl).origin,
+      targetLang: context.targetLang,
+      settingsKey,
+      fingerprint,
+      segments,
+      segmentCount: unique.length,
+      translatedCount: countTranslated(segments),
+      offline: existing ? existing.offline === true : false,
+      preparedAt: usable ? usable.preparedAt || null : null,
+      changedAt: usable ? now : null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      lastUsed: now
+    };
+
+    await promisifyRequest(store.put(toStoredRecord(updated)));
+    return { record: updated, status: usable ? 'stale' : 'missing' };
+  });
+
+  if (status === 'stale') {
+    console.log(`[${APP_CONFIG.appName}] 페이지가 바뀌어 스냅샷 갱신: ${pageUrl} (${record.translatedCount}/${record.segmentCount}개 유지)`);
+    safeDispatchEvent('page-snapshots:stale', { url: pageUrl, targetLang: context.targetLang });
+  }
+
+  if (record.createdAt === now) {
+    await evictOldPages();
+  }
+
+  const segments = copySegments(record.segments);
+  return {
+    fingerprint,
+    status,
+    translations: sources.map(source =>
+      source && hasSegment(segments, source) && typeof segments[source] === 'string' ? segments[source] : null)
+  };
+}
+
+/**
+ * 번역한 세그먼트를 스냅샷에 추가
+ * 조회할 때 받은 지문과 저장된 지문이 다르면 (그 사이 페이지가 바뀌었으면) 저장하지 않음
+ * @param {string} url - 페이지 주소
+ * @param {string} fingerprint - lookup에서 받은 지문
+ * @param {Array} entries - [{text, translated}]
+ * @param {Object} context - {targetLang, register, provider, glossaryVersion, localizeUnits}
+ * @param {Object} options - {offline: 오프라인 미리 번역 결과}
+ * @returns {Promise<Object|null>} - {segmentCount, translatedCount} 또는 null (저장하지 않음)
+ */
+async function save(url, fingerprint, entries, context, options = {}) {
+  const pageUrl = normalizeUrl(url);
+  if (!pageUrl || !fingerprint || !context || !context.targetLang || !Array.isArray(entries)) {
+    return null;
+  }
+
+  const key = getPageKey(pageUrl, context.targetLang);
+  const settingsKey = getSettingsKey(context);
+
+  return withStore('readwrite', async (store) => {
+    const record = await promisifyRequest(store.get(key));
+    if (!record || record.fingerprint !== fingerprint || record.settingsKey !== settingsKey) {
+      return null;
+    }
+
+    const segments = copySegments(record.segments);
+    entries.forEach(entry => {
+      const source = entry ? normalizeText(entry.text) : '';
+      // 지문에 포함된 세그먼트만 저장 (나중에 추가된 동적 콘텐츠 제외)
+      if (source && hasSegment(segments, source) && typeof entry.translated === 'string' && entry.translated) {
+        segments[source] = entry.translated;
+      }
+    });
+
+    const now = Date.now();
+    const translatedCount = countTranslated(segments);
+    const updated = {
+      ...record,
+      segments,
+      translatedCount,
+      updatedAt: now,
+      lastUsed: now
+    };
+
+    if (options.offline) {
+      updated.offline = true;
+      updated.preparedAt = translatedCount === record.segmentCount ? now : record.preparedAt || null;
+    }
+
+    await promisifyRequest(store.put(toStoredRecord(updated)));
+    return { segmentCount: updated.segmentCount, translatedCount };
+  });
+}
+
+/**
+ * 레코드 요약 (세그먼트 제외)
+ * @param {Object} record - 스냅샷 레코드
+ * @param {string} settingsKey - 현재 설정 키
+ * @returns {Object} - {url, targetLang, status, segmentCount, translatedCount, preparedAt, changedAt, updatedAt}
+ */
+function summarize(record, settingsKey) {
+  let status = 'ready';
+  if (record.settingsKey !== settingsKey) {
+    status = 'settings';
+  } else if (record.changedAt && (!record.preparedAt || record.changedAt > record.preparedAt)) {
+    status = 'stale';
+  } else if (record.translatedCount < record.segmentCount) {
+    status = 'partial';
+  }
+
+  return {
+    url: record.url,
+    targetLang: record.targetLang,
+    status,
+    segmentCount: record.segmentCount,
+    translatedCount: record.translatedCount,
+    preparedAt: record.preparedAt || null,
+    changedAt: record.changedAt || null,
+    updatedAt: record.updatedAt
+  };
+}
+
+/**
+ * 오프라인 목록 가져오기
+ * @returns {Promise<string[]>} - 페이지 주소 배열
+ */
+async function getOfflineUrls() {
+  try {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(OFFLINE_STORAGE_KEY, (data) => {
+        if (chrome.runtime.lastError) {
+          console.warn(`[${APP_CONFIG.appName}] 오프라인 목록 조회 오류:`, chrome.runtime.lastError);
+          resolve([]);
+          return;
+        }
+
+        const urls = data && data[OFFLINE_STORAGE_KEY];
+        resolve(Array.isArray(urls) ? urls : []);
+      });
+    });
+  } catch (error) {
+    handleError('오프라인 목록 가져오기 오류', error);
+    return [];
+  }
+}
+
+/**
+ * 오프라인 목록 저장
+ * @param {string[]} urls - 페이지 주소 배열
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function writeOfflineUrls(urls) {
+  try {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [OFFLINE_STORAGE_KEY]: urls }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn(`[${APP_CONFIG.appName}] 오프라인 목록 저장 오류:`, chrome.runtime.lastError);
+          resolve(false);
+          return;
+        }
+
+        resolve(true);
+      });
+    });
+  } catch (error) {
+    handleError('오프라인 목록 저장 오류', error);
+    return false;
+  }
+}
+
+/**
+ * 오프라인 목록에 주소 추가
+ * @param {string[]} urls - 페이지 주소 배열
+ * @returns {Promise<Object>} - {added: 추가한(이미 있던 것 포함) 주소, invalid: 올바르지 않은 입력}
+ */
+async function addOfflineUrls(urls) {
+  const added = [];
+  const invalid = [];
+
+  (Array.isArray(urls) ? urls : []).forEach(url => {
+    const pageUrl = normalizeUrl(typeof url === 'string' ? url.trim() : '');
+    if (!pageUrl) {
+      invalid.push(url);
+    } else if (!added.includes(pageUrl)) {
+      added.push(pageUrl);
+    }
+  });
+
+  const existing = await getOfflineUrls();
+  const merged = [...existing, ...added.filter(url => !existing.includes(url))];
+  if (merged.length > MAX_OFFLINE_PAGES) {
+    throw new Error(`오프라인 페이지는 최대 ${MAX_OFFLINE_PAGES}개까지 저장할 수 있습니다.`);
+  }
+
+  if (!(await writeOfflineUrls(merged))) {
+    throw new Error('오프라인 목록을 저장하지 못했습니다.');
+  }
+
+  return { added, invalid };
+}
+
+/**
+ * 오프라인 목록에서 주소 삭제 (저장된 번역은 일반 스냅샷으로 남음)
+ * @param {string} url - 페이지 주소
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function removeOfflineUrl(url) {
+  const pageUrl = normalizeUrl(url);
+  const urls = await getOfflineUrls();
+  if (!urls.includes(pageUrl)) {
+    return true;
+  }
+
+  // 같은 주소의 레코드(대상 언어별)만 하나씩 읽어 오프라인 표시 해제
+  await withStore('readwrite', store =>
+    walkCursor(store.index('url').openCursor(IDBKeyRange.only(pageUrl)), cursor => {
+      if (cursor.value.offline) {
+        cursor.update(toStoredRecord({ ...cursor.value, offline: false }));
+      }
+    })
+  );
+
+  return writeOfflineUrls(urls.filter(item => item !== pageUrl));
+}
+
+/**
+ * 오프라인 목록과 각 페이지 상태
+ * @param {Function} getContext - (url) => Promise<{targetLang, register, provider, glossaryVersion, localizeUnits}>
+ *   페이지마다 현재 적용될 설정 (사이트별 대상 언어 재정의 포함)
+ * @returns {Promise<Array>} - [{url, targetLang, status, segmentCount, translatedCount, ...}]
+ *   status: 'missing' (아직 저장 안 됨), 'ready', 'partial', 'stale' (페이지 변경됨), 'settings' (설정 변경됨)
+ */
+async function listOfflinePages(getContext) {
+  const urls = await getOfflineUrls();
+  const contexts = await Promise.all(urls.map(url => getContext(url)));
+
+  const records = await withStore('readonly', store =>
+    Promise.all(urls.map((url, index) => promisifyRequest(store.get(getPageKey(url, contexts[index].targetLang)))))
+  );
+
+  return urls.map((url, index) => records[index] ?
+    summarize(records[index], getSettingsKey(contexts[index])) :
+    { url, targetLang: contexts[index].targetLang, status: 'missing', segmentCount: 0, translatedCount: 0 });
+}
+
+/**
+ * 모든 스냅샷에서 세그먼트 번역 지우기 (번역을 고친 경우 다음 방문 때 다시 가져오도록)
+ * @param {string[]} texts - 원문 배열
+ * @returns {Promise<number>} - 갱신한 페이지 수
+ */
+async function forgetSegments(texts) {
+  const sources = (Array.isArray(texts) ? texts : []).map(normalizeText).filter(Boolean);
+  if (sources.length === 0) {
+    return 0;
+  }
+
+  // 전체를 한 번에 읽지 않고 커서로 레코드를 하나씩 확인
+  return withStore('readwrite', async (store) => {
+    let changed = 0;
+
+    await walkCursor(store.openCursor(), cursor => {
+      const segments = copySegments(cursor.value.segments);
+      const matched = sources.filter(source => hasSegment(segments, source) && typeof segments[source] === 'string');
+      if (matched.length === 0) {
+        return;
+      }
+
+      matched.forEach(source => {
+        segments[source] = null;
+      });
+      cursor.update({ ...cursor.value, segments, translatedCount: countTranslated(segments) });
+      changed++;
+    });
+
+    return changed;
+  });
+}
+
+/**
+ * 사이트의 스냅샷 모두 삭제
+ * @param {string} origin - 사이트 origin
+ * @returns {Promise<number>} - 삭제한 페이지 수
+ */
+async function removeByOrigin(origin) {
+  if (!origin || typeof origin !== 'string') {
+    return 0;
+  }
+
+  return withStore('readwrite', async (store) => {
+    const keys = await promisifyRequest(store.index('origin').getAllKeys(IDBKeyRange.only(origin)));
+    await Promise.all(keys.map(key => promisifyRequest(store.delete(key))));
+    return keys.length;
+  });
+}
+
+/**
+ * 오래 쓰지 않은 페이지부터 삭제해 최대 페이지 수 유지 (오프라인 목록의 페이지 제외)
+ * @returns {Promise<number>} - 삭제한 페이지 수
+ */
+async function evictOldPages() {
+  try {
+    return await withStore('readwrite', async (store) => {
+      // 'evictable' 인덱스에는 오프라인이 아닌 페이지만 lastUsed 순서로 들어 있음
+      const index = store.index('evictable');
+      const excess = await promisifyRequest(index.count()) - MAX_PAGES;
+
+      if (excess <= 0) {
+        return 0;
+      }
+
+      // 레코드 본문은 읽지 않고 키 커서로 오래된 페이지의 기본 키만 삭제
+      let removed = 0;
+      await walkCursor(index.openKeyCursor(), cursor => {
+        store.delete(cursor.primaryKey);
+        removed++;
+        return removed < excess;
+      });
+      return removed;
+    });
+  } catch (error) {
+    handleError('페이지 스냅샷 정리 오류', error);
+    return 0;
+  }
+}
+
+/**
+ * 저장된 스냅샷 수
+ * @returns {Promise<number>} - 페이지 수
+ */
+async function count() {
+  return withStore('readonly', store => promisifyRequest(store.count()));
+}
+
+/**
+ * 모든 스냅샷 삭제 (오프라인 목록은 유지)
+ * @returns {Promise<number>} - 삭제한 페이지 수
+ */
+async function clear() {
+  return withStore('readwrite', async (store) => {
+    const removed = await promisifyRequest(store.count());
+    await promisifyRequest(store.clear());
+    return removed;
+  });
+}
+
+/**
+ * 오류 처리 함수
+ * @param {string} message - 오류 메시지
+ * @param {Error} error - 오류 객체
+ */
+function handleError(message, error) {
+  console.error(`[${APP_CONFIG.appName}] ${message}:`, error);
+
+  try {
+    safeDispatchEvent('page-snapshots:error', {
+      message,
+      error: error.message
+    });
+  } catch (eventError) {
+    console.warn(`[${APP_CONFIG.appName}] 이벤트 발행 오류:`, eventError);
+  }
+}
+
+// 모듈 내보내기
+export {
+  normalizeUrl,
+  lookup,
+  save,
+  getOfflineUrls,
+  addOfflineUrls,
+  removeOfflineUrl,
+  listOfflinePages,
+  forgetSegments,
+  removeByOrigin,
+  count,
+  clear
+};
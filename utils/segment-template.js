@@ -0,0 +1,210 @@
+// segment-template.js - 숫자/날짜/URL을 자리표시자로 바꾼 세그먼트 템플릿과 유사도 계산
+
+/**
+ * "3 comments"와 "5 comments"처럼 값만 다른 세그먼트가 같은 번역을 재사용하도록
+ * 원문의 URL, 날짜/시각, 숫자를 순서대로 자리표시자로 바꾼 템플릿을 만든다.
+ *   원문 "Updated 2 hours ago"  → 템플릿 "Updated {0} hours ago", 값 ['2']
+ *   번역 "2시간 전 업데이트"     → 번역 템플릿 "{0}시간 전 업데이트" (자리표시자는 사용자 영역 문자로 감싸 저장)
+ * 번역에서 각 값이 정확히 한 번씩 그대로 나올 때만 번역 템플릿을 만들 수 있다.
+ * (값이 다른 형식으로 번역되었거나 같은 값이 여러 번 나오면 재사용하지 않음)
+ */
+
+// 값 종류별 패턴 (앞에서부터 적용, 이미 바꾼 부분은 다시 검사하지 않음)
+const VALUE_PATTERNS = [
+  { type: 'url', regex: /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)\]]/gi },
+  { type: 'date', regex: /\b\d{4}[-./]\d{1,2}[-./]\d{1,2}\b|\b\d{1,2}[-./]\d{1,2}[-./]\d{2,4}\b/g },
+  { type: 'time', regex: /\b\d{1,2}:\d{2}(?::\d{2})?\b/g },
+  { type: 'number', regex: /\d+(?:[.,]\d+)*/g }
+];
+
+// 원문 템플릿 자리표시자 ({0}, {1}, ...)와 번역 템플릿 자리표시자 (사용자 영역 문자로 감쌈)
+const SOURCE_PLACEHOLDER = (index) => `{${index}}`;
+const TRANSLATION_PLACEHOLDER = (index) => `\uE000${index}\uE001`;
+const TRANSLATION_PLACEHOLDER_REGEX = /\uE000(\d+)\uE001/g;
+
+// 템플릿 하나에 담을 최대 값 수 (너무 많으면 숫자 위주의 표 같은 텍스트이므로 제외)
+const MAX_VALUES = 8;
+
+/**
+ * 원문을 템플릿으로 변환
+ * @param {string} text - 정규화된 원문
+ * @returns {Object|null} - {template, values} (바꿀 값이 없거나 너무 많으면 null)
+ */
+function templatize(text) {
+  // 원문에 자리표시자와 같은 모양이 있으면 템플릿끼리 구분할 수 없으므로 제외
+  if (!text || typeof text !== 'string' || /\{\d+\}/.test(text)) {
+    return null;
+  }
+
+  // 값 위치 수집 (먼저 적용한 패턴이 차지한 범위는 건너뜀)
+  const matches = [];
+  const isTaken = (start, end) => matches.some(match => start < match.end && end > match.start);
+
+  VALUE_PATTERNS.forEach(({ regex }) => {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!isTaken(start, end)) {
+        matches.push({ start, end, value: match[0] });
+      }
+    }
+  });
+
+  if (matches.length === 0 || matches.length > MAX_VALUES) {
+    return null;
+  }
+
+  matches.sort((a, b) => a.start - b.start);
+
+  let template = '';
+  let cursor = 0;
+  matches.forEach((match, index) => {
+    template += text.slice(cursor, match.start) + SOURCE_PLACEHOLDER(index);
+    cursor = match.end;
+  });
+  template += text.slice(cursor);
+
+  // 자리표시자만 남는 텍스트는 번역할 내용이 없으므로 제외
+  if (!/[^\s\d{}.,:;!?()\-–—/]/.test(template)) {
+    return null;
+  }
+
+  return { template, values: matches.map(match => match.value) };
+}
+
+/**
+ * 번역에서 값 위치 찾기 (숫자 값은 앞뒤가 다른 숫자가 아닌 경우만)
+ * @param {string} translation - 번역
+ * @param {string} value - 원문 값
+ * @returns {number[]} - 찾은 위치 배열
+ */
+function findValue(translation, value) {
+  const positions = [];
+  let index = translation.indexOf(value);
+
+  while (index !== -1) {
+    const before = translation[index - 1] || '';
+    const after = translation[index + value.length] || '';
+    if (!/\d/.test(before) && !/\d/.test(after)) {
+      positions.push(index);
+    }
+    index = translation.indexOf(value, index + 1);
+  }
+
+  return positions;
+}
+
+/**
+ * 번역을 번역 템플릿으로 변환
+ * @param {string} translation - 번역
+ * @param {string[]} values - templatize로 얻은 원문 값
+ * @returns {string|null} - 번역 템플릿 (값을 한 번씩 찾을 수 없으면 null)
+ */
+function createTranslationTemplate(translation, values) {
+  if (typeof translation !== 'string' || !Array.isArray(values) || values.length === 0) {
+    return null;
+  }
+
+  // 같은 값이 두 번 나오면 어느 자리인지 알 수 없음
+  if (new Set(values).size !== values.length) {
+    return null;
+  }
+
+  const positions = [];
+  for (let i = 0; i < values.length; i++) {
+    const found = findValue(translation, values[i]);
+    if (found.length !== 1) {
+      return null;
+    }
+    positions.push({ start: found[0], end: found[0] + values[i].length, index: i });
+  }
+
+  // 값끼리 겹치면 (예: '1'과 '1.5') 사용하지 않음
+  positions.sort((a, b) => a.start - b.start);
+  if (positions.some((position, i) => i > 0 && position.start < positions[i - 1].end)) {
+    return null;
+  }
+
+  let template = '';
+  let cursor = 0;
+  positions.forEach(position => {
+    template += translation.slice(cursor, position.start) + TRANSLATION_PLACEHOLDER(position.index);
+    cursor = position.end;
+  });
+  template += translation.slice(cursor);
+
+  return template;
+}
+
+/**
+ * 번역 템플릿에 값 채우기
+ * @param {string} translationTemplate - 번역 템플릿
+ * @param {string[]} values - 새 원문 값
+ * @returns {string|null} - 번역 (값 수가 맞지 않으면 null)
+ */
+function fillTemplate(translationTemplate, values) {
+  if (typeof translationTemplate !== 'string' || !Array.isArray(values)) {
+    return null;
+  }
+
+  let missing = false;
+  const filled = translationTemplate.replace(TRANSLATION_PLACEHOLDER_REGEX, (placeholder, index) => {
+    if (values[index] === undefined) {
+      missing = true;
+      return placeholder;
+    }
+    return values[index];
+  });
+
+  return missing ? null : filled;
+}
+
+/**
+ * 두 문자열의 유사도 (1 - 편집 거리 / 긴 쪽 길이)
+ * @param {string} a - 문자열
+ * @param {string} b - 문자열
+ * @param {number} minSimilarity - 이보다 낮을 것이 확실하면 계산을 멈추고 0 반환 (선택적)
+ * @returns {number} - 0~1
+ */
+function similarity(a, b, minSimilarity = 0) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const maxLength = Math.max(a.length, b.length);
+  const maxDistance = Math.floor(maxLength * (1 - minSimilarity));
+
+  // 길이 차이만으로 기준을 넘으면 계산하지 않음
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return 0;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return 0;
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / maxLength;
+}
+
+// 모듈 내보내기
+export {
+  templatize,
+  createTranslationTemplate,
+  fillTemplate,
+  similarity
+};
@@ -0,0 +1,267 @@
+// settings-profiles.js - 이름 있는 설정 프로필 및 설정 파일 내보내기/가져오기
+import { APP_CONFIG, APP_VERSION, safeDispatchEvent } from '../config.js';
+import * as SiteRules from './site-rules.js';
+import * as SettingsSchema from './settings-schema.js';
+
+/**
+ * chrome.storage.local의 'settingsProfiles' 항목에 프로필을 저장한다.
+ * (사이트 규칙이 포함되면 sync 항목 크기 제한을 넘을 수 있어 local 사용)
+ * {
+ *   active: '팀 기본',
+ *   profiles: {
+ *     '팀 기본': { settings: {...}, siteRules: {...}, updatedAt: '2025-01-01T00:00:00.000Z' }
+ *   }
+ * }
+ *
+ * 내보낸 설정 파일 형식 (용어집은 포함하지 않음):
+ * { format, version, appVersion, settingsVersion, exportedAt, profile, settings, siteRules }
+ * settings는 settingsVersion 형식이며, 가져올 때 settings-schema.js의 마이그레이션으로 현재 형식으로 바뀐다.
+ */
+
+const STORAGE_KEY = 'settingsProfiles';
+const MAX_PROFILES = 20;
+const MAX_NAME_LENGTH = 40;
+
+// 설정 파일 식별자와 형식 버전 (형식이 바뀌면 버전을 올리고 background.js의 파일 업그레이드 단계 추가)
+const SETTINGS_FILE_FORMAT = 'tony-translator-settings';
+const SETTINGS_FILE_VERSION = 2;
+
+/**
+ * 사이트 규칙 검증 (origin 형식이 아니거나 알 수 없는 방식은 제외)
+ * @param {Object} siteRules - origin → {mode, targetLang}
+ * @returns {Object} - {siteRules, errors}
+ */
+function validateSiteRules(siteRules) {
+  const valid = {};
+  const errors = [];
+
+  if (!siteRules || typeof siteRules !== 'object') {
+    return { siteRules: valid, errors };
+  }
+
+  Object.entries(siteRules).forEach(([origin, rule]) => {
+    if (SiteRules.getOrigin(origin) !== origin) {
+      errors.push(`${origin}: 올바른 사이트 주소가 아닙니다 (무시됨)`);
+      return;
+    }
+
+    if (!rule || (rule.mode !== undefined && !SiteRules.SITE_MODES.includes(rule.mode)) ||
+        (rule.targetLang !== undefined && typeof rule.targetLang !== 'string')) {
+      errors.push(`${origin}: 규칙 형식이 올바르지 않습니다 (무시됨)`);
+      return;
+    }
+
+    valid[origin] = {};
+    if (rule.mode) valid[origin].mode = rule.mode;
+    if (rule.targetLang) valid[origin].targetLang = rule.targetLang;
+  });
+
+  return { siteRules: valid, errors };
+}
+
+/**
+ * 프로필 이름 정리
+ * @param {string} name - 입력한 이름
+ * @returns {string} - 정리된 이름 (올바르지 않으면 빈 문자열)
+ */
+function normalizeProfileName(name) {
+  return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH) : '';
+}
+
+/**
+ * 저장된 프로필 전체 가져오기
+ * @returns {Promise<Object>} - {active, profiles}
+ */
+async function getProfiles() {
+  try {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(STORAGE_KEY, (data) => {
+        if (chrome.runtime.lastError) {
+          console.warn(`[${APP_CONFIG.appName}] 설정 프로필 조회 오류:`, chrome.runtime.lastError);
+          resolve({ active: null, profiles: {} });
+          return;
+        }
+
+        const stored = data && data[STORAGE_KEY];
+        resolve({
+          active: stored && stored.active ? stored.active : null,
+          profiles: stored && stored.profiles ? stored.profiles : {}
+        });
+      });
+    });
+  } catch (error) {
+    handleError('설정 프로필 가져오기 오류', error);
+    return { active: null, profiles: {} };
+  }
+}
+
+/**
+ * 프로필 저장소 쓰기
+ * @param {Object} data - {active, profiles}
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function writeProfiles(data) {
+  try {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [STORAGE_KEY]: data }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn(`[${APP_CONFIG.appName}] 설정 프로필 저장 오류:`, chrome.runtime.lastError);
+          resolve(false);
+          return;
+        }
+
+        safeDispatchEvent('settings-profiles:updated', {
+          active: data.active,
+          count: Object.keys(data.profiles).length
+        });
+        resolve(true);
+      });
+    });
+  } catch (error) {
+    handleError('설정 프로필 저장 오류', error);
+    return false;
+  }
+}
+
+/**
+ * 프로필 저장 (같은 이름이 있으면 덮어씀)
+ * @param {string} name - 프로필 이름
+ * @param {Object} profile - {settings, siteRules}
+ * @returns {Promise<string>} - 저장된 프로필 이름
+ */
+async function saveProfile(name, profile) {
+  const profileName = normalizeProfileName(name);
+  if (!profileName) {
+    throw new Error('프로필 이름을 입력해주세요.');
+  }
+
+  const data = await getProfiles();
+  if (!data.profiles[profileName] && Object.keys(data.profiles).length >= MAX_PROFILES) {
+    throw new Error(`설정 프로필은 최대 ${MAX_PROFILES}개까지 저장할 수 있습니다.`);
+  }
+
+  data.profiles = {
+    ...data.profiles,
+    [profileName]: {
+      settings: SettingsSchema.validateSettings(profile.settings).settings,
+      siteRules: validateSiteRules(profile.siteRules).siteRules,
+      updatedAt: new Date().toISOString()
+    }
+  };
+
+  if (!(await writeProfiles(data))) {
+    throw new Error('설정 프로필을 저장하지 못했습니다.');
+  }
+
+  return profileName;
+}
+
+/**
+ * 프로필 삭제
+ * @param {string} name - 프로필 이름
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function removeProfile(name) {
+  const data = await getProfiles();
+  if (!data.profiles[name]) {
+    return true;
+  }
+
+  const profiles = { ...data.profiles };
+  delete profiles[name];
+
+  return writeProfiles({
+    active: data.active === name ? null : data.active,
+    profiles
+  });
+}
+
+/**
+ * 적용 중인 프로필 이름 기록
+ * @param {string|null} name - 프로필 이름
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function setActiveProfile(name) {
+  const data = await getProfiles();
+  return writeProfiles({ ...data, active: name && data.profiles[name] ? name : null });
+}
+
+/**
+ * 내보낼 설정 파일 객체 생성
+ * @param {string} name - 프로필 이름
+ * @param {Object} profile - {settings, siteRules}
+ * @returns {Object} - 설정 파일 객체
+ */
+function createSettingsFile(name, profile) {
+  return {
+    format: SETTINGS_FILE_FORMAT,
+    version: SETTINGS_FILE_VERSION,
+    appVersion: APP_VERSION,
+    settingsVersion: SettingsSchema.SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: normalizeProfileName(name),
+    settings: SettingsSchema.validateSettings(profile.settings).settings,
+    siteRules: validateSiteRules(profile.siteRules).siteRules
+  };
+}
+
+/**
+ * 현재 형식의 설정 파일 검증
+ * @param {Object} file - 설정 파일 객체 (이전 형식은 먼저 업그레이드되어 있어야 함)
+ * @throws {Error} - 설정 파일이 아니거나 지원하지 않는 버전인 경우
+ * @returns {Object} - {name, settings, siteRules, errors}
+ */
+function parseSettingsFile(file) {
+  if (!file || typeof file !== 'object' || file.format !== SETTINGS_FILE_FORMAT) {
+    throw new Error('Tony번역 설정 파일이 아닙니다.');
+  }
+
+  if (file.version !== SETTINGS_FILE_VERSION) {
+    throw new Error(`지원하지 않는 설정 파일 버전입니다: ${file.version}`);
+  }
+
+  if (file.settingsVersion !== SettingsSchema.SETTINGS_VERSION) {
+    throw new Error(`설정 형식이 현재 버전이 아닙니다: ${file.settingsVersion}`);
+  }
+
+  const settingsResult = SettingsSchema.validateSettings(file.settings);
+  const siteRulesResult = validateSiteRules(file.siteRules);
+
+  return {
+    name: normalizeProfileName(file.profile),
+    settings: settingsResult.settings,
+    siteRules: siteRulesResult.siteRules,
+    errors: [...settingsResult.errors, ...siteRulesResult.errors]
+  };
+}
+
+/**
+ * 오류 처리 함수
+ * @param {string} message - 오류 메시지
+ * @param {Error} error - 오류 객체
+ */
+function handleError(message, error) {
+  console.error(`[${APP_CONFIG.appName}] ${message}:`, error);
+
+  try {
+    safeDispatchEvent('settings-profiles:error', {
+      message,
+      error: error.message
+    });
+  } catch (eventError) {
+    console.warn(`[${APP_CONFIG.appName}] 이벤트 발행 오류:`, eventError);
+  }
+}
+
+// 모듈 내보내기
+export {
+  SETTINGS_FILE_FORMAT,
+  SETTINGS_FILE_VERSION,
+  validateSiteRules,
+  getProfiles,
+  saveProfile,
+  removeProfile,
+  setActiveProfile,
+  createSettingsFile,
+  parseSettingsFile
+};
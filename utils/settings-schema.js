@@ -0,0 +1,275 @@
+// settings-schema.js - 설정 스키마, 검증, 버전별 마이그레이션
+import { APP_CONFIG, compareVersions } from '../config.js';
+
+/**
+ * chrome.storage.sync의 'settings'에 저장된 설정의 형식은 'settingsVersion'으로 구분한다.
+ * 설정 이름을 바꾸거나 형식을 바꿀 때는
+ *   1. SETTINGS_SCHEMA와 APP_CONFIG.defaultSettings를 새 형식으로 고치고
+ *   2. SETTINGS_VERSION을 올린 뒤
+ *   3. MIGRATIONS 끝에 이전 형식을 새 형식으로 바꾸는 단계를 추가한다.
+ * 마이그레이션 단계는 설정 객체만 받아 새 객체를 돌려주는 순수 함수여야 한다.
+ */
+
+const SETTINGS_VERSION = 2;
+const VERSION_STORAGE_KEY = 'settingsVersion';
+
+// 설정 항목별 형식 (기본값은 APP_CONFIG.defaultSettings, 숫자 범위는 APP_CONFIG.settingLimits)
+const SETTINGS_SCHEMA = {
+  targetLang: { type: 'string' },
+  autoTranslate: { type: 'boolean' },
+  batchSize: { type: 'integer' },
+  maxConcurrentBatches: { type: 'integer' },
+  minTextLength: { type: 'integer' },
+  translateFullPage: { type: 'boolean' },
+  immediateTranslation: { type: 'boolean' },
+  contextAware: { type: 'boolean' },
+  localizeUnits: { type: 'boolean' },
+  inlineLookup: { type: 'boolean' },
+  cycleLanguages: { type: 'array' },
+  registers: { type: 'map' },
+  displayMode: { type: 'string', enum: ['translated', 'original', 'bilingual'] },
+  textContainerSelector: { type: 'string' },
+  ignoreSelector: { type: 'string' },
+  highlightTranslated: { type: 'boolean' },
+  keepOriginalOnHover: { type: 'boolean' },
+  rootMargin: { type: 'integer' },
+  cacheExpiryDays: { type: 'integer' },
+  cacheMaxSizeMB: { type: 'integer' },
+  fuzzyMatching: { type: 'boolean' },
+  fuzzyThreshold: { type: 'integer' },
+  currencyRates: { type: 'rates' }
+};
+
+// 1.0.0 이전 설정에 있던 항목 (버전 1 단계에서 빠진 값만 채움)
+const LEGACY_KEYS = ['targetLang', 'autoTranslate', 'batchSize', 'maxConcurrentBatches',
+  'minTextLength', 'translateFullPage', 'immediateTranslation'];
+
+// 버전 순서대로 적용할 마이그레이션 단계 (version: 이 단계를 적용한 뒤의 설정 버전)
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: '1.0.0 이전 설정에 빠진 기본 항목 채우기',
+    migrate(settings) {
+      const updated = { ...settings };
+      LEGACY_KEYS.forEach(key => {
+        if (updated[key] === undefined) {
+          updated[key] = APP_CONFIG.defaultSettings[key];
+        }
+      });
+      return updated;
+    }
+  },
+  {
+    version: 2,
+    description: "rootMargin을 CSS 문자열('200px')에서 px 숫자로 변경",
+    migrate(settings) {
+      const updated = { ...settings };
+      if (typeof updated.rootMargin === 'string') {
+        const match = updated.rootMargin.trim().match(/^(\d+)(px)?$/);
+        if (match) {
+          updated.rootMargin = Number(match[1]);
+        } else {
+          delete updated.rootMargin; // px가 아닌 값은 기본값 사용
+        }
+      }
+      return updated;
+    }
+  }
+];
+
+/**
+ * 설정 값 하나 검증
+ * @param {string} key - 설정 이름
+ * @param {*} value - 설정 값
+ * @returns {string|null} - 오류 메시지 (올바르면 null)
+ */
+function validateValue(key, value) {
+  const rule = SETTINGS_SCHEMA[key];
+  if (!rule) {
+    return '알 수 없는 설정 항목';
+  }
+
+  switch (rule.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'true/false 값이어야 합니다';
+
+    case 'integer': {
+      const limits = APP_CONFIG.settingLimits[key];
+      if (!Number.isInteger(value)) {
+        return '정수여야 합니다';
+      }
+      return !limits || (value >= limits.min && value <= limits.max) ?
+        null : `${limits.min}~${limits.max} 범위를 벗어났습니다`;
+    }
+
+    case 'array':
+      return Array.isArray(value) && value.every(item => typeof item === 'string') ?
+        null : '문자열 목록이어야 합니다';
+
+    case 'rates':
+      return value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([code, rate]) => code in APP_CONFIG.unitLocalization.currencyRates &&
+          Number.isFinite(rate) && rate > 0) ? null : '지원하는 통화 코드별 양수 환율이어야 합니다';
+
+    case 'map':
+      return value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(item => typeof item === 'string') ? null : '객체 형식이 올바르지 않습니다';
+
+    default:
+      if (typeof value !== 'string' || !value.trim()) {
+        return '빈 값일 수 없습니다';
+      }
+      return !rule.enum || rule.enum.includes(value) ? null : `${rule.enum.join(', ')} 중 하나여야 합니다`;
+  }
+}
+
+/**
+ * 설정 객체 검증 (알 수 없는 항목과 잘못된 값은 제외)
+ * @param {Object} settings - 검증할 설정
+ * @returns {Object} - {settings, errors}
+ */
+function validateSettings(settings) {
+  const valid = {};
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { settings: valid, errors: ['설정 항목이 없습니다.'] };
+  }
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!SETTINGS_SCHEMA[key]) {
+      errors.push(`${key}: 알 수 없는 설정 항목 (무시됨)`);
+      return;
+    }
+
+    const error = validateValue(key, value);
+    if (error) {
+      errors.push(`${key}: ${error} (기본값 사용)`);
+    } else {
+      valid[key] = value;
+    }
+  });
+
+  return { settings: valid, errors };
+}
+
+/**
+ * 빠진 항목을 기본값으로 채운 설정
+ * @param {Object} settings - 검증된 설정
+ * @returns {Object} - 모든 항목이 있는 설정
+ */
+function applyDefaults(settings) {
+  return { ...APP_CONFIG.defaultSettings, ...(settings || {}) };
+}
+
+/**
+ * 설정 버전이 기록되지 않은 데이터의 버전 추정 (버전 기록 이전 앱 버전 기준)
+ * @param {string} appVersion - 설정을 저장한 앱 버전
+ * @returns {number} - 설정 버전
+ */
+function getVersionForAppVersion(appVersion) {
+  return appVersion && compareVersions(appVersion, '1.0.0') >= 0 ? 1 : 0;
+}
+
+/**
+ * 설정을 현재 버전으로 마이그레이션 (fromVersion보다 높은 단계를 순서대로 적용 후 검증)
+ * @param {Object} settings - 이전 버전 설정
+ * @param {number} fromVersion - 설정 버전
+ * @returns {Object} - {settings, version, applied, errors}
+ */
+function migrateSettings(settings, fromVersion) {
+  if (fromVersion > SETTINGS_VERSION) {
+    throw new Error(`더 새로운 버전의 설정입니다: ${fromVersion}`);
+  }
+
+  let migrated = { ...(settings || {}) };
+  const applied = [];
+
+  MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .forEach(step => {
+      migrated = step.migrate(migrated);
+      applied.push(step.version);
+    });
+
+  const { settings: valid, errors } = validateSettings(migrated);
+
+  return { settings: valid, version: SETTINGS_VERSION, applied, errors };
+}
+
+/**
+ * chrome.storage 영역을 Promise 기반 저장소로 감싸기 (테스트에서는 같은 형태의 가짜 저장소 사용)
+ * @param {Object} area - chrome.storage.sync 등
+ * @returns {Object} - {get(keys), set(items)}
+ */
+function createStorageAdapter(area) {
+  return {
+    get(keys) {
+      return new Promise((resolve, reject) => {
+        area.get(keys, (data) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          resolve(data || {});
+        });
+      });
+    },
+    set(items) {
+      return new Promise((resolve, reject) => {
+        area.set(items, () => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          resolve();
+        });
+      });
+    }
+  };
+}
+
+/**
+ * 저장된 설정 마이그레이션 (확장 프로그램 업데이트 시)
+ * @param {Object} storage - {get(keys), set(items)} 형태의 저장소
+ * @param {string} previousAppVersion - 업데이트 전 앱 버전 (설정 버전이 기록되지 않았을 때 사용)
+ * @returns {Promise<Object>} - {migrated, version, applied, errors}
+ */
+async function migrateStoredSettings(storage, previousAppVersion) {
+  const data = await storage.get(['settings', VERSION_STORAGE_KEY]);
+
+  if (!data.settings) {
+    return { migrated: false, version: SETTINGS_VERSION, applied: [], errors: [] };
+  }
+
+  const fromVersion = Number.isInteger(data[VERSION_STORAGE_KEY]) ?
+    data[VERSION_STORAGE_KEY] : getVersionForAppVersion(previousAppVersion);
+
+  if (fromVersion === SETTINGS_VERSION) {
+    return { migrated: false, version: SETTINGS_VERSION, applied: [], errors: [] };
+  }
+
+  const result = migrateSettings(data.settings, fromVersion);
+
+  await storage.set({
+    settings: applyDefaults(result.settings),
+    [VERSION_STORAGE_KEY]: result.version
+  });
+
+  return { migrated: true, ...result };
+}
+
+// 모듈 내보내기
+export {
+  SETTINGS_VERSION,
+  VERSION_STORAGE_KEY,
+  SETTINGS_SCHEMA,
+  MIGRATIONS,
+  validateValue,
+  validateSettings,
+  applyDefaults,
+  getVersionForAppVersion,
+  migrateSettings,
+  createStorageAdapter,
+  migrateStoredSettings
+};
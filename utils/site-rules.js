@@ -0,0 +1,371 @@
+// site-rules.js - 사이트(origin)별 번역 규칙 관리 모듈
+import { APP_CONFIG, safeDispatchEvent } from '../config.js';
+
+/**
+ * chrome.storage.sync에 origin별 규칙을 저장한다. (다른 기기에서도 같은 규칙 사용)
+ * sync 항목 하나는 8KB(QUOTA_BYTES_PER_ITEM)를 넘을 수 없으므로 규칙을 여러 항목으로 나눈다.
+ *   'siteRules': {revision, chunks: 나눈 항목 수}
+ *     revision: 저장할 때마다 1씩 증가 (열린 탭이 변경을 알아채도록 항상 바뀜)
+ *   'siteRules_0', 'siteRules_1', ...: { 'https://example.com': { mode: 'always' | 'never' | 'ask', targetLang: 'ja' } }
+ * 이전 형식('siteRules' 하나에 모든 규칙)도 읽을 수 있으며 다음 저장 때 나누어 저장된다.
+ * mode가 없으면 전역 autoTranslate 설정을 따르고, targetLang이 없으면 전역 대상 언어를 사용한다.
+ */
+
+const STORAGE_KEY = 'siteRules';
+const CHUNK_KEY_PREFIX = 'siteRules_';
+const MAX_RULES = 200;
+
+// 나눈 항목 하나의 최대 크기 (바이트, 8192에서 키 이름과 여유분 제외)
+const MAX_CHUNK_BYTES = 7000;
+
+// 자동 번역 방식 (default: 전역 설정 따름)
+const SITE_MODES = ['default', 'always', 'never', 'ask'];
+
+// 로드된 규칙 (storage 변경 시 다시 읽음)
+let cachedRules = null;
+let cachedRevision = 0;
+let cachedChunkCount = 0;
+
+/**
+ * 저장된 규칙 형식 보정 (알 수 없는 값과 빈 규칙 제거)
+ * @param {Object} rules - 저장된 규칙
+ * @returns {Object} - 보정된 규칙
+ */
+function normalizeRules(rules) {
+  if (!rules || typeof rules !== 'object') {
+    return {};
+  }
+
+  const normalized = {};
+  Object.entries(rules).forEach(([origin, rule]) => {
+    const cleaned = normalizeRule(rule);
+    if (cleaned) {
+      normalized[origin] = cleaned;
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * 규칙 하나 형식 보정
+ * @param {Object} rule - {mode, targetLang}
+ * @returns {Object|null} - 보정된 규칙 (기본값뿐이면 null)
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return null;
+  }
+
+  const cleaned = {};
+  if (SITE_MODES.includes(rule.mode) && rule.mode !== 'default') {
+    cleaned.mode = rule.mode;
+  }
+  if (typeof rule.targetLang === 'string' && rule.targetLang) {
+    cleaned.targetLang = rule.targetLang;
+  }
+
+  return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+/**
+ * 페이지 주소를 규칙 키(origin)로 변환
+ * @param {string} url - 페이지 주소 또는 origin
+ * @returns {string|null} - origin (http/https가 아니면 null)
+ */
+function getOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * chrome.storage 항목 읽기
+ * @param {Object} area - chrome.storage.sync 또는 chrome.storage.local
+ * @param {string|string[]} keys - 키
+ * @returns {Promise<Object|null>} - 읽은 값 (오류 시 null)
+ */
+function readArea(area, keys) {
+  return new Promise((resolve) => {
+    area.get(keys, (data) => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 사이트 규칙 조회 오류:`, chrome.runtime.lastError);
+        resolve(null);
+        return;
+      }
+
+      resolve(data || {});
+    });
+  });
+}
+
+/**
+ * 나눈 항목 키 목록
+ * @param {number} start - 시작 번호
+ * @param {number} end - 끝 번호 (포함하지 않음)
+ * @returns {string[]} - 키 배열
+ */
+function getChunkKeys(start, end) {
+  return Array.from({ length: Math.max(0, end - start) }, (_, index) => `${CHUNK_KEY_PREFIX}${start + index}`);
+}
+
+/**
+ * 규칙을 sync 항목 크기 제한 안으로 나누기
+ * @param {Object} rules - origin → 규칙
+ * @returns {Array<Object>} - 나눈 규칙 객체 배열
+ */
+function splitIntoChunks(rules) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = {};
+  let currentBytes = 0;
+
+  Object.entries(rules).forEach(([origin, rule]) => {
+    const bytes = encoder.encode(JSON.stringify({ [origin]: rule })).length;
+    if (currentBytes > 0 && currentBytes + bytes > MAX_CHUNK_BYTES) {
+      chunks.push(current);
+      current = {};
+      currentBytes = 0;
+    }
+
+    current[origin] = rule;
+    currentBytes += bytes;
+  });
+
+  if (currentBytes > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * 이전 수정 버전이 chrome.storage.local에 저장한 규칙을 sync로 옮기기
+ * @returns {Promise<Object>} - 옮긴 규칙 (없으면 {})
+ */
+async function migrateLocalRules() {
+  const data = await readArea(chrome.storage.local, STORAGE_KEY);
+  if (!data || !data[STORAGE_KEY]) {
+    return {};
+  }
+
+  // sync에 저장된 규칙이 없으므로 빈 상태에서 저장
+  cachedRules = {};
+  cachedRevision = 0;
+  cachedChunkCount = 0;
+
+  const rules = normalizeRules(data[STORAGE_KEY]);
+  if (await saveRules(rules)) {
+    chrome.storage.local.remove(STORAGE_KEY, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`[${APP_CONFIG.appName}] 이전 사이트 규칙 삭제 오류:`, chrome.runtime.lastError);
+      }
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * 전체 규칙 가져오기
+ * @returns {Promise<Object>} - origin → 규칙
+ */
+async function getRules() {
+  if (cachedRules) {
+    return cachedRules;
+  }
+
+  try {
+    const data = await readArea(chrome.storage.sync, STORAGE_KEY);
+    if (!data) {
+      return {};
+    }
+
+    const stored = data[STORAGE_KEY];
+    if (!stored) {
+      return await migrateLocalRules();
+    }
+
+    // 이전 형식은 항목 하나에 모든 규칙이 있음
+    if (!Number.isInteger(stored.chunks)) {
+      cachedRules = normalizeRules(stored);
+      cachedRevision = 0;
+      cachedChunkCount = 0;
+      return cachedRules;
+    }
+
+    const chunkKeys = getChunkKeys(0, stored.chunks);
+    const chunkData = chunkKeys.length > 0 ? await readArea(chrome.storage.sync, chunkKeys) : {};
+    if (!chunkData) {
+      return {};
+    }
+
+    cachedRules = normalizeRules(Object.assign({}, ...chunkKeys.map(key => chunkData[key])));
+    cachedRevision = Number.isInteger(stored.revision) ? stored.revision : 0;
+    cachedChunkCount = stored.chunks;
+    return cachedRules;
+  } catch (error) {
+    handleError('사이트 규칙 가져오기 오류', error);
+    return {};
+  }
+}
+
+/**
+ * 사이트 규칙 가져오기
+ * @param {string} url - 페이지 주소 또는 origin
+ * @returns {Promise<Object>} - {mode, targetLang} (규칙이 없으면 {mode: 'default', targetLang: ''})
+ */
+async function getRule(url) {
+  const origin = getOrigin(url);
+  const rules = await getRules();
+  const rule = (origin && rules[origin]) || {};
+
+  return {
+    mode: rule.mode || 'default',
+    targetLang: rule.targetLang || ''
+  };
+}
+
+/**
+ * 사이트 규칙 저장 (기본값만 남으면 규칙 삭제)
+ * @param {string} url - 페이지 주소 또는 origin
+ * @param {Object} rule - {mode, targetLang} 중 바꿀 값
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function setRule(url, rule) {
+  const origin = getOrigin(url);
+  if (!origin) {
+    throw new Error('http/https 페이지에만 사이트 규칙을 설정할 수 있습니다.');
+  }
+
+  const rules = { ...(await getRules()) };
+  const cleaned = normalizeRule({ ...rules[origin], ...rule });
+
+  if (cleaned) {
+    if (!rules[origin] && Object.keys(rules).length >= MAX_RULES) {
+      throw new Error(`사이트 규칙은 최대 ${MAX_RULES}개까지 저장할 수 있습니다.`);
+    }
+    rules[origin] = cleaned;
+  } else {
+    delete rules[origin];
+  }
+
+  return saveRules(rules);
+}
+
+/**
+ * 사이트 규칙 삭제
+ * @param {string} url - 페이지 주소 또는 origin
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function removeRule(url) {
+  const origin = getOrigin(url);
+  const rules = { ...(await getRules()) };
+
+  if (!origin || !rules[origin]) {
+    return true;
+  }
+
+  delete rules[origin];
+  return saveRules(rules);
+}
+
+/**
+ * 전체 규칙 저장 (sync 항목 크기 제한에 맞춰 나누어 저장)
+ * @param {Object} rules - origin → 규칙
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function saveRules(rules) {
+  const normalized = normalizeRules(rules);
+
+  try {
+    // 이전 revision과 나눈 항목 수를 알아야 하므로 먼저 읽음
+    await getRules();
+
+    const previousChunkCount = cachedChunkCount;
+    const revision = cachedRevision + 1;
+    const chunks = splitIntoChunks(normalized);
+    const items = { [STORAGE_KEY]: { revision, chunks: chunks.length } };
+    chunks.forEach((chunk, index) => {
+      items[`${CHUNK_KEY_PREFIX}${index}`] = chunk;
+    });
+
+    const saved = await new Promise((resolve) => {
+      chrome.storage.sync.set(items, () => {
+        if (chrome.runtime.lastError) {
+          console.warn(`[${APP_CONFIG.appName}] 사이트 규칙 저장 오류:`, chrome.runtime.lastError);
+          resolve(false);
+          return;
+        }
+
+        resolve(true);
+      });
+    });
+
+    if (!saved) {
+      return false;
+    }
+
+    cachedRules = normalized;
+    cachedRevision = revision;
+    cachedChunkCount = chunks.length;
+
+    // 줄어든 만큼 남은 이전 항목 삭제
+    const staleKeys = getChunkKeys(chunks.length, previousChunkCount);
+    if (staleKeys.length > 0) {
+      chrome.storage.sync.remove(staleKeys, () => {
+        if (chrome.runtime.lastError) {
+          console.warn(`[${APP_CONFIG.appName}] 이전 사이트 규칙 항목 삭제 오류:`, chrome.runtime.lastError);
+        }
+      });
+    }
+
+    safeDispatchEvent('site-rules:updated', { count: Object.keys(normalized).length });
+    return true;
+  } catch (error) {
+    handleError('사이트 규칙 저장 오류', error);
+    return false;
+  }
+}
+
+/**
+ * 오류 처리 함수
+ * @param {string} message - 오류 메시지
+ * @param {Error} error - 오류 객체
+ */
+function handleError(message, error) {
+  console.error(`[${APP_CONFIG.appName}] ${message}:`, error);
+
+  try {
+    safeDispatchEvent('site-rules:error', {
+      message,
+      error: error.message
+    });
+  } catch (eventError) {
+    console.warn(`[${APP_CONFIG.appName}] 이벤트 발행 오류:`, eventError);
+  }
+}
+
+// 다른 컨텍스트(팝업, 옵션 페이지)에서 수정한 규칙 반영
+if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    // 나눈 항목 여러 개가 함께 바뀌므로 다음 조회 때 다시 읽음
+    if (areaName === 'sync' && changes[STORAGE_KEY]) {
+      cachedRules = null;
+    }
+  });
+}
+
+// 모듈 내보내기
+export {
+  SITE_MODES,
+  getOrigin,
+  getRules,
+  getRule,
+  setRule,
+  removeRule,
+  saveRules
+};
@@ -0,0 +1,504 @@
+// translation-memory.js - IndexedDB 번역 메모리 저장소
+import { APP_CONFIG, safeDispatchEvent } from '../config.js';
+
+/**
+ * 번역 결과를 세그먼트 단위 레코드로 IndexedDB에 저장한다.
+ * chrome.storage.local 키 하나에 번역 하나를 저장하던 방식과 달리
+ * 통계/정리 시 전체를 메모리에 올리지 않고 커서로 순회한다.
+ *
+ * 레코드 형식:
+ * {
+ *   key,            // 캐시 키 (CacheManager.getCacheKey)
+ *   keyVersion,     // 키 형식 버전 (0: 원문 없이 옮긴 이전 버전 캐시)
+ *   unverified,     // 원문을 검증할 수 없는 이전 버전 캐시 (sourceText가 빈 문자열, 만료되면 삭제)
+ *   sourceHash,     // 원문 SHA-256 해시
+ *   sourceText,     // 정규화된 원문 (읽을 때 검증에 사용)
+ *   sourceLength,   // 원문 길이 ('lengthKey' 인덱스, 유사 일치 후보를 길이로 좁히는 데 사용)
+ *   translation,    // 번역문 (용어 조회 결과는 객체)
+ *   sourceLang,     // 원문 언어 (모르면 빈 문자열)
+ *   targetLang,     // 대상 언어
+ *   langPair,       // 'en>ko' (원문 언어를 모르면 '*>ko')
+ *   provider,       // 번역 제공자 (워커 기본값이면 빈 문자열)
+ *   scope,          // 문체/문서 맥락 범위 식별자
+ *   templateKey,    // 숫자/날짜/URL을 뺀 원문 템플릿과 맥락의 해시 (템플릿으로 재사용할 수 없으면 없음)
+ *   templateTranslation, // 값 자리에 자리표시자를 넣은 번역 (segment-template.js)
+ *   glossaryVersion,
+ *   origin,         // 번역한 사이트 origin (모르면 빈 문자열)
+ *   pinned,         // 사용자가 고친 번역 (만료/크기 정리/자동 번역 덮어쓰기 제외)
+ *   createdAt,      // 저장 시각 (만료 기준)
+ *   lastUsed,       // 마지막 사용 시각 (LRU 정리 기준)
+ *   size            // 대략적인 크기 (바이트)
+ * }
+ */
+
+const DB_NAME = 'tony-translation-memory';
+const DB_VERSION = 4; // 2: templateKey 인덱스 추가, 3: lengthKey 인덱스 추가, 4: originLastUsed 인덱스 추가
+const STORE_NAME = 'segments';
+
+// 읽을 때마다 lastUsed를 쓰지 않도록 이 간격보다 오래된 경우에만 갱신
+const LAST_USED_RESOLUTION = 60 * 60 * 1000;
+
+// 예산을 넘으면 이 비율까지 줄여 정리가 자주 반복되지 않게 함
+const EVICTION_TARGET_RATIO = 0.9;
+
+// 모듈 스코프 상태
+let dbPromise = null;
+let totalSize = null; // 저장된 레코드 크기 합계 (처음 필요할 때 계산)
+
+/**
+ * IndexedDB 요청을 Promise로 변환
+ * @param {IDBRequest} request - IndexedDB 요청
+ * @returns {Promise<any>} - 요청 결과
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 트랜잭션 완료 대기
+ * @param {IDBTransaction} transaction - 트랜잭션
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('트랜잭션이 중단되었습니다.'));
+  });
+}
+
+/**
+ * 데이터베이스 열기 (처음 열 때 저장소와 인덱스 생성)
+ * @returns {Promise<IDBDatabase>} - 데이터베이스
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('langPair', 'langPair');
+        store.createIndex('sourceHash', 'sourceHash');
+        store.createIndex('origin', 'origin');
+        store.createIndex('lastUsed', 'lastUsed');
+      }
+
+      // templateKey가 없는 레코드는 인덱스에 포함되지 않음 (다시 저장될 때 추가됨)
+      if (event.oldVersion < 2) {
+        request.transaction.objectStore(STORE_NAME).createIndex('templateKey', 'templateKey');
+      }
+
+      // 기존 레코드에 sourceLength를 채워 유사 일치 후보 인덱스에 포함
+      if (event.oldVersion < 3) {
+        const store = request.transaction.objectStore(STORE_NAME);
+        store.createIndex('lengthKey', ['langPair', 'sourceLength']);
+
+        if (event.oldVersion >= 1) {
+          store.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+
+            if (typeof cursor.value.sourceText === 'string') {
+              cursor.update({ ...cursor.value, sourceLength: cursor.value.sourceText.length });
+            }
+            cursor.continue();
+          };
+        }
+      }
+
+      // 사이트별 캐시 목록을 최근 사용 순으로 페이지 단위 조회
+      if (event.oldVersion < 4) {
+        request.transaction.objectStore(STORE_NAME).createIndex('originLastUsed', ['origin', 'lastUsed']);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // 다른 컨텍스트에서 버전을 올리면 연결을 닫고 다음 요청에서 다시 열기
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * 레코드 크기 추정 (UTF-16 문자열 기준)
+ * @param {Object} record - 레코드
+ * @returns {number} - 바이트 수
+ */
+function estimateSize(record) {
+  const translation = typeof record.translation === 'string' ?
+    record.translation : JSON.stringify(record.translation || '');
+  const textLength = (record.key || '').length + (record.sourceText || '').length +
+    translation.length + (record.scope || '').length + (record.origin || '').length;
+  return textLength * 2 + 100; // 100: 숫자/언어 코드 필드 몫
+}
+
+/**
+ * 여러 레코드 조회 (사용한 레코드의 lastUsed 갱신)
+ * @param {string[]} keys - 캐시 키 배열
+ * @returns {Promise<Array<Object|null>>} - 키 순서대로 레코드 (없으면 null)
+ */
+async function getMany(keys) {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    return [];
+  }
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const now = Date.now();
+
+    const records = await Promise.all(keys.map(key => promisifyRequest(store.get(key))));
+
+    records.forEach(record => {
+      if (record && now - (record.lastUsed || 0) > LAST_USED_RESOLUTION) {
+        store.put({ ...record, lastUsed: now });
+      }
+    });
+
+    await transactionDone(transaction);
+    return records.map(record => record || null);
+  } catch (error) {
+    handleError('번역 메모리 조회 오류', error);
+    return keys.map(() => null);
+  }
+}
+
+/**
+ * 인덱스 값으로 레코드 조회 (값마다 첫 번째 레코드, 사용한 레코드의 lastUsed 갱신)
+ * @param {string} indexName - 인덱스 이름
+ * @param {Array} values - 인덱스 값 배열 (null은 건너뜀)
+ * @returns {Promise<Array<Object|null>>} - 값 순서대로 레코드 (없으면 null)
+ */
+async function getManyByIndex(indexName, values) {
+  if (!Array.isArray(values) || values.length === 0) {
+    return [];
+  }
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const index = store.index(indexName);
+    const now = Date.now();
+
+    const records = await Promise.all(values.map(value =>
+      value === null || value === undefined ? null : promisifyRequest(index.get(value))
+    ));
+
+    records.forEach(record => {
+      if (record && now - (record.lastUsed || 0) > LAST_USED_RESOLUTION) {
+        store.put({ ...record, lastUsed: now });
+      }
+    });
+
+    await transactionDone(transaction);
+    return records.map(record => record || null);
+  } catch (error) {
+    handleError('번역 메모리 인덱스 조회 오류', error);
+    return values.map(() => null);
+  }
+}
+
+/**
+ * 여러 레코드 저장 후 크기 예산을 넘으면 오래 쓰지 않은 레코드부터 정리
+ * 고정(pinned)된 레코드는 고정된 레코드로만 덮어씀
+ * @param {Object[]} records - 레코드 배열 (key 필수)
+ * @param {Object} options - {maxBytes: 크기 예산}
+ * @returns {Promise<boolean>} - 저장 성공 여부
+ */
+async function setMany(records, options = {}) {
+  const validRecords = (records || []).filter(record => record && record.key);
+  if (validRecords.length === 0) {
+    return true;
+  }
+
+  try {
+    await ensureTotalSize();
+
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    let sizeDelta = 0;
+
+    const existing = await Promise.all(validRecords.map(record => promisifyRequest(store.get(record.key))));
+
+    validRecords.forEach((record, index) => {
+      if (existing[index] && existing[index].pinned && !record.pinned) {
+        return;
+      }
+
+      const sized = { ...record, size: estimateSize(record) };
+      sizeDelta += sized.size - (existing[index] ? existing[index].size || 0 : 0);
+      store.put(sized);
+    });
+
+    await transactionDone(transaction);
+    totalSize += sizeDelta;
+
+    if (options.maxBytes > 0 && totalSize > options.maxBytes) {
+      await evictToBudget(options.maxBytes);
+    }
+
+    return true;
+  } catch (error) {
+    handleError('번역 메모리 저장 오류', error);
+    return false;
+  }
+}
+
+/**
+ * 여러 레코드 삭제
+ * @param {string[]} keys - 캐시 키 배열
+ * @returns {Promise<number>} - 삭제된 항목 수
+ */
+async function removeMany(keys) {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    return 0;
+  }
+
+  try {
+    await ensureTotalSize();
+
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    const existing = (await Promise.all(keys.map(key => promisifyRequest(store.get(key))))).filter(Boolean);
+    existing.forEach(record => store.delete(record.key));
+
+    await transactionDone(transaction);
+    totalSize = Math.max(0, totalSize - existing.reduce((sum, record) => sum + (record.size || 0), 0));
+
+    return existing.length;
+  } catch (error) {
+    handleError('번역 메모리 삭제 오류', error);
+    return 0;
+  }
+}
+
+/**
+ * 레코드 순회
+ * @param {Function} callback - (record) 호출 함수 (false를 반환하면 중단)
+ * @param {Object} options - {index: 인덱스 이름, range: IDBKeyRange, direction: 'next' | 'prev'}
+ * @returns {Promise<void>}
+ */
+async function forEachRecord(callback, options = {}) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, 'readonly');
+  const store = transaction.objectStore(STORE_NAME);
+  const source = options.index ? store.index(options.index) : store;
+
+  await new Promise((resolve, reject) => {
+    const request = source.openCursor(options.range || null, options.direction || 'next');
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+
+      if (callback(cursor.value) === false) {
+        resolve();
+        return;
+      }
+
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 조건에 맞는 레코드 삭제
+ * @param {Function} predicate - (record) 삭제 여부
+ * @param {Object} options - {index: 인덱스 이름, range: IDBKeyRange}
+ * @returns {Promise<number>} - 삭제된 항목 수
+ */
+async function removeWhere(predicate, options = {}) {
+  try {
+    await ensureTotalSize();
+
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const source = options.index ? store.index(options.index) : store;
+    let removed = 0;
+    let removedSize = 0;
+
+    await new Promise((resolve, reject) => {
+      const request = source.openCursor(options.range || null);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        if (predicate(cursor.value)) {
+          cursor.delete();
+          removed++;
+          removedSize += cursor.value.size || 0;
+        }
+
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    await transactionDone(transaction);
+    totalSize = Math.max(0, totalSize - removedSize);
+
+    return removed;
+  } catch (error) {
+    handleError('번역 메모리 삭제 오류', error);
+    return 0;
+  }
+}
+
+/**
+ * 오래 쓰지 않은 레코드부터 삭제해 크기 예산 안으로 줄이기
+ * @param {number} maxBytes - 크기 예산
+ * @returns {Promise<number>} - 삭제된 항목 수
+ */
+async function evictToBudget(maxBytes) {
+  await ensureTotalSize();
+
+  const target = maxBytes * EVICTION_TARGET_RATIO;
+  if (totalSize <= target) {
+    return 0;
+  }
+
+  // lastUsed 오름차순으로 목표 크기까지 삭제할 키 선택 (고정된 레코드 제외)
+  let remaining = totalSize;
+  const keys = new Set();
+
+  await forEachRecord(record => {
+    if (remaining <= target) {
+      return false;
+    }
+    if (record.pinned) {
+      return true;
+    }
+    keys.add(record.key);
+    remaining -= record.size || 0;
+    return true;
+  }, { index: 'lastUsed' });
+
+  const removed = await removeWhere(record => keys.has(record.key), { index: 'lastUsed' });
+  console.log(`[${APP_CONFIG.appName}] 번역 메모리 크기 예산 초과: ${removed}개 항목 정리`);
+
+  safeDispatchEvent('translation-memory:evicted', { removed, size: totalSize });
+  return removed;
+}
+
+/**
+ * 저장된 레코드 크기 합계 계산 (처음 한 번만 전체 순회)
+ */
+async function ensureTotalSize() {
+  if (totalSize !== null) {
+    return;
+  }
+
+  let size = 0;
+  await forEachRecord(record => {
+    size += record.size || 0;
+  });
+  totalSize = size;
+}
+
+/**
+ * 저장소 통계
+ * @returns {Promise<Object>} - {count, size}
+ */
+async function getStats() {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const count = await promisifyRequest(transaction.objectStore(STORE_NAME).count());
+
+    await ensureTotalSize();
+    return { count, size: totalSize };
+  } catch (error) {
+    handleError('번역 메모리 통계 오류', error);
+    return { count: 0, size: 0 };
+  }
+}
+
+/**
+ * 모든 레코드 삭제
+ * @returns {Promise<number>} - 삭제된 항목 수
+ */
+async function clear() {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    const count = await promisifyRequest(store.count());
+    store.clear();
+
+    await transactionDone(transaction);
+    totalSize = 0;
+
+    return count;
+  } catch (error) {
+    handleError('번역 메모리 초기화 오류', error);
+    return 0;
+  }
+}
+
+/**
+ * 오류 처리
+ * @param {string} message - 오류 메시지
+ * @param {Error} error - 오류 객체
+ */
+function handleError(message, error) {
+  console.error(`[${APP_CONFIG.appName}] ${message}:`, error);
+
+  try {
+    safeDispatchEvent('translation-memory:error', {
+      message,
+      error: error && error.message
+    });
+  } catch (eventError) {
+    console.warn(`[${APP_CONFIG.appName}] 이벤트 발행 오류:`, eventError);
+  }
+}
+
+// 모듈 내보내기
+export {
+  getMany,
+  getManyByIndex,
+  setMany,
+  removeMany,
+  removeWhere,
+  forEachRecord,
+  evictToBudget,
+  getStats,
+  clear
+};
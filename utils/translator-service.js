@@ -1,17 +1,24 @@
 // translator-service.js - ES 모듈 방식으로 리팩토링
 import { APP_CONFIG, safeDispatchEvent } from '../config.js';
+import * as AuthManager from './auth-manager.js';
+import * as UsageManager from './usage-manager.js';
+import * as GlossaryManager from './glossary-manager.js';
+import * as LanguageDetector from './language-detector.js';
 
 // 기본 설정
 const DEFAULT_SETTINGS = {
   workerEndpoint: APP_CONFIG.apiEndpoint,
   targetLang: 'ko',
-  separator: APP_CONFIG.translateSeparator,
   maxRetryCount: APP_CONFIG.apiSettings.maxRetryCount,
   retryDelay: APP_CONFIG.apiSettings.retryDelay,
+  maxRateLimitRetries: APP_CONFIG.apiSettings.maxRateLimitRetries,
+  maxRetryAfter: APP_CONFIG.apiSettings.maxRetryAfter,
   timeout: APP_CONFIG.apiSettings.timeout,
   forceTranslation: false,
   useFallbackApi: true,
-  batchSize: 40
+  batchSize: 40,
+  skipTargetLanguage: true, // 이미 대상 언어로 된 세그먼트는 번역 요청에서 제외
+  provider: null // 번역 제공자 (null이면 워커 기본값 사용)
 };
 
 // 현재 설정
@@ -22,10 +29,14 @@ const state = {
   activeRequests: 0,
   cachedTranslations: new Map(),
   totalProcessed: 0,
+  skippedSegments: 0, // 이미 대상 언어라서 번역하지 않은 세그먼트 수
   errorCount: 0,
   lastError: null,
   supportedLanguages: [],
-  languagesLoaded: false
+  languagesLoaded: false,
+  workerCache: { hits: 0, misses: 0 }, // 워커 세그먼트 캐시 적중/미스 누적
+  glossaryVersion: 0, // 내부 캐시를 채울 때의 용어집 버전
+  rateLimitedUntil: 0 // 워커 속도 제한으로 요청을 보류할 시각 (ms)
 };
 
 /**
@@ -80,16 +91,19 @@ async function translateText(text, options = {}, cacheManager = null) {
       targetLang: options.targetLang || settings.targetLang,
       forceTranslation: options.forceTranslation || settings.forceTranslation
     };
+    const cacheScope = getCacheScope(options.register, options.context);
+    await syncGlossaryVersion();
     
     // 캐시 확인 (강제 번역이 아닌 경우)
     if (!translationOptions.forceTranslation) {
       // 내부 캐시 확인
-      const cacheResult = checkInternalCache(text, translationOptions.targetLang);
+      const cacheMeta = getCacheMeta(options);
+      const cacheResult = checkInternalCache(text, translationOptions.targetLang, cacheScope, cacheMeta);
       if (cacheResult) return cacheResult;
       
       // 외부 캐시 확인 (CacheManager 사용)
       if (cacheManager) {
-        const externalCacheResult = await checkExternalCache(text, translationOptions.targetLang, cacheManager);
+        const externalCacheResult = await checkExternalCache(text, translationOptions.targetLang, cacheManager, cacheScope, cacheMeta);
         if (externalCacheResult) return externalCacheResult;
       }
     }
@@ -105,14 +119,79 @@ async function translateText(text, options = {}, cacheManager = null) {
   }
 }
 
+/**
+ * 문체 프리셋과 문서 맥락 브리프의 캐시 범위 식별자 생성
+ * 같은 원문이라도 문체나 맥락이 다르면 번역이 달라지므로 캐시를 분리
+ * @param {string} register - 문체 프리셋 이름
+ * @param {Object|null} context - 문서 맥락 브리프
+ * @returns {string} - 범위 식별자 (둘 다 없으면 빈 문자열)
+ */
+function getCacheScope(register, context) {
+  const parts = [];
+  
+  if (register) {
+    parts.push(`r-${register}`);
+  }
+  
+  if (context && typeof context === 'object') {
+    const hash = JSON.stringify(context)
+      .split('')
+      .reduce((acc, char) => ((acc << 5) - acc + char.charCodeAt(0)) | 0, 0);
+    parts.push(`ctx${(hash >>> 0).toString(36)}`);
+  }
+  
+  return parts.join('_');
+}
+
+/**
+ * 용어집이 수정되었으면 내부 캐시 비우기
+ * (CacheManager는 캐시 키에 용어집 버전을 포함하므로 별도 처리 불필요)
+ */
+async function syncGlossaryVersion() {
+  const version = await GlossaryManager.getVersion();
+  
+  if (version !== state.glossaryVersion) {
+    state.cachedTranslations.clear();
+    state.glossaryVersion = version;
+  }
+}
+
+/**
+ * 내부 캐시 키 생성 (CacheManager 키와 같은 맥락: 원문 언어, 대상 언어, 제공자, 범위)
+ * @param {string} text - 원본 텍스트
+ * @param {string} targetLang - 대상 언어
+ * @param {string} scope - 캐시 범위 식별자 (선택적)
+ * @param {Object} meta - getCacheMeta 결과 (선택적)
+ * @returns {string} - 내부 캐시 키
+ */
+function getInternalCacheKey(text, targetLang, scope = '', meta = {}) {
+  return JSON.stringify([meta.sourceLang || '', targetLang, meta.provider || '', scope, text]);
+}
+
+/**
+ * 외부 캐시(CacheManager) 키에 포함할 번역 맥락
+ * 원문 언어는 사용자가 지정한 경우만 포함 (감지한 언어는 원문에서 정해지므로 키에 넣지 않음,
+ * 배치마다 감지 결과가 달라 같은 세그먼트가 다른 키로 저장되는 일이 없도록)
+ * @param {Object} options - 번역 옵션 (sourceLang, provider)
+ * @returns {Object} - {sourceLang, provider}
+ */
+function getCacheMeta(options) {
+  return {
+    sourceLang: options.sourceLang || '',
+    provider: options.provider || settings.provider || ''
+  };
+}
+
 /**
  * 내부 캐시 확인
  * @param {string} text - 원본 텍스트
  * @param {string} targetLang - 대상 언어
+ * @param {string} scope - 캐시 범위 식별자 (선택적)
+ * @param {Object} meta - getCacheMeta 결과 (선택적)
  * @returns {string|null} - 캐시된 번역 또는 null
  */
-function checkInternalCache(text, targetLang) {
-  const cacheKey = `${targetLang}:${text}`;
+function checkInternalCache(text, targetLang, scope = '', meta = {}) {
+  const cacheKey = getInternalCacheKey(text, targetLang, scope, meta);
   return state.cachedTranslations.has(cacheKey) ? 
     state.cachedTranslations.get(cacheKey) : null;
 }
@@ -122,19 +201,21 @@ function checkInternalCache(text, targetLang) {
  * @param {string} text - 원본 텍스트
  * @param {string} targetLang - 대상 언어
  * @param {Object} cacheManager - CacheManager 객체
+ * @param {string} scope - 캐시 범위 식별자 (선택적)
+ * @param {Object} meta - getCacheMeta 결과 (선택적)
  * @returns {Promise<string|null>} - 캐시된 번역 또는 null
  */
-async function checkExternalCache(text, targetLang, cacheManager) {
+async function checkExternalCache(text, targetLang, cacheManager, scope = '', meta = {}) {
   if (!cacheManager || typeof cacheManager.get !== 'function') {
     return null;
   }
   
   try {
-    const cachedTranslation = await cacheManager.get(text, targetLang);
+    const cachedTranslation = await cacheManager.get(text, targetLang, scope, meta);
     
     if (cachedTranslation) {
       // 내부 캐시에도 저장
-      const cacheKey = `${targetLang}:${text}`;
+      const cacheKey = getInternalCacheKey(text, targetLang, scope, meta);
       state.cachedTranslations.set(cacheKey, cachedTranslation);
       return cachedTranslation;
     }
@@ -148,6 +229,9 @@ async function checkExternalCache(text, targetLang, cacheManager) {
  * 텍스트 배열 번역
  * @param {string[]} texts - 번역할 텍스트 배열
  * @param {Object} options - 번역 옵션
+ *   (onSegment: (index, translated) 세그먼트 도착 콜백, onCacheStats: ({hits, misses}) 워커 캐시 통계 콜백,
+ *    context: requestContextBrief로 받은 문서 맥락 브리프, register: 문체 프리셋 이름,
+ *    sourceLang: 모든 텍스트의 원문 언어 코드 (없으면 세그먼트마다 감지), origin: 번역하는 사이트 origin (번역 메모리 기록용))
  * @param {Object} cacheManager - 캐시 매니저 객체 (선택적)
  * @returns {Promise<string[]>} - 번역된 텍스트 배열
  */
@@ -162,31 +246,86 @@ async function translateTexts(texts, options = {}, cacheManager = null) {
       targetLang: options.targetLang || settings.targetLang,
       forceTranslation: options.forceTranslation || settings.forceTranslation,
       retryCount: options.retryCount || 0,
-      useFallbackApi: options.useFallbackApi !== undefined ? options.useFallbackApi : settings.useFallbackApi
+      rateLimitRetries: options.rateLimitRetries || 0,
+      authRetried: options.authRetried === true,
+      useFallbackApi: options.useFallbackApi !== undefined ? options.useFallbackApi : settings.useFallbackApi,
+      usingFallbackApi: options.usingFallbackApi === true,
+      onSegment: typeof options.onSegment === 'function' ? options.onSegment : null,
+      onCacheStats: typeof options.onCacheStats === 'function' ? options.onCacheStats : null,
+      context: options.context || null,
+      register: options.register || '',
+      sourceLang: options.sourceLang || '',
+      origin: options.origin || '',
+      cacheScope: getCacheScope(options.register, options.context)
     };
     
+    await syncGlossaryVersion();
+    
     // 텍스트 항목 준비
-    const textItems = texts.map(text => String(text || '').trim());
+    const originalItems = texts.map(text => String(text || '').trim());
+    
+    // 이미 대상 언어로 된 세그먼트는 빈 항목으로 바꿔 요청에서 제외 (결과에는 원문 유지)
+    const skipped = findTargetLanguageIndices(originalItems, translationOptions.targetLang);
+    const textItems = originalItems.map((text, index) => skipped.has(index) ? '' : text);
     const nonEmptyTexts = textItems.filter(text => text);
     
     if (nonEmptyTexts.length === 0) {
-      return texts; // 모두 빈 텍스트인 경우 원본 반환
+      return texts; // 모두 빈 텍스트(또는 대상 언어)인 경우 원본 반환
     }
     
     // 강제 번역 여부에 따른 처리
-    if (translationOptions.forceTranslation) {
+    const results = translationOptions.forceTranslation ?
       // 강제 번역 - 캐시 무시하고 모두 번역
-      return await handleForceTranslation(textItems, nonEmptyTexts, translationOptions, cacheManager);
-    } else {
+      await handleForceTranslation(textItems, nonEmptyTexts, translationOptions, cacheManager) :
       // 일반 번역 - 캐시 확인 후 필요한 것만 번역
-      return await handleNormalTranslation(textItems, translationOptions, cacheManager);
-    }
+      await handleNormalTranslation(textItems, translationOptions, cacheManager);
+    
+    return results.map((result, index) => skipped.has(index) ? originalItems[index] : result);
   } catch (error) {
     handleTranslationError(error, "텍스트 배열 번역");
     return texts; // 오류 시 원본 반환
   }
 }
 
+/**
+ * 이미 대상 언어로 된 세그먼트 위치 찾기
+ * @param {string[]} textItems - 텍스트 항목
+ * @param {string} targetLang - 대상 언어 코드
+ * @returns {Set<number>} - 번역하지 않을 항목 인덱스
+ */
+function findTargetLanguageIndices(textItems, targetLang) {
+  const indices = new Set();
+  
+  if (!settings.skipTargetLanguage) {
+    return indices;
+  }
+  
+  textItems.forEach((text, index) => {
+    if (text && LanguageDetector.isSameLanguage(LanguageDetector.detectLanguage(text), targetLang)) {
+      indices.add(index);
+    }
+  });
+  
+  state.skippedSegments += indices.size;
+  return indices;
+}
+
+/**
+ * 세그먼트 하나의 원문 언어 추정 (확신할 때만 워커에 전달, 아니면 제공자가 자동 감지)
+ * @param {string} text - 번역할 텍스트
+ * @param {string} targetLang - 대상 언어 코드
+ * @returns {string} - 원문 언어 코드 또는 빈 문자열
+ */
+function detectSourceLanguage(text, targetLang) {
+  const detected = LanguageDetector.detectLanguage(text);
+  
+  if (!detected || detected.confidence < LanguageDetector.getSettings().minConfidence || detected.lang === targetLang) {
+    return '';
+  }
+  
+  return detected.lang;
+}
+
 /**
  * 강제 번역 처리 (캐시 무시)
  * @param {string[]} textItems - 전체 텍스트 항목
@@ -196,10 +335,20 @@ async function translateTexts(texts, options = {}, cacheManager = null) {
  * @returns {Promise<string[]>} - 번역된 텍스트 배열
  */
 async function handleForceTranslation(textItems, nonEmptyTexts, options, cacheManager) {
-  const translatedTexts = await requestTranslation(nonEmptyTexts, options);
+  // 비어있지 않은 텍스트의 원래 위치 (스트리밍 세그먼트 인덱스 변환용)
+  const nonEmptyIndices = [];
+  textItems.forEach((text, index) => {
+    if (text) nonEmptyIndices.push(index);
+  });
+  
+  const translatedTexts = await requestTranslation(nonEmptyTexts, {
+    ...options,
+    onSegment: mapSegmentCallback(options.onSegment, nonEmptyIndices)
+  });
   
   // 빈 텍스트와 번역 결과 결합
   const results = new Array(textItems.length);
+  const entries = [];
   let translatedIndex = 0;
   
   for (let i = 0; i < textItems.length; i++) {
@@ -209,13 +358,15 @@ async function handleForceTranslation(textItems, nonEmptyTexts, options, cacheMa
       
       // 캐시 업데이트 (오류가 없는 경우)
       if (results[i] !== textItems[i]) {
-        saveToCaches(textItems[i], results[i], options.targetLang, cacheManager);
+        entries.push({ text: textItems[i], translation: results[i] });
       }
     } else {
       results[i] = textItems[i]; // 빈 텍스트는 그대로 유지
     }
   }
   
+  saveManyToCaches(entries, options, cacheManager);
+  
   return results;
 }
 
@@ -228,7 +379,16 @@ async function handleForceTranslation(textItems, nonEmptyTexts, options, cacheMa
  */
 async function handleNormalTranslation(textItems, options, cacheManager) {
   // 캐시 결과 처리
-  const { cachedResults, allCached } = await processCacheResults(textItems, options.targetLang, cacheManager);
+  const { cachedResults, allCached } = await processCacheResults(textItems, options.targetLang, cacheManager, options.cacheScope, getCacheMeta(options));
+  
+  // 캐시된 항목은 즉시 세그먼트로 전달
+  if (options.onSegment) {
+    cachedResults.forEach((result, index) => {
+      if (result !== null && textItems[index]) {
+        options.onSegment(index, result);
+      }
+    });
+  }
   
   // 모두 캐시된 경우 바로 반환
   if (allCached) {
@@ -252,18 +412,27 @@ async function handleNormalTranslation(textItems, options, cacheManager) {
   }
   
   try {
+    // 원문이 거의 같은 이전 번역은 그대로 쓰지 않고 참고 번역으로 함께 전달
+    const references = await fetchFuzzyReferences(textsToTranslate, options, cacheManager);
+    
     // 번역 요청
-    const translatedTexts = await requestTranslation(textsToTranslate, options);
+    const translatedTexts = await requestTranslation(textsToTranslate, {
+      ...options,
+      references,
+      onSegment: mapSegmentCallback(options.onSegment, textsToTranslateIndices)
+    });
     
     // 번역 결과를 원래 위치에 삽입
+    const entries = [];
     for (let i = 0; i < translatedTexts.length; i++) {
       const originalIndex = textsToTranslateIndices[i];
       cachedResults[originalIndex] = translatedTexts[i];
-      
-      // 캐시 저장
-      saveToCaches(textItems[originalIndex], translatedTexts[i], options.targetLang, cacheManager);
+      entries.push({ text: textItems[originalIndex], translation: translatedTexts[i] });
     }
     
+    // 캐시 저장 (한 번에)
+    saveManyToCaches(entries, options, cacheManager);
+    
     // 빈 결과는 원본으로 대체
     for (let i = 0; i < cachedResults.length; i++) {
       if (cachedResults[i] === null) {
@@ -289,16 +458,36 @@ async function handleNormalTranslation(textItems, options, cacheManager) {
   }
 }
 
+/**
+ * 부분 배열 기준 세그먼트 콜백을 전체 배열 인덱스 기준으로 변환
+ * @param {Function|null} onSegment - (index, translated) 콜백
+ * @param {number[]} indices - 부분 배열 인덱스 → 전체 배열 인덱스
+ * @returns {Function|null} - 변환된 콜백
+ */
+function mapSegmentCallback(onSegment, indices) {
+  if (!onSegment) {
+    return null;
+  }
+  
+  return (index, translated) => {
+    if (indices[index] !== undefined) {
+      onSegment(indices[index], translated);
+    }
+  };
+}
+
 /**
  * 캐시 결과 처리
  * @param {string[]} textItems - 텍스트 항목
  * @param {string} targetLang - 대상 언어
  * @param {Object} cacheManager - 캐시 매니저 객체 (선택적)
+ * @param {string} scope - 캐시 범위 식별자 (선택적)
+ * @param {Object} meta - getCacheMeta 결과 (선택적)
  * @returns {Promise<Object>} - 처리된 캐시 결과
  */
-async function processCacheResults(textItems, targetLang, cacheManager) {
+async function processCacheResults(textItems, targetLang, cacheManager, scope = '', meta = {}) {
   const cachedResults = new Array(textItems.length);
-  let allCached = true;
+  const missingIndices = [];
   
   for (let i = 0; i < textItems.length; i++) {
     const text = textItems[i];
@@ -309,60 +498,137 @@ async function processCacheResults(textItems, targetLang, cacheManager) {
     }
     
     // 내부 캐시 확인
-    const cacheResult = checkInternalCache(text, targetLang);
+    const cacheResult = checkInternalCache(text, targetLang, scope, meta);
     if (cacheResult) {
       cachedResults[i] = cacheResult;
       continue;
     }
     
-    // 외부 캐시 확인
-    if (cacheManager && typeof cacheManager.get === 'function') {
-      try {
-        const cachedTranslation = await cacheManager.get(text, targetLang);
-        
-        if (cachedTranslation) {
-          cachedResults[i] = cachedTranslation;
-          // 내부 캐시에도 저장
-          saveToCaches(text, cachedTranslation, targetLang);
-        } else {
-          cachedResults[i] = null;
-          allCached = false;
-        }
-      } catch (error) {
-        cachedResults[i] = null;
-        allCached = false;
+    cachedResults[i] = null;
+    missingIndices.push(i);
+  }
+  
+  // 내부 캐시에 없는 항목은 외부 캐시에서 한 번에 확인
+  if (missingIndices.length > 0 && cacheManager) {
+    const missingTexts = missingIndices.map(index => textItems[index]);
+    const externalResults = await fetchManyFromExternalCache(missingTexts, targetLang, cacheManager, scope, meta);
+    
+    externalResults.forEach((cachedTranslation, i) => {
+      if (cachedTranslation) {
+        cachedResults[missingIndices[i]] = cachedTranslation;
+        // 내부 캐시에도 저장
+        saveToCaches(missingTexts[i], cachedTranslation, targetLang, null, scope, meta);
       }
-    } else {
-      cachedResults[i] = null;
-      allCached = false;
-    }
+    });
   }
   
+  const allCached = cachedResults.every(result => result !== null);
+  
   return { cachedResults, allCached };
 }
 
+/**
+ * 외부 캐시(CacheManager)에서 여러 번역 확인
+ * getMany를 지원하지 않는 캐시 매니저는 항목별 get 사용
+ * @param {string[]} texts - 텍스트 배열
+ * @param {string} targetLang - 대상 언어
+ * @param {Object} cacheManager - 캐시 매니저 객체
+ * @param {string} scope - 캐시 범위 식별자 (선택적)
+ * @param {Object} meta - getCacheMeta 결과 (선택적)
+ * @returns {Promise<Array<string|null>>} - 텍스트 순서대로 캐시된 번역
+ */
+async function fetchManyFromExternalCache(texts, targetLang, cacheManager, scope = '', meta = {}) {
+  try {
+    if (typeof cacheManager.getMany === 'function') {
+      return await cacheManager.getMany(texts, targetLang, scope, meta);
+    }
+    
+    if (typeof cacheManager.get === 'function') {
+      return await Promise.all(texts.map(text =>
+        cacheManager.get(text, targetLang, scope, meta).catch(() => null)
+      ));
+    }
+  } catch (error) {
+    console.warn(`[${APP_CONFIG.appName}] 외부 캐시 조회 오류:`, error);
+  }
+  
+  return texts.map(() => null);
+}
+
+/**
+ * 번역 메모리에서 유사 원문의 번역 찾기 (설정에서 유사 일치를 켠 경우만 결과가 있음)
+ * @param {string[]} texts - 번역할 텍스트 배열
+ * @param {Object} options - 번역 옵션 (targetLang, cacheScope, sourceLang, provider)
+ * @param {Object} cacheManager - 캐시 매니저 객체 (선택적)
+ * @returns {Promise<Array<Object|null>|null>} - 텍스트 순서대로 {source, translation} (하나도 없으면 null)
+ */
+async function fetchFuzzyReferences(texts, options, cacheManager) {
+  if (!cacheManager || typeof cacheManager.getFuzzyMatches !== 'function') {
+    return null;
+  }
+  
+  try {
+    const matches = await cacheManager.getFuzzyMatches(texts, options.targetLang, options.cacheScope, getCacheMeta(options));
+    return matches.some(Boolean) ? matches : null;
+  } catch (error) {
+    console.warn(`[${APP_CONFIG.appName}] 유사 일치 검색 오류:`, error);
+    return null;
+  }
+}
+
 /**
  * 캐시에 번역 결과 저장
  * @param {string} originalText - 원본 텍스트
  * @param {string} translatedText - 번역된 텍스트
  * @param {string} targetLang - 대상 언어
  * @param {Object} cacheManager - 캐시 매니저 객체 (선택적)
+ * @param {string} scope - 캐시 범위 식별자 (선택적)
+ * @param {Object} meta - getCacheMeta 결과 (선택적)
  */
-function saveToCaches(originalText, translatedText, targetLang, cacheManager = null) {
+function saveToCaches(originalText, translatedText, targetLang, cacheManager = null, scope = '', meta = {}) {
   if (!originalText || !translatedText) return;
   
   // 내부 캐시에 저장
-  const cacheKey = `${targetLang}:${originalText}`;
+  const cacheKey = getInternalCacheKey(originalText, targetLang, scope, meta);
   state.cachedTranslations.set(cacheKey, translatedText);
   
   // 외부 캐시에 저장 (CacheManager 사용)
   if (cacheManager && typeof cacheManager.set === 'function') {
-    cacheManager.set(originalText, translatedText, targetLang);
+    cacheManager.set(originalText, translatedText, targetLang, scope, meta);
+  }
+}
+
+/**
+ * 여러 번역 결과를 캐시에 한 번에 저장
+ * @param {Array<Object>} entries - [{text, translation}] 배열
+ * @param {Object} options - 번역 옵션 (targetLang, cacheScope, sourceLang, provider, origin)
+ * @param {Object} cacheManager - 캐시 매니저 객체 (선택적)
+ */
+function saveManyToCaches(entries, options, cacheManager = null) {
+  const validEntries = entries.filter(entry => entry.text && entry.translation);
+  if (validEntries.length === 0) return;
+  
+  // 내부 캐시에 저장
+  validEntries.forEach(entry => {
+    saveToCaches(entry.text, entry.translation, options.targetLang, null, options.cacheScope, getCacheMeta(options));
+  });
+  
+  // 외부 캐시에 저장 (setMany를 지원하지 않으면 항목별 저장)
+  if (cacheManager && typeof cacheManager.setMany === 'function') {
+    cacheManager.setMany(validEntries, options.targetLang, options.cacheScope, {
+      ...getCacheMeta(options),
+      origin: options.origin || ''
+    });
+  } else if (cacheManager && typeof cacheManager.set === 'function') {
+    validEntries.forEach(entry => {
+      cacheManager.set(entry.text, entry.translation, options.targetLang, options.cacheScope, getCacheMeta(options));
+    });
   }
 }
 
 /**
  * 번역 API 요청
+ * options.onSegment가 있으면 스트리밍(NDJSON) 응답을 요청하고 세그먼트가 도착할 때마다 전달
  * @param {string[]} texts - 번역할 텍스트 배열
  * @param {Object} options - 번역 옵션
  * @returns {Promise<string[]>} - 번역된 텍스트 배열
@@ -380,14 +646,63 @@ async function requestTranslation(texts, options) {
       // 번역 요청 데이터 구성
       const requestData = {
         texts: texts,
-        targetLang: options.targetLang || settings.targetLang,
-        separator: settings.separator
+        targetLang: options.targetLang || settings.targetLang
       };
       
+      // 제공자 지정 (A/B 비교 등)
+      const provider = options.provider || settings.provider;
+      if (provider) {
+        requestData.provider = provider;
+      }
+      
+      // 문서 맥락 브리프 (모든 배치 프롬프트에 포함)
+      if (options.context) {
+        requestData.context = options.context;
+      }
+      
+      // 문체 프리셋 (formal, polite, casual, technical)
+      if (options.register) {
+        requestData.register = options.register;
+      }
+      
+      // 원문 언어: 지정한 언어가 없으면 세그먼트마다 감지 (모르는 세그먼트는 워커/제공자가 자동 감지)
+      if (options.sourceLang) {
+        requestData.sourceLang = options.sourceLang;
+      } else {
+        const sourceLangs = texts.map(text => detectSourceLanguage(text, requestData.targetLang));
+        if (sourceLangs.some(Boolean)) {
+          requestData.sourceLangs = sourceLangs;
+        }
+      }
+      
+      // 유사 원문의 이전 번역 (LLM 제공자가 참고만 함, 결과로 바로 쓰지 않음)
+      if (Array.isArray(options.references)) {
+        requestData.references = options.references
+          .map((match, id) => match ? { id, source: match.source, translation: match.translation } : null)
+          .filter(Boolean);
+      }
+      
+      // 사용자 용어집 (이번 텍스트에 등장하는 항목만)
+      const glossary = await GlossaryManager.getGlossaryForTexts(texts, requestData.targetLang);
+      if (glossary) {
+        requestData.glossary = glossary;
+      }
+      
+      // 세그먼트 스트리밍 요청
+      if (options.onSegment) {
+        requestData.stream = true;
+      }
+      
+      // 설치별 인증 토큰 (없으면 워커에 등록)
+      const authHeaders = await AuthManager.getAuthHeaders();
+      
+      // 속도 제한 윈도우가 비워질 때까지 대기
+      await waitForRateLimit();
+      
       // 번역 API 호출 (타임아웃 적용)
       const fetchPromise = fetch(settings.workerEndpoint, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
         body: JSON.stringify(requestData)
       });
       
@@ -399,10 +714,20 @@ async function requestTranslation(texts, options) {
       // 요청 또는 타임아웃 중 먼저 발생하는 것 처리
       const response = await Promise.race([fetchPromise, timeoutPromise]);
       
+      // 속도 제한 헤더 반영 (남은 요청이 없으면 다음 요청 보류)
+      updateRateLimitState(response);
+      
       if (!response.ok) {
         return await handleApiError(response, texts, options);
       }
       
+      // 스트리밍 응답 처리
+      if (options.onSegment && isStreamResponse(response)) {
+        const streamed = await readTranslationStream(response, texts.length, options);
+        state.totalProcessed += texts.length;
+        return streamed;
+      }
+      
       // 응답 데이터 파싱
       const data = await response.json();
       
@@ -410,9 +735,16 @@ async function requestTranslation(texts, options) {
       if (data.success && Array.isArray(data.translations)) {
         // 통계 업데이트
         state.totalProcessed += texts.length;
+        recordWorkerCacheStats(data.cache, options);
+        syncServerQuota(data.quota);
+        
+        // 워커가 번역하지 못한 세그먼트는 null로 표시 (캐시 저장 방지, 호출 측에서 원문 사용)
+        const untranslatedIds = new Set(Array.isArray(data.untranslatedIds) ? data.untranslatedIds : []);
         
         // 번역 결과 반환
-        return data.translations;
+        return data.translations.map((translation, index) => 
+          untranslatedIds.has(index) ? null : translation
+        );
       } else {
         throw new Error(data.error || "API에서 유효한 응답을 받지 못했습니다.");
       }
@@ -425,6 +757,160 @@ async function requestTranslation(texts, options) {
   }
 }
 
+/**
+ * 스트리밍(NDJSON) 응답 여부 확인
+ * @param {Response} response - HTTP 응답
+ * @returns {boolean} - 스트리밍 응답 여부
+ */
+function isStreamResponse(response) {
+  const contentType = response.headers.get('Content-Type') || '';
+  return contentType.includes('application/x-ndjson') && !!response.body;
+}
+
+/**
+ * NDJSON 번역 스트림 읽기
+ * 한 줄에 하나의 {type: 'segment' | 'done' | 'error'} 객체
+ * @param {Response} response - 스트리밍 HTTP 응답
+ * @param {number} count - 요청한 세그먼트 수
+ * @param {Object} options - 번역 옵션 (onSegment, onCacheStats)
+ * @returns {Promise<Array>} - 번역 결과 배열 (받지 못한 세그먼트는 null)
+ */
+async function readTranslationStream(response, count, options) {
+  const results = new Array(count).fill(null);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let done = false;
+  
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    
+    const data = JSON.parse(line);
+    
+    switch (data.type) {
+      case 'segment':
+        if (Number.isInteger(data.id) && data.id >= 0 && data.id < count && typeof data.text === 'string') {
+          results[data.id] = data.text;
+          options.onSegment(data.id, data.text);
+        }
+        break;
+        
+      case 'done':
+        done = true;
+        recordWorkerCacheStats(data.cache, options);
+        syncServerQuota(data.quota);
+        
+        // 워커가 번역하지 못한 세그먼트는 null로 표시 (캐시 저장 방지, 호출 측에서 원문 사용)
+        (data.untranslatedIds || []).forEach(id => {
+          if (id >= 0 && id < count) results[id] = null;
+        });
+        break;
+        
+      case 'error':
+        throw new Error(data.error || "번역 스트림 오류");
+    }
+  };
+  
+  while (true) {
+    const { done: streamEnded, value } = await reader.read();
+    
+    if (streamEnded) {
+      break;
+    }
+    
+    buffer += decoder.decode(value, { stream: true });
+    
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+      handleLine(buffer.slice(0, newlineIndex));
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+  }
+  
+  handleLine(buffer);
+  
+  if (!done) {
+    throw new Error("번역 스트림이 완료되지 않았습니다.");
+  }
+  
+  return results;
+}
+
+/**
+ * 워커 세그먼트 캐시 통계 기록
+ * @param {Object} cache - 워커 응답의 {hits, misses}
+ * @param {Object} options - 번역 옵션 (onCacheStats)
+ */
+function recordWorkerCacheStats(cache, options) {
+  if (!cache || typeof cache.hits !== 'number' || typeof cache.misses !== 'number') {
+    return;
+  }
+  
+  state.workerCache.hits += cache.hits;
+  state.workerCache.misses += cache.misses;
+  
+  if (options && typeof options.onCacheStats === 'function') {
+    options.onCacheStats(cache);
+  }
+  
+  safeDispatchEvent('translation:worker-cache', { hits: cache.hits, misses: cache.misses });
+}
+
+/**
+ * 워커가 반환한 할당량으로 사용량 동기화
+ * @param {Object} quota - {tier, limit, used, remaining, month}
+ */
+function syncServerQuota(quota) {
+  if (!quota) return;
+  
+  UsageManager.applyServerQuota(quota).catch(error => {
+    console.warn(`[${APP_CONFIG.appName}] 할당량 동기화 오류:`, error);
+  });
+}
+
+/**
+ * X-RateLimit-* 헤더로 속도 제한 상태 갱신
+ * @param {Response} response - HTTP 응답
+ */
+function updateRateLimitState(response) {
+  const remaining = response.headers.get('X-RateLimit-Remaining');
+  const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+  
+  if (remaining === '0' && !isNaN(reset)) {
+    state.rateLimitedUntil = Math.max(state.rateLimitedUntil, reset * 1000);
+  }
+}
+
+/**
+ * Retry-After 헤더를 대기 시간(ms)으로 변환
+ * @param {Response} response - HTTP 응답
+ * @returns {number} - 대기 시간 (ms, 상한 적용)
+ */
+function getRetryAfterDelay(response) {
+  const retryAfter = response.headers.get('Retry-After');
+  let delay = settings.retryDelay;
+  
+  if (retryAfter) {
+    // 초 단위 숫자 또는 HTTP 날짜 형식
+    const seconds = Number(retryAfter);
+    delay = !isNaN(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+  }
+  
+  return Math.min(settings.maxRetryAfter, Math.max(settings.retryDelay, delay || 0));
+}
+
+/**
+ * 속도 제한 보류 시각까지 대기
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimit() {
+  const waitTime = Math.min(settings.maxRetryAfter, state.rateLimitedUntil - Date.now());
+  
+  if (waitTime > 0) {
+    await new Promise(resolve => setTimeout(resolve, waitTime));
+  }
+}
+
 /**
  * API 오류 처리
  * @param {Response} response - HTTP 응답
@@ -434,18 +920,58 @@ async function requestTranslation(texts, options) {
  */
 async function handleApiError(response, texts, options) {
   let errorMessage = "번역 API 오류";
+  let errorData = {};
   
   try {
-    const errorData = await response.json();
+    errorData = await response.json();
     errorMessage = errorData.error || response.statusText;
   } catch (e) {
     errorMessage = response.statusText;
   }
   
+  syncServerQuota(errorData.quota);
+  
   // 응답 상태 코드에 따른 처리
   switch (true) {
-    // 서버 오류 또는 레이트 리밋 초과 (재시도 가능)
-    case (response.status >= 500 || response.status === 429):
+    // 토큰 만료/손상 (토큰 재발급 후 1회 재시도)
+    case (response.status === 401 && !options.authRetried):
+      console.warn(`[${APP_CONFIG.appName}] 인증 실패, 토큰 재발급 후 재시도: ${errorMessage}`);
+      
+      await AuthManager.clearToken();
+      return translateTexts(texts, {
+        ...options,
+        authRetried: true
+      });
+      
+    // 서버 기준 월간 한도 초과 또는 남은 한도보다 큰 요청 (재시도 불필요)
+    case (response.status === 403 && errorData.quotaExceeded === true):
+      safeDispatchEvent('usage:limit-exceeded', {
+        available: errorData.quota ? errorData.quota.remaining : 0,
+        limit: errorData.quota ? errorData.quota.limit : undefined
+      });
+      
+      throw Object.assign(new Error(`번역 API 오류: ${errorMessage}`), { quotaExceeded: true });
+      
+    // 속도 제한 초과 (Retry-After 이후 재시도, 배치를 실패시키지 않음)
+    case (response.status === 429 && options.rateLimitRetries < settings.maxRateLimitRetries): {
+      const delay = getRetryAfterDelay(response);
+      console.warn(`[${APP_CONFIG.appName}] 속도 제한, ${Math.ceil(delay / 1000)}초 후 재시도: ${errorMessage}`);
+      
+      // 동시에 진행 중인 다른 배치도 같은 시각까지 대기
+      state.rateLimitedUntil = Math.max(state.rateLimitedUntil, Date.now() + delay);
+      safeDispatchEvent('translation:rate-limited', {
+        retryAfter: delay,
+        attempt: options.rateLimitRetries + 1
+      });
+      
+      return translateTexts(texts, {
+        ...options,
+        rateLimitRetries: options.rateLimitRetries + 1
+      });
+    }
+      
+    // 서버 오류 (재시도 가능)
+    case (response.status >= 500):
       if (options.retryCount < settings.maxRetryCount) {
         console.warn(`[${APP_CONFIG.appName}] API 오류, ${options.retryCount + 1}번째 재시도 중: ${errorMessage}`);
         
@@ -488,6 +1014,11 @@ async function handleApiError(response, texts, options) {
 async function handleRequestError(error, texts, options) {
   console.error(`[${APP_CONFIG.appName}] 번역 API 요청 오류: ${error.message}`);
   
+  // 한도 초과는 재시도하지 않음 (null: 캐시 저장 없이 원문 사용)
+  if (error.quotaExceeded) {
+    return texts.map(() => null);
+  }
+  
   // 재시도 여부 확인
   if (options.retryCount < settings.maxRetryCount) {
     console.warn(`[${APP_CONFIG.appName}] ${options.retryCount + 1}번째 재시도 중`);
@@ -539,6 +1070,10 @@ function handleTranslationError(error, context) {
  * @param {number} batchSize - 배치당 최대 항목 수
  * @param {number} maxConcurrent - 최대 동시 실행 배치 수
  * @param {Object} options - 번역 옵션
+ *   (onSegment: (index, translated) 세그먼트 도착 콜백, onCacheStats: ({hits, misses}) 워커 캐시 통계 콜백,
+ *    context: requestContextBrief로 받은 문서 맥락 브리프, register: 문체 프리셋 이름,
+ *    onLanguageDetected: ({lang, confidence}) 페이지 원문 언어 감지 콜백,
+ *    origin: 번역하는 사이트 origin (번역 메모리 기록용))
  * @param {Object} cacheManager - 캐시 매니저 객체 (선택적)
  * @param {Object} usageManager - 사용량 매니저 객체 (선택적)
  * @returns {Promise<Array>} 번역 결과 배열
@@ -554,9 +1089,35 @@ async function translateInBatches(texts, batchSize = settings.batchSize, maxConc
     
     // 결과 저장용 배열
     const results = new Array(texts.length);
+    // 이번 호출의 워커 캐시 통계
+    const workerCache = { hits: 0, misses: 0 };
+    
+    const targetLang = options.targetLang || settings.targetLang;
+    
+    // 페이지 주 언어 감지 (표시용, 요청에는 세그먼트별 언어를 전달)
+    const detected = LanguageDetector.detectDominantLanguage(texts);
+    if (detected) {
+      safeDispatchEvent('translation:language-detected', detected);
+      
+      if (typeof options.onLanguageDetected === 'function') {
+        options.onLanguageDetected(detected);
+      }
+    }
+    
     const translationOptions = {
-      targetLang: options.targetLang || settings.targetLang,
-      forceTranslation: options.forceTranslation || settings.forceTranslation
+      targetLang,
+      forceTranslation: options.forceTranslation || settings.forceTranslation,
+      context: options.context || null,
+      register: options.register || '',
+      origin: options.origin || '',
+      onCacheStats: (cache) => {
+        workerCache.hits += cache.hits;
+        workerCache.misses += cache.misses;
+        
+        if (typeof options.onCacheStats === 'function') {
+          options.onCacheStats(cache);
+        }
+      }
     };
     
     // 배치로 나누기
@@ -583,7 +1144,11 @@ async function translateInBatches(texts, batchSize = settings.batchSize, maxConc
     // 배치 처리 함수
     const processBatch = async (batch) => {
       try {
-        const translations = await translateTexts(batch.texts, translationOptions, cacheManager);
+        const translations = await translateTexts(batch.texts, {
+          ...translationOptions,
+          onSegment: typeof options.onSegment === 'function' ?
+            (index, translated) => options.onSegment(batch.startIndex + index, translated) : null
+        }, cacheManager);
         
         // 원래 위치에 결과 저장
         for (let i = 0; i < translations.length; i++) {
@@ -646,7 +1211,8 @@ async function translateInBatches(texts, batchSize = settings.batchSize, maxConc
     safeDispatchEvent('translation:batches-complete', {
       total: texts.length,
       cachedCount,
-      newCount
+      newCount,
+      workerCache
     });
     
     // 사용량 기록 (UsageManager 사용)
@@ -715,8 +1281,10 @@ function getStatus() {
   return {
     activeRequests: state.activeRequests,
     totalProcessed: state.totalProcessed,
+    skippedSegments: state.skippedSegments,
     errorCount: state.errorCount,
     cacheSize: state.cachedTranslations.size,
+    workerCache: { ...state.workerCache },
     lastError: state.lastError ? state.lastError.message : null
   };
 }
@@ -727,6 +1295,12 @@ function getStatus() {
  */
 function updateSettings(newSettings) {
   if (!newSettings) return;
+  
+  // 제공자가 바뀌면 내부 캐시의 이전 제공자 번역을 사용하지 않음
+  if (newSettings.provider !== undefined && newSettings.provider !== settings.provider) {
+    state.cachedTranslations.clear();
+  }
+  
   settings = { ...settings, ...newSettings };
 }
 
@@ -764,11 +1338,160 @@ async function testConnection() {
   }
 }
 
+/**
+ * 문서 맥락 브리프 요청 (페이지 번역 전 요약 패스)
+ * 브리프 생성에 실패해도 번역은 맥락 없이 진행할 수 있으므로 오류 대신 null 반환
+ * @param {Object} page - {title, headings, outline} 페이지 개요
+ * @param {Object} options - {targetLang, provider} (선택적)
+ * @param {boolean} authRetried - 인증 재시도 여부 (내부용)
+ * @returns {Promise<Object|null>} - {topic, domain, tone, terms} 브리프 또는 null
+ */
+async function requestContextBrief(page, options = {}, authRetried = false) {
+  if (!page || typeof page !== 'object') {
+    return null;
+  }
+  
+  try {
+    const requestData = {
+      page,
+      targetLang: options.targetLang || settings.targetLang
+    };
+    
+    const provider = options.provider || settings.provider;
+    if (provider) {
+      requestData.provider = provider;
+    }
+    
+    const authHeaders = await AuthManager.getAuthHeaders();
+    await waitForRateLimit();
+    
+    const fetchPromise = fetch(`${settings.workerEndpoint}/context`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
+      body: JSON.stringify(requestData)
+    });
+    
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('맥락 요청 타임아웃')), settings.timeout);
+    });
+    
+    const response = await Promise.race([fetchPromise, timeoutPromise]);
+    updateRateLimitState(response);
+    
+    // 토큰이 만료/폐기된 경우 한 번만 재발급 후 재시도
+    if (response.status === 401 && !authRetried) {
+      await AuthManager.clearToken();
+      return requestContextBrief(page, options, true);
+    }
+    
+    const data = await response.json().catch(() => ({}));
+    syncServerQuota(data.quota);
+    
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP 오류: ${response.status}`);
+    }
+    
+    safeDispatchEvent('translation:context-ready', { brief: data.brief });
+    return data.brief || null;
+  } catch (error) {
+    console.warn(`[${APP_CONFIG.appName}] 문서 맥락 요청 실패, 맥락 없이 번역합니다:`, error);
+    return null;
+  }
+}
+
+/**
+ * 단어/구 사전식 조회 (번역, 품사, 뜻, 문맥 예문)
+ * 같은 문장 속 같은 용어는 CacheManager에 저장된 결과를 사용
+ * @param {string} term - 조회할 단어/구
+ * @param {string} context - 용어가 쓰인 문장 (선택적)
+ * @param {Object} options - {targetLang, provider} (선택적)
+ * @param {Object} cacheManager - 캐시 매니저 객체 (선택적)
+ * @param {boolean} authRetried - 인증 재시도 여부 (내부용)
+ * @returns {Promise<Object>} - {translation, partOfSpeech, definition, example, exampleTranslation, cached}
+ */
+async function lookupTerm(term, context = '', options = {}, cacheManager = null, authRetried = false) {
+  const normalizedTerm = typeof term === 'string' ? term.trim() : '';
+  if (!normalizedTerm) {
+    throw new Error('조회할 용어가 없습니다.');
+  }
+  
+  const targetLang = options.targetLang || settings.targetLang;
+  const sentence = typeof context === 'string' ? context.trim() : '';
+  
+  // 같은 단어도 문장에 따라 뜻이 달라지므로 문장까지 캐시 범위에 포함
+  // (문장 해시 충돌로 다른 뜻을 보여주지 않도록 문장 자체를 사용, CacheManager가 키로 해시함)
+  const scope = `lookup:${sentence}`;
+  
+  const sourceLang = detectSourceLanguage(sentence || normalizedTerm, targetLang);
+  const cacheMeta = getCacheMeta(options);
+  
+  if (cacheManager && !authRetried) {
+    const cached = await cacheManager.get(normalizedTerm, targetLang, scope, cacheMeta);
+    if (cached && typeof cached === 'object') {
+      return { ...cached, cached: true };
+    }
+  }
+  
+  const requestData = {
+    term: normalizedTerm,
+    context: sentence,
+    targetLang
+  };
+  
+  if (sourceLang) {
+    requestData.sourceLang = sourceLang;
+  }
+  
+  const provider = options.provider || settings.provider;
+  if (provider) {
+    requestData.provider = provider;
+  }
+  
+  const authHeaders = await AuthManager.getAuthHeaders();
+  await waitForRateLimit();
+  
+  const fetchPromise = fetch(`${settings.workerEndpoint}/lookup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders },
+    body: JSON.stringify(requestData)
+  });
+  
+  const timeoutPromise = new Promise((_, reject) => {
+    setTimeout(() => reject(new Error('조회 요청 타임아웃')), settings.timeout);
+  });
+  
+  const response = await Promise.race([fetchPromise, timeoutPromise]);
+  updateRateLimitState(response);
+  
+  // 토큰이 만료/폐기된 경우 한 번만 재발급 후 재시도
+  if (response.status === 401 && !authRetried) {
+    await AuthManager.clearToken();
+    return lookupTerm(term, context, options, cacheManager, true);
+  }
+  
+  const data = await response.json().catch(() => ({}));
+  syncServerQuota(data.quota);
+  
+  if (!response.ok || !data.success || !data.result) {
+    throw Object.assign(new Error(data.error || `HTTP 오류: ${response.status}`), {
+      limitExceeded: data.quotaExceeded === true
+    });
+  }
+  
+  if (cacheManager) {
+    await cacheManager.set(normalizedTerm, data.result, targetLang, scope, cacheMeta);
+  }
+  
+  return { ...data.result, cached: false };
+}
+
 // 모듈 내보내기
 export {
   translateText,
   translateTexts,
   translateInBatches,
+  requestContextBrief,
+  lookupTerm,
   clearCache,
   getStatus,
   updateSettings,
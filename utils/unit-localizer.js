@@ -0,0 +1,383 @@
+// unit-localizer.js - 통화/단위 현지화 모듈
+import { APP_CONFIG } from '../config.js';
+
+/**
+ * 원문 세그먼트에서 가격, 길이, 무게, 온도, 넓이를 찾아
+ * 대상 언어의 통화/단위로 환산한 값을 번역문 속 원래 표기 옆에 덧붙인다.
+ * 예) "$25" → "$25 (약 34,000원)", "5 ft" → "5 ft (약 1.52m)"
+ *
+ * 번역 결과(캐시)는 그대로 두고 화면에 적용하기 직전에만 처리하므로
+ * 설정을 꺼도 캐시를 다시 만들 필요가 없다.
+ * 환율은 설정의 currencyRates(기본값은 config.js의 환율표)를 사용해 오프라인에서도 동작한다.
+ */
+
+// 현지화 설정 (APP_CONFIG에서 가져옴)
+let settings = {
+  currencyRates: { ...APP_CONFIG.unitLocalization.currencyRates },
+  locales: { ...APP_CONFIG.unitLocalization.locales }
+};
+
+// 통화 기호 → 통화 코드
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD',
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₩': 'KRW'
+};
+
+// 숫자 뒤에 붙는 통화 표기 → 통화 코드
+const CURRENCY_SUFFIXES = {
+  '원': 'KRW',
+  '円': 'JPY',
+  '元': 'CNY'
+};
+
+// 단위 정의 (factor: 기준 단위(m, kg, m²)로 환산하는 배수)
+const UNITS = {
+  mm: { category: 'length', system: 'metric', factor: 0.001, label: 'mm' },
+  cm: { category: 'length', system: 'metric', factor: 0.01, label: 'cm' },
+  m: { category: 'length', system: 'metric', factor: 1, label: 'm' },
+  km: { category: 'length', system: 'metric', factor: 1000, label: 'km' },
+  in: { category: 'length', system: 'imperial', factor: 0.0254, label: 'in' },
+  ft: { category: 'length', system: 'imperial', factor: 0.3048, label: 'ft' },
+  yd: { category: 'length', system: 'imperial', factor: 0.9144, label: 'yd' },
+  mi: { category: 'length', system: 'imperial', factor: 1609.344, label: 'mi' },
+  g: { category: 'weight', system: 'metric', factor: 0.001, label: 'g' },
+  kg: { category: 'weight', system: 'metric', factor: 1, label: 'kg' },
+  oz: { category: 'weight', system: 'imperial', factor: 0.028349523125, label: 'oz' },
+  lb: { category: 'weight', system: 'imperial', factor: 0.45359237, label: 'lb' },
+  m2: { category: 'area', system: 'metric', factor: 1, label: 'm²' },
+  pyeong: { category: 'area', system: 'pyeong', factor: 400 / 121, label: '평' },
+  sqft: { category: 'area', system: 'imperial', factor: 0.09290304, label: 'sq ft' },
+  acre: { category: 'area', system: 'imperial', factor: 4046.8564224, label: 'acres' },
+  c: { category: 'temperature', system: 'metric', label: '°C' },
+  f: { category: 'temperature', system: 'imperial', label: '°F' }
+};
+
+// 단위 표기 → 단위 키 (긴 표기부터 검사)
+const UNIT_ALIASES = [
+  ['square feet', 'sqft'], ['square foot', 'sqft'], ['sq. ft.', 'sqft'], ['sq ft', 'sqft'], ['ft²', 'sqft'], ['ft2', 'sqft'],
+  ['square meters', 'm2'], ['square metres', 'm2'], ['sqm', 'm2'], ['m²', 'm2'], ['㎡', 'm2'],
+  ['acres', 'acre'], ['acre', 'acre'], ['평', 'pyeong'],
+  ['°F', 'f'], ['℉', 'f'], ['°C', 'c'], ['℃', 'c'],
+  ['millimeters', 'mm'], ['centimeters', 'cm'], ['kilometers', 'km'], ['meters', 'm'],
+  ['inches', 'in'], ['inch', 'in'], ['feet', 'ft'], ['foot', 'ft'], ['yards', 'yd'], ['yard', 'yd'], ['miles', 'mi'], ['mile', 'mi'],
+  ['kilograms', 'kg'], ['grams', 'g'], ['pounds', 'lb'], ['pound', 'lb'], ['ounces', 'oz'], ['ounce', 'oz'],
+  ['mm', 'mm'], ['cm', 'cm'], ['km', 'km'], ['kg', 'kg'], ['lbs', 'lb'], ['lb', 'lb'], ['oz', 'oz'],
+  ['ft', 'ft'], ['yd', 'yd'], ['mi', 'mi'], ['m', 'm'], ['g', 'g']
+];
+
+// 숫자 표기 (천 단위 쉼표, 소수점 허용)
+const NUMBER_PATTERN = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+
+/**
+ * 정규식 특수 문자 이스케이프
+ * @param {string} text - 원본 문자열
+ * @returns {string} - 이스케이프된 문자열
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 통화 패턴: 기호/코드 + 숫자, 숫자 + 코드/접미사/기호 ("100€", "100 €", 기호 뒤에 숫자가 오면 다음 금액의 기호로 봄)
+const CURRENCY_CODES = Object.keys(APP_CONFIG.unitLocalization.currencyRates).join('|');
+const CURRENCY_SYMBOL_PATTERN = Object.keys(CURRENCY_SYMBOLS).map(escapeRegExp).join('|');
+const CURRENCY_REGEX = new RegExp(
+  `(${CURRENCY_SYMBOL_PATTERN})\\s?(${NUMBER_PATTERN})` +
+  `|\\b(${CURRENCY_CODES})\\s?(${NUMBER_PATTERN})` +
+  `|(${NUMBER_PATTERN})\\s?(?:(${CURRENCY_CODES})\\b|(${Object.keys(CURRENCY_SUFFIXES).join('|')})|(${CURRENCY_SYMBOL_PATTERN})(?!\\s?\\d))`,
+  'g'
+);
+
+// 단위 패턴: 숫자 + 단위 표기 (단위 뒤에 영문자가 이어지면 제외)
+const UNIT_REGEX = new RegExp(
+  `(-?)(${NUMBER_PATTERN})\\s?(${UNIT_ALIASES.map(([alias]) => escapeRegExp(alias)).join('|')})(?![A-Za-z])`,
+  'g'
+);
+
+/**
+ * 숫자 문자열 파싱
+ * @param {string} text - "1,299.99" 형식 문자열
+ * @returns {number} - 숫자 값
+ */
+function parseNumber(text) {
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+/**
+ * 텍스트에서 통화/단위 표기 찾기
+ * @param {string} text - 원문 텍스트
+ * @returns {Array<Object>} - [{literal, number, value, unit, category, index}]
+ */
+function detectQuantities(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const found = [];
+  let match;
+
+  CURRENCY_REGEX.lastIndex = 0;
+  while ((match = CURRENCY_REGEX.exec(text)) !== null) {
+    const number = match[2] || match[4] || match[5];
+    const currency = match[1] ? CURRENCY_SYMBOLS[match[1]] :
+      match[3] || match[6] || CURRENCY_SUFFIXES[match[7]] || CURRENCY_SYMBOLS[match[8]];
+
+    found.push({
+      literal: match[0],
+      number,
+      value: parseNumber(number),
+      unit: currency,
+      category: 'currency',
+      index: match.index
+    });
+  }
+
+  UNIT_REGEX.lastIndex = 0;
+  while ((match = UNIT_REGEX.exec(text)) !== null) {
+    const unit = UNIT_ALIASES.find(([alias]) => alias === match[3])[1];
+    const definition = UNITS[unit];
+
+    // 음수는 온도에만 허용
+    if (match[1] && definition.category !== 'temperature') {
+      continue;
+    }
+
+    // 통화로 이미 잡힌 범위와 겹치면 제외
+    const overlaps = found.some(item =>
+      match.index < item.index + item.literal.length && item.index < match.index + match[0].length);
+    if (overlaps) continue;
+
+    found.push({
+      literal: match[0],
+      number: match[2],
+      value: parseNumber(match[2]) * (match[1] ? -1 : 1),
+      unit,
+      category: definition.category,
+      index: match.index
+    });
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 근사값 반올림 (유효숫자 3자리, 온도는 정수)
+ * @param {number} value - 값
+ * @param {string} category - 분류
+ * @returns {number} - 반올림된 값
+ */
+function roundApprox(value, category) {
+  if (category === 'temperature') {
+    return Math.round(value);
+  }
+
+  // 33,987 → 34,000, 2.26796 → 2.27
+  return Number(value.toPrecision(3));
+}
+
+/**
+ * 대상 언어 기준 숫자 표기
+ * @param {number} value - 값
+ * @param {Object} localeInfo - 대상 언어 통화/단위 정보
+ * @returns {string} - 표기 문자열
+ */
+function formatNumber(value, localeInfo) {
+  return new Intl.NumberFormat(localeInfo.locale, { maximumFractionDigits: 2 }).format(value);
+}
+
+/**
+ * 금액 환산 후 표기
+ * @param {Object} quantity - detectQuantities 결과 항목
+ * @param {Object} localeInfo - 대상 언어 통화/단위 정보
+ * @returns {string|null} - 환산 표기 또는 null
+ */
+function convertCurrency(quantity, localeInfo) {
+  const rates = settings.currencyRates;
+  const target = localeInfo.currency;
+
+  if (quantity.unit === target || !rates[quantity.unit] || !rates[target]) {
+    return null;
+  }
+
+  const value = roundApprox(quantity.value / rates[quantity.unit] * rates[target], 'currency');
+
+  if (localeInfo.currencySuffix) {
+    return `${formatNumber(value, localeInfo)}${localeInfo.currencySuffix}`;
+  }
+
+  return new Intl.NumberFormat(localeInfo.locale, {
+    style: 'currency',
+    currency: target,
+    maximumFractionDigits: value >= 100 ? 0 : 2
+  }).format(value);
+}
+
+/**
+ * 대상 단위계에서 값 크기에 맞는 단위 선택
+ * @param {string} category - 분류 (length, weight, area)
+ * @param {number} baseValue - 기준 단위 값 (m, kg, m²)
+ * @param {Object} localeInfo - 대상 언어 통화/단위 정보
+ * @returns {string} - 단위 키
+ */
+function pickTargetUnit(category, baseValue, localeInfo) {
+  const abs = Math.abs(baseValue);
+
+  if (localeInfo.system === 'imperial') {
+    switch (category) {
+      case 'length': return abs < UNITS.ft.factor ? 'in' : (abs < UNITS.mi.factor ? 'ft' : 'mi');
+      case 'weight': return abs < UNITS.lb.factor ? 'oz' : 'lb';
+      default: return abs < UNITS.acre.factor ? 'sqft' : 'acre';
+    }
+  }
+
+  switch (category) {
+    case 'length': return abs < 1 ? 'cm' : (abs < 1000 ? 'm' : 'km');
+    case 'weight': return abs < 1 ? 'g' : 'kg';
+    default: return localeInfo.areaUnit === 'pyeong' ? 'pyeong' : 'm2';
+  }
+}
+
+/**
+ * 단위 환산 후 표기
+ * @param {Object} quantity - detectQuantities 결과 항목
+ * @param {Object} localeInfo - 대상 언어 통화/단위 정보
+ * @returns {string|null} - 환산 표기 또는 null
+ */
+function convertUnit(quantity, localeInfo) {
+  const definition = UNITS[quantity.unit];
+
+  if (quantity.category === 'temperature') {
+    if (definition.system === localeInfo.system) return null;
+
+    const converted = quantity.unit === 'f' ?
+      (quantity.value - 32) * 5 / 9 :
+      quantity.value * 9 / 5 + 32;
+    const targetUnit = quantity.unit === 'f' ? 'c' : 'f';
+
+    return `${formatNumber(roundApprox(converted, 'temperature'), localeInfo)}${UNITS[targetUnit].label}`;
+  }
+
+  const targetUnit = pickTargetUnit(quantity.category, quantity.value * definition.factor, localeInfo);
+  const targetDefinition = UNITS[targetUnit];
+
+  // 이미 대상 단위계인 경우 환산하지 않음
+  if (definition.system === targetDefinition.system) {
+    return null;
+  }
+
+  const converted = roundApprox(quantity.value * definition.factor / targetDefinition.factor, quantity.category);
+  // 야드파운드법 단위는 "5.91 ft"처럼 띄어 씀
+  const separator = targetDefinition.system === 'imperial' ? ' ' : '';
+
+  return `${formatNumber(converted, localeInfo)}${separator}${targetDefinition.label}`;
+}
+
+/**
+ * 번역문에서 원문 표기의 위치 찾기
+ * 원문 표기가 그대로 남아 있으면 그 뒤에, 숫자만 남아 있으면 숫자가 포함된 어절 뒤에 덧붙인다
+ * @param {string} text - 번역문
+ * @param {Object} quantity - detectQuantities 결과 항목
+ * @param {number} fromIndex - 검색 시작 위치
+ * @returns {number} - 덧붙일 위치 (없으면 -1)
+ */
+function findInsertPosition(text, quantity, fromIndex) {
+  const literalIndex = text.indexOf(quantity.literal, fromIndex);
+  if (literalIndex >= 0) {
+    return literalIndex + quantity.literal.length;
+  }
+
+  const numberIndex = text.indexOf(quantity.number, fromIndex);
+  if (numberIndex < 0) {
+    return -1;
+  }
+
+  // "25달러"처럼 숫자에 붙은 단위 표기까지 포함
+  const rest = text.slice(numberIndex + quantity.number.length);
+  const word = rest.match(/^\s?[^\s,.;:!?()[\]"']*/);
+  return numberIndex + quantity.number.length + (word ? word[0].length : 0);
+}
+
+/**
+ * 번역문에 통화/단위 환산 값 덧붙이기
+ * @param {string} sourceText - 원문 세그먼트
+ * @param {string} translatedText - 번역된 세그먼트
+ * @param {string} targetLang - 대상 언어 코드
+ * @returns {string} - 환산 값이 덧붙은 번역문 (대상 없음/오류 시 번역문 그대로)
+ */
+function localizeText(sourceText, translatedText, targetLang) {
+  if (!translatedText || typeof translatedText !== 'string') {
+    return translatedText;
+  }
+
+  const localeInfo = settings.locales[targetLang];
+  if (!localeInfo) {
+    return translatedText;
+  }
+
+  try {
+    const quantities = detectQuantities(sourceText);
+    let result = translatedText;
+    let searchFrom = 0;
+
+    quantities.forEach(quantity => {
+      const converted = quantity.category === 'currency' ?
+        convertCurrency(quantity, localeInfo) :
+        convertUnit(quantity, localeInfo);
+
+      if (!converted) return;
+
+      const position = findInsertPosition(result, quantity, searchFrom);
+      if (position < 0) return;
+
+      // 번역문에 이미 괄호 설명이 붙어 있으면 중복 표기하지 않음
+      if (/^\s*[(（]/.test(result.slice(position))) {
+        searchFrom = position;
+        return;
+      }
+
+      const annotation = ` (${localeInfo.approx}${converted})`;
+      result = result.slice(0, position) + annotation + result.slice(position);
+      searchFrom = position + annotation.length;
+    });
+
+    return result;
+  } catch (error) {
+    console.warn(`[${APP_CONFIG.appName}] 통화/단위 현지화 오류:`, error);
+    return translatedText;
+  }
+}
+
+/**
+ * 설정 업데이트 (사용자 환율표 등)
+ * @param {Object} newSettings - {currencyRates, locales}
+ */
+function updateSettings(newSettings) {
+  if (!newSettings) return;
+
+  settings = {
+    currencyRates: { ...settings.currencyRates, ...(newSettings.currencyRates || {}) },
+    locales: { ...settings.locales, ...(newSettings.locales || {}) }
+  };
+}
+
+/**
+ * 현재 설정 가져오기
+ * @returns {Object} - 현재 설정
+ */
+function getSettings() {
+  return {
+    currencyRates: { ...settings.currencyRates },
+    locales: { ...settings.locales }
+  };
+}
+
+// 모듈 내보내기
+export {
+  detectQuantities,
+  localizeText,
+  updateSettings,
+  getSettings
+};
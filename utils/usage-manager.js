@@ -151,6 +151,45 @@ async function recordUsage(tokens) {
   }
 }
 
+/**
+ * 워커가 집계한 할당량으로 로컬 사용량 동기화 (서버 값이 기준)
+ * @param {Object} quota - 워커 응답의 {tier, limit, used, remaining, month}
+ * @returns {Promise<Object|null>} - 동기화된 사용량 객체 또는 null
+ */
+async function applyServerQuota(quota) {
+  try {
+    if (!quota || typeof quota.used !== 'number' || !quota.tier) {
+      return null;
+    }
+    
+    const usage = await getCurrentUsage();
+    const newUsage = {
+      ...usage,
+      month: quota.month || usage.month,
+      tokensUsed: quota.used,
+      syncedAt: new Date().toISOString()
+    };
+    
+    await saveUsageToStorage(newUsage);
+    
+    // 구독 등급도 서버 기준으로 갱신
+    if (SUBSCRIPTION_LIMITS.hasOwnProperty(quota.tier) && quota.tier !== await getCurrentSubscription()) {
+      await setSubscription(quota.tier);
+    }
+    
+    // 이벤트 발생 (사용량 업데이트)
+    safeDispatchEvent('usage:updated', {
+      usage: newUsage,
+      quota
+    });
+    
+    return newUsage;
+  } catch (error) {
+    handleError('서버 할당량 동기화 오류', error);
+    return null;
+  }
+}
+
 /**
  * 번역 가능 여부 확인
  * @param {number} estimatedTokens - 예상 토큰 수
@@ -400,6 +439,7 @@ export {
   getCurrentSubscription,
   getCurrentUsage,
   recordUsage,
+  applyServerQuota,
   canTranslate,
   getUsageStats,
   estimateTokens,